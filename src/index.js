@@ -13,8 +13,31 @@ import {
   validateTemplate,
   listFieldTypes,
   generateTemplateFromDescription,
+  generateTemplateFromFigmaMetadata,
+  generateTemplateFromFigmaFile,
   getFieldTypeExamples,
 } from './tools/templateGenerator.js';
+import {
+  listTemplates,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+  listTemplateVersionsTool,
+  diffTemplateVersions,
+  restoreTemplateVersion,
+} from './tools/templateManager.js';
+import { diffTemplates } from './tools/templateDiff.js';
+import { checkTemplateCompatibility } from './tools/templateCompatibility.js';
+import { getTemplateSchema } from './tools/templateSchema.js';
+import { validateStorage } from './tools/storageValidator.js';
+import { validateContent } from './tools/contentValidator.js';
+import { generateSampleContent } from './tools/sampleContent.js';
+import { generateTypeScriptTypes } from './tools/typescriptTypes.js';
+import { generateZodSchema } from './tools/zodSchema.js';
+import { scaffoldComponents, SCAFFOLD_TARGETS } from './tools/componentScaffold.js';
+import { documentTemplate } from './tools/templateDocs.js';
+import { generateTemplateFromSpec, exportTemplateSpec } from './tools/templateSpec.js';
+import { figmaMetadataSchema } from './tools/figmaMetadataSchema.js';
 import { registerResources } from './tools/resources.js';
 import { registerPrompts } from './tools/prompts.js';
 
@@ -65,8 +88,13 @@ class AntiCMSServer {
           include_cta: z.boolean().optional().default(false).describe('Include call-to-action in hero section'),
           max_features: z.number().optional().default(6).describe('Maximum number of features'),
           max_gallery_images: z.number().optional().default(12).describe('Maximum number of gallery images'),
-          figma_metadata_file: z.string().optional().describe('Path to Figma metadata JSON file for enhanced field detection'),
+          figma_metadata: figmaMetadataSchema.optional().describe('Inline Figma metadata (figma_code_response and anticms_analysis) for enhanced field detection; takes precedence over figma_metadata_file'),
+          figma_metadata_file: z.string().optional().describe('Path to a Figma metadata JSON file on the server for enhanced field detection'),
           is_exclude_sections: z.boolean().optional().default(true).describe('Whether to exclude navigation, footer, and header sections from template generation'),
+          use_figma_content: z.boolean().optional().default(false).describe('Use the Figma section copy as field defaultValue attributes and save a seed-content file (storage/app/json/seeds/{template_type}/{name}.json) with repeater items from the design'),
+          on_conflict: z.enum(['error', 'overwrite', 'suffix', 'merge']).optional().default('error').describe('What to do when the template file already exists: "error" keeps the file and aborts, "overwrite" replaces it, "suffix" saves as {name}_2, "merge" keeps existing components and appends new ones'),
+          dry_run: z.boolean().optional().default(false).describe('Return the generated JSON and a diff against the existing file without writing to disk'),
+          explain: z.boolean().optional().default(false).describe('Add the field decisions per component: which detector fired, the competing detector scores and the Figma source element of each field')
         }
       },
       async (args) => {
@@ -87,9 +115,11 @@ class AntiCMSServer {
       'validate_template',
       {
         title: 'Validate Template',
-        description: 'Validate an AntiCMS v3 template JSON structure',
+        description: 'Validate an AntiCMS v3 template JSON structure. Errors make the template invalid; lint rules report warnings.',
         inputSchema: {
-          template_json: z.object({}).describe('The template JSON to validate')
+          template_json: z.object({}).passthrough().describe('The template JSON to validate'),
+          lint_rules: z.record(z.boolean()).optional().describe('Turn lint warning rules on or off by id, e.g. {"media_alt_caption": false}. Rules: snake_case_field_names, duplicate_field_names, duplicate_key_names, sequential_sections, status_toggle_first, multilanguage_non_text, media_alt_caption (all on by default)'),
+          fix: z.boolean().optional().default(false).describe('Apply safe fixes (replace deprecated file/image fields with media, sanitize field names, fill missing required attributes, renumber sections) and return the fixed template with a change log')
         }
       },
       async (args) => {
@@ -143,6 +173,404 @@ class AntiCMSServer {
         return await getFieldTypeExamples(args);
       }
     );
+
+    // Register list_templates tool
+    this.server.registerTool(
+      'list_templates',
+      {
+        title: 'List Templates',
+        description: 'List AntiCMS v3 templates stored in storage/app/json',
+        inputSchema: {
+          template_type: z.enum(['pages', 'posts']).optional().describe('Only list templates of this type (lists all types if omitted)')
+        }
+      },
+      async (args) => {
+        return await listTemplates(args);
+      }
+    );
+
+    // Register get_template tool
+    this.server.registerTool(
+      'get_template',
+      {
+        title: 'Get Template',
+        description: 'Read a stored AntiCMS v3 template',
+        inputSchema: {
+          name: z.string().describe('Template name (file name without .json)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type: "pages" or "posts"')
+        }
+      },
+      async (args) => {
+        return await getTemplate(args);
+      }
+    );
+
+    // Register update_template tool
+    this.server.registerTool(
+      'update_template',
+      {
+        title: 'Update Template',
+        description: 'Patch a stored AntiCMS v3 template with a JSON Merge Patch or JSON Patch. The result is validated before it is written.',
+        inputSchema: {
+          name: z.string().describe('Template name (file name without .json)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type: "pages" or "posts"'),
+          merge_patch: z.record(z.any()).optional().describe('JSON Merge Patch (RFC 7386) object; null values remove keys'),
+          json_patch: z.array(z.object({
+            op: z.enum(['add', 'remove', 'replace', 'move', 'copy', 'test']),
+            path: z.string(),
+            from: z.string().optional(),
+            value: z.any().optional()
+          })).optional().describe('JSON Patch (RFC 6902) operations, e.g. [{"op":"replace","path":"/components/0/label","value":"Hero"}]')
+        }
+      },
+      async (args) => {
+        return await updateTemplate(args);
+      }
+    );
+
+    // Register delete_template tool
+    this.server.registerTool(
+      'delete_template',
+      {
+        title: 'Delete Template',
+        description: 'Delete a stored AntiCMS v3 template',
+        inputSchema: {
+          name: z.string().describe('Template name (file name without .json)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type: "pages" or "posts"')
+        }
+      },
+      async (args) => {
+        return await deleteTemplate(args);
+      }
+    );
+
+    // Register list_template_versions tool
+    this.server.registerTool(
+      'list_template_versions',
+      {
+        title: 'List Template Versions',
+        description: 'List the recorded version history of a stored AntiCMS v3 template, with the tool and args that produced each version',
+        inputSchema: {
+          name: z.string().describe('Template name (file name without .json)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type: "pages" or "posts"')
+        }
+      },
+      async (args) => {
+        return await listTemplateVersionsTool(args);
+      }
+    );
+
+    // Register diff_template_versions tool
+    this.server.registerTool(
+      'diff_template_versions',
+      {
+        title: 'Diff Template Versions',
+        description: 'Show a unified diff between two versions of a stored AntiCMS v3 template',
+        inputSchema: {
+          name: z.string().describe('Template name (file name without .json)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type: "pages" or "posts"'),
+          from_version: z.string().describe('Version id to diff from, or "current"'),
+          to_version: z.string().optional().default('current').describe('Version id to diff to, or "current" for the stored file')
+        }
+      },
+      async (args) => {
+        return await diffTemplateVersions(args);
+      }
+    );
+
+    // Register restore_template_version tool
+    this.server.registerTool(
+      'restore_template_version',
+      {
+        title: 'Restore Template Version',
+        description: 'Restore a stored AntiCMS v3 template to a recorded version. The restore is recorded as a new version; versions that fail validation are refused unless force is set.',
+        inputSchema: {
+          name: z.string().describe('Template name (file name without .json)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type: "pages" or "posts"'),
+          version_id: z.string().describe('Version id from list_template_versions'),
+          force: z.boolean().optional().default(false).describe('Restore the version even if it fails validation')
+        }
+      },
+      async (args) => {
+        return await restoreTemplateVersion(args);
+      }
+    );
+
+    // Register diff_templates tool
+    this.server.registerTool(
+      'diff_templates',
+      {
+        title: 'Diff Templates',
+        description: 'Compare two AntiCMS v3 templates at the component and field level: added, removed and renamed components, field and type changes, and attribute changes inside repeaters, groups and tables',
+        inputSchema: {
+          old_name: z.string().optional().describe('Stored template name to compare from'),
+          old_template_json: z.union([z.record(z.any()), z.array(z.any())]).optional().describe('Inline template JSON to compare from (instead of old_name)'),
+          new_name: z.string().optional().describe('Stored template name to compare to'),
+          new_template_json: z.union([z.record(z.any()), z.array(z.any())]).optional().describe('Inline template JSON to compare to (instead of new_name)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type of stored templates: "pages" or "posts"')
+        }
+      },
+      async (args) => {
+        return await diffTemplates(args);
+      }
+    );
+
+    // Register check_template_compatibility tool
+    this.server.registerTool(
+      'check_template_compatibility',
+      {
+        title: 'Check Template Compatibility',
+        description: 'Classify each change between an old and a new AntiCMS v3 template as safe, needs-migration or breaking for existing CMS content, and suggest a content migration plan',
+        inputSchema: {
+          old_name: z.string().optional().describe('Stored template name the existing content was created with'),
+          old_template_json: z.union([z.record(z.any()), z.array(z.any())]).optional().describe('Inline old template JSON (instead of old_name)'),
+          new_name: z.string().optional().describe('Stored template name of the edited template'),
+          new_template_json: z.union([z.record(z.any()), z.array(z.any())]).optional().describe('Inline new template JSON (instead of new_name)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type of stored templates: "pages" or "posts"'),
+          default_locale: z.string().optional().default('en').describe('Locale used when converting values to or from multilanguage')
+        }
+      },
+      async (args) => {
+        return await checkTemplateCompatibility(args);
+      }
+    );
+
+    // Register get_template_schema tool
+    this.server.registerTool(
+      'get_template_schema',
+      {
+        title: 'Get Template Schema',
+        description: 'Get a JSON Schema (draft 2020-12) for AntiCMS v3 templates, built from the field type definitions. Use it to validate storage/app/json files in an IDE or to constrain generated output.',
+        inputSchema: {
+          strict: z.boolean().optional().default(false).describe('Disallow null attribute values and keys not defined by the field types')
+        }
+      },
+      async (args) => {
+        return await getTemplateSchema(args);
+      }
+    );
+
+    // Register validate_storage tool
+    this.server.registerTool(
+      'validate_storage',
+      {
+        title: 'Validate Storage',
+        description: 'Validate every JSON file in storage/app/json (pages, posts, posts-type, navigation) and return a per-file report with totals',
+        inputSchema: {
+          directories: z.array(z.enum(['pages', 'posts', 'posts-type', 'navigation'])).optional().describe('Storage directories to validate (default: all)'),
+          lint_rules: z.record(z.boolean()).optional().describe('Turn template lint rules on or off by id'),
+          only_invalid: z.boolean().optional().default(false).describe('Only list files that failed validation'),
+          include_warnings: z.boolean().optional().default(true).describe('Include warnings in the per-file report')
+        }
+      },
+      async (args) => {
+        return await validateStorage(args);
+      }
+    );
+
+    // Register validate_content tool
+    this.server.registerTool(
+      'validate_content',
+      {
+        title: 'Validate Content',
+        description: 'Validate entry content against a template: required values, text lengths, repeater item counts, select options, media types and per-language values',
+        inputSchema: {
+          name: z.string().optional().describe('Stored template name (file name without .json)'),
+          template_json: z.union([z.record(z.any()), z.array(z.any())]).optional().describe('Inline template JSON (instead of name)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type of the stored template'),
+          content: z.record(z.any()).describe('Content keyed by component keyName, then field name; multilanguage values are objects keyed by locale'),
+          locales: z.array(z.string()).optional().describe('Locales every multilanguage value needs (default: template lang_option, else en and id)')
+        }
+      },
+      async (args) => {
+        return await validateContent(args);
+      }
+    );
+
+    // Register generate_sample_content tool
+    this.server.registerTool(
+      'generate_sample_content',
+      {
+        title: 'Generate Sample Content',
+        description: 'Generate mock content for a template for front-end development: text within length limits, repeaters between min and max, select values from options, placeholder media and per-language values',
+        inputSchema: {
+          name: z.string().optional().describe('Stored template name (file name without .json)'),
+          template_json: z.union([z.record(z.any()), z.array(z.any())]).optional().describe('Inline template JSON (instead of name)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type of the stored template'),
+          seed: z.union([z.number(), z.string()]).optional().describe('Seed for reproducible content; the same seed always produces the same content'),
+          locales: z.array(z.string()).optional().describe('Locales for multilanguage fields (default: template lang_option, else en and id)')
+        }
+      },
+      async (args) => {
+        return await generateSampleContent(args);
+      }
+    );
+
+    // Register generate_typescript_types tool
+    this.server.registerTool(
+      'generate_typescript_types',
+      {
+        title: 'Generate TypeScript Types',
+        description: 'Convert a template into TypeScript interfaces for its entry content: one interface per component keyed by keyName, nested interfaces for groups, repeater items and table rows, unions for select options, Record<Locale, string> for multilanguage fields and media/post reference types',
+        inputSchema: {
+          name: z.string().optional().describe('Stored template name (file name without .json)'),
+          template_json: z.union([z.record(z.any()), z.array(z.any())]).optional().describe('Inline template JSON (instead of name)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type of the stored template'),
+          locales: z.array(z.string()).optional().describe('Locales of the Locale type (default: template lang_option, else en and id)')
+        }
+      },
+      async (args) => {
+        return await generateTypeScriptTypes(args);
+      }
+    );
+
+    // Register generate_zod_schema tool
+    this.server.registerTool(
+      'generate_zod_schema',
+      {
+        title: 'Generate Zod Schema',
+        description: 'Generate Zod schemas from a template so consuming apps can parse AntiCMS API payloads at runtime. Every field type maps to a Zod builder, honouring is_required, length limits, select options and repeater bounds',
+        inputSchema: {
+          name: z.string().optional().describe('Stored template name (file name without .json)'),
+          template_json: z.union([z.record(z.any()), z.array(z.any())]).optional().describe('Inline template JSON (instead of name)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type of the stored template'),
+          locales: z.array(z.string()).optional().describe('Locales of multilanguage values (default: template lang_option, else en and id)'),
+          typescript: z.boolean().optional().default(true).describe('Emit TypeScript with z.infer content types; false emits plain JavaScript')
+        }
+      },
+      async (args) => {
+        return await generateZodSchema(args);
+      }
+    );
+
+    // Register scaffold_components tool
+    this.server.registerTool(
+      'scaffold_components',
+      {
+        title: 'Scaffold Components',
+        description: 'Scaffold one front-end component file per template component for React, Next.js, Blade or Vue: image/video tags for media, rich HTML for texteditor, mapped lists for repeaters and the status toggle gating the section. Files are returned as embedded resources and optionally written to an output directory',
+        inputSchema: {
+          name: z.string().optional().describe('Stored template name (file name without .json)'),
+          template_json: z.union([z.record(z.any()), z.array(z.any())]).optional().describe('Inline template JSON (instead of name)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type of the stored template'),
+          target: z.enum(SCAFFOLD_TARGETS).optional().default('react').describe('Front-end target: react, nextjs, blade or vue'),
+          output_dir: z.string().optional().describe('Directory (inside the working directory) to write the files to; omit to only return them'),
+          overwrite: z.boolean().optional().default(false).describe('Replace existing files in output_dir instead of skipping them')
+        }
+      },
+      async (args) => {
+        return await scaffoldComponents(args);
+      }
+    );
+
+    // Register document_template tool
+    this.server.registerTool(
+      'document_template',
+      {
+        title: 'Document Template',
+        description: 'Render a template as a Markdown page for editors and clients: component table in section order, every field with label, type, required flag, limits, caption and default value, nested tables for repeaters, groups and tables, and a Mermaid diagram of the component structure',
+        inputSchema: {
+          name: z.string().optional().describe('Stored template name (file name without .json)'),
+          template_json: z.union([z.record(z.any()), z.array(z.any())]).optional().describe('Inline template JSON (instead of name)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type of the stored template'),
+          include_diagram: z.boolean().optional().default(true).describe('Include the Mermaid diagram of the component structure')
+        }
+      },
+      async (args) => {
+        return await documentTemplate(args);
+      }
+    );
+
+    // Register generate_template_from_spec tool
+    this.server.registerTool(
+      'generate_template_from_spec',
+      {
+        title: 'Generate Template from Spec',
+        description: 'Generate a template from a markdown spec ("# Label", "- Name:", "## Section: Label (`keyName`)" and "- `field`: type (multilanguage)" items with indented properties). Reports unparsed lines, fills missing required attributes with field type defaults and validates the result before saving',
+        inputSchema: {
+          spec: z.string().optional().describe('Markdown spec document'),
+          spec_file: z.string().optional().describe('Path (inside the working directory) of a markdown spec file, instead of spec'),
+          name: z.string().optional().describe('Template name, overriding the spec "- Name:" line'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type: "pages" for page templates, "posts" for post templates'),
+          on_conflict: z.enum(['error', 'overwrite', 'suffix']).optional().default('error').describe('What to do when the template file already exists: "error" keeps the file and aborts, "overwrite" replaces it, "suffix" saves as {name}_2'),
+          dry_run: z.boolean().optional().default(false).describe('Return the parsed JSON and a diff against the existing file without writing to disk')
+        }
+      },
+      async (args) => {
+        return await generateTemplateFromSpec(args);
+      }
+    );
+
+    // Register export_template_spec tool
+    this.server.registerTool(
+      'export_template_spec',
+      {
+        title: 'Export Template Spec',
+        description: 'Export a template as a markdown spec that generate_template_from_spec reads back into the same template, so specs can be kept in a repository',
+        inputSchema: {
+          name: z.string().optional().describe('Stored template name (file name without .json)'),
+          template_json: z.union([z.record(z.any()), z.array(z.any())]).optional().describe('Inline template JSON (instead of name)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type of the stored template'),
+          output_file: z.string().optional().describe('File (inside the working directory) to write the spec to; omit to only return it'),
+          overwrite: z.boolean().optional().default(false).describe('Replace an existing output_file')
+        }
+      },
+      async (args) => {
+        return await exportTemplateSpec(args);
+      }
+    );
+
+    // Register generate_template_from_figma tool
+    this.server.registerTool(
+      'generate_template_from_figma',
+      {
+        title: 'Generate Template from Figma',
+        description: 'Generate a template from Figma metadata (inline or a JSON file path), deriving the sections from figma_code_response.sections and the anticms_analysis. Navigation, header and footer sections are excluded by default. Reports which Figma sections were mapped, skipped or excluded',
+        inputSchema: {
+          figma_metadata: figmaMetadataSchema.optional().describe('Inline Figma metadata (figma_code_response and anticms_analysis); takes precedence over metadata_file_path'),
+          metadata_file_path: z.string().optional().describe('Path to a Figma metadata JSON file on the server (e.g. storage/app/json/figma/homepage_metadata.json)'),
+          template_name: z.string().optional().describe('Template identifier (default: anticms_analysis.template_type, else figma_template)'),
+          template_label: z.string().optional().describe('Human-readable template name (default: Figma file name, else "Figma Template")'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type: "pages" for page templates, "posts" for post templates'),
+          multilanguage: z.boolean().optional().default(true).describe('Enable multilanguage support'),
+          is_multiple: z.boolean().optional().default(false).describe('Allow multiple instances'),
+          is_exclude_sections: z.boolean().optional().default(true).describe('Exclude navigation, header and footer sections'),
+          use_figma_content: z.boolean().optional().default(false).describe('Use the Figma section copy as field defaultValue attributes and save a seed-content file'),
+          on_conflict: z.enum(['error', 'overwrite', 'suffix', 'merge']).optional().default('error').describe('What to do when the template file already exists: "error", "overwrite", "suffix" or "merge"'),
+          dry_run: z.boolean().optional().default(false).describe('Return the generated JSON and a diff against the existing file without writing to disk'),
+          explain: z.boolean().optional().default(false).describe('Add the field decisions per component: which detector fired, the competing detector scores and the Figma source element of each field')
+        }
+      },
+      async (args) => {
+        return await generateTemplateFromFigmaMetadata(args);
+      }
+    );
+
+    // Register generate template from Figma file tool
+    this.server.registerTool(
+      'generate_template_from_figma_file',
+      {
+        title: 'Generate Template from Figma File',
+        description: 'Generate a template from a Figma file JSON saved on the server (the Figma REST API GET /v1/files/:key response). The top-level layers of the selected frame become sections; text layers, image fills, buttons and auto-layout repeated items (same component or layer structure) drive the fields. Reports which layers were mapped, skipped or excluded',
+        inputSchema: {
+          file_path: z.string().describe('Path to the Figma file JSON inside the working directory'),
+          page: z.string().optional().describe('Page name or node ID (default: the frame is looked up on every page)'),
+          frame: z.string().optional().describe('Frame name or node ID ("12:34" or "12-34") (default: first frame of the first page with frames)'),
+          template_name: z.string().optional().describe('Template identifier (default: snake_case frame name)'),
+          template_label: z.string().optional().describe('Human-readable template name (default: frame name)'),
+          template_type: z.enum(['pages', 'posts']).optional().default('pages').describe('Template type: "pages" for page templates, "posts" for post templates'),
+          multilanguage: z.boolean().optional().default(true).describe('Enable multilanguage support'),
+          is_multiple: z.boolean().optional().default(false).describe('Allow multiple instances'),
+          is_exclude_sections: z.boolean().optional().default(true).describe('Exclude navigation, header and footer sections'),
+          on_conflict: z.enum(['error', 'overwrite', 'suffix', 'merge']).optional().default('error').describe('What to do when the template file already exists: "error", "overwrite", "suffix" or "merge"'),
+          dry_run: z.boolean().optional().default(false).describe('Return the generated JSON and a diff against the existing file without writing to disk'),
+          explain: z.boolean().optional().default(false).describe('Add the field decisions per component: which detector fired, the competing detector scores and the Figma source element of each field')
+        }
+      },
+      async (args) => {
+        return await generateTemplateFromFigmaFile(args);
+      }
+    );
   }
 
   /**
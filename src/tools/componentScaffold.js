@@ -0,0 +1,760 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { resolveTemplateInput, resolveWorkingPath, toRelativePath } from './storage.js';
+import { getNestedFields, getMediaCategory, toMediaAccept, toCommentText } from './templateFields.js';
+import { generateTypeScriptTypesForTemplate } from './typescriptTypes.js';
+
+/**
+ * Front-end component scaffolding for AntiCMS v3 templates
+ * Emits one component file per template component for React, Next.js, Blade or Vue
+ */
+
+export const SCAFFOLD_TARGETS = ['react', 'nextjs', 'blade', 'vue'];
+
+/**
+ * Shared helpers for the JavaScript targets (anticms.ts)
+ */
+const HELPERS_SOURCE = `import type { Locale, MediaReference } from './types';
+
+/** Pick the value of a multilanguage field for a locale */
+export function localize<T>(value: Partial<Record<Locale, T>> | null | undefined, locale: Locale): T | undefined {
+  return value?.[locale];
+}
+
+/** Get the URL of a media value */
+export function mediaUrl(media: MediaReference | null | undefined): string {
+  if (!media) return '';
+  return typeof media === 'string' ? media : media.url ?? media.path ?? '';
+}
+`;
+
+/**
+ * Field names rendered as headings
+ */
+const HEADING_FIELDS = ['title', 'heading', 'headline', 'name'];
+
+/**
+ * Convert a name to PascalCase for component names
+ * @param {string} name - Name in snake_case, kebab-case or free text
+ * @returns {string} - PascalCase name
+ */
+function toComponentName(name) {
+  const componentName = String(name)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+  return /^[0-9]/.test(componentName) ? `Section${componentName}` : componentName || 'Section';
+}
+
+/**
+ * Convert a name to kebab-case for CSS classes and Blade component names
+ * @param {string} name - Name in snake_case, camelCase or free text
+ * @returns {string} - kebab-case name
+ */
+function toKebabCase(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Indent lines by a number of levels
+ * @param {Array<string>} lines - Source lines
+ * @param {string} unit - Indentation unit
+ * @param {number} levels - Indentation levels
+ * @returns {Array<string>} - Indented lines
+ */
+function indentLines(lines, unit, levels = 1) {
+  return lines.map(line => (line ? unit.repeat(levels) + line : line));
+}
+
+/**
+ * Escape text for HTML markup (Vue templates and Blade views)
+ * Braces and @ are escaped too, so a label cannot open an interpolation or a Blade directive
+ * @param {string} text - Text such as a field label
+ * @returns {string} - Text with HTML entities
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"'{}@]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Make text safe inside an HTML comment, which must not contain "--"
+ * @param {string} text - Comment text
+ * @returns {string} - Escaped comment text
+ */
+function toHtmlCommentText(text) {
+  return String(text).replace(/-(?=-)/g, '- ');
+}
+
+/**
+ * Make text safe inside a line comment of a Vue <script> block
+ * A closing script tag would end the block even inside a comment
+ * @param {string} text - Comment text
+ * @returns {string} - Escaped comment text
+ */
+function toScriptCommentText(text) {
+  return toCommentText(text).replace(/<\/(script)/gi, '<\\/$1');
+}
+
+/**
+ * Make text safe inside a Blade comment, which ends at the first "--}}"
+ * @param {string} text - Comment text
+ * @returns {string} - Escaped comment text
+ */
+function toBladeCommentText(text) {
+  return String(text).replace(/--\}\}/g, '-- }}');
+}
+
+/**
+ * Check whether a field is the toggle gating its section
+ * @param {Object} field - Field definition
+ * @returns {boolean} - True for the status toggle
+ */
+function isStatusToggle(field) {
+  return field?.name === 'status' && field.field === 'toggle';
+}
+
+/**
+ * Check whether a group holds a call to action (label and link fields)
+ * @param {Object} field - Group field
+ * @returns {boolean} - True for label/link button groups
+ */
+function isLinkGroup(field) {
+  const names = getNestedFields(field).map(nested => nested?.name);
+  return names.includes('label') && names.includes('link');
+}
+
+/**
+ * Get the media category a media field renders as
+ * Deprecated file fields may hold a comma separated accept string or name the category in attribute.type
+ * @param {Object} field - Media field
+ * @returns {string} - image, video, audio or document (image unless the field says otherwise)
+ */
+function getMediaKind(field) {
+  const attribute = field.attribute || {};
+  const accept = toMediaAccept(attribute.accept, field.field) || (Array.isArray(attribute.accept) ? attribute.accept : []);
+  const categories = accept.map(type => getMediaCategory(type)).filter(Boolean);
+  if (categories.length === 0) {
+    const type = getMediaCategory(attribute.type);
+    return type || (field.field === 'file' ? 'document' : 'image');
+  }
+  return categories.includes('image') ? 'image' : categories[0];
+}
+
+/**
+ * JSX syntax for the react and nextjs targets
+ */
+class JsxRenderer {
+  constructor(target) {
+    this.target = target;
+    this.indent = '  ';
+    this.helpers = new Set();
+    this.usesImage = false;
+  }
+
+  access(scope, name) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? `${scope}.${name}` : `${scope}[${JSON.stringify(name)}]`;
+  }
+
+  localize(expression) {
+    this.helpers.add('localize');
+    return `localize(${expression}, locale)`;
+  }
+
+  text(value) {
+    return `{${JSON.stringify(String(value))}}`;
+  }
+
+  element(tag, className, value) {
+    return [`<${tag} className="${className}">{${value}}</${tag}>`];
+  }
+
+  container(className, lines) {
+    return [`<div className="${className}">`, ...indentLines(lines, this.indent), '</div>'];
+  }
+
+  html(className, value) {
+    return [`<div className="${className}" dangerouslySetInnerHTML={{ __html: ${value} ?? '' }} />`];
+  }
+
+  media(expression, className, field, kind) {
+    this.helpers.add('mediaUrl');
+    const src = `mediaUrl(${expression})`;
+    const tags = {
+      video: `<video className="${className}" src={${src}} controls />`,
+      audio: `<audio className="${className}" src={${src}} controls />`,
+      document: `<a className="${className}" href={${src}}>${this.text(field.label || field.name)}</a>`
+    };
+    if (tags[kind]) {
+      return [`{${expression} && ${tags[kind]}}`];
+    }
+    if (this.target === 'nextjs') {
+      this.usesImage = true;
+      const resolution = field.attribute?.resolution || {};
+      const width = resolution.maxWidth || 1200;
+      const height = resolution.maxHeight || 800;
+      return [`{${expression} && <Image className="${className}" src={${src}} alt="" width={${width}} height={${height}} />}`];
+    }
+    return [`{${expression} && <img className="${className}" src={${src}} alt="" />}`];
+  }
+
+  link(href, label, className) {
+    return [`<a className="${className}" href={${href} ?? '#'}>{${label}}</a>`];
+  }
+
+  list(expression, className, depth, renderItem) {
+    const item = depth > 0 ? `item${depth + 1}` : 'item';
+    const index = depth > 0 ? `index${depth + 1}` : 'index';
+    return [
+      `<div className="${className}">`,
+      ...indentLines([
+        `{${expression}?.map((${item}, ${index}) => (`,
+        ...indentLines([
+          `<div key={${index}} className="${className}-item">`,
+          ...indentLines(renderItem(item), this.indent),
+          '</div>'
+        ], this.indent),
+        '))}'
+      ], this.indent),
+      '</div>'
+    ];
+  }
+
+  when(expression, lines) {
+    return [`{${expression} && (`, ...indentLines(lines, this.indent), ')}'];
+  }
+
+  table(expression, columns, className) {
+    return [
+      `<table className="${className}">`,
+      '  <thead>',
+      '    <tr>',
+      ...columns.map(column => `      <th>${this.text(column.label || column.name)}</th>`),
+      '    </tr>',
+      '  </thead>',
+      '  <tbody>',
+      `    {${expression}?.map((row, rowIndex) => (`,
+      '      <tr key={rowIndex}>',
+      ...columns.map(column => `        <td>{${this.access('row', column.name)}}</td>`),
+      '      </tr>',
+      '    ))}',
+      '  </tbody>',
+      '</table>'
+    ];
+  }
+
+  comment(text) {
+    return [`{/* ${toCommentText(text)} */}`];
+  }
+
+  /**
+   * Build the component file
+   * @param {Object} component - Template component
+   * @param {Object} info - Component name, type name, CSS block and body lines
+   * @returns {string} - File source
+   */
+  file(component, info) {
+    const helperImports = ['localize', 'mediaUrl'].filter(helper => this.helpers.has(helper));
+    const imports = [
+      ...(this.usesImage ? ["import Image from 'next/image';"] : []),
+      `import type { Locale, ${info.typeName} } from './types';`,
+      ...(helperImports.length > 0 ? [`import { ${helperImports.join(', ')} } from './anticms';`] : [])
+    ];
+
+    return [
+      ...imports,
+      '',
+      '/**',
+      ` * ${toCommentText(`${component.label || component.keyName} (section ${component.section ?? '?'}, keyName "${component.keyName}")`)}`,
+      ` * ${toCommentText(`Scaffolded by scaffold_components from the "${info.templateName}" template`)}`,
+      ' */',
+      `export default function ${info.componentName}({ content, locale }: { content: ${info.typeName}; locale: Locale }) {`,
+      ...(info.hasStatus ? ['  if (content.status === false) return null;', ''] : []),
+      '  return (',
+      `    <section className="${info.block}" data-section="${component.section ?? ''}">`,
+      ...indentLines(info.body, this.indent, 3),
+      '    </section>',
+      '  );',
+      '}',
+      ''
+    ].join('\n');
+  }
+}
+
+/**
+ * Vue single-file component syntax
+ */
+class VueRenderer extends JsxRenderer {
+  constructor() {
+    super('vue');
+  }
+
+  text(value) {
+    return escapeHtml(value);
+  }
+
+  element(tag, className, value) {
+    return [`<${tag} class="${className}">{{ ${value} }}</${tag}>`];
+  }
+
+  container(className, lines) {
+    return [`<div class="${className}">`, ...indentLines(lines, this.indent), '</div>'];
+  }
+
+  html(className, value) {
+    return [`<div class="${className}" v-html="${value}" />`];
+  }
+
+  media(expression, className, field, kind) {
+    this.helpers.add('mediaUrl');
+    const src = `mediaUrl(${expression})`;
+    const tags = {
+      video: `<video v-if="${expression}" class="${className}" :src="${src}" controls />`,
+      audio: `<audio v-if="${expression}" class="${className}" :src="${src}" controls />`,
+      document: `<a v-if="${expression}" class="${className}" :href="${src}">${this.text(field.label || field.name)}</a>`
+    };
+    return [tags[kind] || `<img v-if="${expression}" class="${className}" :src="${src}" alt="" />`];
+  }
+
+  link(href, label, className) {
+    return [`<a class="${className}" :href="${href} ?? '#'">{{ ${label} }}</a>`];
+  }
+
+  list(expression, className, depth, renderItem) {
+    const item = depth > 0 ? `item${depth + 1}` : 'item';
+    const index = depth > 0 ? `index${depth + 1}` : 'index';
+    return [
+      `<div class="${className}">`,
+      `  <div v-for="(${item}, ${index}) in ${expression} ?? []" :key="${index}" class="${className}-item">`,
+      ...indentLines(renderItem(item), this.indent, 2),
+      '  </div>',
+      '</div>'
+    ];
+  }
+
+  when(expression, lines) {
+    return [`<template v-if="${expression}">`, ...indentLines(lines, this.indent), '</template>'];
+  }
+
+  table(expression, columns, className) {
+    return [
+      `<table class="${className}">`,
+      '  <thead>',
+      '    <tr>',
+      ...columns.map(column => `      <th>${this.text(column.label || column.name)}</th>`),
+      '    </tr>',
+      '  </thead>',
+      '  <tbody>',
+      `    <tr v-for="(row, rowIndex) in ${expression} ?? []" :key="rowIndex">`,
+      ...columns.map(column => `      <td>{{ ${this.access('row', column.name)} }}</td>`),
+      '    </tr>',
+      '  </tbody>',
+      '</table>'
+    ];
+  }
+
+  comment(text) {
+    return [`<!-- ${toHtmlCommentText(text)} -->`];
+  }
+
+  file(component, info) {
+    const helperImports = ['localize', 'mediaUrl'].filter(helper => this.helpers.has(helper));
+
+    return [
+      '<script setup lang="ts">',
+      `import type { Locale, ${info.typeName} } from './types';`,
+      ...(helperImports.length > 0 ? [`import { ${helperImports.join(', ')} } from './anticms';`] : []),
+      '',
+      `// ${toScriptCommentText(`${component.label || component.keyName} (section ${component.section ?? '?'}, keyName "${component.keyName}")`)}`,
+      `// ${toScriptCommentText(`Scaffolded by scaffold_components from the "${info.templateName}" template`)}`,
+      `defineProps<{ content: ${info.typeName}; locale: Locale }>();`,
+      '</script>',
+      '',
+      '<template>',
+      `  <section${info.hasStatus ? ' v-if="content.status !== false"' : ''} class="${info.block}" data-section="${component.section ?? ''}">`,
+      ...indentLines(info.body, this.indent, 2),
+      '  </section>',
+      '</template>',
+      ''
+    ].join('\n');
+  }
+}
+
+/**
+ * Laravel Blade anonymous component syntax
+ */
+class BladeRenderer {
+  constructor() {
+    this.indent = '    ';
+  }
+
+  access(scope, name) {
+    return `${scope}['${name.replace(/'/g, "\\'")}']`;
+  }
+
+  localize(expression) {
+    return `${expression}[$locale]`;
+  }
+
+  text(value) {
+    return escapeHtml(value);
+  }
+
+  element(tag, className, value) {
+    return [`<${tag} class="${className}">{{ ${value} ?? '' }}</${tag}>`];
+  }
+
+  container(className, lines) {
+    return [`<div class="${className}">`, ...indentLines(lines, this.indent), '</div>'];
+  }
+
+  html(className, value) {
+    return [`<div class="${className}">{!! ${value} ?? '' !!}</div>`];
+  }
+
+  media(expression, className, field, kind) {
+    const src = `{{ is_array(${expression}) ? (${expression}['url'] ?? ${expression}['path'] ?? '') : ${expression} }}`;
+    const tags = {
+      video: `<video class="${className}" src="${src}" controls></video>`,
+      audio: `<audio class="${className}" src="${src}" controls></audio>`,
+      document: `<a class="${className}" href="${src}">${this.text(field.label || field.name)}</a>`
+    };
+    return [
+      `@if (!empty(${expression}))`,
+      `    ${tags[kind] || `<img class="${className}" src="${src}" alt="">`}`,
+      '@endif'
+    ];
+  }
+
+  link(href, label, className) {
+    return [`<a class="${className}" href="{{ ${href} ?? '#' }}">{{ ${label} ?? '' }}</a>`];
+  }
+
+  list(expression, className, depth, renderItem) {
+    const item = depth > 0 ? `$item${depth + 1}` : '$item';
+    return [
+      `<div class="${className}">`,
+      `    @foreach (${expression} ?? [] as ${item})`,
+      `        <div class="${className}-item">`,
+      ...indentLines(renderItem(item), this.indent, 3),
+      '        </div>',
+      '    @endforeach',
+      '</div>'
+    ];
+  }
+
+  when(expression, lines) {
+    return [`@if (!empty(${expression}))`, ...indentLines(lines, this.indent), '@endif'];
+  }
+
+  table(expression, columns, className) {
+    return [
+      `<table class="${className}">`,
+      '    <thead>',
+      '        <tr>',
+      ...columns.map(column => `            <th>${this.text(column.label || column.name)}</th>`),
+      '        </tr>',
+      '    </thead>',
+      '    <tbody>',
+      `        @foreach (${expression} ?? [] as $row)`,
+      '            <tr>',
+      ...columns.map(column => `                <td>{{ ${this.access('$row', column.name)} ?? '' }}</td>`),
+      '            </tr>',
+      '        @endforeach',
+      '    </tbody>',
+      '</table>'
+    ];
+  }
+
+  comment(text) {
+    return [`{{-- ${toBladeCommentText(text)} --}}`];
+  }
+
+  file(component, info) {
+    const body = [
+      `<section class="${info.block}" data-section="${component.section ?? ''}">`,
+      ...indentLines(info.body, this.indent),
+      '</section>'
+    ];
+
+    return [
+      `{{-- ${toBladeCommentText(`${component.label || component.keyName} (section ${component.section ?? '?'}, keyName "${component.keyName}")`)} --}}`,
+      `{{-- ${toBladeCommentText(`Scaffolded by scaffold_components from the "${info.templateName}" template`)} --}}`,
+      `{{-- ${toBladeCommentText(`Usage: <x-${info.block} :content="$content['${component.keyName}']" />`)} --}}`,
+      "@props(['content' => [], 'locale' => app()->getLocale()])",
+      '',
+      ...(info.hasStatus
+        ? ["@if ($content['status'] ?? true)", ...indentLines(body, this.indent), '@endif']
+        : body),
+      ''
+    ].join('\n');
+  }
+}
+
+/**
+ * Render a list of fields
+ * @param {Array} fields - Field definitions
+ * @param {string} scope - Expression of the object holding the values
+ * @param {Object} renderer - Target renderer
+ * @param {Object} context - CSS block and list depth
+ * @returns {Array<string>} - Markup lines
+ */
+function renderFields(fields, scope, renderer, context) {
+  return fields
+    .filter(field => field?.name && !isStatusToggle(field))
+    .flatMap(field => renderField(field, scope, renderer, context));
+}
+
+/**
+ * Render a single field
+ * @param {Object} field - Field definition
+ * @param {string} scope - Expression of the object holding the value
+ * @param {Object} renderer - Target renderer
+ * @param {Object} context - CSS block and list depth
+ * @returns {Array<string>} - Markup lines
+ */
+function renderField(field, scope, renderer, context) {
+  const attribute = field.attribute && typeof field.attribute === 'object' ? field.attribute : {};
+  const expression = renderer.access(scope, field.name);
+  const value = field.multilanguage === true ? renderer.localize(expression) : expression;
+  const className = `${context.block}__${toKebabCase(field.name)}`;
+
+  switch (field.field) {
+    case 'input':
+      if (attribute.type === 'url') {
+        return renderer.link(value, value, className);
+      }
+      return renderer.element(HEADING_FIELDS.includes(field.name) ? (context.depth > 0 ? 'h3' : 'h2') : 'p', className, value);
+
+    case 'textarea':
+      return renderer.element('p', className, value);
+
+    case 'texteditor':
+      return renderer.html(className, value);
+
+    // Deprecated file and image fields store media values too
+    case 'media':
+    case 'file':
+    case 'image':
+      return renderer.media(value, className, field, getMediaKind(field));
+
+    case 'repeater':
+      return renderer.list(expression, className, context.depth, item =>
+        renderFields(getNestedFields(field), item, renderer, { ...context, depth: context.depth + 1 })
+      );
+
+    case 'group': {
+      if (isLinkGroup(field)) {
+        const labelField = getNestedFields(field).find(nested => nested.name === 'label');
+        const linkField = getNestedFields(field).find(nested => nested.name === 'link');
+        const label = renderer.access(expression, 'label');
+        const link = renderer.access(expression, 'link');
+        return renderer.when(expression, renderer.link(
+          linkField.multilanguage === true ? renderer.localize(link) : link,
+          labelField.multilanguage === true ? renderer.localize(label) : label,
+          className
+        ));
+      }
+      return renderer.when(expression, renderer.container(className, renderFields(getNestedFields(field), expression, renderer, context)));
+    }
+
+    case 'table':
+      return renderer.table(expression, (Array.isArray(attribute.columns) ? attribute.columns : []).filter(column => column?.name), className);
+
+    case 'relationship':
+    case 'post_object':
+    case 'post_related':
+      return renderer.comment(`${field.label || field.name}: post ids in ${expression} - fetch the posts to render them`);
+
+    case 'toggle':
+      return renderer.comment(`${field.label || field.name}: boolean flag in ${expression}`);
+
+    default:
+      return renderer.element('span', className, value);
+  }
+}
+
+/**
+ * Create the renderer of a target
+ * @param {string} target - Scaffold target
+ * @returns {Object} - Renderer
+ */
+function createRenderer(target) {
+  switch (target) {
+    case 'blade':
+      return new BladeRenderer();
+    case 'vue':
+      return new VueRenderer();
+    default:
+      return new JsxRenderer(target);
+  }
+}
+
+/**
+ * Get the file extension of a target's component files
+ * @param {string} target - Scaffold target
+ * @returns {string} - File extension
+ */
+function getComponentExtension(target) {
+  return { react: '.tsx', nextjs: '.tsx', vue: '.vue', blade: '.blade.php' }[target];
+}
+
+/**
+ * Get the MIME type of a scaffolded file
+ * @param {string} fileName - File name
+ * @returns {string} - MIME type
+ */
+function getScaffoldMimeType(fileName) {
+  if (fileName.endsWith('.blade.php')) return 'text/x-php';
+  if (fileName.endsWith('.vue')) return 'text/x-vue';
+  return 'text/typescript';
+}
+
+/**
+ * Scaffold front-end components for a template
+ * @param {Object|Array} template - Template JSON
+ * @param {object} options - Scaffold options
+ * @param {string} options.target - react, nextjs, blade or vue
+ * @param {string} options.name - Template name (default: template name)
+ * @returns {Object} - Scaffolded files ({ path, content, mimeType }) and the template name
+ */
+export function scaffoldComponentsForTemplate(template, options = {}) {
+  const { target = 'react' } = options;
+  if (!SCAFFOLD_TARGETS.includes(target)) {
+    throw new Error(`Unsupported target: ${target}. Valid targets: ${SCAFFOLD_TARGETS.join(', ')}`);
+  }
+
+  const templateName = options.name || (!Array.isArray(template) && template?.name) || 'template';
+  const components = (Array.isArray(template) ? template : (template?.components || []))
+    .filter(component => component?.keyName && Array.isArray(component.fields));
+  const files = [];
+
+  // The JavaScript targets share the content types and helpers
+  let componentTypes = {};
+  if (target !== 'blade') {
+    const types = generateTypeScriptTypesForTemplate(template, { name: templateName });
+    componentTypes = types.componentTypes;
+    files.push({ path: 'types.ts', content: types.source });
+    files.push({ path: 'anticms.ts', content: HELPERS_SOURCE });
+  }
+
+  const usedNames = new Set();
+  components.forEach(component => {
+    let componentName = toComponentName(component.keyName);
+    for (let counter = 2; usedNames.has(componentName); counter++) {
+      componentName = `${toComponentName(component.keyName)}${counter}`;
+    }
+    usedNames.add(componentName);
+
+    const renderer = createRenderer(target);
+    const block = toKebabCase(component.keyName);
+    const body = renderFields(component.fields, target === 'blade' ? '$content' : 'content', renderer, { block, depth: 0 });
+
+    const fileName = target === 'blade'
+      ? `${block}${getComponentExtension(target)}`
+      : `${componentName}${getComponentExtension(target)}`;
+
+    files.push({
+      path: fileName,
+      content: renderer.file(component, {
+        templateName,
+        componentName,
+        typeName: componentTypes[component.keyName],
+        block,
+        body,
+        hasStatus: component.fields.some(isStatusToggle)
+      })
+    });
+  });
+
+  return {
+    templateName,
+    files: files.map(file => ({ ...file, mimeType: getScaffoldMimeType(file.path) }))
+  };
+}
+
+/**
+ * Write scaffolded files under an output directory inside the working directory
+ * Existing files are kept unless overwrite is set
+ * @param {Array} files - Scaffolded files
+ * @param {string} outputDir - Output directory relative to the working directory
+ * @param {boolean} overwrite - Replace existing files
+ * @returns {Promise<Object>} - Relative paths of written and skipped files
+ * @throws {Error} - Throws error if the output directory is outside the working directory
+ */
+async function writeScaffoldFiles(files, outputDir, overwrite) {
+  const root = resolveWorkingPath(outputDir);
+
+  const written = [];
+  const skipped = [];
+  await fs.mkdir(root, { recursive: true });
+
+  for (const file of files) {
+    const filePath = path.join(root, file.path);
+    try {
+      await fs.writeFile(filePath, file.content, { encoding: 'utf8', flag: overwrite ? 'w' : 'wx' });
+      written.push(toRelativePath(filePath));
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      skipped.push(toRelativePath(filePath));
+    }
+  }
+
+  return { written, skipped };
+}
+
+/**
+ * Component scaffolding tool handler
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} - Tool response
+ */
+export async function scaffoldComponents(args) {
+  const { name, template_json, template_type = 'pages', target = 'react', output_dir, overwrite = false } = args;
+
+  let template;
+  try {
+    template = await resolveTemplateInput(name, template_json, template_type);
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `❌ ${error.message}` }]
+    };
+  }
+
+  const result = scaffoldComponentsForTemplate(template, { target, name });
+
+  let writeInfo = '';
+  if (output_dir) {
+    try {
+      const { written, skipped } = await writeScaffoldFiles(result.files, output_dir, overwrite);
+      writeInfo = `\n\n📁 **Written (${written.length}):**\n${written.map(file => `- ${file}`).join('\n') || '- none'}`;
+      if (skipped.length > 0) {
+        writeInfo += `\n\n⏭️ **Skipped existing files (${skipped.length}, use overwrite to replace):**\n${skipped.map(file => `- ${file}`).join('\n')}`;
+      }
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `❌ Failed to write scaffolded components: ${error.message}` }]
+      };
+    }
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `🧩 Scaffolded ${result.files.length} ${target} files for "${result.templateName}":\n${result.files.map(file => `- ${file.path}`).join('\n')}${writeInfo}`
+      },
+      ...result.files.map(file => ({
+        type: 'resource',
+        resource: {
+          uri: `anticms://scaffold/${target}/${encodeURIComponent(result.templateName)}/${file.path}`,
+          mimeType: file.mimeType,
+          text: file.content
+        }
+      }))
+    ]
+  };
+}
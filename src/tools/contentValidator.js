@@ -0,0 +1,401 @@
+import { resolveTemplateInput } from './storage.js';
+import { appendPointer, addIssue, getNestedFields, getMediaCategory } from './templateFields.js';
+
+/**
+ * Content validation for AntiCMS v3
+ * Checks entry data an editor or importer produces against the template field definitions
+ *
+ * Content is keyed by component keyName, then by field name:
+ *   { "hero": { "title": { "en": "Welcome", "id": "Selamat datang" }, "image": "/uploads/hero.jpg" } }
+ * Multilanguage fields hold one value per locale; repeaters and tables hold arrays of items,
+ * groups hold an object of nested field values.
+ */
+
+// Locales used when neither the arguments nor the template lang_option name any
+const DEFAULT_LOCALES = ['en', 'id'];
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a content value counts as empty for is_required
+ * @param {*} value - Content value
+ * @returns {boolean} - True for missing values, blank strings and empty arrays
+ */
+function isEmptyValue(value) {
+  return value === undefined
+    || value === null
+    || (typeof value === 'string' && value.trim() === '')
+    || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Count the characters of a text value; texteditor HTML is counted without tags
+ * @param {string} value - Text value
+ * @param {boolean} isHtml - Strip HTML tags before counting
+ * @returns {number} - Character count
+ */
+function countCharacters(value, isHtml) {
+  const text = isHtml ? value.replace(/<[^>]*>/g, '').replace(/&[a-z0-9#]+;/gi, ' ') : value;
+  return [...text].length;
+}
+
+/**
+ * Check a count against optional min/max bounds
+ * @param {number} count - Value to check
+ * @param {number} min - Minimum (ignored unless a number)
+ * @param {number} max - Maximum (ignored unless a number)
+ * @param {string} unit - Unit for messages (e.g. "characters", "items")
+ * @param {string} path - JSON Pointer to the value
+ * @param {Array} errors - Array to collect errors
+ */
+function validateBounds(count, min, max, unit, path, errors) {
+  if (typeof min === 'number' && count < min) {
+    addIssue(errors, path, `Must have at least ${min} ${unit}, got ${count}`);
+  }
+  if (typeof max === 'number' && count > max) {
+    addIssue(errors, path, `Must have at most ${max} ${unit}, got ${count}`);
+  }
+}
+
+/**
+ * Get the media reference of a media content value
+ * @param {string|Object} value - URL/path string or media object
+ * @returns {string|null} - MIME type, URL or path used to determine the media category
+ */
+function getMediaReference(value) {
+  if (typeof value === 'string') return value;
+  if (isPlainObject(value)) {
+    return value.mime_type || value.mime || value.type || value.url || value.path || value.src || null;
+  }
+  return null;
+}
+
+/**
+ * Validate the values of a list of fields
+ * @param {Array} fields - Field definitions
+ * @param {Object} values - Content values keyed by field name
+ * @param {string} path - JSON Pointer to the values object
+ * @param {Object} context - Validation context ({ locales, errors, warnings })
+ */
+function validateFieldValues(fields, values, path, context) {
+  const fieldNames = new Set(fields.map(field => field?.name));
+
+  Object.keys(values).forEach(key => {
+    if (!fieldNames.has(key)) {
+      addIssue(context.warnings, appendPointer(path, key), `Unknown field: ${key}`);
+    }
+  });
+
+  fields.forEach(field => {
+    if (!field?.name) return;
+    const fieldPath = appendPointer(path, field.name);
+    const value = values[field.name];
+
+    if (field.multilanguage === true) {
+      validateMultilanguageValue(field, value, fieldPath, context);
+    } else {
+      validateFieldValue(field, value, fieldPath, context);
+    }
+  });
+}
+
+/**
+ * Validate a multilanguage value ({ locale: value })
+ * @param {Object} field - Field definition
+ * @param {*} value - Content value
+ * @param {string} path - JSON Pointer to the value
+ * @param {Object} context - Validation context
+ */
+function validateMultilanguageValue(field, value, path, context) {
+  if (value === undefined || value === null) {
+    context.locales.forEach(locale => validateFieldValue(field, undefined, appendPointer(path, locale), context));
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    addIssue(context.errors, path, `Multilanguage field "${field.name}" must be an object keyed by locale (${context.locales.join(', ')})`);
+    return;
+  }
+
+  Object.keys(value)
+    .filter(locale => !context.locales.includes(locale))
+    .forEach(locale => addIssue(context.warnings, appendPointer(path, locale), `Unknown locale: ${locale}`));
+
+  context.locales.forEach(locale => validateFieldValue(field, value[locale], appendPointer(path, locale), context));
+}
+
+/**
+ * Validate a single (per-locale) field value against its field definition
+ * @param {Object} field - Field definition
+ * @param {*} value - Content value
+ * @param {string} path - JSON Pointer to the value
+ * @param {Object} context - Validation context
+ */
+function validateFieldValue(field, value, path, context) {
+  const { errors } = context;
+  const attribute = isPlainObject(field.attribute) ? field.attribute : {};
+
+  if (isEmptyValue(value)) {
+    if (attribute.is_required) {
+      addIssue(errors, path, `${field.label || field.name} is required`);
+    } else if (field.field === 'repeater' && typeof attribute.min === 'number' && attribute.min > 0) {
+      addIssue(errors, path, `Must have at least ${attribute.min} items, got 0`);
+    }
+    return;
+  }
+
+  switch (field.field) {
+    case 'input':
+      if (attribute.type === 'number') {
+        const number = typeof value === 'string' ? Number(value) : value;
+        if (typeof number !== 'number' || Number.isNaN(number)) {
+          addIssue(errors, path, `Must be a number, got ${JSON.stringify(value)}`);
+          return;
+        }
+        if (typeof attribute.min === 'number' && number < attribute.min) {
+          addIssue(errors, path, `Must be at least ${attribute.min}, got ${number}`);
+        }
+        if (typeof attribute.max === 'number' && number > attribute.max) {
+          addIssue(errors, path, `Must be at most ${attribute.max}, got ${number}`);
+        }
+        return;
+      }
+      if (typeof value !== 'string') {
+        addIssue(errors, path, `Must be a string, got ${typeof value}`);
+        return;
+      }
+      validateBounds(countCharacters(value, false), attribute.minLength, attribute.maxLength, 'characters', path, errors);
+      return;
+
+    case 'textarea':
+    case 'texteditor':
+      if (typeof value !== 'string') {
+        addIssue(errors, path, `Must be a string, got ${typeof value}`);
+        return;
+      }
+      // textarea and texteditor use min/max as character limits
+      validateBounds(countCharacters(value, field.field === 'texteditor'), attribute.min ?? attribute.minLength, attribute.max ?? attribute.maxLength, 'characters', path, errors);
+      return;
+
+    case 'select': {
+      const options = Array.isArray(attribute.options) ? attribute.options : [];
+      const allowedValues = options.map(option => (isPlainObject(option) ? option.value : option));
+      const selected = Array.isArray(value) ? value : [value];
+      selected.forEach((selectedValue, index) => {
+        if (allowedValues.length > 0 && !allowedValues.includes(selectedValue)) {
+          addIssue(errors, Array.isArray(value) ? appendPointer(path, index) : path, `Invalid option: ${JSON.stringify(selectedValue)}. Allowed values: ${allowedValues.join(', ')}`);
+        }
+      });
+      return;
+    }
+
+    case 'toggle':
+      if (typeof value !== 'boolean') {
+        addIssue(errors, path, `Must be a boolean, got ${typeof value}`);
+      }
+      return;
+
+    // Deprecated file and image fields store media values too
+    case 'media':
+    case 'file':
+    case 'image': {
+      // accept may still hold MIME types or extensions in older templates
+      const accept = Array.isArray(attribute.accept)
+        ? [...new Set(attribute.accept.map(type => getMediaCategory(type) || type))]
+        : (field.field === 'image' ? ['image'] : []);
+      const items = Array.isArray(value) ? value : [value];
+      items.forEach((item, index) => {
+        const itemPath = Array.isArray(value) ? appendPointer(path, index) : path;
+        const reference = getMediaReference(item);
+        if (!reference) {
+          addIssue(errors, itemPath, 'Media value must be a URL/path string or an object with url, path or mime_type');
+          return;
+        }
+        const category = getMediaCategory(reference);
+        if (accept.length > 0 && category && !accept.includes(category)) {
+          addIssue(errors, itemPath, `Media type ${category} is not accepted. Allowed types: ${accept.join(', ')}`);
+        }
+      });
+      return;
+    }
+
+    case 'repeater':
+      if (!Array.isArray(value)) {
+        addIssue(errors, path, `Repeater value must be an array of items, got ${typeof value}`);
+        return;
+      }
+      validateBounds(value.length, attribute.min, attribute.max, 'items', path, errors);
+      value.forEach((item, index) => {
+        if (!isPlainObject(item)) {
+          addIssue(errors, appendPointer(path, index), 'Repeater item must be an object');
+          return;
+        }
+        validateFieldValues(getNestedFields(field), item, appendPointer(path, index), context);
+      });
+      return;
+
+    case 'group':
+      if (!isPlainObject(value)) {
+        addIssue(errors, path, `Group value must be an object, got ${Array.isArray(value) ? 'array' : typeof value}`);
+        return;
+      }
+      validateFieldValues(getNestedFields(field), value, path, context);
+      return;
+
+    case 'table':
+      validateTableRows(field, value, path, context);
+      return;
+
+    case 'relationship':
+      if (Array.isArray(value)) {
+        validateBounds(value.length, attribute.min, attribute.max, 'items', path, errors);
+      }
+      return;
+
+    default:
+      return;
+  }
+}
+
+/**
+ * Validate table rows against the table columns
+ * @param {Object} field - Table field definition
+ * @param {*} value - Content value (array of rows keyed by column name)
+ * @param {string} path - JSON Pointer to the value
+ * @param {Object} context - Validation context
+ */
+function validateTableRows(field, value, path, context) {
+  if (!Array.isArray(value)) {
+    addIssue(context.errors, path, `Table value must be an array of rows, got ${typeof value}`);
+    return;
+  }
+
+  const columns = Array.isArray(field.attribute?.columns) ? field.attribute.columns : [];
+  const columnNames = new Set(columns.map(column => column?.name));
+
+  value.forEach((row, rowIndex) => {
+    const rowPath = appendPointer(path, rowIndex);
+    if (!isPlainObject(row)) {
+      addIssue(context.errors, rowPath, 'Table row must be an object keyed by column name');
+      return;
+    }
+
+    Object.keys(row)
+      .filter(key => !columnNames.has(key))
+      .forEach(key => addIssue(context.warnings, appendPointer(rowPath, key), `Unknown column: ${key}`));
+
+    columns.forEach(column => {
+      if (!column?.name) return;
+      const cellPath = appendPointer(rowPath, column.name);
+      const cell = row[column.name];
+      if (isEmptyValue(cell)) {
+        if (column.is_required) {
+          addIssue(context.errors, cellPath, `${column.label || column.name} is required`);
+        }
+      } else if (column.type === 'number' && Number.isNaN(Number(cell))) {
+        addIssue(context.errors, cellPath, `Must be a number, got ${JSON.stringify(cell)}`);
+      }
+    });
+  });
+}
+
+/**
+ * Get the content locales for a template
+ * @param {Object|Array} template - Template JSON
+ * @param {Array<string>} locales - Locales given by the caller
+ * @returns {Array<string>} - Locales to validate multilanguage values against
+ */
+export function resolveContentLocales(template, locales) {
+  if (Array.isArray(locales) && locales.length > 0) {
+    return locales;
+  }
+  if (Array.isArray(template?.lang_option)) {
+    const templateLocales = template.lang_option.map(option => option?.value).filter(Boolean);
+    if (templateLocales.length > 0) return templateLocales;
+  }
+  return DEFAULT_LOCALES;
+}
+
+/**
+ * Validate content against a template
+ * @param {Object|Array} template - Template JSON
+ * @param {Object} content - Content keyed by component keyName, then field name
+ * @param {object} options - Validation options
+ * @param {Array<string>} options.locales - Locales required for multilanguage fields
+ * @returns {Object} - Validation result with valid, locales, errors and warnings
+ */
+export function validateContentAgainstTemplate(template, content, options = {}) {
+  const locales = resolveContentLocales(template, options.locales);
+  const context = { locales, errors: [], warnings: [] };
+  const components = Array.isArray(template) ? template : template?.components;
+
+  if (!isPlainObject(content)) {
+    addIssue(context.errors, '', 'Content must be a JSON object keyed by component keyName');
+    return { valid: false, locales, errors: context.errors, warnings: context.warnings };
+  }
+  if (!Array.isArray(components)) {
+    addIssue(context.errors, '', 'Template has no components array');
+    return { valid: false, locales, errors: context.errors, warnings: context.warnings };
+  }
+
+  const keyNames = new Set(components.map(component => component?.keyName));
+  Object.keys(content)
+    .filter(key => !keyNames.has(key))
+    .forEach(key => addIssue(context.warnings, appendPointer('', key), `Unknown component: ${key}`));
+
+  components.forEach(component => {
+    if (!component?.keyName || !Array.isArray(component.fields)) return;
+    const componentPath = appendPointer('', component.keyName);
+    const values = content[component.keyName] ?? {};
+
+    if (!isPlainObject(values)) {
+      addIssue(context.errors, componentPath, 'Component content must be an object keyed by field name');
+      return;
+    }
+
+    validateFieldValues(component.fields, values, componentPath, context);
+  });
+
+  return {
+    valid: context.errors.length === 0,
+    locales,
+    errors: context.errors,
+    warnings: context.warnings
+  };
+}
+
+/**
+ * Content validation tool handler
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} - Tool response
+ */
+export async function validateContent(args) {
+  const { name, template_json, template_type = 'pages', content, locales } = args;
+
+  let template;
+  try {
+    template = await resolveTemplateInput(name, template_json, template_type);
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `❌ ${error.message}` }]
+    };
+  }
+
+  const result = validateContentAgainstTemplate(template, content, { locales });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Content validation ${result.valid ? 'PASSED' : 'FAILED'}${name ? ` against "${name}"` : ''}.\n\n${JSON.stringify(result, null, 2)}`
+      }
+    ]
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Helpers for Figma REST API file documents (GET /v1/files/:key)
+ * The document is a node tree: DOCUMENT > CANVAS (pages) > FRAME, GROUP, TEXT, RECTANGLE, ...
+ */
+
+/**
+ * Node types that hold other layers
+ */
+export const FIGMA_CONTAINER_NODE_TYPES = ['FRAME', 'GROUP', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE', 'SECTION'];
+
+/**
+ * Whether a node is shown in the design
+ * @param {object} node - Figma node
+ * @returns {boolean} - False for hidden layers
+ */
+export function isFigmaNodeVisible(node) {
+  return Boolean(node) && typeof node === 'object' && node.visible !== false;
+}
+
+/**
+ * Whether a node holds other layers
+ * @param {object} node - Figma node
+ * @returns {boolean} - True for frames, groups, components and instances
+ */
+export function isFigmaContainerNode(node) {
+  return FIGMA_CONTAINER_NODE_TYPES.includes(node?.type) && Array.isArray(node.children);
+}
+
+/**
+ * Visible children of a node
+ * @param {object} node - Figma node
+ * @returns {Array<object>} - Child nodes
+ */
+export function getVisibleFigmaChildren(node) {
+  return Array.isArray(node?.children) ? node.children.filter(isFigmaNodeVisible) : [];
+}
+
+/**
+ * Whether a node is filled with an image (rectangles, ellipses and frames used as pictures)
+ * @param {object} node - Figma node
+ * @returns {boolean} - True with a visible IMAGE fill
+ */
+export function hasFigmaImageFill(node) {
+  return Array.isArray(node?.fills) && node.fills.some(fill => fill?.type === 'IMAGE' && fill.visible !== false);
+}
+
+/**
+ * Structural signature of a node, used to recognise repeated items
+ * Instances of the same component match; other layers match when their layer types do
+ * @param {object} node - Figma node
+ * @returns {string} - Signature
+ */
+export function getFigmaNodeSignature(node) {
+  if (node.type === 'INSTANCE' && node.componentId) return `INSTANCE:${node.componentId}`;
+  if (hasFigmaImageFill(node)) return 'IMAGE';
+  if (!isFigmaContainerNode(node)) return node.type;
+  return `${node.type}(${getVisibleFigmaChildren(node).map(getFigmaNodeSignature).join(',')})`;
+}
+
+/**
+ * Find the repeated items of an auto-layout container
+ * Items are container children sharing a signature; they must be at least two and make up half the children
+ * @param {object} node - Figma node
+ * @returns {Array<object>} - Repeated child nodes (empty without repetition)
+ */
+export function findRepeatedFigmaChildren(node) {
+  if (!['HORIZONTAL', 'VERTICAL', 'GRID'].includes(node?.layoutMode)) return [];
+
+  const children = getVisibleFigmaChildren(node);
+  const bySignature = new Map();
+  children
+    .filter(child => isFigmaContainerNode(child) || child.type === 'INSTANCE')
+    .forEach(child => {
+      const signature = getFigmaNodeSignature(child);
+      bySignature.set(signature, [...(bySignature.get(signature) || []), child]);
+    });
+
+  const items = [...bySignature.values()].sort((a, b) => b.length - a.length)[0] || [];
+  return items.length >= 2 && items.length >= children.length / 2 ? items : [];
+}
+
+/**
+ * Find a node by id or name among candidates
+ * Ids may be given in URL form ("12-34") or API form ("12:34"); names match case-insensitively
+ * @param {Array<object>} nodes - Candidate nodes
+ * @param {string} selector - Node id or name
+ * @returns {object|undefined} - Matching node
+ */
+function findFigmaNode(nodes, selector) {
+  const id = selector.replace(/-/g, ':');
+  const name = selector.trim().toLowerCase();
+  return nodes.find(node => node.id === id) || nodes.find(node => String(node.name || '').trim().toLowerCase() === name);
+}
+
+/**
+ * Select the page and frame of a Figma file to import
+ * @param {object} figmaFile - Figma file JSON
+ * @param {object} options - Selection options
+ * @param {string} options.page - Page id or name (default: any page)
+ * @param {string} options.frame - Frame id or name (default: first top-level frame of the first page with frames)
+ * @returns {object} - { page, frame } or { error }
+ */
+export function selectFigmaFileFrame(figmaFile, options = {}) {
+  const { page: pageSelector, frame: frameSelector } = options;
+  const pages = Array.isArray(figmaFile?.document?.children)
+    ? figmaFile.document.children.filter(node => node?.type === 'CANVAS')
+    : [];
+
+  if (pages.length === 0) {
+    return { error: 'has no document.children pages (expected the JSON of the Figma REST API GET /v1/files/:key)' };
+  }
+
+  let candidatePages = pages;
+  if (pageSelector) {
+    const page = findFigmaNode(pages, pageSelector);
+    if (!page) {
+      return { error: `has no page "${pageSelector}". Pages: ${pages.map(node => node.name).join(', ')}` };
+    }
+    candidatePages = [page];
+  }
+
+  // Without a page, the frame is looked up on every page (cover pages without frames are passed over)
+  const framesByPage = candidatePages.map(page => ({ page, frames: getVisibleFigmaChildren(page).filter(isFigmaContainerNode) }));
+  const allFrames = framesByPage.flatMap(entry => entry.frames);
+  const onPage = pageSelector ? ` on page "${candidatePages[0].name}"` : '';
+  if (allFrames.length === 0) {
+    return { error: `has no frames${onPage}` };
+  }
+
+  const frame = frameSelector ? findFigmaNode(allFrames, frameSelector) : allFrames[0];
+  if (!frame) {
+    return { error: `has no frame "${frameSelector}"${onPage}. Frames: ${allFrames.map(node => node.name).join(', ')}` };
+  }
+
+  const { page } = framesByPage.find(entry => entry.frames.includes(frame));
+  return { page, frame };
+}
@@ -0,0 +1,371 @@
+/**
+ * Tolerant HTML/JSX parser for Figma-generated code
+ * Builds a node tree that keeps layer names (data-name, data-figma-*-name) and nesting depth
+ *
+ * Handles what Figma Dev Mode output contains and regexes get wrong:
+ * - quoted attribute values containing ">" (e.g. Tailwind "[&>svg]:size-4")
+ * - JSX attribute expressions (src={imgHero}, style={{ width: 24 }}) and spreads ({...props})
+ * - self-closing and void tags (<img />, <br>), comments and doctype declarations
+ * - unclosed tags (closed by their parent) and stray closing tags (ignored)
+ */
+
+/**
+ * HTML elements without a closing tag
+ */
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+/**
+ * Elements whose content is raw text, not markup
+ */
+const RAW_TEXT_TAGS = ['script', 'style'];
+
+/**
+ * Closing and opening tag starts, matched at a given index; an empty tag name is a JSX fragment
+ */
+const CLOSE_TAG_PATTERN = /<\/\s*([A-Za-z][\w:.-]*)?\s*>/y;
+const OPEN_TAG_PATTERN = /<(?:([A-Za-z][\w:.-]*)(?=[\s/>])|(?=>))/y;
+
+/**
+ * Figma marker attributes naming a layer, in order of precedence
+ */
+const LAYER_NAME_ATTRIBUTES = [
+  'data-name',
+  'data-figma-group-name',
+  'data-figma-text-name',
+  'data-figma-button-name',
+  'data-figma-image-name',
+  'data-figma-input-name',
+  'data-figma-textarea-name'
+];
+
+/**
+ * Decode the HTML entities Figma emits in text and attribute values
+ * @param {string} text - Encoded text
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isNaN(point) ? entity : String.fromCodePoint(point);
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Read a JSX expression starting at an opening brace, skipping braces inside strings
+ * @param {string} code - Source code
+ * @param {number} start - Index of the opening brace
+ * @returns {number} - Index after the matching closing brace (or the end of the code)
+ */
+function skipExpression(code, start) {
+  let depth = 0;
+  let index = start;
+
+  while (index < code.length) {
+    const char = code[index];
+    if (char === '"' || char === "'" || char === '`') {
+      index++;
+      while (index < code.length && code[index] !== char) {
+        index += code[index] === '\\' ? 2 : 1;
+      }
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return index + 1;
+    }
+    index++;
+  }
+
+  return code.length;
+}
+
+/**
+ * Read a string literal wrapped in a JSX expression ({"text"}, {'text'}, {`text`})
+ * @param {string} expression - Expression source including braces
+ * @returns {string|null} - String value or null for any other expression
+ */
+function readStringExpression(expression) {
+  const match = expression.match(/^\{\s*(["'`])((?:\\.|(?!\1)[^\\])*)\1\s*\}$/s);
+  if (!match || (match[1] === '`' && match[2].includes('${'))) return null;
+  return match[2].replace(/\\(.)/g, (escaped, char) => ({ n: '\n', t: '\t' }[char] ?? char));
+}
+
+/**
+ * Read the attributes of an opening tag
+ * @param {string} code - Source code
+ * @param {number} start - Index after the tag name
+ * @returns {object} - { attributes, selfClosing, end } where end is the index after ">"
+ */
+function readAttributes(code, start) {
+  const attributes = {};
+  let index = start;
+
+  while (index < code.length) {
+    while (index < code.length && /\s/.test(code[index])) index++;
+    if (index >= code.length) break;
+
+    const char = code[index];
+    if (char === '>') {
+      return { attributes, selfClosing: false, end: index + 1 };
+    }
+    if (char === '/' && code[index + 1] === '>') {
+      return { attributes, selfClosing: true, end: index + 2 };
+    }
+    if (char === '{') {
+      // JSX spread attribute ({...props}) carries no static value
+      index = skipExpression(code, index);
+      continue;
+    }
+
+    const nameStart = index;
+    while (index < code.length && !/[\s=>]/.test(code[index]) && !(code[index] === '/' && code[index + 1] === '>')) index++;
+    const name = code.slice(nameStart, index);
+    if (!name) {
+      // Lone "/" or "=" inside the tag
+      index++;
+      continue;
+    }
+
+    while (index < code.length && /\s/.test(code[index])) index++;
+    if (code[index] !== '=') {
+      attributes[name] = true;
+      continue;
+    }
+
+    index++;
+    while (index < code.length && /\s/.test(code[index])) index++;
+    const quote = code[index];
+    if (quote === '"' || quote === "'") {
+      const valueEnd = code.indexOf(quote, index + 1);
+      const end = valueEnd === -1 ? code.length : valueEnd;
+      attributes[name] = decodeEntities(code.slice(index + 1, end));
+      index = end + 1;
+    } else if (quote === '{') {
+      const end = skipExpression(code, index);
+      const expression = code.slice(index, end);
+      attributes[name] = readStringExpression(expression) ?? expression;
+      index = end;
+    } else {
+      const valueStart = index;
+      while (index < code.length && !/[\s>]/.test(code[index])) index++;
+      attributes[name] = decodeEntities(code.slice(valueStart, index));
+    }
+  }
+
+  // Unterminated tag at the end of the code
+  return { attributes, selfClosing: false, end: code.length };
+}
+
+/**
+ * Split Figma HTML/JSX code into tokens
+ * @param {string} code - Figma HTML/JSX code
+ * @returns {Array<object>} - Tokens: { type: 'open', tag, attributes, selfClosing }, { type: 'close', tag } or { type: 'text', text }
+ */
+export function tokenizeFigmaHTML(code) {
+  const tokens = [];
+  const source = typeof code === 'string' ? code : '';
+  let text = '';
+  let index = 0;
+
+  const flushText = () => {
+    if (text.trim()) {
+      tokens.push({ type: 'text', text: decodeEntities(text) });
+    }
+    text = '';
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (char === '{') {
+      // String literals in JSX children ({"Get started"}) are text; other expressions ({imgHero}, comments)
+      // are dropped unless they contain markup, which is parsed as usual
+      const end = skipExpression(source, index);
+      const expression = source.slice(index, end);
+      const value = readStringExpression(expression);
+      if (value !== null || !expression.includes('<')) {
+        text += value ?? '';
+        index = end;
+        continue;
+      }
+    }
+
+    if (char !== '<') {
+      text += char;
+      index++;
+      continue;
+    }
+
+    if (source.startsWith('<!--', index)) {
+      flushText();
+      const end = source.indexOf('-->', index + 4);
+      index = end === -1 ? source.length : end + 3;
+      continue;
+    }
+
+    if (source[index + 1] === '!' || source[index + 1] === '?') {
+      // Doctype and processing instructions
+      flushText();
+      const end = source.indexOf('>', index);
+      index = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    CLOSE_TAG_PATTERN.lastIndex = index;
+    const closeMatch = CLOSE_TAG_PATTERN.exec(source);
+    if (closeMatch) {
+      flushText();
+      tokens.push({ type: 'close', tag: closeMatch[1] || '' });
+      index += closeMatch[0].length;
+      continue;
+    }
+
+    OPEN_TAG_PATTERN.lastIndex = index;
+    const openMatch = OPEN_TAG_PATTERN.exec(source);
+    if (!openMatch) {
+      // A "<" that does not start a tag (e.g. "a < b") is text
+      text += char;
+      index++;
+      continue;
+    }
+
+    flushText();
+    const tag = openMatch[1] || '';
+    const { attributes, selfClosing, end } = readAttributes(source, index + openMatch[0].length);
+    tokens.push({ type: 'open', tag, attributes, selfClosing });
+    index = end;
+
+    if (!selfClosing && RAW_TEXT_TAGS.includes(tag.toLowerCase())) {
+      const closeIndex = source.toLowerCase().indexOf(`</${tag.toLowerCase()}`, index);
+      index = closeIndex === -1 ? source.length : closeIndex;
+    }
+  }
+
+  flushText();
+  return tokens;
+}
+
+/**
+ * Get the Figma layer name of an element from its data-name or data-figma-*-name attribute
+ * @param {object} attributes - Element attributes
+ * @returns {string|null} - Layer name or null
+ */
+export function getLayerName(attributes) {
+  const key = LAYER_NAME_ATTRIBUTES.find(name => typeof attributes?.[name] === 'string' && attributes[name].trim());
+  return key ? attributes[key].trim() : null;
+}
+
+/**
+ * Parse Figma HTML/JSX code into a node tree
+ * Element nodes: { type: 'element', tag, attributes, layerName, depth, path, children }
+ * Text nodes: { type: 'text', text, depth, path }
+ * Top-level nodes have depth 0; path lists the layer names (or tags) from the top-level node down
+ * @param {string} code - Figma HTML/JSX code
+ * @returns {object} - Root node ({ type: 'root', depth: -1, children })
+ */
+export function parseFigmaHTMLTree(code) {
+  const root = { type: 'root', tag: '', attributes: {}, layerName: null, depth: -1, path: [], children: [] };
+  const stack = [root];
+
+  tokenizeFigmaHTML(code).forEach(token => {
+    const parent = stack[stack.length - 1];
+
+    if (token.type === 'text') {
+      const text = token.text.replace(/\s+/g, ' ').trim();
+      if (text) {
+        parent.children.push({ type: 'text', text, depth: parent.depth + 1, path: parent.path });
+      }
+      return;
+    }
+
+    if (token.type === 'open') {
+      const layerName = getLayerName(token.attributes);
+      const node = {
+        type: 'element',
+        tag: token.tag,
+        attributes: token.attributes,
+        layerName,
+        depth: parent.depth + 1,
+        path: [...parent.path, layerName || token.tag || 'fragment'],
+        children: []
+      };
+      parent.children.push(node);
+      if (!token.selfClosing && !VOID_TAGS.includes(token.tag.toLowerCase())) {
+        stack.push(node);
+      }
+      return;
+    }
+
+    // Close the nearest matching element; anything opened inside it is closed implicitly
+    for (let index = stack.length - 1; index > 0; index--) {
+      if (stack[index].tag.toLowerCase() === token.tag.toLowerCase()) {
+        stack.length = index;
+        break;
+      }
+    }
+  });
+
+  return root;
+}
+
+/**
+ * Find element nodes matching a predicate, depth first in document order
+ * @param {object} node - Node to search below
+ * @param {Function} predicate - (node) => boolean
+ * @param {object} options - Search options
+ * @param {boolean} options.descendIntoMatches - Keep searching inside matching nodes (default: true)
+ * @returns {Array<object>} - Matching element nodes
+ */
+export function findFigmaNodes(node, predicate, options = {}) {
+  const { descendIntoMatches = true } = options;
+  const matches = [];
+
+  (node.children || []).forEach(child => {
+    if (child.type !== 'element') return;
+    const isMatch = predicate(child);
+    if (isMatch) matches.push(child);
+    if (!isMatch || descendIntoMatches) {
+      matches.push(...findFigmaNodes(child, predicate, options));
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Get the text content of a node and its descendants
+ * @param {object} node - Tree node
+ * @returns {string} - Text with whitespace collapsed
+ */
+export function getFigmaTextContent(node) {
+  if (node.type === 'text') return node.text;
+  return (node.children || [])
+    .map(child => getFigmaTextContent(child))
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Pick attributes of an element node; JSX className is returned as class
+ * @param {object} node - Element node
+ * @param {Array<string>} names - Attribute names
+ * @returns {object} - Attributes that are present
+ */
+export function pickFigmaAttributes(node, names) {
+  const attributes = {};
+
+  names.forEach(name => {
+    const value = name === 'class' ? (node.attributes.class ?? node.attributes.className) : node.attributes[name];
+    if (value !== undefined && value !== true) {
+      attributes[name] = value;
+    }
+  });
+
+  return attributes;
+}
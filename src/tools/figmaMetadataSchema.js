@@ -0,0 +1,51 @@
+import { z } from 'zod';
+
+/**
+ * Zod schemas for Figma metadata passed inline to the Figma generation tools
+ * Mirrors the structure described in FIGMA_METADATA_RULES.md; unknown keys are kept
+ */
+
+/**
+ * AntiCMS analysis of a single Figma section (anticms_analysis.identified_sections.{section})
+ */
+export const figmaIdentifiedSectionSchema = z.object({
+  matched: z.boolean().optional().describe('Whether the section matches a built-in AntiCMS section'),
+  confidence: z.enum(['high', 'medium', 'low']).optional(),
+  anticms_mapping: z.string().optional().describe('"built-in" or "custom"'),
+  detected_fields: z.array(z.string()).optional().describe('Field names, e.g. "title", "items (repeater, max 6)", "posts (post_related)"'),
+  identified_field_types: z.array(z.string()).optional().describe('AntiCMS field type of each detected field, in the same order')
+}).passthrough().refine(
+  section => !section.detected_fields || !section.identified_field_types || section.detected_fields.length === section.identified_field_types.length,
+  { message: 'detected_fields and identified_field_types must have the same length' }
+);
+
+/**
+ * Figma metadata payload (the contents of a storage/app/json/figma/*_metadata.json file)
+ */
+export const figmaMetadataSchema = z.object({
+  figma_code_response: z.object({
+    nodeId: z.string().optional().describe('Figma node ID ("X-Y")'),
+    extractedAt: z.string().optional().describe('ISO timestamp of the extraction'),
+    sections: z.record(z.record(z.any()))
+      .refine(sections => Object.keys(sections).length > 0, { message: 'figma_code_response.sections must not be empty' })
+      .describe('Section copy by section name: strings, arrays for repeated items, objects for nested data'),
+    code: z.string().optional().describe('Figma Dev Mode HTML/JSX code; its named layers add sections not listed in "sections"')
+  }).passthrough(),
+  figma_metadata_response: z.object({
+    nodeId: z.string().optional(),
+    name: z.string().optional().describe('Page or component name, used as the default template label'),
+    dimensions: z.object({ width: z.number(), height: z.number() }).partial().optional(),
+    sections_hierarchy: z.array(z.record(z.any())).optional()
+  }).passthrough().optional(),
+  anticms_analysis: z.object({
+    template_type: z.string().optional().describe('Default template name'),
+    total_sections: z.number().optional(),
+    identified_sections: z.record(figmaIdentifiedSectionSchema).describe('AntiCMS analysis by section name'),
+    complexity_score: z.enum(['low', 'medium', 'high']).optional(),
+    custom_sections_needed: z.number().optional(),
+    built_in_sections: z.number().optional(),
+    estimated_fields: z.number().optional(),
+    multilanguage_recommended: z.boolean().optional()
+  }).passthrough(),
+  context_for_template_generation: z.record(z.any()).optional()
+}).passthrough();
@@ -1,5 +1,6 @@
 import { readFileSync, readdirSync, existsSync } from 'fs';
 import { join, extname } from 'path';
+import { buildTemplateSchema, TEMPLATE_SCHEMA_URI } from './templateSchema.js';
 
 /**
  * ResourceTemplate class for handling templated resources
@@ -32,6 +33,35 @@ export function registerResources(server) {
   
   // Register best practices resources
   registerBestPractices(server);
+
+  // Register template JSON Schema
+  registerTemplateSchema(server);
+}
+
+/**
+ * Register the template JSON Schema as a resource
+ * @param {Object} server - MCP Server instance
+ */
+function registerTemplateSchema(server) {
+  server.registerResource(
+    'schema-template',
+    TEMPLATE_SCHEMA_URI,
+    {
+      title: 'AntiCMS v3 Template JSON Schema',
+      description: 'JSON Schema (draft 2020-12) for AntiCMS v3 page and post templates',
+      mimeType: "application/schema+json"
+    },
+    async (uri) => {
+      const schema = await buildTemplateSchema();
+      return {
+        contents: [{
+          uri: uri,
+          text: JSON.stringify(schema, null, 2),
+          mimeType: "application/schema+json"
+        }]
+      };
+    }
+  );
 }
 
 /**
@@ -0,0 +1,371 @@
+import { resolveTemplateInput } from './storage.js';
+import { getNestedFields, getMediaCategory } from './templateFields.js';
+import { resolveContentLocales, validateContentAgainstTemplate } from './contentValidator.js';
+
+/**
+ * Sample content generator for AntiCMS v3 templates
+ * Produces mock entry content in the shape validate_content checks, for front-end development
+ */
+
+// Words used for generated text, by locale; other locales use English
+const WORDS = {
+  en: [
+    'modern', 'digital', 'creative', 'simple', 'design', 'solution', 'team', 'future', 'growth', 'quality',
+    'experience', 'service', 'product', 'community', 'journey', 'vision', 'trusted', 'partner', 'innovation', 'story',
+    'build', 'discover', 'explore', 'connect', 'together', 'better', 'every', 'day', 'business', 'people'
+  ],
+  id: [
+    'modern', 'digital', 'kreatif', 'sederhana', 'desain', 'solusi', 'tim', 'masa', 'depan', 'kualitas',
+    'pengalaman', 'layanan', 'produk', 'komunitas', 'perjalanan', 'visi', 'terpercaya', 'mitra', 'inovasi', 'cerita',
+    'bangun', 'temukan', 'jelajahi', 'hubungkan', 'bersama', 'lebih', 'baik', 'setiap', 'hari', 'bisnis'
+  ]
+};
+
+// Placeholder media by accept category
+const MEDIA_PLACEHOLDERS = {
+  video: index => `https://example.com/media/sample-video-${index}.mp4`,
+  audio: index => `https://example.com/media/sample-audio-${index}.mp3`,
+  document: index => `https://example.com/media/sample-document-${index}.pdf`
+};
+
+/**
+ * Turn a seed into a 32-bit integer (numbers are used as-is, strings are hashed)
+ * @param {number|string} seed - Seed value
+ * @returns {number} - 32-bit unsigned seed
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+  // FNV-1a hash of the string
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {object} - Generator with next(), int(min, max), pick(list) and bool()
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: list => list[Math.floor(next() * list.length)],
+    bool: () => next() < 0.5
+  };
+}
+
+/**
+ * Generate words joined by spaces within optional character limits
+ * @param {object} random - Random generator
+ * @param {string} locale - Locale for the word list
+ * @param {number} wordCount - Target number of words
+ * @param {object} limits - Character limits ({ min, max })
+ * @returns {string} - Generated text
+ */
+function generateWords(random, locale, wordCount, limits = {}) {
+  const words = WORDS[locale] || WORDS.en;
+  const { min = 0, max = Infinity } = limits;
+  let text = '';
+
+  for (let i = 0; i < wordCount || text.length < min; i++) {
+    const word = random.pick(words);
+    const candidate = text ? `${text} ${word}` : word;
+    if (candidate.length > max) break;
+    text = candidate;
+  }
+
+  if (text.length < min) {
+    text = text.padEnd(min, 'a');
+  }
+  if (text.length > max) {
+    text = text.slice(0, max).trimEnd();
+  }
+  return text;
+}
+
+/**
+ * Capitalize the first letter of a text
+ * @param {string} text - Text
+ * @returns {string} - Text with an uppercase first letter
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Generate sentences within optional character limits
+ * @param {object} random - Random generator
+ * @param {string} locale - Locale for the word list
+ * @param {number} sentenceCount - Number of sentences
+ * @param {object} limits - Character limits ({ min, max })
+ * @returns {string} - Generated text
+ */
+function generateSentences(random, locale, sentenceCount, limits = {}) {
+  const { min = 0, max = Infinity } = limits;
+  const sentences = [];
+
+  for (let i = 0; i < sentenceCount; i++) {
+    const sentence = `${capitalize(generateWords(random, locale, random.int(6, 14)))}.`;
+    if ([...sentences, sentence].join(' ').length > max) break;
+    sentences.push(sentence);
+  }
+
+  let text = sentences.join(' ');
+  if (text.length < min || text.length === 0) {
+    text = generateWords(random, locale, random.int(3, 8), { min, max });
+  }
+  return text;
+}
+
+/**
+ * Generate an input value based on the input type and field name
+ * @param {Object} field - Field definition
+ * @param {object} random - Random generator
+ * @param {string} locale - Content locale
+ * @returns {string|number} - Input value
+ */
+function generateInputValue(field, random, locale) {
+  const attribute = field.attribute || {};
+  const name = String(field.name || '').toLowerCase();
+  const limits = { min: attribute.minLength, max: attribute.maxLength };
+
+  const fitLength = value => {
+    if (typeof limits.max === 'number' && value.length > limits.max) return generateWords(random, locale, 2, limits);
+    if (typeof limits.min === 'number' && value.length < limits.min) return value.padEnd(limits.min, '0');
+    return value;
+  };
+
+  if (attribute.type === 'number') {
+    const min = typeof attribute.min === 'number' ? attribute.min : 1;
+    const max = typeof attribute.max === 'number' ? attribute.max : Math.max(min, 100);
+    return random.int(Math.ceil(min), Math.floor(max));
+  }
+  if (attribute.type === 'email' || name.includes('email')) {
+    return fitLength(`${random.pick(WORDS.en)}${random.int(1, 99)}@example.com`);
+  }
+  if (attribute.type === 'url' || name.includes('url') || name.includes('link')) {
+    return fitLength(`https://example.com/${random.pick(WORDS.en)}-${random.int(1, 99)}`);
+  }
+  if (attribute.type === 'tel' || name.includes('phone')) {
+    return fitLength(`+62 8${random.int(10, 99)}-${random.int(1000, 9999)}-${random.int(1000, 9999)}`);
+  }
+
+  // Titles and labels are short, other text inputs a few words
+  const isShort = /title|label|name|heading|button|cta/.test(name);
+  return capitalize(generateWords(random, locale, isShort ? random.int(2, 4) : random.int(3, 7), limits));
+}
+
+/**
+ * Generate a placeholder media URL for a media field
+ * @param {Object} field - Media field definition
+ * @param {object} random - Random generator
+ * @returns {string} - Placeholder URL
+ */
+function generateMediaValue(field, random) {
+  const attribute = field.attribute || {};
+  const accept = Array.isArray(attribute.accept) && attribute.accept.length > 0
+    ? attribute.accept.map(type => getMediaCategory(type) || type)
+    : [field.field === 'file' ? 'document' : 'image'];
+  const category = accept.includes('image') ? 'image' : accept[0];
+  const index = random.int(1, 999);
+
+  if (category !== 'image' && MEDIA_PLACEHOLDERS[category]) {
+    return MEDIA_PLACEHOLDERS[category](index);
+  }
+
+  // Fit the image into the resolution constraints
+  const resolution = attribute.resolution || {};
+  const clamp = (value, min, max) => Math.round(Math.min(Math.max(value, min ?? 1), max ?? value));
+  const width = clamp(1200, resolution.minWidth, resolution.maxWidth);
+  const height = clamp(800, resolution.minHeight, resolution.maxHeight);
+  return `https://placehold.co/${width}x${height}.png?text=${encodeURIComponent(field.name || 'image')}-${index}`;
+}
+
+/**
+ * Get the number of items to generate for a repeater or relationship
+ * @param {Object} attribute - Field attributes
+ * @param {object} random - Random generator
+ * @returns {number} - Item count between min and max
+ */
+function generateItemCount(attribute, random) {
+  const min = typeof attribute.min === 'number' ? Math.max(0, attribute.min) : 1;
+  const max = typeof attribute.max === 'number' ? Math.max(min, attribute.max) : min + 2;
+
+  // Fill at least one item when allowed, and keep mock lists short
+  const lower = min === 0 && max > 0 ? 1 : min;
+  return random.int(lower, Math.max(lower, Math.min(max, lower + 3)));
+}
+
+/**
+ * Generate a single (per-locale) value for a field
+ * @param {Object} field - Field definition
+ * @param {Object} context - Generation context ({ random, locales })
+ * @param {string} locale - Content locale
+ * @returns {*} - Field value
+ */
+function generateFieldValue(field, context, locale) {
+  const { random } = context;
+  const attribute = field.attribute || {};
+
+  switch (field.field) {
+    case 'input':
+      return generateInputValue(field, random, locale);
+
+    case 'textarea':
+      return generateSentences(random, locale, random.int(1, 3), { min: attribute.min ?? attribute.minLength, max: attribute.max ?? attribute.maxLength });
+
+    case 'texteditor': {
+      const max = attribute.max ?? attribute.maxLength;
+      const min = attribute.min ?? attribute.minLength;
+      const paragraphs = [];
+      const paragraphCount = random.int(1, 3);
+      for (let i = 0; i < paragraphCount; i++) {
+        const remaining = typeof max === 'number' ? max - paragraphs.join('').length : Infinity;
+        if (remaining < 10 && paragraphs.length > 0) break;
+        paragraphs.push(generateSentences(random, locale, random.int(1, 3), { max: remaining, min: paragraphs.length === 0 ? min : 0 }));
+      }
+      return paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('');
+    }
+
+    case 'select': {
+      const options = Array.isArray(attribute.options) ? attribute.options : [];
+      if (options.length === 0) return null;
+      const option = random.pick(options);
+      return option && typeof option === 'object' ? option.value : option;
+    }
+
+    case 'toggle':
+      if (field.name === 'status') return true;
+      return typeof attribute.defaultValue === 'boolean' ? attribute.defaultValue : random.bool();
+
+    // Deprecated file and image fields store media values too
+    case 'media':
+    case 'file':
+    case 'image':
+      return generateMediaValue(field, random);
+
+    case 'repeater':
+      return Array.from({ length: generateItemCount(attribute, random) }, () => generateFieldValues(getNestedFields(field), context));
+
+    case 'group':
+      return generateFieldValues(getNestedFields(field), context);
+
+    case 'table': {
+      const columns = Array.isArray(attribute.columns) ? attribute.columns : [];
+      return Array.from({ length: random.int(2, 4) }, () => Object.fromEntries(
+        columns
+          .filter(column => column?.name)
+          .map(column => [
+            column.name,
+            column.type === 'number' ? random.int(1, 100) : capitalize(generateWords(random, locale, random.int(1, column.type === 'textarea' ? 8 : 3)))
+          ])
+      ));
+    }
+
+    case 'relationship':
+      return Array.from({ length: generateItemCount(attribute, random) }, () => random.int(1, 500));
+
+    case 'post_object':
+      return attribute.multiple
+        ? Array.from({ length: random.int(1, 3) }, () => random.int(1, 500))
+        : random.int(1, 500);
+
+    case 'post_related':
+      return Array.from({ length: random.int(1, 3) }, () => random.int(1, 500));
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Generate values for a list of fields
+ * Multilanguage fields get one value per locale
+ * @param {Array} fields - Field definitions
+ * @param {Object} context - Generation context ({ random, locales })
+ * @returns {Object} - Values keyed by field name
+ */
+function generateFieldValues(fields, context) {
+  const values = {};
+
+  fields.forEach(field => {
+    if (!field?.name) return;
+
+    values[field.name] = field.multilanguage === true
+      ? Object.fromEntries(context.locales.map(locale => [locale, generateFieldValue(field, context, locale)]))
+      : generateFieldValue(field, context, context.locales[0]);
+  });
+
+  return values;
+}
+
+/**
+ * Generate sample content for a template
+ * @param {Object|Array} template - Template JSON
+ * @param {object} options - Generation options
+ * @param {number|string} options.seed - Seed for reproducible content (random when omitted)
+ * @param {Array<string>} options.locales - Locales for multilanguage fields
+ * @returns {Object} - Seed, locales and content keyed by component keyName
+ */
+export function generateSampleContentForTemplate(template, options = {}) {
+  const seed = options.seed ?? Math.floor(Math.random() * 2 ** 31);
+  const locales = resolveContentLocales(template, options.locales);
+  const context = { random: createRandom(normalizeSeed(seed)), locales };
+  const components = Array.isArray(template) ? template : template?.components;
+
+  const content = {};
+  (Array.isArray(components) ? components : []).forEach(component => {
+    if (!component?.keyName || !Array.isArray(component.fields)) return;
+    content[component.keyName] = generateFieldValues(component.fields, context);
+  });
+
+  return { seed, locales, content };
+}
+
+/**
+ * Sample content tool handler
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} - Tool response
+ */
+export async function generateSampleContent(args) {
+  const { name, template_json, template_type = 'pages', seed, locales } = args;
+
+  let template;
+  try {
+    template = await resolveTemplateInput(name, template_json, template_type);
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `❌ ${error.message}` }]
+    };
+  }
+
+  const result = generateSampleContentForTemplate(template, { seed, locales });
+  const validation = validateContentAgainstTemplate(template, result.content, { locales: result.locales });
+  const validationInfo = validation.valid
+    ? '✅ Passes validate_content'
+    : `⚠️ Does not fully pass validate_content:\n${JSON.stringify(validation.errors, null, 2)}`;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `🧪 Sample content${name ? ` for "${name}"` : ''} (seed: ${JSON.stringify(result.seed)}, locales: ${result.locales.join(', ')})\n\n${validationInfo}\n\n**Content:**\n\`\`\`json\n${JSON.stringify(result.content, null, 2)}\n\`\`\``
+      }
+    ]
+  };
+}
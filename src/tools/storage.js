@@ -0,0 +1,399 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Template storage helpers for AntiCMS v3
+ * Resolves and manages template files under storage/app/json
+ */
+
+/**
+ * Template types that map to storage/app/json subdirectories
+ */
+export const TEMPLATE_TYPES = ['pages', 'posts'];
+
+/**
+ * All storage/app/json subdirectories holding CMS definitions
+ */
+export const STORAGE_DIRECTORIES = ['pages', 'posts', 'posts-type', 'navigation'];
+
+/**
+ * Get the root directory for stored JSON templates
+ * @returns {string} - Absolute path to storage/app/json
+ */
+export function getStorageRoot() {
+  return path.join(process.cwd(), 'storage', 'app', 'json');
+}
+
+/**
+ * Resolve the storage directory for a template type
+ * @param {string} templateType - Template type ('pages' or 'posts')
+ * @returns {string} - Absolute directory path
+ * @throws {Error} - Throws error if template type is not supported
+ */
+export function resolveTemplateDir(templateType) {
+  if (!TEMPLATE_TYPES.includes(templateType)) {
+    throw new Error(`Unsupported template type: ${templateType}. Valid types: ${TEMPLATE_TYPES.join(', ')}`);
+  }
+  return path.join(getStorageRoot(), templateType);
+}
+
+/**
+ * Resolve the file path of a stored template
+ * @param {string} templateType - Template type ('pages' or 'posts')
+ * @param {string} name - Template name (file name without .json)
+ * @returns {string} - Absolute file path
+ * @throws {Error} - Throws error if the name could escape the storage directory
+ */
+export function resolveTemplatePath(templateType, name) {
+  if (!name || typeof name !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9_.-]*$/.test(name) || name.includes('..')) {
+    throw new Error(`Invalid template name: "${name}" - use letters, numbers, dashes and underscores only`);
+  }
+  return path.join(resolveTemplateDir(templateType), `${name}.json`);
+}
+
+/**
+ * Get a storage path relative to the working directory for display
+ * @param {string} filePath - Absolute file path
+ * @returns {string} - Relative path
+ */
+export function toRelativePath(filePath) {
+  return path.relative(process.cwd(), filePath);
+}
+
+/**
+ * Resolve a file or directory path inside the working directory
+ * @param {string} filePath - Path relative to the working directory
+ * @returns {string} - Absolute path
+ * @throws {Error} - Throws error if the path is outside the working directory
+ */
+export function resolveWorkingPath(filePath) {
+  const resolved = path.resolve(process.cwd(), filePath);
+  const relative = path.relative(process.cwd(), resolved);
+  if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`Path must be inside the working directory: ${filePath}`);
+  }
+  return resolved;
+}
+
+/**
+ * Check whether a stored template exists
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ * @returns {Promise<boolean>} - True if the file exists
+ */
+export async function storedTemplateExists(templateType, name) {
+  try {
+    await fs.access(resolveTemplatePath(templateType, name));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the first template name that is not taken, appending _2, _3, ... as needed
+ * @param {string} templateType - Template type
+ * @param {string} name - Preferred template name
+ * @returns {Promise<string>} - Available template name
+ */
+export async function findAvailableTemplateName(templateType, name) {
+  if (!(await storedTemplateExists(templateType, name))) {
+    return name;
+  }
+
+  let counter = 2;
+  while (await storedTemplateExists(templateType, `${name}_${counter}`)) {
+    counter++;
+  }
+  return `${name}_${counter}`;
+}
+
+/**
+ * Read the raw contents of a stored template
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ * @returns {Promise<string>} - File contents
+ */
+export async function readStoredTemplateText(templateType, name) {
+  return await fs.readFile(resolveTemplatePath(templateType, name), 'utf8');
+}
+
+/**
+ * Read and parse a stored template
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ * @returns {Promise<Object|Array>} - Parsed template JSON
+ */
+export async function readStoredTemplate(templateType, name) {
+  return JSON.parse(await readStoredTemplateText(templateType, name));
+}
+
+/**
+ * Resolve a template argument given either as a stored template name or inline JSON
+ * @param {string} name - Stored template name
+ * @param {Object|Array} json - Inline template JSON
+ * @param {string} templateType - Template type of the stored template
+ * @param {string} role - Argument prefix for error messages (e.g. "old" for old_name); tools taking name and template_json omit it
+ * @returns {Promise<Object|Array>} - Template JSON
+ * @throws {Error} - Throws error if neither or a missing template is given
+ */
+export async function resolveTemplateInput(name, json, templateType, role) {
+  if (json !== undefined) {
+    return json;
+  }
+  if (!name) {
+    const prefix = role ? `${role}_` : '';
+    throw new Error(`Provide either "${prefix}name" or "${prefix}template_json"`);
+  }
+  if (!(await storedTemplateExists(templateType, name))) {
+    throw new Error(`Template "${name}" not found in storage/app/json/${templateType}`);
+  }
+  return await readStoredTemplate(templateType, name);
+}
+
+/**
+ * Write a template to storage, creating the directory if needed
+ * The previous revision and the written revision are both kept in the template history
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ * @param {Object|Array} template - Template JSON
+ * @param {object} source - Tool call that produced the template ({ tool, args })
+ * @returns {Promise<string>} - Absolute path of the written file
+ */
+export async function writeStoredTemplate(templateType, name, template, source = null) {
+  const filePath = resolveTemplatePath(templateType, name);
+  await captureUntrackedRevision(templateType, name);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(template, null, 2), 'utf8');
+  await recordTemplateVersion(templateType, name, template, source);
+  return filePath;
+}
+
+/**
+ * Delete a stored template
+ * The deleted revision is kept in the template history so it can be restored
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ * @returns {Promise<string>} - Absolute path of the deleted file
+ */
+export async function deleteStoredTemplate(templateType, name) {
+  const filePath = resolveTemplatePath(templateType, name);
+  await captureUntrackedRevision(templateType, name);
+  await fs.unlink(filePath);
+  return filePath;
+}
+
+/**
+ * Resolve the seed content file of a stored template
+ * Seed content lives in storage/app/json/seeds/{type}/{name}.json
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ * @returns {string} - Absolute file path
+ */
+export function resolveSeedContentPath(templateType, name) {
+  // Validates the name the same way as the template file itself
+  resolveTemplatePath(templateType, name);
+  return path.join(getStorageRoot(), 'seeds', templateType, `${name}.json`);
+}
+
+/**
+ * Write the seed content of a stored template
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ * @param {Object} content - Content keyed by component keyName, then field name
+ * @returns {Promise<string>} - Absolute path of the written file
+ */
+export async function writeSeedContent(templateType, name, content) {
+  const filePath = resolveSeedContentPath(templateType, name);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(content, null, 2), 'utf8');
+  return filePath;
+}
+
+/**
+ * Resolve the history directory of a stored template
+ * History lives in storage/app/json/history/{type}/{name}
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ * @returns {string} - Absolute directory path
+ */
+export function resolveHistoryDir(templateType, name) {
+  // Validates the name the same way as the template file itself
+  resolveTemplatePath(templateType, name);
+  return path.join(getStorageRoot(), 'history', templateType, name);
+}
+
+/**
+ * List recorded versions of a stored template, oldest first
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ * @returns {Promise<Array>} - Version records ({ id, template_type, name, created_at, source, template })
+ */
+export async function listTemplateVersions(templateType, name) {
+  const dir = resolveHistoryDir(templateType, name);
+  let files;
+
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const versions = [];
+  for (const file of files.filter(f => path.extname(f) === '.json').sort()) {
+    const content = await fs.readFile(path.join(dir, file), 'utf8');
+    versions.push(JSON.parse(content));
+  }
+
+  return versions;
+}
+
+/**
+ * Read a single recorded version of a stored template
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ * @param {string} versionId - Version identifier
+ * @returns {Promise<Object|null>} - Version record, or null if it does not exist
+ */
+export async function readTemplateVersion(templateType, name, versionId) {
+  if (!/^[0-9TZ_]+$/.test(versionId)) {
+    return null;
+  }
+
+  try {
+    const content = await fs.readFile(path.join(resolveHistoryDir(templateType, name), `${versionId}.json`), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Record a template revision in the history
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ * @param {Object|Array} template - Template JSON
+ * @param {object} source - Tool call that produced the revision ({ tool, args })
+ * @returns {Promise<object>} - Recorded version
+ */
+async function recordTemplateVersion(templateType, name, template, source = null) {
+  const dir = resolveHistoryDir(templateType, name);
+  await fs.mkdir(dir, { recursive: true });
+
+  // Timestamp ids sort chronologically; suffix ids written in the same millisecond
+  const createdAt = new Date();
+  const baseId = createdAt.toISOString().replace(/[-:.]/g, '');
+  let id = baseId;
+  let counter = 2;
+  while (await fs.access(path.join(dir, `${id}.json`)).then(() => true, () => false)) {
+    id = `${baseId}_${counter++}`;
+  }
+
+  const version = {
+    id,
+    template_type: templateType,
+    name,
+    created_at: createdAt.toISOString(),
+    source: {
+      tool: source?.tool || null,
+      args: source?.args || null
+    },
+    template
+  };
+
+  await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(version, null, 2), 'utf8');
+  return version;
+}
+
+/**
+ * Record the current file as a version if it differs from the latest recorded version
+ * Keeps hand-written or hand-edited revisions before a tool replaces them
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ */
+async function captureUntrackedRevision(templateType, name) {
+  if (!(await storedTemplateExists(templateType, name))) {
+    return;
+  }
+
+  let current;
+  try {
+    current = await readStoredTemplate(templateType, name);
+  } catch (error) {
+    console.warn(`[storage] Could not record history for ${templateType}/${name}: ${error.message}`);
+    return;
+  }
+
+  const versions = await listTemplateVersions(templateType, name);
+  const latest = versions[versions.length - 1];
+  if (latest && JSON.stringify(latest.template) === JSON.stringify(current)) {
+    return;
+  }
+
+  await recordTemplateVersion(templateType, name, current, { tool: null, args: null });
+}
+
+/**
+ * List stored templates of a given type
+ * @param {string} templateType - Template type
+ * @returns {Promise<Array>} - Template entries with name, path, size and modification time
+ */
+export async function listStoredTemplates(templateType) {
+  const dir = resolveTemplateDir(templateType);
+  let files;
+
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const file of files.filter(f => path.extname(f) === '.json').sort()) {
+    const filePath = path.join(dir, file);
+    const stats = await fs.stat(filePath);
+    entries.push({
+      name: path.basename(file, '.json'),
+      template_type: templateType,
+      path: toRelativePath(filePath),
+      size: stats.size,
+      modified_at: stats.mtime.toISOString()
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * List the JSON files of a storage directory
+ * @param {string} directory - Storage directory (one of STORAGE_DIRECTORIES)
+ * @returns {Promise<Array>} - File entries with name, absolute path and relative path
+ * @throws {Error} - Throws error if the directory is not a storage directory
+ */
+export async function listStorageFiles(directory) {
+  if (!STORAGE_DIRECTORIES.includes(directory)) {
+    throw new Error(`Unsupported storage directory: ${directory}. Valid directories: ${STORAGE_DIRECTORIES.join(', ')}`);
+  }
+
+  const dir = path.join(getStorageRoot(), directory);
+  let files;
+
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return files
+    .filter(file => path.extname(file) === '.json')
+    .sort()
+    .map(file => ({
+      name: path.basename(file, '.json'),
+      filePath: path.join(dir, file),
+      path: toRelativePath(path.join(dir, file))
+    }));
+}
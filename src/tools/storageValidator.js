@@ -0,0 +1,285 @@
+import { promises as fs } from 'fs';
+import { STORAGE_DIRECTORIES, listStorageFiles } from './storage.js';
+import { validateTemplateStructure, clearFieldTypesCache } from './templateGenerator.js';
+import { appendPointer, addIssue } from './templateFields.js';
+
+/**
+ * Batch validation of storage/app/json
+ * Validates page and post templates, post type settings and navigation menus
+ */
+
+/**
+ * Known post type settings flags (cpt object)
+ */
+const POST_TYPE_FLAGS = [
+  'is_show',
+  'is_category',
+  'is_tags',
+  'is_featured_image',
+  'is_content',
+  'is_enable_seo',
+  'is_edit_date',
+  'have_permission',
+  'have_custom_fields'
+];
+
+/**
+ * Known navigation item types
+ */
+const NAVIGATION_ITEM_TYPES = ['page', 'post', 'url'];
+
+/**
+ * Check that required keys exist and hold values of the expected type
+ * @param {Object} value - Object to check
+ * @param {Object} keyTypes - Expected type by key
+ * @param {string} path - JSON Pointer to the object
+ * @param {Array} errors - Array to collect errors
+ */
+function validateRequiredKeys(value, keyTypes, path, errors) {
+  Object.entries(keyTypes).forEach(([key, type]) => {
+    if (!(key in value)) {
+      addIssue(errors, path, `Missing required key: ${key}`);
+    } else if (type === 'array' ? !Array.isArray(value[key]) : typeof value[key] !== type) {
+      addIssue(errors, appendPointer(path, key), `${key} must be of type ${type}`);
+    }
+  });
+}
+
+/**
+ * Validate a slug (lowercase letters, digits, dashes and underscores)
+ * @param {*} slug - Slug value
+ * @param {Array} errors - Array to collect errors
+ */
+function validateSlug(slug, errors) {
+  if (typeof slug === 'string' && !/^[a-z0-9]+([-_][a-z0-9]+)*$/.test(slug)) {
+    addIssue(errors, '/slug', `Invalid slug: "${slug}" - use lowercase letters, numbers, dashes and underscores`);
+  }
+}
+
+/**
+ * Validate a post type settings file (storage/app/json/posts-type)
+ * @param {Object} postType - Post type JSON
+ * @returns {Object} - Validation result with valid, errors and warnings
+ */
+export function validatePostTypeStructure(postType) {
+  const errors = [];
+  const warnings = [];
+
+  if (!postType || typeof postType !== 'object' || Array.isArray(postType)) {
+    addIssue(errors, '', 'Post type must be a JSON object');
+    return { valid: false, errors, warnings };
+  }
+
+  validateRequiredKeys(postType, { name: 'string', slug: 'string', cpt: 'object' }, '', errors);
+  validateSlug(postType.slug, errors);
+
+  if (postType.cpt && typeof postType.cpt === 'object') {
+    Object.entries(postType.cpt).forEach(([flag, value]) => {
+      const flagPath = appendPointer('/cpt', flag);
+      if (!POST_TYPE_FLAGS.includes(flag)) {
+        addIssue(warnings, flagPath, `Unknown post type setting: ${flag}`);
+      } else if (typeof value !== 'boolean') {
+        addIssue(errors, flagPath, `${flag} must be a boolean`);
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Validate navigation menu items recursively
+ * @param {Array} items - Navigation items
+ * @param {string} path - JSON Pointer to the items array
+ * @param {Object} context - Locales of the first item, used to spot missing translations
+ * @param {Array} errors - Array to collect errors
+ * @param {Array} warnings - Array to collect warnings
+ */
+function validateNavigationItems(items, path, context, errors, warnings) {
+  const sorts = new Set();
+
+  items.forEach((item, index) => {
+    const itemPath = appendPointer(path, index);
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      addIssue(errors, itemPath, 'Navigation item must be an object');
+      return;
+    }
+
+    validateRequiredKeys(item, { translations: 'object', type: 'string' }, itemPath, errors);
+
+    // Every locale needs a title, and all items should share the same locales
+    if (item.translations && typeof item.translations === 'object') {
+      const locales = Object.keys(item.translations);
+      if (locales.length === 0) {
+        addIssue(errors, appendPointer(itemPath, 'translations'), 'Navigation item needs at least one translation');
+      }
+      locales.forEach(locale => {
+        const title = item.translations[locale]?.title;
+        if (typeof title !== 'string' || title.trim() === '') {
+          addIssue(errors, appendPointer(itemPath, 'translations', locale, 'title'), `Missing ${locale} title`);
+        }
+      });
+
+      if (!context.locales) {
+        context.locales = locales;
+      } else {
+        context.locales
+          .filter(locale => !locales.includes(locale))
+          .forEach(locale => addIssue(warnings, appendPointer(itemPath, 'translations'), `Missing ${locale} translation`));
+      }
+    }
+
+    if (typeof item.type === 'string' && !NAVIGATION_ITEM_TYPES.includes(item.type)) {
+      addIssue(warnings, appendPointer(itemPath, 'type'), `Unknown navigation item type: ${item.type}. Known types: ${NAVIGATION_ITEM_TYPES.join(', ')}`);
+    }
+    if (item.type === 'url' && (typeof item.url !== 'string' || item.url.trim() === '')) {
+      addIssue(errors, appendPointer(itemPath, 'url'), 'url items need a url');
+    }
+
+    if ('new_window' in item && typeof item.new_window !== 'boolean') {
+      addIssue(errors, appendPointer(itemPath, 'new_window'), 'new_window must be a boolean');
+    }
+    if ('sort' in item) {
+      if (typeof item.sort !== 'number') {
+        addIssue(errors, appendPointer(itemPath, 'sort'), 'sort must be a number');
+      } else if (sorts.has(item.sort)) {
+        addIssue(warnings, appendPointer(itemPath, 'sort'), `Duplicate sort value ${item.sort} among sibling items`);
+      }
+      sorts.add(item.sort);
+    }
+
+    if ('children' in item) {
+      if (!Array.isArray(item.children)) {
+        addIssue(errors, appendPointer(itemPath, 'children'), 'children must be an array');
+      } else {
+        validateNavigationItems(item.children, appendPointer(itemPath, 'children'), context, errors, warnings);
+      }
+    }
+  });
+}
+
+/**
+ * Validate a navigation menu file (storage/app/json/navigation)
+ * @param {Object} navigation - Navigation JSON
+ * @returns {Object} - Validation result with valid, errors and warnings
+ */
+export function validateNavigationStructure(navigation) {
+  const errors = [];
+  const warnings = [];
+
+  if (!navigation || typeof navigation !== 'object' || Array.isArray(navigation)) {
+    addIssue(errors, '', 'Navigation must be a JSON object');
+    return { valid: false, errors, warnings };
+  }
+
+  validateRequiredKeys(navigation, { name: 'string', slug: 'string', items: 'array' }, '', errors);
+  validateSlug(navigation.slug, errors);
+
+  if (Array.isArray(navigation.items)) {
+    validateNavigationItems(navigation.items, '/items', {}, errors, warnings);
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Validate one parsed storage file with the validator for its directory
+ * @param {string} directory - Storage directory
+ * @param {Object|Array} json - Parsed file contents
+ * @param {Object} lintRules - Lint rule toggles for templates
+ * @returns {Promise<Object>} - Validation result with valid, errors and warnings
+ */
+async function validateStorageJson(directory, json, lintRules) {
+  switch (directory) {
+    case 'posts-type':
+      return validatePostTypeStructure(json);
+    case 'navigation':
+      return validateNavigationStructure(json);
+    default:
+      return await validateTemplateStructure(json, { lintRules });
+  }
+}
+
+/**
+ * Validate every file in the given storage directories
+ * Field type definitions are re-read so the report reflects the current data/field-types
+ * @param {object} options - Validation options
+ * @param {Array<string>} options.directories - Storage directories to validate
+ * @param {Object} options.lintRules - Lint rule toggles for templates
+ * @returns {Promise<Object>} - Per-file reports and totals
+ */
+export async function validateStorageFiles(options = {}) {
+  const { directories = STORAGE_DIRECTORIES, lintRules = {} } = options;
+
+  clearFieldTypesCache();
+
+  const files = [];
+  const totals = { files: 0, valid: 0, invalid: 0, errors: 0, warnings: 0, by_directory: {} };
+
+  for (const directory of directories) {
+    const directoryTotals = { files: 0, valid: 0, invalid: 0 };
+
+    for (const file of await listStorageFiles(directory)) {
+      let result;
+      let json;
+      try {
+        json = JSON.parse(await fs.readFile(file.filePath, 'utf8'));
+      } catch (error) {
+        const message = error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : `Could not read file: ${error.message}`;
+        result = { valid: false, errors: [{ path: '', message }], warnings: [] };
+      }
+
+      if (!result) {
+        try {
+          result = await validateStorageJson(directory, json, lintRules);
+        } catch (error) {
+          // A validator crash is not a problem with the file, so it is reported as such
+          result = { valid: false, errors: [{ path: '', message: `Validator error: ${error.message}` }], warnings: [] };
+        }
+      }
+
+      files.push({ file: file.path, directory, name: file.name, ...result });
+
+      directoryTotals.files++;
+      directoryTotals[result.valid ? 'valid' : 'invalid']++;
+      totals.errors += result.errors.length;
+      totals.warnings += result.warnings.length;
+    }
+
+    totals.files += directoryTotals.files;
+    totals.valid += directoryTotals.valid;
+    totals.invalid += directoryTotals.invalid;
+    totals.by_directory[directory] = directoryTotals;
+  }
+
+  return { valid: totals.invalid === 0, totals, files };
+}
+
+/**
+ * Storage validation tool handler
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} - Tool response
+ */
+export async function validateStorage(args = {}) {
+  const { directories = STORAGE_DIRECTORIES, lint_rules = {}, only_invalid = false, include_warnings = true } = args;
+
+  const report = await validateStorageFiles({ directories, lintRules: lint_rules });
+
+  const files = report.files
+    .filter(file => !only_invalid || !file.valid)
+    .map(file => (include_warnings ? file : { ...file, warnings: undefined }));
+
+  const summary = Object.entries(report.totals.by_directory)
+    .map(([directory, counts]) => `- ${directory}: ${counts.valid}/${counts.files} valid`)
+    .join('\n');
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `${report.valid ? '✅' : '❌'} Storage validation ${report.valid ? 'PASSED' : 'FAILED'}: ${report.totals.valid}/${report.totals.files} files valid (${report.totals.errors} errors, ${report.totals.warnings} warnings).\n\n${summary}\n\n${JSON.stringify({ ...report, files }, null, 2)}`
+      }
+    ]
+  };
+}
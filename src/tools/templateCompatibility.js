@@ -0,0 +1,373 @@
+import { resolveTemplateInput } from './storage.js';
+import { diffTemplateStructures, describeChange } from './templateDiff.js';
+
+/**
+ * Compatibility checks for AntiCMS v3 template edits
+ * Classifies structural changes by their impact on existing CMS content
+ */
+
+// Severity levels, from least to most disruptive
+const SAFE = 'safe';
+const NEEDS_MIGRATION = 'needs-migration';
+const BREAKING = 'breaking';
+
+// Shape of the content value stored for each field type
+const VALUE_SHAPES = {
+  input: 'text',
+  textarea: 'text',
+  texteditor: 'text',
+  select: 'choice',
+  toggle: 'boolean',
+  media: 'media',
+  repeater: 'list',
+  table: 'list',
+  group: 'object',
+  relationship: 'reference',
+  post_object: 'reference',
+  post_related: 'reference'
+};
+
+// Field types whose removal drops nested or multi-item content
+const CONTAINER_FIELD_TYPES = ['repeater', 'group', 'table'];
+
+// Attributes that only affect the editor UI, never stored content
+const PRESENTATIONAL_ATTRIBUTES = ['placeholder', 'caption', 'defaultValue', 'value', 'rows', 'cols', 'resolution', 'api_prefix', 'api_url', 'fileSize'];
+
+// Order in which migration steps should run
+const MIGRATION_ORDER = [
+  'component_renamed',
+  'field_type_changed',
+  'field_multilanguage_changed',
+  'attribute_changed',
+  'attribute_added',
+  'attribute_removed',
+  'column_changed',
+  'field_added',
+  'template_changed',
+  'column_removed',
+  'field_removed',
+  'component_removed'
+];
+
+/**
+ * Classify a field type conversion
+ * @param {string} oldType - Previous field type
+ * @param {string} newType - New field type
+ * @returns {object} - Severity, reason and migration step
+ */
+function classifyTypeChange(oldType, newType) {
+  if (oldType === 'input' && newType === 'textarea') {
+    return { severity: SAFE, reason: 'Single-line text is valid textarea content' };
+  }
+  if (VALUE_SHAPES[oldType] === 'text' && newType === 'texteditor') {
+    return {
+      severity: NEEDS_MIGRATION,
+      reason: `Plain ${oldType} text must become HTML`,
+      migration: 'Escape existing values and wrap them in <p> tags'
+    };
+  }
+  if (oldType === 'texteditor' && VALUE_SHAPES[newType] === 'text') {
+    return {
+      severity: NEEDS_MIGRATION,
+      reason: 'Rich text must become plain text',
+      migration: `Strip HTML tags from existing values before saving them as ${newType}`
+    };
+  }
+  if (oldType === 'textarea' && newType === 'input') {
+    return {
+      severity: NEEDS_MIGRATION,
+      reason: 'Multi-line text must fit a single-line input',
+      migration: 'Replace line breaks with spaces and check length limits'
+    };
+  }
+  if (VALUE_SHAPES[oldType] === 'text' && newType === 'select') {
+    return {
+      severity: NEEDS_MIGRATION,
+      reason: 'Free text must match one of the select options',
+      migration: 'Map existing values to option values; clear values without a match'
+    };
+  }
+  if (oldType === 'select' && VALUE_SHAPES[newType] === 'text') {
+    return {
+      severity: NEEDS_MIGRATION,
+      reason: 'Stored option values may differ from their labels',
+      migration: 'Replace stored option values with their option labels if editors should see the label text'
+    };
+  }
+  if (oldType === 'group' && newType === 'repeater') {
+    return {
+      severity: NEEDS_MIGRATION,
+      reason: 'A single group object must become a list of items',
+      migration: 'Wrap each existing group value in a one-item array'
+    };
+  }
+  if (VALUE_SHAPES[oldType] === 'reference' && VALUE_SHAPES[newType] === 'reference') {
+    return {
+      severity: NEEDS_MIGRATION,
+      reason: 'Post references are stored differently by each relationship field',
+      migration: `Convert stored post ids to the ${newType} value format`
+    };
+  }
+
+  return {
+    severity: BREAKING,
+    reason: `${oldType} content (${VALUE_SHAPES[oldType] || 'unknown'}) cannot be converted to ${newType} (${VALUE_SHAPES[newType] || 'unknown'})`,
+    migration: `Export existing values, then re-enter them as ${newType} content`
+  };
+}
+
+/**
+ * Classify an attribute change
+ * @param {object} change - Attribute change
+ * @returns {object} - Severity, reason and migration step
+ */
+function classifyAttributeChange(change) {
+  const { attribute, old: oldValue, new: newValue, kind } = change;
+
+  if (PRESENTATIONAL_ATTRIBUTES.includes(attribute)) {
+    return { severity: SAFE, reason: `${attribute} only affects the editor` };
+  }
+
+  switch (attribute) {
+    case 'is_required':
+      return newValue === true && oldValue !== true
+        ? { severity: NEEDS_MIGRATION, reason: 'Field became required', migration: 'Fill empty values (e.g. with the default value) so existing entries pass validation' }
+        : { severity: SAFE, reason: 'Field is no longer required' };
+
+    case 'max':
+    case 'maxLength':
+      if (kind === 'attribute_removed' || (typeof oldValue === 'number' && typeof newValue === 'number' && newValue >= oldValue)) {
+        return { severity: SAFE, reason: `${attribute} limit was relaxed` };
+      }
+      return {
+        severity: NEEDS_MIGRATION,
+        reason: `${attribute} limit was tightened to ${newValue}`,
+        migration: `Trim existing values or items that exceed ${attribute} ${newValue}`
+      };
+
+    case 'min':
+    case 'minLength':
+      if (kind === 'attribute_removed' || (typeof oldValue === 'number' && typeof newValue === 'number' && newValue <= oldValue)) {
+        return { severity: SAFE, reason: `${attribute} limit was relaxed` };
+      }
+      return {
+        severity: NEEDS_MIGRATION,
+        reason: `${attribute} limit was raised to ${newValue}`,
+        migration: `Extend existing values or items below ${attribute} ${newValue}`
+      };
+
+    case 'options': {
+      const oldValues = (Array.isArray(oldValue) ? oldValue : []).map(option => option.value);
+      const newValues = (Array.isArray(newValue) ? newValue : []).map(option => option.value);
+      const dropped = oldValues.filter(value => !newValues.includes(value));
+      return dropped.length === 0
+        ? { severity: SAFE, reason: 'Options were only added or relabelled' }
+        : { severity: NEEDS_MIGRATION, reason: `Options removed: ${dropped.join(', ')}`, migration: `Remap stored values ${dropped.join(', ')} to remaining options` };
+    }
+
+    case 'accept': {
+      const dropped = (Array.isArray(oldValue) ? oldValue : []).filter(type => !(Array.isArray(newValue) ? newValue : []).includes(type));
+      return dropped.length === 0 || kind === 'attribute_removed'
+        ? { severity: SAFE, reason: 'Accepted media types were widened' }
+        : { severity: NEEDS_MIGRATION, reason: `Media types no longer accepted: ${dropped.join(', ')}`, migration: `Replace stored ${dropped.join('/')} media with accepted types` };
+    }
+
+    case 'type':
+      if (change.field_type === 'texteditor') {
+        return { severity: SAFE, reason: 'Editor toolbar changed' };
+      }
+      return {
+        severity: NEEDS_MIGRATION,
+        reason: `Input type changed from ${oldValue} to ${newValue}`,
+        migration: `Check existing values are valid ${newValue} input`
+      };
+
+    case 'filter':
+    case 'post_type':
+    case 'multiple':
+      return {
+        severity: NEEDS_MIGRATION,
+        reason: `${attribute} of the post reference changed`,
+        migration: 'Remove references to posts that no longer match the filter'
+      };
+
+    default:
+      return { severity: SAFE, reason: `${attribute} does not change stored content` };
+  }
+}
+
+/**
+ * Prefix the migration step of a classification with the change location
+ * @param {object} classification - Severity, reason and migration step
+ * @param {object} change - Classified change
+ * @returns {object} - Classification with a located migration step
+ */
+function withLocation(classification, change) {
+  return classification.migration
+    ? { ...classification, migration: `${change.location}: ${classification.migration}` }
+    : classification;
+}
+
+/**
+ * Classify a single structural change
+ * @param {object} change - Change from diffTemplateStructures
+ * @param {string} defaultLocale - Locale used when converting to or from multilanguage values
+ * @returns {object} - Severity, reason and migration step
+ */
+function classifyChange(change, defaultLocale) {
+  switch (change.kind) {
+    case 'template_changed':
+      if (change.property === 'name') {
+        return { severity: BREAKING, reason: 'Pages reference the template by name', migration: `Point existing pages from template "${change.old}" to "${change.new}"` };
+      }
+      if (change.property === 'multilanguage' || change.property === 'is_content') {
+        return { severity: NEEDS_MIGRATION, reason: `Template ${change.property} changed`, migration: `Review existing pages for the ${change.property} change` };
+      }
+      if (change.property === 'is_multiple' && change.new === false) {
+        return { severity: BREAKING, reason: 'Template no longer allows multiple pages', migration: 'Merge or delete extra pages that use this template' };
+      }
+      return { severity: SAFE, reason: `Template ${change.property} is descriptive` };
+
+    case 'component_added':
+      return { severity: SAFE, reason: 'New components start empty' };
+
+    case 'component_removed':
+      return { severity: BREAKING, reason: 'Content stored in the component is lost', migration: `Export content of component "${change.component}" before deploying` };
+
+    case 'component_renamed':
+      return { severity: NEEDS_MIGRATION, reason: 'Content is stored under the component keyName', migration: `Move content stored under "${change.old}" to "${change.new}"` };
+
+    case 'component_changed':
+      return { severity: SAFE, reason: `Component ${change.property} does not change stored content` };
+
+    case 'field_added':
+      return change.new?.attribute?.is_required
+        ? { severity: NEEDS_MIGRATION, reason: 'New required field is empty in existing content', migration: `Backfill ${change.location} in existing entries` }
+        : { severity: SAFE, reason: 'New optional fields start empty' };
+
+    case 'field_removed':
+      return CONTAINER_FIELD_TYPES.includes(change.field_type)
+        ? { severity: BREAKING, reason: `All items stored in the ${change.field_type} are lost`, migration: `Export ${change.location} items before deploying` }
+        : { severity: NEEDS_MIGRATION, reason: 'Stored values become orphaned', migration: `Archive or delete ${change.location} values from existing entries` };
+
+    case 'field_type_changed':
+      return withLocation(classifyTypeChange(change.old, change.new), change);
+
+    case 'field_label_changed':
+      return { severity: SAFE, reason: 'Labels are not stored with content' };
+
+    case 'field_multilanguage_changed':
+      return change.new
+        ? { severity: NEEDS_MIGRATION, reason: 'Single values must become per-language values', migration: `Wrap existing ${change.location} values as { "${defaultLocale}": value }` }
+        : { severity: BREAKING, reason: 'Translations are dropped', migration: `Keep the "${defaultLocale}" value of ${change.location} and export other languages first` };
+
+    case 'attribute_added':
+    case 'attribute_removed':
+    case 'attribute_changed':
+      return withLocation(classifyAttributeChange(change), change);
+
+    case 'column_added':
+      return { severity: SAFE, reason: 'New table columns start empty' };
+
+    case 'column_removed':
+      return { severity: NEEDS_MIGRATION, reason: 'Cells in the removed column are lost', migration: `Archive column "${change.column}" of ${change.location}` };
+
+    case 'column_changed':
+      return change.old?.type !== change.new?.type
+        ? { severity: NEEDS_MIGRATION, reason: `Column type changed from ${change.old?.type} to ${change.new?.type}`, migration: `Convert column "${change.column}" of ${change.location} to ${change.new?.type}` }
+        : { severity: SAFE, reason: 'Column settings changed' };
+
+    default:
+      return { severity: NEEDS_MIGRATION, reason: 'Unknown change', migration: `Review ${change.location}` };
+  }
+}
+
+/**
+ * Check the compatibility of a template edit against existing content
+ * @param {Object|Array} oldTemplate - Template the content was created with
+ * @param {Object|Array} newTemplate - Edited template
+ * @param {string} defaultLocale - Locale used for multilanguage conversions
+ * @returns {object} - Classified changes, severity totals and migration plan
+ */
+export function checkCompatibility(oldTemplate, newTemplate, defaultLocale = 'en') {
+  const changes = diffTemplateStructures(oldTemplate, newTemplate).map(change => ({
+    ...change,
+    ...classifyChange(change, defaultLocale)
+  }));
+
+  const totals = { [SAFE]: 0, [NEEDS_MIGRATION]: 0, [BREAKING]: 0 };
+  changes.forEach(change => {
+    totals[change.severity]++;
+  });
+
+  const migrationPlan = changes
+    .filter(change => change.severity !== SAFE && change.migration)
+    .sort((a, b) => MIGRATION_ORDER.indexOf(a.kind) - MIGRATION_ORDER.indexOf(b.kind))
+    .map((change, index) => ({
+      step: index + 1,
+      severity: change.severity,
+      location: change.location,
+      action: change.migration
+    }));
+
+  return {
+    compatible: totals[BREAKING] === 0,
+    totals,
+    changes,
+    migration_plan: migrationPlan
+  };
+}
+
+/**
+ * Template compatibility tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - Tool response
+ */
+export async function checkTemplateCompatibility(args) {
+  const {
+    old_name,
+    old_template_json,
+    new_name,
+    new_template_json,
+    template_type = 'pages',
+    default_locale = 'en'
+  } = args;
+
+  let oldTemplate;
+  let newTemplate;
+  try {
+    oldTemplate = await resolveTemplateInput(old_name, old_template_json, template_type, 'old');
+    newTemplate = await resolveTemplateInput(new_name, new_template_json, template_type, 'new');
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ ${error.message}`
+        }
+      ]
+    };
+  }
+
+  const result = checkCompatibility(oldTemplate, newTemplate, default_locale);
+
+  const icons = { [SAFE]: '✅', [NEEDS_MIGRATION]: '⚠️', [BREAKING]: '⛔' };
+  const summary = result.changes.length === 0
+    ? 'No structural changes.'
+    : result.changes.map(change => `- ${icons[change.severity]} **${change.severity}** ${describeChange(change)} — ${change.reason}`).join('\n');
+  const plan = result.migration_plan.length === 0
+    ? 'No migration needed.'
+    : result.migration_plan.map(step => `${step.step}. ${step.action}`).join('\n');
+  const status = result.compatible
+    ? (result.totals[NEEDS_MIGRATION] > 0 ? '⚠️ Compatible after migration' : '✅ Compatible')
+    : '⛔ Breaking changes';
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `${status} (${result.totals[SAFE]} safe, ${result.totals[NEEDS_MIGRATION]} needs-migration, ${result.totals[BREAKING]} breaking)\n\n${summary}\n\n**Suggested migration plan:**\n${plan}\n\n**Report:**\n\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\``
+      }
+    ]
+  };
+}
@@ -0,0 +1,382 @@
+import { resolveTemplateInput } from './storage.js';
+import { getNestedFields } from './templateFields.js';
+
+/**
+ * Structural diff for AntiCMS v3 templates
+ * Compares templates at the component and field level instead of line by line
+ */
+
+// Template root keys compared by the diff
+const TEMPLATE_KEYS = ['name', 'label', 'description', 'is_content', 'multilanguage', 'is_multiple'];
+
+// Component keys compared by the diff (fields are compared separately)
+const COMPONENT_KEYS = ['label', 'section', 'block'];
+
+// Attributes compared structurally instead of as values
+const STRUCTURAL_ATTRIBUTES = ['fields', 'columns'];
+
+// Minimum field similarity for a removed and an added component to count as a rename
+const RENAME_THRESHOLD = 0.5;
+
+/**
+ * Get the components of a template (post templates may be a bare component array)
+ * @param {Object|Array} template - Template JSON
+ * @returns {Array} - Components
+ */
+function getComponents(template) {
+  const components = Array.isArray(template) ? template : template?.components;
+  return Array.isArray(components) ? components : [];
+}
+
+/**
+ * Compare two values by their JSON representation
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if equal
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Build the dotted location of a field, e.g. "hero.features.feature_title"
+ * @param {string} component - Component keyName
+ * @param {Array<string>} path - Field names from the component down to the field
+ * @returns {string} - Location string
+ */
+function toLocation(component, path) {
+  return [component, ...path].join('.');
+}
+
+/**
+ * Score how similar two components are by their top-level field names and types
+ * @param {Object} oldComponent - Removed component
+ * @param {Object} newComponent - Added component
+ * @returns {number} - Similarity between 0 and 1
+ */
+function componentSimilarity(oldComponent, newComponent) {
+  const signature = component => new Set((component.fields || []).map(field => `${field.name}:${field.field}`));
+  const oldSignature = signature(oldComponent);
+  const newSignature = signature(newComponent);
+  const union = new Set([...oldSignature, ...newSignature]);
+  if (union.size === 0) {
+    return oldComponent.label === newComponent.label ? 1 : 0;
+  }
+
+  const shared = [...oldSignature].filter(entry => newSignature.has(entry)).length;
+  const labelBonus = oldComponent.label && oldComponent.label === newComponent.label ? 0.25 : 0;
+  return Math.min(1, shared / union.size + labelBonus);
+}
+
+/**
+ * Compare table columns by column name
+ * @param {Array} oldColumns - Old columns
+ * @param {Array} newColumns - New columns
+ * @param {object} context - Component keyName and field path
+ * @param {Array} changes - Array to collect changes
+ */
+function diffColumns(oldColumns, newColumns, context, changes) {
+  const oldByName = new Map((Array.isArray(oldColumns) ? oldColumns : []).map(column => [column.name, column]));
+  const newByName = new Map((Array.isArray(newColumns) ? newColumns : []).map(column => [column.name, column]));
+  const location = toLocation(context.component, context.path);
+
+  oldByName.forEach((column, name) => {
+    if (!newByName.has(name)) {
+      changes.push({ kind: 'column_removed', component: context.component, location, column: name, old: column });
+    }
+  });
+
+  newByName.forEach((column, name) => {
+    if (!oldByName.has(name)) {
+      changes.push({ kind: 'column_added', component: context.component, location, column: name, new: column });
+    } else if (!isEqual(oldByName.get(name), column)) {
+      changes.push({ kind: 'column_changed', component: context.component, location, column: name, old: oldByName.get(name), new: column });
+    }
+  });
+}
+
+/**
+ * Compare two definitions of the same field, recursing into repeaters and groups
+ * @param {Object} oldField - Old field definition
+ * @param {Object} newField - New field definition
+ * @param {object} context - Component keyName and parent field path
+ * @param {Array} changes - Array to collect changes
+ */
+function diffField(oldField, newField, context, changes) {
+  const path = [...context.path, newField.name];
+  const location = toLocation(context.component, path);
+  const base = { component: context.component, location, field: newField.name, field_type: newField.field };
+
+  if (oldField.field !== newField.field) {
+    changes.push({ ...base, kind: 'field_type_changed', old: oldField.field, new: newField.field });
+  }
+  if (oldField.label !== newField.label) {
+    changes.push({ ...base, kind: 'field_label_changed', old: oldField.label, new: newField.label });
+  }
+  if (Boolean(oldField.multilanguage) !== Boolean(newField.multilanguage)) {
+    changes.push({ ...base, kind: 'field_multilanguage_changed', old: Boolean(oldField.multilanguage), new: Boolean(newField.multilanguage) });
+  }
+
+  // Compare attribute values
+  const oldAttributes = oldField.attribute || {};
+  const newAttributes = newField.attribute || {};
+  const attributeNames = new Set([...Object.keys(oldAttributes), ...Object.keys(newAttributes)]);
+  attributeNames.forEach(attribute => {
+    if (STRUCTURAL_ATTRIBUTES.includes(attribute)) return;
+
+    if (!(attribute in newAttributes)) {
+      changes.push({ ...base, kind: 'attribute_removed', attribute, old: oldAttributes[attribute] });
+    } else if (!(attribute in oldAttributes)) {
+      changes.push({ ...base, kind: 'attribute_added', attribute, new: newAttributes[attribute] });
+    } else if (!isEqual(oldAttributes[attribute], newAttributes[attribute])) {
+      changes.push({ ...base, kind: 'attribute_changed', attribute, old: oldAttributes[attribute], new: newAttributes[attribute] });
+    }
+  });
+
+  // Compare table columns
+  if (oldField.field === 'table' || newField.field === 'table') {
+    diffColumns(oldAttributes.columns, newAttributes.columns, { component: context.component, path }, changes);
+  }
+
+  // Recursively compare nested fields in repeaters and groups
+  diffFieldLists(getNestedFields(oldField), getNestedFields(newField), { component: context.component, path }, changes);
+}
+
+/**
+ * Compare two lists of fields by field name
+ * @param {Array} oldFields - Old field definitions
+ * @param {Array} newFields - New field definitions
+ * @param {object} context - Component keyName and parent field path
+ * @param {Array} changes - Array to collect changes
+ */
+function diffFieldLists(oldFields, newFields, context, changes) {
+  const oldByName = new Map((Array.isArray(oldFields) ? oldFields : []).map(field => [field.name, field]));
+  const newByName = new Map((Array.isArray(newFields) ? newFields : []).map(field => [field.name, field]));
+
+  oldByName.forEach((field, name) => {
+    if (!newByName.has(name)) {
+      changes.push({
+        kind: 'field_removed',
+        component: context.component,
+        location: toLocation(context.component, [...context.path, name]),
+        field: name,
+        field_type: field.field,
+        old: field
+      });
+    }
+  });
+
+  newByName.forEach((field, name) => {
+    if (!oldByName.has(name)) {
+      changes.push({
+        kind: 'field_added',
+        component: context.component,
+        location: toLocation(context.component, [...context.path, name]),
+        field: name,
+        field_type: field.field,
+        new: field
+      });
+    } else {
+      diffField(oldByName.get(name), field, context, changes);
+    }
+  });
+}
+
+/**
+ * Compare two components with the same (or renamed) keyName
+ * @param {Object} oldComponent - Old component
+ * @param {Object} newComponent - New component
+ * @param {Array} changes - Array to collect changes
+ */
+function diffComponent(oldComponent, newComponent, changes) {
+  const component = newComponent.keyName;
+
+  COMPONENT_KEYS.forEach(property => {
+    if (!isEqual(oldComponent[property], newComponent[property])) {
+      changes.push({ kind: 'component_changed', component, location: component, property, old: oldComponent[property], new: newComponent[property] });
+    }
+  });
+
+  diffFieldLists(oldComponent.fields, newComponent.fields, { component, path: [] }, changes);
+}
+
+/**
+ * Compute the structural changes between two templates
+ * @param {Object|Array} oldTemplate - Old template JSON
+ * @param {Object|Array} newTemplate - New template JSON
+ * @returns {Array} - Change list; each change has a kind, component, location and old/new values
+ */
+export function diffTemplateStructures(oldTemplate, newTemplate) {
+  const changes = [];
+
+  // Compare template root settings
+  if (!Array.isArray(oldTemplate) && !Array.isArray(newTemplate)) {
+    TEMPLATE_KEYS.forEach(key => {
+      if (!isEqual(oldTemplate?.[key], newTemplate?.[key])) {
+        changes.push({ kind: 'template_changed', component: null, location: key, property: key, old: oldTemplate?.[key], new: newTemplate?.[key] });
+      }
+    });
+  }
+
+  const oldComponents = getComponents(oldTemplate);
+  const newComponents = getComponents(newTemplate);
+  const oldByKey = new Map(oldComponents.map(component => [component.keyName, component]));
+  const newByKey = new Map(newComponents.map(component => [component.keyName, component]));
+
+  const removed = oldComponents.filter(component => !newByKey.has(component.keyName));
+  const added = newComponents.filter(component => !oldByKey.has(component.keyName));
+
+  // Pair removed and added components with similar fields as renames
+  const renamed = new Map();
+  removed.forEach(oldComponent => {
+    let best = null;
+    let bestScore = RENAME_THRESHOLD;
+    added.forEach(newComponent => {
+      if ([...renamed.values()].includes(newComponent)) return;
+      const score = componentSimilarity(oldComponent, newComponent);
+      if (score >= bestScore) {
+        best = newComponent;
+        bestScore = score;
+      }
+    });
+    if (best) {
+      renamed.set(oldComponent, best);
+    }
+  });
+
+  removed.forEach(component => {
+    if (renamed.has(component)) {
+      const newComponent = renamed.get(component);
+      changes.push({
+        kind: 'component_renamed',
+        component: newComponent.keyName,
+        location: newComponent.keyName,
+        old: component.keyName,
+        new: newComponent.keyName
+      });
+      diffComponent(component, newComponent, changes);
+    } else {
+      changes.push({ kind: 'component_removed', component: component.keyName, location: component.keyName, old: component });
+    }
+  });
+
+  added.forEach(component => {
+    if (![...renamed.values()].includes(component)) {
+      changes.push({ kind: 'component_added', component: component.keyName, location: component.keyName, new: component });
+    }
+  });
+
+  newComponents.forEach(component => {
+    if (oldByKey.has(component.keyName)) {
+      diffComponent(oldByKey.get(component.keyName), component, changes);
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Format a value for a one-line change description
+ * @param {*} value - Value to format
+ * @returns {string} - Short representation
+ */
+function formatValue(value) {
+  const text = JSON.stringify(value);
+  if (text === undefined) return 'undefined';
+  return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+}
+
+/**
+ * Describe a change in one human-readable line
+ * @param {object} change - Change from diffTemplateStructures
+ * @returns {string} - Description
+ */
+export function describeChange(change) {
+  switch (change.kind) {
+    case 'template_changed':
+      return `Template ${change.property} changed: ${formatValue(change.old)} → ${formatValue(change.new)}`;
+    case 'component_added':
+      return `Added component "${change.component}"`;
+    case 'component_removed':
+      return `Removed component "${change.component}"`;
+    case 'component_renamed':
+      return `Renamed component "${change.old}" → "${change.new}"`;
+    case 'component_changed':
+      return `Component "${change.component}" ${change.property} changed: ${formatValue(change.old)} → ${formatValue(change.new)}`;
+    case 'field_added':
+      return `Added field ${change.location} (${change.field_type})`;
+    case 'field_removed':
+      return `Removed field ${change.location} (${change.field_type})`;
+    case 'field_type_changed':
+      return `Changed type of ${change.location}: ${change.old} → ${change.new}`;
+    case 'field_label_changed':
+      return `Changed label of ${change.location}: ${formatValue(change.old)} → ${formatValue(change.new)}`;
+    case 'field_multilanguage_changed':
+      return `Changed multilanguage of ${change.location}: ${change.old} → ${change.new}`;
+    case 'attribute_added':
+      return `Added attribute ${change.attribute} to ${change.location}: ${formatValue(change.new)}`;
+    case 'attribute_removed':
+      return `Removed attribute ${change.attribute} from ${change.location}`;
+    case 'attribute_changed':
+      return `Changed attribute ${change.attribute} of ${change.location}: ${formatValue(change.old)} → ${formatValue(change.new)}`;
+    case 'column_added':
+      return `Added table column "${change.column}" to ${change.location}`;
+    case 'column_removed':
+      return `Removed table column "${change.column}" from ${change.location}`;
+    case 'column_changed':
+      return `Changed table column "${change.column}" of ${change.location}`;
+    default:
+      return `${change.kind} at ${change.location}`;
+  }
+}
+
+/**
+ * Structural template diff tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - Tool response
+ */
+export async function diffTemplates(args) {
+  const {
+    old_name,
+    old_template_json,
+    new_name,
+    new_template_json,
+    template_type = 'pages'
+  } = args;
+
+  let oldTemplate;
+  let newTemplate;
+  try {
+    oldTemplate = await resolveTemplateInput(old_name, old_template_json, template_type, 'old');
+    newTemplate = await resolveTemplateInput(new_name, new_template_json, template_type, 'new');
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ ${error.message}`
+        }
+      ]
+    };
+  }
+
+  const changes = diffTemplateStructures(oldTemplate, newTemplate);
+
+  const counts = changes.reduce((totals, change) => {
+    totals[change.kind] = (totals[change.kind] || 0) + 1;
+    return totals;
+  }, {});
+
+  const summary = changes.length === 0
+    ? 'No structural changes.'
+    : changes.map(change => `- ${describeChange(change)}`).join('\n');
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `🔍 **Template Diff** (${changes.length} changes)\n\n${summary}\n\n**Changes:**\n\`\`\`json\n${JSON.stringify({ counts, changes }, null, 2)}\n\`\`\``
+      }
+    ]
+  };
+}
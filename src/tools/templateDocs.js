@@ -0,0 +1,332 @@
+import { resolveTemplateInput } from './storage.js';
+import { getNestedFields } from './templateFields.js';
+import { resolveContentLocales } from './contentValidator.js';
+
+/**
+ * Markdown documentation for AntiCMS v3 templates
+ * Describes every component and field for editors and clients
+ */
+
+/**
+ * Field types holding nested fields or rows, documented in their own tables
+ */
+const CONTAINER_FIELD_TYPES = ['repeater', 'group', 'table'];
+
+/**
+ * Escape a value for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell text
+ */
+function toCell(value) {
+  if (value === undefined || value === null || value === '') return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+}
+
+/**
+ * Format a min/max range
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @param {string} unit - Unit (e.g. "characters", "items")
+ * @returns {string|null} - Range text or null without bounds
+ */
+function formatRange(min, max, unit) {
+  const hasMin = typeof min === 'number';
+  const hasMax = typeof max === 'number';
+  if (hasMin && hasMax) return `${min}–${max} ${unit}`;
+  if (hasMin) return `at least ${min} ${unit}`;
+  if (hasMax) return `up to ${max} ${unit}`;
+  return null;
+}
+
+/**
+ * Describe the limits of a field
+ * @param {Object} field - Field definition
+ * @returns {string} - Limits, separated by semicolons
+ */
+function describeLimits(field) {
+  const attribute = field.attribute && typeof field.attribute === 'object' ? field.attribute : {};
+  const limits = [];
+
+  switch (field.field) {
+    case 'input':
+      if (attribute.type === 'number') {
+        const range = formatRange(attribute.min, attribute.max, '');
+        limits.push(range && `value ${range.trim()}`);
+      } else {
+        limits.push(formatRange(attribute.minLength, attribute.maxLength, 'characters'));
+      }
+      break;
+
+    case 'textarea':
+    case 'texteditor':
+      limits.push(formatRange(attribute.min ?? attribute.minLength, attribute.max ?? attribute.maxLength, 'characters'));
+      break;
+
+    case 'select': {
+      const options = Array.isArray(attribute.options) ? attribute.options : [];
+      if (options.length > 0) {
+        limits.push(`options: ${options.map(option => (option && typeof option === 'object' ? `${option.label ?? option.value} (\`${option.value}\`)` : `\`${option}\``)).join(', ')}`);
+      }
+      if (attribute.multiple) limits.push('multiple');
+      break;
+    }
+
+    // Deprecated file and image fields store media values too
+    case 'media':
+    case 'file':
+    case 'image': {
+      if (Array.isArray(attribute.accept) && attribute.accept.length > 0) {
+        limits.push(`accepts ${attribute.accept.join(', ')}`);
+      }
+      const resolution = attribute.resolution;
+      if (resolution && typeof resolution === 'object') {
+        const width = formatRange(resolution.minWidth, resolution.maxWidth, 'px');
+        const height = formatRange(resolution.minHeight, resolution.maxHeight, 'px');
+        if (width) limits.push(`width ${width}`);
+        if (height) limits.push(`height ${height}`);
+      }
+      break;
+    }
+
+    case 'repeater':
+    case 'relationship':
+      limits.push(formatRange(attribute.min, attribute.max, 'items'));
+      break;
+
+    case 'post_object':
+      if (attribute.multiple) limits.push('multiple');
+      break;
+
+    default:
+      break;
+  }
+
+  return limits.filter(Boolean).join('; ');
+}
+
+/**
+ * Render the field table of a list of fields
+ * @param {Array} fields - Field definitions
+ * @returns {Array<string>} - Markdown lines
+ */
+function renderFieldTable(fields) {
+  const rows = fields
+    .filter(field => field?.name)
+    .map(field => {
+      const attribute = field.attribute && typeof field.attribute === 'object' ? field.attribute : {};
+      return `| ${toCell(field.label)} | \`${field.name}\` | ${toCell(field.field)}${field.multilanguage === true ? ' 🌐' : ''} | ${attribute.is_required === true ? 'Yes' : 'No'} | ${toCell(describeLimits(field))} | ${toCell(attribute.caption)} | ${toCell(attribute.defaultValue)} |`;
+    });
+
+  if (rows.length === 0) {
+    return ['_No fields._'];
+  }
+
+  return [
+    '| Field | Name | Type | Required | Limits | Caption | Default |',
+    '|-------|------|------|----------|--------|---------|---------|',
+    ...rows
+  ];
+}
+
+/**
+ * Render the column table of a table field
+ * @param {Array} columns - Table columns
+ * @returns {Array<string>} - Markdown lines
+ */
+function renderColumnTable(columns) {
+  const rows = columns
+    .filter(column => column?.name)
+    .map(column => `| ${toCell(column.label)} | \`${column.name}\` | ${toCell(column.type)} | ${column.is_required === true ? 'Yes' : 'No'} | ${toCell(column.placeholder)} |`);
+
+  if (rows.length === 0) {
+    return ['_No columns._'];
+  }
+
+  return [
+    '| Column | Name | Type | Required | Placeholder |',
+    '|--------|------|------|----------|-------------|',
+    ...rows
+  ];
+}
+
+/**
+ * Render the tables of repeaters, groups and table fields below their parent table
+ * @param {Array} fields - Field definitions
+ * @param {string} path - Dotted path of the parent (e.g. "section_2.image_slider")
+ * @returns {Array<string>} - Markdown lines
+ */
+function renderNestedTables(fields, path) {
+  const lines = [];
+
+  fields
+    .filter(field => field?.name && CONTAINER_FIELD_TYPES.includes(field.field))
+    .forEach(field => {
+      const fieldPath = `${path}.${field.name}`;
+      const heading = { repeater: 'repeater item fields', group: 'group fields', table: 'table columns' }[field.field];
+
+      lines.push('', `#### ${field.label || field.name} (\`${fieldPath}\`) – ${heading}`, '');
+      if (field.field === 'table') {
+        lines.push(...renderColumnTable(Array.isArray(field.attribute?.columns) ? field.attribute.columns : []));
+      } else {
+        const nestedFields = getNestedFields(field);
+        lines.push(...renderFieldTable(nestedFields));
+        lines.push(...renderNestedTables(nestedFields, fieldPath));
+      }
+    });
+
+  return lines;
+}
+
+/**
+ * Escape a label for a Mermaid node
+ * @param {string} text - Label text
+ * @returns {string} - Quoted Mermaid label
+ */
+function toMermaidLabel(text) {
+  return `"${String(text).replace(/"/g, '#quot;')}"`;
+}
+
+/**
+ * Add the container fields of a field list to a Mermaid diagram
+ * @param {Array} fields - Field definitions
+ * @param {string} parentId - Mermaid id of the parent node
+ * @param {Array<string>} lines - Diagram lines
+ */
+function addMermaidFields(fields, parentId, lines) {
+  fields
+    .filter(field => field?.name && CONTAINER_FIELD_TYPES.includes(field.field))
+    .forEach((field, index) => {
+      const id = `${parentId}_${index + 1}`;
+      const nestedCount = field.field === 'table'
+        ? (Array.isArray(field.attribute?.columns) ? field.attribute.columns.length : 0)
+        : getNestedFields(field).length;
+      const unit = field.field === 'table' ? 'columns' : 'fields';
+
+      lines.push(`  ${parentId} --> ${id}[${toMermaidLabel(`${field.label || field.name}<br/>${field.field}, ${nestedCount} ${unit}`)}]`);
+      if (field.field !== 'table') {
+        addMermaidFields(getNestedFields(field), id, lines);
+      }
+    });
+}
+
+/**
+ * Render a Mermaid diagram of the component structure
+ * Components are shown in section order with their repeaters, groups and tables
+ * @param {string} title - Template label
+ * @param {Array} components - Components in section order
+ * @returns {Array<string>} - Markdown lines
+ */
+function renderMermaidDiagram(title, components) {
+  const lines = ['```mermaid', 'flowchart TD', `  template[${toMermaidLabel(title)}]`];
+
+  components.forEach((component, index) => {
+    const id = `c${index + 1}`;
+    const fieldCount = Array.isArray(component.fields) ? component.fields.length : 0;
+    lines.push(`  template --> ${id}[${toMermaidLabel(`${component.section ?? index + 1}. ${component.label || component.keyName}<br/>${component.keyName}, ${fieldCount} fields`)}]`);
+    addMermaidFields(component.fields || [], id, lines);
+  });
+
+  lines.push('```');
+  return lines;
+}
+
+/**
+ * Render Markdown documentation for a template
+ * @param {Object|Array} template - Template JSON
+ * @param {object} options - Rendering options
+ * @param {string} options.name - Template name (default: template name)
+ * @param {string} options.templateType - Template type shown in the overview
+ * @param {boolean} options.includeDiagram - Include the Mermaid structure diagram
+ * @returns {string} - Markdown document
+ */
+export function renderTemplateMarkdown(template, options = {}) {
+  const { templateType, includeDiagram = true } = options;
+  const isArray = Array.isArray(template);
+  const name = options.name || (!isArray && template?.name) || 'template';
+  const title = (!isArray && template?.label) || name;
+
+  // Components in section order; unnumbered ones keep their position at the end
+  const components = (isArray ? template : (template?.components || []))
+    .filter(component => component && typeof component === 'object')
+    .map((component, index) => ({ component, index, section: parseInt(component.section, 10) }))
+    .sort((a, b) => (isNaN(a.section) ? Infinity : a.section) - (isNaN(b.section) ? Infinity : b.section) || a.index - b.index)
+    .map(entry => entry.component);
+
+  const lines = [`# ${title}`, ''];
+  if (!isArray && template?.description) {
+    lines.push(template.description, '');
+  }
+
+  lines.push(
+    '| Setting | Value |',
+    '|---------|-------|',
+    `| Name | \`${name}\` |`,
+    ...(templateType ? [`| Type | ${templateType} |`] : []),
+    ...(!isArray ? [
+      `| Content template | ${template?.is_content ? 'Yes' : 'No'} |`,
+      `| Multiple instances | ${template?.is_multiple ? 'Yes' : 'No'} |`,
+      `| Multilanguage | ${template?.multilanguage ? `Yes (${resolveContentLocales(template).join(', ')})` : 'No'} |`
+    ] : []),
+    `| Components | ${components.length} |`,
+    ''
+  );
+
+  if (includeDiagram && components.length > 0) {
+    lines.push('## Structure', '', ...renderMermaidDiagram(title, components), '');
+  }
+
+  lines.push('## Components', '');
+  if (components.length === 0) {
+    lines.push('_This template has no components._', '');
+  } else {
+    lines.push(
+      '| Section | Component | keyName | Block | Fields |',
+      '|---------|-----------|---------|-------|--------|',
+      ...components.map(component => `| ${toCell(component.section)} | ${toCell(component.label)} | \`${component.keyName}\` | ${toCell(component.block)} | ${Array.isArray(component.fields) ? component.fields.length : 0} |`),
+      ''
+    );
+  }
+
+  components.forEach(component => {
+    const fields = Array.isArray(component.fields) ? component.fields : [];
+    lines.push(`## ${component.section ?? '?'}. ${component.label || component.keyName} (\`${component.keyName}\`)`, '');
+    lines.push(...renderFieldTable(fields));
+    lines.push(...renderNestedTables(fields, component.keyName));
+    lines.push('');
+  });
+
+  lines.push('_🌐 multilanguage field: one value per locale._', '');
+  return lines.join('\n');
+}
+
+/**
+ * Template documentation tool handler
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} - Tool response
+ */
+export async function documentTemplate(args) {
+  const { name, template_json, template_type = 'pages', include_diagram = true } = args;
+
+  let template;
+  try {
+    template = await resolveTemplateInput(name, template_json, template_type);
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `❌ ${error.message}` }]
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: renderTemplateMarkdown(template, {
+          name,
+          templateType: template_json === undefined ? template_type : undefined,
+          includeDiagram: include_diagram
+        })
+      }
+    ]
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Field helpers shared by the template tools
+ * Kept free of other tool imports, so any tool module can use them without an import cycle
+ */
+
+/**
+ * Get the nested field definitions of a repeater or group field
+ * @param {Object} field - Field definition
+ * @returns {Array} - Nested fields, or an empty array for other field types
+ */
+export function getNestedFields(field) {
+  if (field && (field.field === 'repeater' || field.field === 'group') && Array.isArray(field.attribute?.fields)) {
+    return field.attribute.fields;
+  }
+  return [];
+}
+
+/**
+ * Append reference tokens to a JSON Pointer (RFC 6901), escaping "~" and "/"
+ * @param {string} pointer - Base pointer ('' for the document root)
+ * @param {...(string|number)} tokens - Reference tokens to append
+ * @returns {string} - Extended JSON Pointer
+ */
+export function appendPointer(pointer, ...tokens) {
+  return pointer + tokens
+    .map(token => `/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+}
+
+/**
+ * Record a validation issue at a JSON Pointer location
+ * @param {Array} issues - Array of errors or warnings
+ * @param {string} path - JSON Pointer to the offending node
+ * @param {string} message - Issue description
+ */
+export function addIssue(issues, path, message) {
+  issues.push({ path, message });
+}
+
+/**
+ * Make a label safe to place inside a generated source comment
+ * A comment terminator in the label would end the comment early, and line breaks would leave the comment line
+ * @param {string} text - Comment text
+ * @returns {string} - Escaped comment text
+ */
+export function toCommentText(text) {
+  return String(text).replace(/\*\//g, '*\\/').replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+/**
+ * Media accept categories used by the media field type
+ */
+export const MEDIA_CATEGORIES = ['image', 'video', 'audio', 'document'];
+
+/**
+ * File extensions by media category
+ */
+const MEDIA_EXTENSIONS = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp', 'avif'],
+  video: ['mp4', 'webm', 'mov', 'avi', 'mkv'],
+  audio: ['mp3', 'wav', 'ogg', 'aac', 'flac'],
+  document: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'csv', 'zip']
+};
+
+/**
+ * Get the media category of a MIME type, file extension, file name or URL
+ * @param {string} value - MIME type (image/png), extension (.png, png), file name or URL
+ * @returns {string|null} - image, video, audio or document, or null when unknown
+ */
+export function getMediaCategory(value) {
+  if (typeof value !== 'string') return null;
+  const normalized = value.trim().toLowerCase();
+
+  if (MEDIA_CATEGORIES.includes(normalized)) return normalized;
+
+  const mimeMatch = normalized.match(/^([a-z]+)\/[a-z0-9.+*-]+$/);
+  if (mimeMatch) {
+    return ['image', 'video', 'audio'].includes(mimeMatch[1]) ? mimeMatch[1] : 'document';
+  }
+
+  // Take the extension of a bare extension, file name or URL path
+  const extension = normalized.split(/[?#]/)[0].split('.').pop().replace(/^\./, '');
+  const category = Object.keys(MEDIA_EXTENSIONS).find(key => MEDIA_EXTENSIONS[key].includes(extension));
+  return category || null;
+}
+
+/**
+ * Convert the accept attribute of a deprecated file/image field to media categories
+ * MIME types and file extensions are mapped to image, video, audio or document
+ * @param {string|Array} accept - Original accept value
+ * @param {string} fieldType - Deprecated field type
+ * @returns {Array|null} - Media accept categories, or null when no conversion is needed
+ */
+export function toMediaAccept(accept, fieldType) {
+  if (accept === undefined || accept === null) {
+    return fieldType === 'image' ? ['image'] : null;
+  }
+
+  const values = (Array.isArray(accept) ? accept : String(accept).split(','))
+    .map(value => String(value).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (values.length > 0 && values.every(value => MEDIA_CATEGORIES.includes(value))) {
+    return Array.isArray(accept) ? null : values;
+  }
+
+  const categories = values.map(value => getMediaCategory(value) || 'document');
+
+  return [...new Set(categories.length > 0 ? categories : [fieldType === 'image' ? 'image' : 'document'])];
+}
@@ -1,11 +1,43 @@
+import {
+  writeStoredTemplate,
+  storedTemplateExists,
+  readStoredTemplateText,
+  findAvailableTemplateName,
+  resolveTemplatePath,
+  resolveSeedContentPath,
+  writeSeedContent,
+  resolveWorkingPath,
+  toRelativePath
+} from './storage.js';
+import { createUnifiedDiff } from './textDiff.js';
+import { getNestedFields, appendPointer, addIssue, getMediaCategory, toMediaAccept } from './templateFields.js';
+import { resolveContentLocales, validateContentAgainstTemplate } from './contentValidator.js';
+import { parseFigmaHTMLTree, findFigmaNodes, getFigmaTextContent, pickFigmaAttributes } from './figmaHtmlParser.js';
+import {
+  selectFigmaFileFrame,
+  getVisibleFigmaChildren,
+  isFigmaNodeVisible,
+  isFigmaContainerNode,
+  hasFigmaImageFill,
+  findRepeatedFigmaChildren
+} from './figmaFile.js';
+import { figmaMetadataSchema } from './figmaMetadataSchema.js';
+
 // Field type definitions cache
 let FIELD_TYPES_CACHE = null;
 
+/**
+ * Clear the field type definitions cache so the next load re-reads data/field-types
+ */
+export function clearFieldTypesCache() {
+  FIELD_TYPES_CACHE = null;
+}
+
 /**
  * Load field types dynamically from data/field-types directory
  * @returns {Promise<Object>} Field types configuration
  */
-async function loadFieldTypes() {
+export async function loadFieldTypes() {
   if (FIELD_TYPES_CACHE) {
     return FIELD_TYPES_CACHE;
   }
@@ -59,79 +91,249 @@ async function loadFieldTypes() {
 }
 
 /**
- * Recursively validate nested fields in repeaters and groups
+ * Load recommended replacements for deprecated field types from data/field-types/index.json
+ * @returns {Promise<Object>} - Replacement field type by deprecated field type
+ */
+async function loadFieldTypeReplacements() {
+  try {
+    const fs = await import('fs/promises');
+    const path = await import('path');
+
+    const indexPath = path.join(process.cwd(), 'data', 'field-types', 'index.json');
+    const indexData = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+    return indexData.recommended_replacements || {};
+  } catch (error) {
+    console.error('Failed to load field type replacements:', error);
+    return { file: 'media', image: 'media' };
+  }
+}
+
+/**
+ * Get the JSON type name of a value for attribute validation
+ * @param {*} value - Value to inspect
+ * @returns {string} - 'array', 'null' or the typeof result
+ */
+function getValueType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validate a value against an attribute property definition from data/field-types
+ * Checks the declared type, allowed values, nested object properties and array items
+ * @param {*} value - Attribute value
+ * @param {Object} definition - Property definition (type, options, enum, properties, items)
+ * @param {string} attrName - Attribute name for messages (e.g. accept[0], resolution.minWidth)
+ * @param {string} attrPath - JSON Pointer to the value
+ * @param {Array} errors - Array to collect errors
+ * @param {Array} warnings - Array to collect warnings
+ */
+function validateAttributeValue(value, definition, attrName, attrPath, errors, warnings) {
+  // null means "not set" for optional attributes such as value
+  if (value === null || value === undefined || !definition) return;
+
+  const valueType = getValueType(value);
+  if (definition.type && definition.type !== valueType) {
+    addIssue(errors, attrPath, `Attribute ${attrName} must be of type ${definition.type}, got ${valueType}`);
+    return;
+  }
+
+  const allowedValues = definition.options || definition.enum;
+  if (Array.isArray(allowedValues) && !allowedValues.includes(value)) {
+    addIssue(errors, attrPath, `Attribute ${attrName} has invalid value: ${JSON.stringify(value)}. Allowed values: ${allowedValues.join(', ')}`);
+  }
+
+  if (valueType === 'object' && definition.properties) {
+    Object.entries(value).forEach(([key, nestedValue]) => {
+      if (!(key in definition.properties)) {
+        addIssue(warnings, appendPointer(attrPath, key), `Attribute ${attrName} has unknown property: ${key}`);
+      } else {
+        validateAttributeValue(nestedValue, definition.properties[key], `${attrName}.${key}`, appendPointer(attrPath, key), errors, warnings);
+      }
+    });
+    validateAttributeRanges(value, attrName, attrPath, errors);
+  }
+
+  if (valueType === 'array' && definition.items) {
+    value.forEach((item, index) => {
+      validateAttributeValue(item, definition.items, `${attrName}[${index}]`, appendPointer(attrPath, index), errors, warnings);
+    });
+  }
+}
+
+/**
+ * Validate that paired min/max constraints are ordered (min <= max)
+ * Lengths, dimensions and item counts must not be negative; min/max of number inputs bound
+ * the value itself and may be
+ * @param {Object} values - Attribute object (or nested object such as resolution)
+ * @param {string} name - Name of the object for messages
+ * @param {string} path - JSON Pointer to the object
+ * @param {Array} errors - Array to collect errors
+ * @param {boolean} signedValueRange - Whether min/max bound a (possibly negative) number value
+ */
+function validateAttributeRanges(values, name, path, errors, signedValueRange = false) {
+  const ranges = [
+    ['min', 'max'],
+    ['minLength', 'maxLength'],
+    ['minWidth', 'maxWidth'],
+    ['minHeight', 'maxHeight']
+  ];
+
+  ranges.forEach(([minKey, maxKey]) => {
+    const minValue = values[minKey];
+    const maxValue = values[maxKey];
+    if (typeof minValue === 'number' && typeof maxValue === 'number' && minValue > maxValue) {
+      addIssue(errors, appendPointer(path, minKey), `${name} ${minKey} (${minValue}) must not be greater than ${maxKey} (${maxValue})`);
+    }
+    if (signedValueRange && minKey === 'min') return;
+    [[minKey, minValue], [maxKey, maxValue]].forEach(([key, value]) => {
+      if (typeof value === 'number' && value < 0) {
+        addIssue(errors, appendPointer(path, key), `${name} ${key} must not be negative, got ${value}`);
+      }
+    });
+  });
+}
+
+/**
+ * Validate every attribute of a field against its field type attribute_properties
+ * Unknown attributes are reported as warnings, wrong types and values as errors
+ * @param {Object} field - Field definition
+ * @param {Object} fieldConfig - Field type configuration
+ * @param {string} fieldPath - JSON Pointer to the field
+ * @param {Array} errors - Array to collect errors
+ * @param {Array} warnings - Array to collect warnings
+ */
+function validateFieldAttributes(field, fieldConfig, fieldPath, errors, warnings) {
+  const attributeProperties = fieldConfig?.properties?.attribute_properties;
+  if (!field.attribute || !attributeProperties) return;
+
+  const attributePath = appendPointer(fieldPath, 'attribute');
+  if (getValueType(field.attribute) !== 'object') {
+    addIssue(errors, attributePath, `${field.field} attribute must be an object`);
+    return;
+  }
+
+  Object.entries(field.attribute).forEach(([attr, value]) => {
+    const attrPath = appendPointer(attributePath, attr);
+    const definition = attributeProperties[attr];
+
+    if (!definition) {
+      addIssue(warnings, attrPath, `Attribute ${attr} is not a known ${field.field} attribute`);
+      return;
+    }
+
+    // Nested fields and table columns have their own validation
+    if (attr === 'fields' || attr === 'columns') {
+      if (getValueType(value) !== 'array') {
+        addIssue(errors, attrPath, `Attribute ${attr} must be of type array, got ${getValueType(value)}`);
+      }
+      return;
+    }
+
+    validateAttributeValue(value, definition, attr, attrPath, errors, warnings);
+  });
+
+  validateAttributeRanges(field.attribute, `${field.field} attribute`, attributePath, errors, field.field === 'input');
+}
+
+/**
+ * Validate the columns of a table field
+ * @param {Object} field - Table field definition
+ * @param {string} fieldPath - JSON Pointer to the field
+ * @param {Array} errors - Array to collect errors
+ */
+function validateTableColumns(field, fieldPath, errors) {
+  const columns = field.attribute?.columns;
+  if (!Array.isArray(columns)) return;
+
+  const validColumnTypes = ['text', 'textarea', 'number', 'email', 'url'];
+  columns.forEach((column, colIndex) => {
+    const colPath = appendPointer(fieldPath, 'attribute', 'columns', colIndex);
+
+    if (!column || typeof column !== 'object') {
+      addIssue(errors, colPath, 'Table column must be an object');
+      return;
+    }
+
+    ['label', 'name', 'type'].forEach(key => {
+      if (!(key in column)) {
+        addIssue(errors, colPath, `Table column missing required key: ${key}`);
+      }
+    });
+
+    if (column.type && !validColumnTypes.includes(column.type)) {
+      addIssue(errors, appendPointer(colPath, 'type'), `Invalid column type: ${column.type}. Valid types: ${validColumnTypes.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Recursively validate fields, including nested fields in repeaters and groups
  * @param {Array} fields - Array of field definitions to validate
- * @param {string} parentPath - Path to parent field for error reporting
+ * @param {string} parentPath - JSON Pointer to the fields array
  * @param {Array} errors - Array to collect errors
  * @param {Object} fieldTypes - Field types configuration
+ * @param {Array} warnings - Array to collect warnings
  */
-function validateNestedFields(fields, parentPath, errors, fieldTypes) {
+function validateNestedFields(fields, parentPath, errors, fieldTypes, warnings = []) {
   if (!Array.isArray(fields)) return;
-  
+
   fields.forEach((field, fieldIndex) => {
-    const fieldPath = `${parentPath}, field ${fieldIndex + 1}`;
-    
+    const fieldPath = appendPointer(parentPath, fieldIndex);
+
+    if (!field || typeof field !== 'object' || Array.isArray(field)) {
+      addIssue(errors, fieldPath, 'Field must be an object');
+      return;
+    }
+
     // Validate basic field structure
     const requiredFieldKeys = ['name', 'label', 'field'];
     requiredFieldKeys.forEach(key => {
       if (!(key in field)) {
-        errors.push(`${fieldPath} missing required key: ${key}`);
+        addIssue(errors, fieldPath, `Field missing required key: ${key}`);
       }
     });
 
+    if (!field.field) return;
+
     // Validate field type
-    if (field.field && !fieldTypes[field.field]) {
-      errors.push(`${fieldPath} has unsupported field type: ${field.field}`);
-    } else if (field.field) {
-      // Check required attributes based on field type properties
-      const fieldConfig = fieldTypes[field.field];
-      if (fieldConfig && fieldConfig.properties && fieldConfig.properties.attribute_properties) {
-        const requiredAttrs = Object.entries(fieldConfig.properties.attribute_properties)
-          .filter(([_, prop]) => prop.required)
-          .map(([name, _]) => name);
-        
-        if (requiredAttrs.length > 0 && !field.attribute) {
-          errors.push(`${fieldPath} (${field.field}) missing required attribute object`);
-        } else if (field.attribute) {
-          requiredAttrs.forEach(attr => {
-            if (!(attr in field.attribute)) {
-              errors.push(`${fieldPath} (${field.field}) missing required attribute: ${attr}`);
-            }
-          });
-        }
-      }
-      
-      // Special validation for table fields and their columns
-      if (field.field === 'table' && field.attribute && field.attribute.columns) {
-        if (!Array.isArray(field.attribute.columns)) {
-          errors.push(`${fieldPath} (table) columns must be an array`);
-        } else {
-          field.attribute.columns.forEach((column, colIndex) => {
-            const colPath = `${fieldPath} (table), column ${colIndex + 1}`;
-            const requiredColumnKeys = ['label', 'name', 'type'];
-            
-            requiredColumnKeys.forEach(key => {
-              if (!(key in column)) {
-                errors.push(`${colPath} missing required key: ${key}`);
-              }
-            });
-              
-              // Validate column types
-              const validColumnTypes = ['text', 'textarea', 'number', 'email', 'url'];
-              if (column.type && !validColumnTypes.includes(column.type)) {
-                errors.push(`${colPath} has invalid column type: ${column.type}. Valid types: ${validColumnTypes.join(', ')}`);
-              }
-            });
+    const fieldConfig = fieldTypes[field.field];
+    if (!fieldConfig) {
+      addIssue(errors, appendPointer(fieldPath, 'field'), `Unsupported field type: ${field.field}`);
+      return;
+    }
+
+    // Check required attributes based on field type properties
+    const attributeProperties = fieldConfig.properties?.attribute_properties;
+    if (attributeProperties) {
+      const requiredAttrs = Object.entries(attributeProperties)
+        .filter(([_, prop]) => prop.required)
+        .map(([name, _]) => name);
+
+      if (requiredAttrs.length > 0 && !field.attribute) {
+        addIssue(errors, fieldPath, `${field.field} field missing required attribute object`);
+      } else if (field.attribute) {
+        requiredAttrs.forEach(attr => {
+          if (!(attr in field.attribute)) {
+            addIssue(errors, appendPointer(fieldPath, 'attribute'), `${field.field} field missing required attribute: ${attr}`);
           }
-        }
-        
-        // Recursively validate nested fields in repeaters and groups
-        if ((field.field === 'repeater' || field.field === 'group') && field.attribute.fields) {
-          validateNestedFields(field.attribute.fields, `${fieldPath} (${field.field})`, errors, fieldTypes);
-        }
+        });
       }
     }
-  )
+
+    // Validate attribute values against attribute_properties
+    validateFieldAttributes(field, fieldConfig, fieldPath, errors, warnings);
+
+    if (field.field === 'table') {
+      validateTableColumns(field, fieldPath, errors);
+    }
+
+    // Recursively validate nested fields in repeaters and groups
+    if (getNestedFields(field).length > 0) {
+      validateNestedFields(getNestedFields(field), appendPointer(fieldPath, 'attribute', 'fields'), errors, fieldTypes, warnings);
+    }
+  });
 }
 
 /**
@@ -148,6 +350,19 @@ function toSnakeCase(str) {
     .replace(/_+/g, '_');           // Replace multiple underscores with single
 }
 
+/**
+ * Sanitize a field name to the characters AntiCMS accepts (lowercase letters, digits, underscores)
+ * @param {string} name - Field name
+ * @returns {string} - Sanitized field name (may be empty)
+ */
+function sanitizeFieldName(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9_]/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
 /**
  * Convert string to PascalCase format
  * @param {string} str - String to convert
@@ -210,11 +425,7 @@ export class AntiCMSComponentGenerator {
     }
     
     // Sanitize field name to be compatible with AntiCMS
-    const sanitizedName = name
-      .toLowerCase()
-      .replace(/[^a-z0-9_]/g, '_')
-      .replace(/_+/g, '_')
-      .replace(/^_|_$/g, '');
+    const sanitizedName = sanitizeFieldName(name);
     
     if (!sanitizedName) {
       throw new Error(`Invalid field name: "${name}" - cannot be sanitized to valid format`);
@@ -806,9 +1017,9 @@ export class AntiCMSComponentGenerator {
         );
         
         if (hasPostRelatedField || hasCollectionKeywords) {
-          console.log(`[isPostCollectionSection] Detected post collection via analysis: ${sectionType}`);
-          console.log(`[isPostCollectionSection] detected_fields: [${analysis.detected_fields.join(', ')}]`);
-          console.log(`[isPostCollectionSection] identified_field_types: [${analysis.identified_field_types.join(', ')}]`);
+          console.error(`[isPostCollectionSection] Detected post collection via analysis: ${sectionType}`);
+          console.error(`[isPostCollectionSection] detected_fields: [${analysis.detected_fields.join(', ')}]`);
+          console.error(`[isPostCollectionSection] identified_field_types: [${analysis.identified_field_types.join(', ')}]`);
           return true;
         }
       } else {
@@ -829,7 +1040,7 @@ export class AntiCMSComponentGenerator {
     const hasPatternMatch = postCollectionPatterns.some(pattern => normalizedType.includes(pattern));
     
     if (hasPatternMatch) {
-      console.log(`[isPostCollectionSection] Detected post collection via pattern: ${sectionType}`);
+      console.error(`[isPostCollectionSection] Detected post collection via pattern: ${sectionType}`);
     }
     
     return hasPatternMatch;
@@ -996,7 +1207,7 @@ export class AntiCMSComponentGenerator {
         if (postRelatedField) {
           fieldName = postRelatedField.fieldName;
           fieldLabel = postRelatedField.fieldName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-          console.log(`[generateCustomSection] Using field name from analysis: ${fieldName}`);
+          console.error(`[generateCustomSection] Using field name from analysis: ${fieldName}`);
         } else {
           fieldName = this.determineFieldName(sectionType);
           fieldLabel = this.determineFieldLabel(sectionType);
@@ -1723,32 +1934,56 @@ function extractAttributesFromMetadata(node) {
   return attributes;
 }
 
+/**
+ * Element types marked by Figma data attributes (data-figma-text="true", ...)
+ */
+const FIGMA_MARKED_ELEMENT_TYPES = ['text', 'button', 'image', 'input', 'textarea'];
+
+/**
+ * Tags holding a single piece of copy in Figma Dev Mode output
+ */
+const FIGMA_TEXT_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'span', 'label', 'li', 'blockquote', 'strong', 'em', 'small'];
+
 /**
  * Parse Figma HTML code to extract sections and content
- * @param {string} code - Figma HTML code
+ * Sections come from data-figma-group elements; without them, the named layers
+ * (data-name) directly inside the frame become sections
+ * @param {string} code - Figma HTML/JSX code
  * @returns {Array} - Parsed HTML sections
  */
-function parseFigmaHTML(code) {
+export function parseFigmaHTML(code) {
   const sections = [];
   
   try {
-    // Use regex to extract figma groups (sections)
-    const groupMatches = code.match(/<div[^>]*data-figma-group="true"[^>]*>([\s\S]*?)<\/div>/gi);
+    const tree = parseFigmaHTMLTree(code);
+    const frame = findFigmaNodes(tree, node => node.attributes['data-figma-frame'] === 'true', { descendIntoMatches: false })[0];
     
-    if (groupMatches) {
-      groupMatches.forEach(groupMatch => {
-        const section = parseFigmaGroup(groupMatch);
-        if (section) {
-          sections.push(section);
-        }
-      });
+    // Figma groups (sections), including groups nested in other groups
+    const groups = findFigmaNodes(tree, node => node.attributes['data-figma-group'] === 'true');
+    groups.forEach(group => {
+      const section = parseFigmaGroup(group);
+      if (section) {
+        sections.push(section);
+      }
+    });
+    
+    if (groups.length === 0) {
+      // Dev Mode output: the named layers of the frame (or of the single top-level layer) are the sections
+      const topLevel = tree.children.filter(child => child.type === 'element');
+      const container = frame || (topLevel.length === 1 ? topLevel[0] : tree);
+      container.children
+        .filter(child => child.type === 'element' && child.layerName)
+        .forEach(layer => {
+          const section = parseFigmaGroup(layer);
+          if (section && section.elements.length > 0) {
+            sections.push({ ...section, type: 'layer' });
+          }
+        });
     }
     
     // Also look for direct sections in the main frame
-    const frameMatch = code.match(/<div[^>]*data-figma-frame="true"[^>]*>([\s\S]*?)<\/div>/i);
-    if (frameMatch) {
-      const frameContent = frameMatch[1];
-      const frameSections = parseFigmaFrameContent(frameContent);
+    if (frame) {
+      const frameSections = parseFigmaFrameContent(frame);
       sections.push(...frameSections);
     }
     
@@ -1761,25 +1996,25 @@ function parseFigmaHTML(code) {
 
 /**
  * Parse a Figma group to extract section data
- * @param {string} groupHTML - Group HTML content
+ * @param {object} groupNode - Group element node
  * @returns {object|null} - Parsed section or null
  */
-function parseFigmaGroup(groupHTML) {
+function parseFigmaGroup(groupNode) {
   try {
     // Extract group name
-    const nameMatch = groupHTML.match(/data-figma-group-name="([^"]*)"/);
-    if (!nameMatch) return null;
-    
-    const groupName = nameMatch[1];
+    const groupName = groupNode.layerName;
+    if (!groupName) return null;
     
     // Extract elements from group content
-    const elements = extractElementsFromGroup(groupHTML);
+    const elements = extractElementsFromGroup(groupNode);
     
     return {
       name: groupName.toLowerCase().replace(/\s+/g, '_'),
       originalName: groupName,
       elements: elements,
-      type: 'group'
+      type: 'group',
+      depth: groupNode.depth,
+      path: groupNode.path.join(' > ')
     };
     
   } catch (error) {
@@ -1790,13 +2025,18 @@ function parseFigmaGroup(groupHTML) {
 
 /**
  * Parse Figma frame content to extract sections
- * @param {string} frameContent - Frame HTML content
+ * @param {object} frameNode - Frame element node
  * @returns {Array} - Parsed sections
  */
-function parseFigmaFrameContent(frameContent) {
+function parseFigmaFrameContent(frameNode) {
   const sections = [];
   
-  // Look for major sections by analyzing the structure
+  // Look for major sections in the copy and layer names of the frame
+  const frameContent = [
+    getFigmaTextContent(frameNode),
+    ...findFigmaNodes(frameNode, node => Boolean(node.layerName)).map(node => node.layerName)
+  ].join(' ');
+  
   const sectionPatterns = [
     { pattern: /header/i, name: 'header' },
     { pattern: /hero/i, name: 'hero' },
@@ -1810,7 +2050,7 @@ function parseFigmaFrameContent(frameContent) {
   
   sectionPatterns.forEach(({ pattern, name }) => {
     if (pattern.test(frameContent)) {
-      const sectionElements = extractElementsFromSection(frameContent, name);
+      const sectionElements = extractElementsFromSection(frameNode, name);
       if (sectionElements.length > 0) {
         sections.push({
           name: name,
@@ -1826,144 +2066,125 @@ function parseFigmaFrameContent(frameContent) {
 }
 
 /**
- * Extract elements from a Figma group
- * @param {string} groupHTML - Group HTML content
+ * Determine the element type of a Figma node
+ * Figma data attributes take precedence over the tag
+ * @param {object} node - Element node
+ * @returns {string|null} - Element type or null for containers
+ */
+function getFigmaElementType(node) {
+  const markedType = FIGMA_MARKED_ELEMENT_TYPES.find(type => node.attributes[`data-figma-${type}`] === 'true');
+  if (markedType) return markedType;
+  
+  const tag = node.tag.toLowerCase();
+  if (tag === 'img') return 'image';
+  if (tag === 'button' || tag === 'a') return 'button';
+  if (tag === 'input' || tag === 'select') return 'input';
+  if (tag === 'textarea') return 'textarea';
+  if (FIGMA_TEXT_TAGS.includes(tag)) return 'text';
+  
+  // A layer holding only copy is a text element
+  const hasOnlyText = node.children.length > 0 && node.children.every(child => child.type === 'text');
+  return hasOnlyText ? 'text' : null;
+}
+
+/**
+ * Build an element from a Figma node
+ * @param {object} node - Element node
+ * @param {string} type - Element type
+ * @param {string|null} layerName - Name of the nearest named layer around the node
+ * @returns {object|null} - Element, or null when a text-like element has no copy
+ */
+function createFigmaElement(node, type, layerName = null) {
+  const { src, placeholder } = node.attributes;
+  let content = getFigmaTextContent(node);
+  if (type === 'image') {
+    // JSX sources ({imgHero}) are variables, not URLs
+    content = typeof src === 'string' && !src.startsWith('{') ? src : '';
+  } else if (!content && (type === 'input' || type === 'textarea') && typeof placeholder === 'string') {
+    content = placeholder;
+  }
+  if (type !== 'image' && !content) return null;
+  
+  const elementName = node.layerName || layerName || type;
+  const roles = {
+    text: () => determineTextRole(content, elementName),
+    button: () => determineButtonRole(content, elementName),
+    image: () => 'image',
+    input: () => determineInputRole(content, elementName),
+    textarea: () => 'textarea'
+  };
+  const attributeExtractors = {
+    text: extractTextAttributes,
+    button: extractButtonAttributes,
+    image: extractImageAttributes,
+    input: extractInputAttributes,
+    textarea: extractTextareaAttributes
+  };
+  
+  return {
+    type,
+    content,
+    name: elementName,
+    role: roles[type](),
+    attributes: attributeExtractors[type](node),
+    depth: node.depth,
+    path: node.path.join(' > ')
+  };
+}
+
+/**
+ * Extract elements from a Figma group, in document order
+ * Containers are walked recursively; unnamed elements take the name of the nearest named layer
+ * (Dev Mode puts data-name on the wrapper, e.g. <div data-name="title"><p>...</p></div>)
+ * @param {object} groupNode - Group element node
+ * @param {string|null} layerName - Name of the nearest named layer below the section
  * @returns {Array} - Extracted elements
  */
-function extractElementsFromGroup(groupHTML) {
+function extractElementsFromGroup(groupNode, layerName = null) {
   const elements = [];
   
-  // Extract text elements
-  const textMatches = groupHTML.match(/<div[^>]*data-figma-text="true"[^>]*>([^<]*)<\/div>/gi);
-  if (textMatches) {
-    textMatches.forEach(match => {
-      const textContent = match.replace(/<[^>]*>/g, '').trim();
-      if (textContent) {
-        const nameMatch = match.match(/data-figma-text-name="([^"]*)"/);
-        const elementName = nameMatch ? nameMatch[1] : 'text';
-        
-        elements.push({
-          type: 'text',
-          content: textContent,
-          name: elementName,
-          role: determineTextRole(textContent, elementName),
-          attributes: extractTextAttributes(match)
-        });
-      }
-    });
-  }
-  
-  // Extract button elements
-  const buttonMatches = groupHTML.match(/<div[^>]*data-figma-button="true"[^>]*>([^<]*)<\/div>/gi);
-  if (buttonMatches) {
-    buttonMatches.forEach(match => {
-      const buttonContent = match.replace(/<[^>]*>/g, '').trim();
-      if (buttonContent) {
-        const nameMatch = match.match(/data-figma-button-name="([^"]*)"/);
-        const elementName = nameMatch ? nameMatch[1] : 'button';
-        
-        elements.push({
-          type: 'button',
-          content: buttonContent,
-          name: elementName,
-          role: determineButtonRole(buttonContent, elementName),
-          attributes: extractButtonAttributes(match)
-        });
-      }
-    });
-  }
-  
-  // Extract image elements
-  const imageMatches = groupHTML.match(/<div[^>]*data-figma-image="true"[^>]*>/gi);
-  if (imageMatches) {
-    imageMatches.forEach(match => {
-      const nameMatch = match.match(/data-figma-image-name="([^"]*)"/);
-      const elementName = nameMatch ? nameMatch[1] : 'image';
-      
+  groupNode.children.forEach(child => {
+    if (child.type === 'text') {
       elements.push({
-        type: 'image',
-        content: '',
-        name: elementName,
-        role: 'image',
-        attributes: extractImageAttributes(match)
+        type: 'text',
+        content: child.text,
+        name: layerName || 'text',
+        role: determineTextRole(child.text, layerName || ''),
+        attributes: {},
+        depth: child.depth,
+        path: child.path.join(' > ')
       });
-    });
-  }
-  
-  // Extract input elements
-  const inputMatches = groupHTML.match(/<div[^>]*data-figma-input="true"[^>]*>([^<]*)<\/div>/gi);
-  if (inputMatches) {
-    inputMatches.forEach(match => {
-      const inputContent = match.replace(/<[^>]*>/g, '').trim();
-      if (inputContent) {
-        const nameMatch = match.match(/data-figma-input-name="([^"]*)"/);
-        const elementName = nameMatch ? nameMatch[1] : 'input';
-        
-        elements.push({
-          type: 'input',
-          content: inputContent,
-          name: elementName,
-          role: determineInputRole(inputContent, elementName),
-          attributes: extractInputAttributes(match)
-        });
-      }
-    });
-  }
-  
-  // Extract textarea elements
-  const textareaMatches = groupHTML.match(/<div[^>]*data-figma-textarea="true"[^>]*>([^<]*)<\/div>/gi);
-  if (textareaMatches) {
-    textareaMatches.forEach(match => {
-      const textareaContent = match.replace(/<[^>]*>/g, '').trim();
-      if (textareaContent) {
-        const nameMatch = match.match(/data-figma-textarea-name="([^"]*)"/);
-        const elementName = nameMatch ? nameMatch[1] : 'textarea';
-        
-        elements.push({
-          type: 'textarea',
-          content: textareaContent,
-          name: elementName,
-          role: 'textarea',
-          attributes: extractTextareaAttributes(match)
-        });
-      }
-    });
-  }
+      return;
+    }
+    
+    // Nested groups are sections of their own
+    if (child.attributes['data-figma-group'] === 'true') return;
+    
+    const type = getFigmaElementType(child);
+    if (!type) {
+      elements.push(...extractElementsFromGroup(child, child.layerName || layerName));
+      return;
+    }
+    
+    const element = createFigmaElement(child, type, layerName);
+    if (element) {
+      elements.push(element);
+    }
+  });
   
   return elements;
 }
 
 /**
  * Extract elements from a specific section
- * @param {string} frameContent - Frame HTML content
+ * @param {object} frameNode - Frame element node
  * @param {string} sectionName - Section name to extract
  * @returns {Array} - Extracted elements
  */
-function extractElementsFromSection(frameContent, sectionName) {
-  // This is a simplified version - in practice, you'd want more sophisticated parsing
-  const elements = [];
-  
-  // Look for text elements that might belong to this section
-  const textMatches = frameContent.match(/<div[^>]*data-figma-text="true"[^>]*>([^<]*)<\/div>/gi);
-  if (textMatches) {
-    textMatches.forEach(match => {
-      const textContent = match.replace(/<[^>]*>/g, '').trim();
-      if (textContent && isTextRelevantToSection(textContent, sectionName)) {
-        const nameMatch = match.match(/data-figma-text-name="([^"]*)"/);
-        const elementName = nameMatch ? nameMatch[1] : 'text';
-        
-        elements.push({
-          type: 'text',
-          content: textContent,
-          name: elementName,
-          role: determineTextRole(textContent, elementName),
-          attributes: extractTextAttributes(match)
-        });
-      }
-    });
-  }
-  
-  return elements;
+function extractElementsFromSection(frameNode, sectionName) {
+  // Text elements of the frame that might belong to this section
+  return extractElementsFromGroup(frameNode)
+    .filter(element => element.type === 'text' && isTextRelevantToSection(element.content, sectionName));
 }
 
 /**
@@ -2043,28 +2264,25 @@ function parseFigmaCode(code, metadata) {
   };
 
   try {
-    // Simple HTML parsing to extract sections
-    const sectionMatches = code.match(/<section[^>]*class="([^"]*)"[^>]*>([\s\S]*?)<\/section>/gi);
+    // <section> elements, named by their layer name or class
+    const sectionNodes = findFigmaNodes(parseFigmaHTMLTree(code), node => node.tag.toLowerCase() === 'section');
     
-    if (sectionMatches) {
-      sectionMatches.forEach((sectionMatch, index) => {
-        const classMatch = sectionMatch.match(/class="([^"]*)"/);
-        const contentMatch = sectionMatch.match(/>([\s\S]*?)<\/section>/);
+    sectionNodes.forEach(sectionNode => {
+      const className = pickFigmaAttributes(sectionNode, ['class']).class;
+      const sectionSource = sectionNode.layerName || (typeof className === 'string' ? className : '');
+      
+      if (sectionSource) {
+        const sectionName = sectionSource.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase();
         
-        if (classMatch && contentMatch) {
-          const sectionName = classMatch[1].replace(/[^a-zA-Z0-9]/g, '_').toLowerCase();
-          const content = contentMatch[1];
-          
-          // Extract elements from section content
-          const elements = extractElementsFromContent(content);
-          
-          sections.push({
-            name: sectionName,
-            elements: elements
-          });
-        }
-      });
-    }
+        // Extract elements from section content
+        const elements = extractElementsFromGroup(sectionNode);
+        
+        sections.push({
+          name: sectionName,
+          elements: elements
+        });
+      }
+    });
 
     // Detect content patterns
     detectContentPatterns(sections, contentPatterns);
@@ -2076,63 +2294,6 @@ function parseFigmaCode(code, metadata) {
   return { sections, contentPatterns };
 }
 
-/**
- * Extract elements from HTML content
- * @param {string} content - HTML content
- * @returns {Array} - Array of elements
- */
-function extractElementsFromContent(content) {
-  const elements = [];
-  
-  // Extract text elements
-  const textMatches = content.match(/<[^>]*>([^<]+)<\/[^>]*>/g);
-  if (textMatches) {
-    textMatches.forEach(match => {
-      const textContent = match.replace(/<[^>]*>/g, '').trim();
-      if (textContent) {
-        elements.push({
-          type: 'text',
-          content: textContent,
-          role: determineTextRole(textContent)
-        });
-      }
-    });
-  }
-
-  // Extract image elements
-  const imageMatches = content.match(/<img[^>]*>/g);
-  if (imageMatches) {
-    imageMatches.forEach(match => {
-      const srcMatch = match.match(/src="([^"]*)"/);
-      const altMatch = match.match(/alt="([^"]*)"/);
-      
-      elements.push({
-        type: 'image',
-        content: srcMatch ? srcMatch[1] : '',
-        role: 'image',
-        attributes: {
-          alt: altMatch ? altMatch[1] : ''
-        }
-      });
-    });
-  }
-
-  // Extract button elements
-  const buttonMatches = content.match(/<button[^>]*>([^<]+)<\/button>/g);
-  if (buttonMatches) {
-    buttonMatches.forEach(match => {
-      const buttonText = match.replace(/<[^>]*>/g, '').trim();
-      elements.push({
-        type: 'button',
-        content: buttonText,
-        role: determineButtonRole(buttonText)
-      });
-    });
-  }
-
-  return elements;
-}
-
 /**
  * Determine text role based on content and element name
  * @param {string} content - Text content
@@ -2200,93 +2361,49 @@ function determineInputRole(content, elementName = '') {
 }
 
 /**
- * Extract text attributes from HTML match
- * @param {string} match - HTML match string
+ * Extract text attributes from an element node
+ * @param {object} node - Element node
  * @returns {object} - Extracted attributes
  */
-function extractTextAttributes(match) {
-  const attributes = {};
-  
-  // Extract common attributes
-  const classMatch = match.match(/class="([^"]*)"/);
-  if (classMatch) attributes.class = classMatch[1];
-  
-  const styleMatch = match.match(/style="([^"]*)"/);
-  if (styleMatch) attributes.style = styleMatch[1];
-  
-  return attributes;
+function extractTextAttributes(node) {
+  return pickFigmaAttributes(node, ['class', 'style']);
 }
 
 /**
- * Extract button attributes from HTML match
- * @param {string} match - HTML match string
+ * Extract button attributes from an element node
+ * @param {object} node - Element node
  * @returns {object} - Extracted attributes
  */
-function extractButtonAttributes(match) {
-  const attributes = {};
-  
-  const classMatch = match.match(/class="([^"]*)"/);
-  if (classMatch) attributes.class = classMatch[1];
-  
-  const styleMatch = match.match(/style="([^"]*)"/);
-  if (styleMatch) attributes.style = styleMatch[1];
-  
-  return attributes;
+function extractButtonAttributes(node) {
+  return pickFigmaAttributes(node, ['class', 'style', 'href']);
 }
 
 /**
- * Extract image attributes from HTML match
- * @param {string} match - HTML match string
+ * Extract image attributes from an element node
+ * @param {object} node - Element node
  * @returns {object} - Extracted attributes
  */
-function extractImageAttributes(match) {
-  const attributes = {};
-  
-  const classMatch = match.match(/class="([^"]*)"/);
-  if (classMatch) attributes.class = classMatch[1];
-  
-  const styleMatch = match.match(/style="([^"]*)"/);
-  if (styleMatch) attributes.style = styleMatch[1];
-  
-  return attributes;
+function extractImageAttributes(node) {
+  return pickFigmaAttributes(node, ['class', 'style', 'alt']);
 }
 
 /**
- * Extract input attributes from HTML match
- * @param {string} match - HTML match string
+ * Extract input attributes from an element node
+ * @param {object} node - Element node
  * @returns {object} - Extracted attributes
  */
-function extractInputAttributes(match) {
-  const attributes = {};
-  
-  const classMatch = match.match(/class="([^"]*)"/);
-  if (classMatch) attributes.class = classMatch[1];
-  
-  const styleMatch = match.match(/style="([^"]*)"/);
-  if (styleMatch) attributes.style = styleMatch[1];
-  
-  const typeMatch = match.match(/type="([^"]*)"/);
-  if (typeMatch) attributes.type = typeMatch[1];
-  
-  return attributes;
+function extractInputAttributes(node) {
+  return pickFigmaAttributes(node, ['class', 'style', 'type', 'placeholder']);
 }
 
 /**
- * Extract textarea attributes from HTML match
- * @param {string} match - HTML match string
+ * Extract textarea attributes from an element node
+ * @param {object} node - Element node
  * @returns {object} - Extracted attributes
  */
-function extractTextareaAttributes(match) {
-  const attributes = {};
-  
-  const classMatch = match.match(/class="([^"]*)"/);
-  if (classMatch) attributes.class = classMatch[1];
-  
-  const styleMatch = match.match(/style="([^"]*)"/);
-  if (styleMatch) attributes.style = styleMatch[1];
-  
-  const rowsMatch = match.match(/rows="([^"]*)"/);
-  if (rowsMatch) attributes.rows = parseInt(rowsMatch[1]);
+function extractTextareaAttributes(node) {
+  const attributes = pickFigmaAttributes(node, ['class', 'style', 'rows', 'placeholder']);
+  if (attributes.rows !== undefined) attributes.rows = parseInt(attributes.rows);
   
   return attributes;
 }
@@ -2344,7 +2461,7 @@ function generateSectionFromFigma(figmaSection, contentPatterns, options, fieldT
   const isFormSection = sectionType === 'form';
 
   const fields = [];
-  let sectionCounter = 1;
+  const sectionCounter = options.sectionNumber || 1;
 
   // Add status field
   fields.push(AntiCMSComponentGenerator.generateField('status', 'Status', 'toggle', {
@@ -2354,8 +2471,17 @@ function generateSectionFromFigma(figmaSection, contentPatterns, options, fieldT
 
   // Process elements based on section type
   if (isRepeaterSection) {
+    // Elements marked as list items describe the repeater item; their siblings (e.g. the heading) stay section fields
+    const itemElements = elements.some(element => element.repeater) ? elements.filter(element => element.repeater) : elements;
+    elements
+      .filter(element => !itemElements.includes(element))
+      .forEach((element, index) => {
+        const field = createFieldFromElement(element, index, fieldTypes, context);
+        if (field) fields.push(field);
+      });
+
     // Create repeater fields for repeated content
-    const repeaterFields = createRepeaterFields(elements, fieldTypes, context);
+    const repeaterFields = createRepeaterFields(getRepeaterItemElements(itemElements), fieldTypes, context);
     const repeaterField = AntiCMSComponentGenerator.generateField(
       sectionName, 
       originalName || sectionName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()), 
@@ -2468,6 +2594,28 @@ function determineSectionType(sectionName, elements, contentPatterns) {
   return 'single';
 }
 
+/**
+ * Scores a section type detector must exceed in determineSectionTypeAdvanced, in order of priority
+ */
+const SECTION_TYPE_THRESHOLDS = {
+  post_collection: 0.8,
+  repeater: 0.7,
+  group: 0.6,
+  media_ratio: 0.6,
+  form_elements: 0
+};
+
+/**
+ * Score deciding each section type of determineSectionTypeAdvanced ('single' is the fallback)
+ */
+const SECTION_TYPE_SCORES = {
+  post_collection: 'post_collection',
+  repeater: 'repeater',
+  group: 'group',
+  media_gallery: 'media_ratio',
+  form: 'form_elements'
+};
+
 /**
  * Enhanced section type determination with sophisticated analysis
  * @param {string} sectionName - Section name
@@ -2493,9 +2641,18 @@ function determineSectionTypeAdvanced(sectionName, elements, contentPatterns) {
   analysis.textAnalysis = analyzeTextContent(elements);
   analysis.interactionAnalysis = analyzeInteractions(elements);
 
+  // Score every detector, so the competing scores can be explained
+  analysis.scores = {
+    post_collection: calculatePostCollectionScore(elements, sectionName),
+    repeater: calculateRepeaterScore(elements, sectionName, contentPatterns, analysis.contentAnalysis),
+    group: calculateGroupScore(elements, sectionName, contentPatterns, analysis.contentAnalysis),
+    media_ratio: analysis.mediaAnalysis.mediaRatio || 0,
+    form_elements: analysis.interactionAnalysis.formElements || 0
+  };
+
   // Check for post collection indicators (highest priority)
-  const postCollectionScore = calculatePostCollectionScore(elements, sectionName);
-  if (postCollectionScore > 0.8) {
+  const postCollectionScore = analysis.scores.post_collection;
+  if (postCollectionScore > SECTION_TYPE_THRESHOLDS.post_collection) {
     analysis.type = 'post_collection';
     analysis.confidence = postCollectionScore;
     analysis.reasoning.push('High confidence post collection detected');
@@ -2504,8 +2661,8 @@ function determineSectionTypeAdvanced(sectionName, elements, contentPatterns) {
   }
 
   // Check for repeater patterns with sophisticated analysis
-  const repeaterScore = calculateRepeaterScore(elements, sectionName, contentPatterns, analysis.contentAnalysis);
-  if (repeaterScore > 0.7) {
+  const repeaterScore = analysis.scores.repeater;
+  if (repeaterScore > SECTION_TYPE_THRESHOLDS.repeater) {
     analysis.type = 'repeater';
     analysis.confidence = repeaterScore;
     analysis.reasoning.push('Repeater pattern detected');
@@ -2515,8 +2672,8 @@ function determineSectionTypeAdvanced(sectionName, elements, contentPatterns) {
   }
 
   // Check for group patterns with enhanced logic
-  const groupScore = calculateGroupScore(elements, sectionName, contentPatterns, analysis.contentAnalysis);
-  if (groupScore > 0.6) {
+  const groupScore = analysis.scores.group;
+  if (groupScore > SECTION_TYPE_THRESHOLDS.group) {
     analysis.type = 'group';
     analysis.confidence = groupScore;
     analysis.reasoning.push('Group pattern detected');
@@ -2526,7 +2683,7 @@ function determineSectionTypeAdvanced(sectionName, elements, contentPatterns) {
   }
 
   // Check for media-heavy sections
-  if (analysis.mediaAnalysis.mediaRatio > 0.6) {
+  if (analysis.mediaAnalysis.mediaRatio > SECTION_TYPE_THRESHOLDS.media_ratio) {
     analysis.type = 'media_gallery';
     analysis.confidence = 0.8;
     analysis.reasoning.push('Media-heavy section detected');
@@ -2536,7 +2693,7 @@ function determineSectionTypeAdvanced(sectionName, elements, contentPatterns) {
   }
 
   // Check for form sections
-  if (analysis.interactionAnalysis.formElements > 0) {
+  if (analysis.interactionAnalysis.formElements > SECTION_TYPE_THRESHOLDS.form_elements) {
     analysis.type = 'form';
     analysis.confidence = 0.9;
     analysis.reasoning.push('Form section detected');
@@ -2589,10 +2746,10 @@ function analyzeContentStructure(elements, sectionName) {
     }
   });
 
-  // Detect repeating patterns
+  // Detect repeating patterns (Figma file items are marked with the list they repeat in)
   const elementTypes = elements.map(el => el.type);
   const uniqueTypes = [...new Set(elementTypes)];
-  analysis.hasRepeatingPattern = uniqueTypes.length < elements.length / 2;
+  analysis.hasRepeatingPattern = uniqueTypes.length < elements.length / 2 || elements.some(el => el.repeater);
 
   // Determine content complexity
   if (elements.length > 10) {
@@ -3270,7 +3427,7 @@ function generateEnhancedSingleFields(elements, sectionAnalysis, fieldTypes, con
  * Generate section from Figma metadata with intelligent field detection
  * @param {string} sectionType - Section type
  * @param {object} figmaMetadata - Figma metadata JSON
- * @param {object} options - Section options
+ * @param {object} options - Section options; options.figmaSources collects the Figma value of each field (see recordFigmaSource)
  * @param {Object} fieldTypes - Field types configuration
  * @returns {object} - Generated AntiCMS section
  */
@@ -3295,13 +3452,19 @@ function generateSectionFromFigmaMetadata(sectionType, figmaMetadata, options, f
   }, fieldTypes, context));
 
   // Analyze section data to detect field types
-  const detectedFields = analyzeSectionDataForFields(sectionData, analysis, fieldTypes, context);
+  const generationOptions = { useFigmaContent: options.useFigmaContent, figmaSources: options.figmaSources };
+  const detectedFields = analyzeSectionDataForFields(sectionData, analysis, fieldTypes, context, generationOptions);
   fields.push(...detectedFields);
 
   // Check for CTA/button/link components and add CTA fields
-  const ctaFields = detectAndGenerateCTAFields(sectionData, fieldTypes, context);
+  const ctaFields = detectAndGenerateCTAFields(sectionData, fieldTypes, context, generationOptions);
   fields.push(...ctaFields);
 
+  // Carry the design copy into the field defaults
+  if (options.useFigmaContent) {
+    applyFigmaContentDefaults(fields, sectionData);
+  }
+
   // Use original section name for keyName if provided, otherwise use sectionType
   const baseSectionName = originalSectionName || sectionType;
   const keyName = toSnakeCase(baseSectionName);
@@ -3316,20 +3479,206 @@ function generateSectionFromFigmaMetadata(sectionType, figmaMetadata, options, f
   );
 }
 
+/**
+ * Field types whose Figma copy becomes the defaultValue attribute
+ */
+const FIGMA_TEXT_FIELD_TYPES = ['input', 'textarea', 'texteditor'];
+
+/**
+ * Find the Figma data key of a generated field
+ * Data keys are matched after the same sanitizing as field names
+ * @param {object} data - Section data, repeater item or nested object from Figma metadata
+ * @param {string} fieldName - Generated field name
+ * @returns {string|undefined} - Matching key or undefined
+ */
+function findFigmaKey(data, fieldName) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return undefined;
+  }
+  return Object.keys(data).find(dataKey => sanitizeFieldName(dataKey) === fieldName);
+}
+
+/**
+ * Find the Figma value of a generated field
+ * @param {object} data - Section data, repeater item or nested object from Figma metadata
+ * @param {string} fieldName - Generated field name
+ * @returns {*} - Matching value or undefined
+ */
+function findFigmaValue(data, fieldName) {
+  const key = findFigmaKey(data, fieldName);
+  return key === undefined ? undefined : data[key];
+}
+
+/**
+ * Record the Figma value a generated field is created from, for the coverage report
+ * @param {object} options - Generation options; nothing is recorded without options.figmaSources
+ * @param {string} fieldPath - Field path ("events_list.title" for repeater items)
+ * @param {string} dataPath - Path of the value in the section data ("events_list[].title" for item values)
+ * @param {boolean} deep - Whether the field holds the whole value, nested values included (false for
+ *   repeaters and groups, whose nested fields are recorded separately)
+ */
+function recordFigmaSource(options, fieldPath, dataPath, deep = true) {
+  if (Array.isArray(options?.figmaSources)) {
+    options.figmaSources.push({ field: fieldPath, path: dataPath, deep });
+  }
+}
+
+/**
+ * Find the key of the button copy in Figma section data, used for the generated CTA button group label
+ * @param {object} data - Section data from Figma metadata
+ * @returns {string|undefined} - Button copy key
+ */
+function findFigmaButtonKey(data) {
+  return Object.keys(data).find(key =>
+    /button|cta|link_text/i.test(key) && typeof data[key] === 'string' && data[key].trim() !== ''
+  );
+}
+
+/**
+ * Get the Figma data of a group field
+ * The generated CTA button group takes its label from the section's button copy
+ * @param {object} field - Group field
+ * @param {object} data - Section data from Figma metadata
+ * @returns {object|undefined} - Group data
+ */
+function getFigmaGroupData(field, data) {
+  const value = findFigmaValue(data, field.name);
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return value;
+  }
+
+  if (field.name === 'button_group' && data && typeof data === 'object') {
+    const buttonKey = findFigmaButtonKey(data);
+    return buttonKey ? { label: data[buttonKey] } : undefined;
+  }
+
+  return undefined;
+}
+
+/**
+ * Check whether a Figma value is usable text copy
+ * @param {*} value - Figma value
+ * @returns {boolean} - Whether the value is a non-empty string or a number
+ */
+function isFigmaText(value) {
+  return (typeof value === 'string' && value.trim() !== '') || typeof value === 'number';
+}
+
+/**
+ * Set the defaultValue of text fields from the Figma section copy
+ * Group fields are filled from nested objects; repeater items go to the seed content instead
+ * @param {Array} fields - Generated fields
+ * @param {object} data - Section data from Figma metadata
+ */
+function applyFigmaContentDefaults(fields, data) {
+  fields.forEach(field => {
+    if (FIGMA_TEXT_FIELD_TYPES.includes(field.field)) {
+      const value = findFigmaValue(data, field.name);
+      if (isFigmaText(value)) {
+        field.attribute = { ...field.attribute, defaultValue: String(value) };
+      }
+    } else if (field.field === 'group' && Array.isArray(field.attribute?.fields)) {
+      const groupData = getFigmaGroupData(field, data);
+      if (groupData) {
+        applyFigmaContentDefaults(field.attribute.fields, groupData);
+      }
+    }
+  });
+}
+
+/**
+ * Build a content value from Figma copy for a single (per-locale) field value
+ * @param {object} field - Field definition
+ * @param {*} value - Figma value for the field
+ * @param {object} data - Data object the value was taken from
+ * @param {Array<string>} locales - Locales for multilanguage fields
+ * @returns {*} - Content value or undefined when the design has no copy for the field
+ */
+function buildFigmaFieldValue(field, value, data, locales) {
+  const attribute = field.attribute || {};
+
+  switch (field.field) {
+    case 'input':
+    case 'textarea':
+    case 'texteditor':
+      if (isFigmaText(value)) return String(value);
+      return isFigmaText(attribute.defaultValue) ? String(attribute.defaultValue) : undefined;
+
+    case 'toggle':
+      if (typeof value === 'boolean') return value;
+      return typeof attribute.defaultValue === 'boolean' ? attribute.defaultValue : undefined;
+
+    case 'media':
+    case 'file':
+    case 'image':
+      if (Array.isArray(value)) return value.find(item => typeof item === 'string' && item !== '');
+      return typeof value === 'string' && value !== '' ? value : undefined;
+
+    case 'repeater': {
+      const nestedFields = getNestedFields(field);
+      if (!Array.isArray(value) || value.length === 0 || nestedFields.length === 0) return undefined;
+
+      const items = typeof attribute.max === 'number' ? value.slice(0, attribute.max) : value;
+      return items.map(item => (
+        item && typeof item === 'object' && !Array.isArray(item)
+          ? buildFigmaSeedValues(nestedFields, item, locales)
+          // Primitive items (e.g. a list of image URLs) fill the first nested field
+          : buildFigmaSeedValues([nestedFields[0]], { [nestedFields[0].name]: item }, locales)
+      ));
+    }
+
+    case 'group': {
+      const groupValues = buildFigmaSeedValues(getNestedFields(field), getFigmaGroupData(field, data) || {}, locales);
+      return Object.keys(groupValues).length > 0 ? groupValues : undefined;
+    }
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Build seed content values for a list of fields from Figma copy
+ * Fields without copy in the design fall back to their defaultValue, or are left out
+ * @param {Array} fields - Field definitions
+ * @param {object} data - Section data, repeater item or nested object from Figma metadata
+ * @param {Array<string>} locales - Locales for multilanguage fields
+ * @returns {object} - Content values keyed by field name
+ */
+function buildFigmaSeedValues(fields, data, locales) {
+  const values = {};
+
+  fields.forEach(field => {
+    if (!field?.name) return;
+    const value = buildFigmaFieldValue(field, findFigmaValue(data, field.name), data, locales);
+    if (value === undefined) return;
+
+    // The design has a single language, so every locale starts with the same copy
+    values[field.name] = field.multilanguage === true
+      ? Object.fromEntries(locales.map(locale => [locale, value]))
+      : value;
+  });
+
+  return values;
+}
+
 /**
  * Analyze section data to detect and generate appropriate fields
  * @param {object} sectionData - Section data from Figma metadata
  * @param {object} analysis - AntiCMS analysis for the section
  * @param {Object} fieldTypes - Field types configuration
  * @param {string} context - Section context
+ * @param {object} options - Generation options
+ * @param {boolean} options.useFigmaContent - Shape repeater items after the design's lists (use_figma_content)
+ * @param {Array} options.figmaSources - Collects the Figma value of each generated field (see recordFigmaSource)
  * @returns {Array} - Generated fields
  */
-function analyzeSectionDataForFields(sectionData, analysis, fieldTypes, context) {
+function analyzeSectionDataForFields(sectionData, analysis, fieldTypes, context, options = {}) {
   const fields = [];
   
   // Use identified_field_types from anticms_analysis if available for enhanced accuracy
   if (analysis && analysis.detected_fields && analysis.identified_field_types) {
-    console.log(`[analyzeSectionDataForFields] Using identified_field_types for enhanced accuracy`);
+    console.error(`[analyzeSectionDataForFields] Using identified_field_types for enhanced accuracy`);
     
     // Generate fields based on detected_fields and identified_field_types
     for (let i = 0; i < analysis.detected_fields.length; i++) {
@@ -3344,7 +3693,7 @@ function analyzeSectionDataForFields(sectionData, analysis, fieldTypes, context)
       const field = generateFieldFromMetadata({
         name: fieldName,
         type: fieldType
-      }, sectionData, fieldTypes, context);
+      }, sectionData, fieldTypes, context, options);
       
       if (field) {
         fields.push(field);
@@ -3352,27 +3701,27 @@ function analyzeSectionDataForFields(sectionData, analysis, fieldTypes, context)
     }
     
     // Handle special fields (repeaters, post_related)
-    console.log(`[analyzeSectionDataForFields] Processing ${analysis.detected_fields.length} fields for special handling`);
+    console.error(`[analyzeSectionDataForFields] Processing ${analysis.detected_fields.length} fields for special handling`);
     for (let i = 0; i < analysis.detected_fields.length; i++) {
       const fieldName = analysis.detected_fields[i];
       const fieldType = analysis.identified_field_types[i] || 'input';
-      console.log(`[analyzeSectionDataForFields] Checking field: ${fieldName} (${fieldType})`);
+      console.error(`[analyzeSectionDataForFields] Checking field: ${fieldName} (${fieldType})`);
       
       if (fieldName.includes('(repeater') || fieldName.includes('(post_related') || fieldType === 'post_related') {
-        console.log(`[analyzeSectionDataForFields] Processing special field: ${fieldName} (${fieldType})`);
-        const specialField = generateSpecialFieldFromMetadata(fieldName, fieldType, sectionData, fieldTypes, context);
+        console.error(`[analyzeSectionDataForFields] Processing special field: ${fieldName} (${fieldType})`);
+        const specialField = generateSpecialFieldFromMetadata(fieldName, fieldType, sectionData, fieldTypes, context, options);
         if (specialField) {
-          console.log(`[analyzeSectionDataForFields] Generated special field:`, specialField.name, specialField.field);
+          console.error(`[analyzeSectionDataForFields] Generated special field:`, specialField.name, specialField.field);
           fields.push(specialField);
         } else {
-          console.log(`[analyzeSectionDataForFields] Failed to generate special field for: ${fieldName}`);
+          console.error(`[analyzeSectionDataForFields] Failed to generate special field for: ${fieldName}`);
         }
       }
     }
   } else {
     // Fallback to data structure analysis
-    console.log(`[analyzeSectionDataForFields] Using data structure analysis as fallback`);
-    const dataStructureFields = analyzeDataStructure(sectionData, fieldTypes, context);
+    console.error(`[analyzeSectionDataForFields] Using data structure analysis as fallback`);
+    const dataStructureFields = analyzeDataStructure(sectionData, fieldTypes, context, options);
     fields.push(...dataStructureFields);
   }
 
@@ -3393,14 +3742,19 @@ function analyzeSectionDataForFields(sectionData, analysis, fieldTypes, context)
  * @param {object} sectionData - Section data from Figma metadata
  * @param {Object} fieldTypes - Field types configuration
  * @param {string} context - Section context
+ * @param {object} options - Generation options (see analyzeSectionDataForFields)
  * @returns {object} - Generated special field
  */
-function generateSpecialFieldFromMetadata(fieldName, fieldType, sectionData, fieldTypes, context) {
+function generateSpecialFieldFromMetadata(fieldName, fieldType, sectionData, fieldTypes, context, options = {}) {
   // Extract field name and metadata
   const cleanFieldName = fieldName.split(' (')[0];
   const fieldLabel = cleanFieldName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+  const dataKey = findFigmaKey(sectionData, sanitizeFieldName(cleanFieldName));
   
   if (fieldType === 'post_related') {
+    // The related posts stand in for the design's list
+    if (dataKey !== undefined) recordFigmaSource(options, 'posts', dataKey);
+
     // Generate post_related field
     return AntiCMSComponentGenerator.generateField(
       'posts',
@@ -3419,6 +3773,7 @@ function generateSpecialFieldFromMetadata(fieldName, fieldType, sectionData, fie
     // Generate repeater field
     const maxMatch = fieldName.match(/max (\d+)/);
     const max = maxMatch ? parseInt(maxMatch[1]) : 10;
+    if (dataKey !== undefined) recordFigmaSource(options, toSnakeCase(cleanFieldName), dataKey, false);
     
     return AntiCMSComponentGenerator.generateField(
       toSnakeCase(cleanFieldName),
@@ -3443,27 +3798,29 @@ function generateSpecialFieldFromMetadata(fieldName, fieldType, sectionData, fie
  * @param {object} sectionData - Section data from Figma metadata
  * @param {Object} fieldTypes - Field types configuration
  * @param {string} context - Section context
+ * @param {object} options - Generation options (see analyzeSectionDataForFields)
  * @returns {Array} - Generated fields
  */
-function analyzeDataStructure(sectionData, fieldTypes, context) {
+function analyzeDataStructure(sectionData, fieldTypes, context, options = {}) {
   const fields = [];
   
   // Iterate through all properties in the section data
   for (const [key, value] of Object.entries(sectionData)) {
     if (Array.isArray(value)) {
       // This is an array - convert to repeater
-      const repeaterField = generateRepeaterFromArray(key, value, fieldTypes, context);
+      const repeaterField = generateRepeaterFromArray(key, value, fieldTypes, context, { ...options, dataPath: key });
       if (repeaterField) {
         fields.push(repeaterField);
       }
     } else if (typeof value === 'object' && value !== null) {
       // This is an object - analyze its structure
-      const objectFields = analyzeObjectStructure(key, value, fieldTypes, context);
+      const objectFields = analyzeObjectStructure(key, value, fieldTypes, context, options);
       fields.push(...objectFields);
     } else if (typeof value === 'string' || typeof value === 'number') {
       // This is a primitive value - convert to appropriate field
       const primitiveField = generateFieldFromPrimitive(key, value, fieldTypes, context);
       if (primitiveField) {
+        recordFigmaSource(options, primitiveField.name, key);
         fields.push(primitiveField);
       }
     }
@@ -3478,9 +3835,11 @@ function analyzeDataStructure(sectionData, fieldTypes, context) {
  * @param {Array} arrayData - Array data
  * @param {Object} fieldTypes - Field types configuration
  * @param {string} context - Section context
+ * @param {object} options - Generation options (see analyzeSectionDataForFields)
+ * @param {string} options.dataPath - Key of the array in the section data (default: fieldName)
  * @returns {object|null} - Generated repeater field
  */
-function generateRepeaterFromArray(fieldName, arrayData, fieldTypes, context) {
+function generateRepeaterFromArray(fieldName, arrayData, fieldTypes, context, options = {}) {
   if (!Array.isArray(arrayData) || arrayData.length === 0) {
     return null;
   }
@@ -3488,6 +3847,9 @@ function generateRepeaterFromArray(fieldName, arrayData, fieldTypes, context) {
   // Analyze the first item to determine repeater structure
   const firstItem = arrayData[0];
   const repeaterFields = [];
+  const dataPath = options.dataPath || fieldName;
+  // Item value path of each repeater field, recorded once the repeater exists
+  const itemPaths = new Map();
   
   if (typeof firstItem === 'object' && firstItem !== null) {
     // Array of objects - analyze object properties EXACTLY as they appear
@@ -3495,13 +3857,17 @@ function generateRepeaterFromArray(fieldName, arrayData, fieldTypes, context) {
       const subField = generateFieldFromPrimitive(itemKey, itemValue, fieldTypes, context);
       if (subField) {
         repeaterFields.push(subField);
+        itemPaths.set(subField, `${dataPath}[].${itemKey}`);
       }
     }
   } else {
-    // Array of primitives - create a simple field
-    const subField = generateFieldFromPrimitive('item', firstItem, fieldTypes, context);
+    // Array of primitives - create a simple field (an image field for lists of image URLs with use_figma_content)
+    const isImageList = options.useFigmaContent && typeof firstItem === 'string' && getMediaCategory(firstItem) === 'image';
+    const itemName = isImageList ? 'image' : 'item';
+    const subField = generateFieldFromPrimitive(itemName, firstItem, fieldTypes, context);
     if (subField) {
       repeaterFields.push(subField);
+      itemPaths.set(subField, `${dataPath}[]`);
     }
   }
   
@@ -3509,7 +3875,7 @@ function generateRepeaterFromArray(fieldName, arrayData, fieldTypes, context) {
     return null;
   }
   
-  return AntiCMSComponentGenerator.generateField(
+  const repeaterField = AntiCMSComponentGenerator.generateField(
     fieldName,
     fieldName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
     'repeater',
@@ -3522,6 +3888,11 @@ function generateRepeaterFromArray(fieldName, arrayData, fieldTypes, context) {
     fieldTypes,
     context
   );
+  
+  recordFigmaSource(options, repeaterField.name, dataPath, false);
+  itemPaths.forEach((itemPath, subField) => recordFigmaSource(options, `${repeaterField.name}.${subField.name}`, itemPath));
+  
+  return repeaterField;
 }
 
 /**
@@ -3530,9 +3901,10 @@ function generateRepeaterFromArray(fieldName, arrayData, fieldTypes, context) {
  * @param {object} objectData - Object data
  * @param {Object} fieldTypes - Field types configuration
  * @param {string} context - Section context
+ * @param {object} options - Generation options (see analyzeSectionDataForFields)
  * @returns {Array} - Generated fields
  */
-function analyzeObjectStructure(objectName, objectData, fieldTypes, context) {
+function analyzeObjectStructure(objectName, objectData, fieldTypes, context, options = {}) {
   const fields = [];
   
   // Check if this should be a group field
@@ -3543,15 +3915,17 @@ function analyzeObjectStructure(objectName, objectData, fieldTypes, context) {
   if (hasMultipleProperties && (isContactInfo || isSocialInfo)) {
     // Create group field
     const groupFields = [];
+    const groupKeys = new Map();
     for (const [key, value] of Object.entries(objectData)) {
       const subField = generateFieldFromPrimitive(key, value, fieldTypes, context);
       if (subField) {
         groupFields.push(subField);
+        groupKeys.set(subField, key);
       }
     }
     
     if (groupFields.length > 0) {
-      fields.push(AntiCMSComponentGenerator.generateField(
+      const groupField = AntiCMSComponentGenerator.generateField(
         objectName,
         objectName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
         'group',
@@ -3560,13 +3934,17 @@ function analyzeObjectStructure(objectName, objectData, fieldTypes, context) {
         },
         fieldTypes,
         context
-      ));
+      );
+      recordFigmaSource(options, groupField.name, objectName, false);
+      groupKeys.forEach((key, subField) => recordFigmaSource(options, `${groupField.name}.${subField.name}`, `${objectName}.${key}`));
+      fields.push(groupField);
     }
   } else {
     // Create individual fields for each property
     for (const [key, value] of Object.entries(objectData)) {
       const field = generateFieldFromPrimitive(key, value, fieldTypes, context);
       if (field) {
+        recordFigmaSource(options, field.name, `${objectName}.${key}`);
         fields.push(field);
       }
     }
@@ -3580,9 +3958,10 @@ function analyzeObjectStructure(objectName, objectData, fieldTypes, context) {
  * @param {object} sectionData - Section data from Figma metadata
  * @param {Object} fieldTypes - Field types configuration
  * @param {string} context - Section context
+ * @param {object} options - Generation options (see analyzeSectionDataForFields)
  * @returns {Array} - Generated CTA fields
  */
-function detectAndGenerateCTAFields(sectionData, fieldTypes, context) {
+function detectAndGenerateCTAFields(sectionData, fieldTypes, context, options = {}) {
   const ctaFields = [];
   
   // Check for CTA-related keywords in the data
@@ -3638,6 +4017,13 @@ function detectAndGenerateCTAFields(sectionData, fieldTypes, context) {
       fieldTypes,
       context
     ));
+
+    // The button copy becomes the group label (see getFigmaGroupData)
+    const buttonKey = findFigmaButtonKey(sectionData);
+    if (buttonKey !== undefined) {
+      recordFigmaSource(options, 'button_group', buttonKey, false);
+      recordFigmaSource(options, 'button_group.label', buttonKey);
+    }
   }
   
   return ctaFields;
@@ -3783,9 +4169,10 @@ function generateFieldFromPrimitive(fieldName, value, fieldTypes, context) {
  * @param {object} sectionData - Section data
  * @param {Object} fieldTypes - Field types configuration
  * @param {string} context - Section context
+ * @param {object} options - Generation options (see analyzeSectionDataForFields)
  * @returns {object|null} - Generated field or null
  */
-function generateFieldFromMetadata(fieldInfo, sectionData, fieldTypes, context) {
+function generateFieldFromMetadata(fieldInfo, sectionData, fieldTypes, context, options = {}) {
   // Handle both old format (string) and new format (object with name and type)
   let fieldName, fieldType;
   
@@ -3816,8 +4203,16 @@ function generateFieldFromMetadata(fieldInfo, sectionData, fieldTypes, context)
   
   // Generate field options based on type
   let fieldOptions = {};
+  const dataKey = findFigmaKey(sectionData, toSnakeCase(fieldName));
   
   if (fieldType === 'repeater') {
+    // With use_figma_content, build the item fields from the design's own list so the seed items fit
+    const arrayData = options.useFigmaContent && dataKey !== undefined ? sectionData[dataKey] : undefined;
+    if (Array.isArray(arrayData) && arrayData.length > 0) {
+      const repeaterField = generateRepeaterFromArray(toSnakeCase(fieldName), arrayData, fieldTypes, context, { ...options, dataPath: dataKey });
+      if (repeaterField) return repeaterField;
+    }
+
     const maxMatch = fieldName.match(/max\s+(\d+)/);
     const minMatch = fieldName.match(/min\s+(\d+)/);
     
@@ -3836,7 +4231,7 @@ function generateFieldFromMetadata(fieldInfo, sectionData, fieldTypes, context)
     fieldOptions = generateFieldOptionsFromName(fieldName, sectionData, fieldType);
   }
 
-  return AntiCMSComponentGenerator.generateField(
+  const field = AntiCMSComponentGenerator.generateField(
     toSnakeCase(fieldName),
     fieldName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
     fieldType,
@@ -3844,6 +4239,13 @@ function generateFieldFromMetadata(fieldInfo, sectionData, fieldTypes, context)
     fieldTypes,
     context
   );
+
+  // Repeater and group items are not built from the design here, so only the container is recorded
+  if (dataKey !== undefined) {
+    recordFigmaSource(options, field.name, dataKey, !['repeater', 'group'].includes(fieldType));
+  }
+
+  return field;
 }
 
 /**
@@ -4117,6 +4519,22 @@ function autoDetectFieldsFromSectionData(sectionData, fieldTypes, context) {
   return fields;
 }
 
+/**
+ * Reduce the elements of repeated layers to the structure of a single item
+ * Repeated items share their layer names, so only the first element of each field name is kept
+ * @param {Array} elements - Elements of all repeated items
+ * @returns {Array} - Elements of one item
+ */
+function getRepeaterItemElements(elements) {
+  const fieldNames = new Set();
+  return elements.filter((element, index) => {
+    const fieldName = generateFieldNameFromElement(element, index);
+    if (fieldNames.has(fieldName)) return false;
+    fieldNames.add(fieldName);
+    return true;
+  });
+}
+
 /**
  * Create repeater fields from elements
  * @param {Array} elements - Elements to convert to repeater fields
@@ -4413,13 +4831,399 @@ function generateFieldLabelFromElement(element) {
   return 'Field';
 }
 
+/**
+ * Site-wide sections left out of page templates when is_exclude_sections is set
+ */
+const EXCLUDED_SECTIONS = [
+  'navigation',
+  'footer',
+  'main_menu',
+  'top_navbar',
+  'navbar',
+  'header',
+  'menu',
+  'nav',
+  'top_menu',
+  'main_nav',
+  'site_header',
+  'page_header'
+];
+
+/**
+ * Round a detector score for explanations
+ * @param {number} score - Score
+ * @returns {number} - Score with two decimals
+ */
+function roundScore(score) {
+  return Math.round((Number(score) || 0) * 100) / 100;
+}
+
+/**
+ * Describe a Figma element as the source of a field
+ * @param {object} element - Element of a figmaSection
+ * @returns {object} - Source summary (name, type, role, content and where the layer is)
+ */
+function describeFigmaElement(element) {
+  const source = { element: element.originalName || element.name, type: element.type, role: element.role };
+  if (element.content) {
+    source.content = element.content.length > 80 ? `${element.content.slice(0, 77)}...` : element.content;
+  }
+  if (element.path) source.path = element.path;
+  if (element.nodeId) source.node_id = element.nodeId;
+  return source;
+}
+
+/**
+ * Describe a Figma metadata value as the source of a field
+ * @param {string} key - Key in figma_code_response.sections.{section}
+ * @param {*} value - Figma value
+ * @returns {object} - Source summary
+ */
+function describeFigmaValue(key, value) {
+  let summary = value;
+  if (Array.isArray(value)) {
+    summary = `[${value.length} items]`;
+  } else if (value && typeof value === 'object') {
+    summary = `{${Object.keys(value).join(', ')}}`;
+  } else if (typeof value === 'string' && value.length > 80) {
+    summary = `${value.slice(0, 77)}...`;
+  }
+  return { key, value: summary };
+}
+
+/**
+ * Find the elements a field derived from the section analysis (single, media gallery, form) is based on
+ * @param {object} field - Generated field
+ * @param {Array} elements - Section elements
+ * @returns {Array} - Source elements
+ */
+function findFigmaFieldElements(field, elements) {
+  const ofType = (...types) => elements.filter(element => types.includes(element.type));
+
+  if (['media', 'image', 'file'].includes(field.field) || field.name === 'gallery') return ofType('image');
+  if (/cta|button/.test(field.name)) return ofType('button');
+  if (field.name === 'form_fields') return ofType('input', 'textarea');
+  if (/title|heading/.test(field.name)) return elements.filter(element => element.type === 'text' && ['heading', 'title'].includes(element.role));
+  if (FIGMA_TEXT_FIELD_TYPES.includes(field.field)) return ofType('text', 'textarea');
+  return [];
+}
+
+/**
+ * Run the section type detectors on a figmaSection
+ * @param {object} figmaSection - Section in figmaSections format
+ * @param {object} contentPatterns - Detected content patterns
+ * @returns {object} - Winning detector, confidence, competing scores and reasoning
+ */
+function scoreFigmaSection(figmaSection, contentPatterns) {
+  const analysis = determineSectionTypeAdvanced(figmaSection.name, figmaSection.elements, contentPatterns);
+  return {
+    analysis,
+    summary: {
+      score_decision: analysis.type,
+      confidence: roundScore(analysis.confidence),
+      scores: Object.fromEntries(Object.entries(analysis.scores).map(([detector, score]) => [detector, roundScore(score)])),
+      thresholds: SECTION_TYPE_THRESHOLDS,
+      reasoning: analysis.reasoning
+    }
+  };
+}
+
+/**
+ * Explain a component generated by generateSectionFromFigma
+ * The detectors are run again, and nested repeater and group fields are matched to the elements they were created from
+ * @param {object} component - Generated component
+ * @param {object} figmaSection - Section in figmaSections format
+ * @param {object} contentPatterns - Detected content patterns
+ * @returns {object} - Component explanation
+ */
+function explainFigmaSectionComponent(component, figmaSection, contentPatterns) {
+  const { elements } = figmaSection;
+  const { analysis, summary } = scoreFigmaSection(figmaSection, contentPatterns);
+
+  const explainElementFields = fields => {
+    const used = new Set();
+    return fields.map(field => {
+      const index = elements.findIndex((element, elementIndex) => !used.has(elementIndex) && generateFieldNameFromElement(element, elementIndex) === field.name);
+      if (index !== -1) used.add(index);
+      return { name: field.name, field: field.field, detector: 'element', source: index === -1 ? null : describeFigmaElement(elements[index]) };
+    });
+  };
+
+  const fields = (component.fields || []).map(field => {
+    const base = { name: field.name, field: field.field };
+    if (field.name === 'status') {
+      return { ...base, detector: 'default' };
+    }
+    if (field.field === 'post_related') {
+      const trigger = elements.find(element => element.role === 'see_more' || /see more|view more|browse all/i.test(element.content || ''));
+      return { ...base, detector: 'post_collection', source: trigger ? describeFigmaElement(trigger) : null };
+    }
+    if (field.field === analysis.type && ['repeater', 'group'].includes(field.field)) {
+      return { ...base, detector: analysis.type, fields: explainElementFields(getNestedFields(field)) };
+    }
+    return { ...base, detector: analysis.type, sources: findFigmaFieldElements(field, elements).map(describeFigmaElement) };
+  });
+
+  return {
+    keyName: component.keyName,
+    source: 'figma_sections',
+    figma_section: figmaSection.originalName || figmaSection.name,
+    detector: analysis.type,
+    ...summary,
+    fields
+  };
+}
+
+/**
+ * Explain a component generated by generateSectionFromFigmaMetadata
+ * Fields come from anticms_analysis (detected_fields and identified_field_types), the data structure of the
+ * section copy, or CTA keywords; the score detectors are run on the same copy for comparison
+ * @param {object} component - Generated component
+ * @param {string} figmaSectionName - Key in figma_code_response.sections
+ * @param {object} figmaMetadata - Figma metadata
+ * @param {object|undefined} figmaSection - The same section in figmaSections format
+ * @param {object} contentPatterns - Detected content patterns
+ * @returns {object} - Component explanation
+ */
+function explainFigmaMetadataComponent(component, figmaSectionName, figmaMetadata, figmaSection, contentPatterns) {
+  const sectionData = figmaMetadata.figma_code_response.sections[figmaSectionName] || {};
+  const analysis = figmaMetadata.anticms_analysis?.identified_sections?.[figmaSectionName];
+  const usesAnalysis = Boolean(analysis?.detected_fields && analysis?.identified_field_types);
+  const detected = usesAnalysis
+    ? analysis.detected_fields.map((entry, index) => ({ entry, name: entry.split(' (')[0], type: analysis.identified_field_types[index] || 'input' }))
+    : [];
+
+  // Values of objects are flattened into fields by the data structure analysis
+  const findValue = fieldName => {
+    const value = findFigmaValue(sectionData, fieldName);
+    if (value !== undefined) return describeFigmaValue(fieldName, value);
+    const parentKey = Object.keys(sectionData).find(key => findFigmaValue(sectionData[key], fieldName) !== undefined);
+    return parentKey ? describeFigmaValue(`${parentKey}.${fieldName}`, findFigmaValue(sectionData[parentKey], fieldName)) : null;
+  };
+
+  const fields = (component.fields || []).map(field => {
+    const base = { name: field.name, field: field.field };
+    if (field.name === 'status') {
+      return { ...base, detector: 'default' };
+    }
+    if (field.name === 'button_group') {
+      const buttonKey = Object.keys(sectionData).find(key => /button|cta|link/i.test(key));
+      return { ...base, detector: 'cta_keywords', source: buttonKey ? describeFigmaValue(buttonKey, sectionData[buttonKey]) : null };
+    }
+
+    const match = detected.find(entry => field.field === 'post_related'
+      ? entry.type === 'post_related' || entry.entry.includes('(post_related')
+      : [sanitizeFieldName(entry.name), sanitizeFieldName(toSnakeCase(entry.name))].includes(field.name));
+    if (match) {
+      return { ...base, detector: 'anticms_analysis', detected_field: match.entry, identified_field_type: match.type, source: findValue(sanitizeFieldName(match.name)) };
+    }
+
+    const source = findValue(field.name);
+    return { ...base, detector: source ? 'data_structure' : 'fallback', source };
+  });
+
+  return {
+    keyName: component.keyName,
+    source: 'figma_metadata',
+    figma_section: figmaSectionName,
+    detector: usesAnalysis ? 'anticms_analysis' : 'data_structure',
+    ...(figmaSection ? scoreFigmaSection(figmaSection, contentPatterns).summary : {}),
+    fields
+  };
+}
+
+/**
+ * Format the field decisions of explain: true
+ * @param {Array} explanations - Component explanations
+ * @returns {string} - Report text
+ */
+function formatFieldDecisions(explanations) {
+  const lines = explanations.map(explanation => {
+    const competing = explanation.scores
+      ? ` – scores: ${Object.entries(explanation.scores).map(([detector, score]) => `${detector} ${score}${detector === SECTION_TYPE_SCORES[explanation.score_decision] ? ' ✓' : ''}`).join(', ')}`
+      : '';
+    const figma = explanation.figma_section ? ` (Figma "${explanation.figma_section}")` : '';
+    const decision = explanation.score_decision && explanation.score_decision !== explanation.detector
+      ? ` (score decision: ${explanation.score_decision})`
+      : '';
+    return `- ${explanation.keyName}${figma}: ${explanation.detector}${decision}${competing}`;
+  });
+
+  return `\n\n🔍 **Field decisions:**\n${lines.join('\n')}\n\n\`\`\`json\n${JSON.stringify(explanations, null, 2)}\n\`\`\``;
+}
+
+/**
+ * List the leaf values of Figma section data (text, images and arrays)
+ * Paths use dots for nested objects and "[]" for array items, so repeated items share a path
+ * (e.g. "events_list[].title"); the first value of a path is kept. Empty strings are layers
+ * without copy and are left out.
+ * @param {*} value - Figma value
+ * @param {string} path - Path of the value
+ * @param {Map} leaves - Leaves collected so far, by path
+ * @returns {Map} - Leaves by path ({ path, type, value })
+ */
+function collectFigmaLeaves(value, path = '', leaves = new Map()) {
+  if (Array.isArray(value)) {
+    if (path && !leaves.has(path)) leaves.set(path, { path, type: 'array', value });
+    value.forEach(item => collectFigmaLeaves(item, `${path}[]`, leaves));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => collectFigmaLeaves(child, path ? `${path}.${key}` : key, leaves));
+  } else if (value !== null && value !== undefined && !(typeof value === 'string' && value.trim() === '') && path && !leaves.has(path)) {
+    leaves.set(path, { path, type: getMediaCategory(value) === 'image' ? 'image' : 'text', value });
+  }
+  return leaves;
+}
+
+/**
+ * List the paths of generated fields, nested repeater and group fields included ("events_list.title")
+ * The status toggle is added to every section and has no design counterpart
+ * @param {Array} fields - Generated fields
+ * @param {string} parentPath - Path of the parent field
+ * @returns {Array<string>} - Field paths
+ */
+function collectFieldPaths(fields, parentPath = '') {
+  return fields
+    .filter(field => field?.name && !(field.name === 'status' && field.field === 'toggle'))
+    .flatMap(field => {
+      const fieldPath = parentPath ? `${parentPath}.${field.name}` : field.name;
+      return [fieldPath, ...collectFieldPaths(getNestedFields(field), fieldPath)];
+    });
+}
+
+/**
+ * Build the coverage report of a template generated from Figma metadata
+ * Uses the Figma values the generator recorded for each field (recordFigmaSource) to list the Figma sections
+ * that were not generated, the leaf values of generated sections that no field uses, the generated fields
+ * without a Figma value, and the components not generated from the metadata
+ * @param {object} figmaMetadata - Figma metadata
+ * @param {Array} components - Generated components
+ * @param {object} figmaSectionKeys - Figma section name by component keyName
+ * @param {object} figmaFieldSources - Recorded field sources by component keyName
+ * @param {object} options - Report options
+ * @param {boolean} options.excludeSections - Whether navigation, header and footer sections were excluded
+ * @returns {object} - Coverage report
+ */
+function buildFigmaCoverageReport(figmaMetadata, components, figmaSectionKeys, figmaFieldSources, options = {}) {
+  const figmaSections = figmaMetadata.figma_code_response.sections;
+  const generatedSections = Object.values(figmaSectionKeys);
+
+  const report = {
+    mapped_values: 0,
+    total_values: 0,
+    unmapped_sections: Object.keys(figmaSections)
+      .filter(sectionName => !generatedSections.includes(sectionName))
+      .map(sectionName => ({
+        section: sectionName,
+        reason: options.excludeSections && EXCLUDED_SECTIONS.includes(sectionName) ? 'excluded' : 'not generated'
+      })),
+    sections: [],
+    components_without_figma_metadata: []
+  };
+
+  components.forEach(component => {
+    const sectionName = figmaSectionKeys[component.keyName];
+    if (!sectionName) {
+      report.components_without_figma_metadata.push(component.keyName);
+      return;
+    }
+
+    const sources = figmaFieldSources[component.keyName] || [];
+    // A field holding a whole value uses its nested values too
+    const isUsed = leafPath => sources.some(source => source.path === leafPath ||
+      (source.deep && (leafPath.startsWith(`${source.path}.`) || leafPath.startsWith(`${source.path}[]`))));
+    const sourcedFields = new Set(sources.map(source => source.field));
+
+    const leaves = [...collectFigmaLeaves(figmaSections[sectionName] || {}).values()];
+    const unmapped = leaves.filter(leaf => !isUsed(leaf.path));
+    // Items of an unmapped array are covered by the array entry
+    const unmappedValues = unmapped
+      .filter(leaf => !unmapped.some(other => other.type === 'array' && leaf.path.startsWith(`${other.path}[]`)))
+      .map(leaf => ({
+        path: leaf.path,
+        type: leaf.type,
+        value: leaf.type === 'array'
+          ? `[${leaf.value.length} items]`
+          : String(leaf.value).length > 40 ? `${String(leaf.value).slice(0, 37)}...` : String(leaf.value)
+      }));
+
+    report.total_values += leaves.length;
+    report.mapped_values += leaves.length - unmapped.length;
+    report.sections.push({
+      keyName: component.keyName,
+      figma_section: sectionName,
+      mapped_values: leaves.length - unmapped.length,
+      total_values: leaves.length,
+      unmapped_values: unmappedValues,
+      fields_without_source: collectFieldPaths(component.fields || []).filter(fieldPath => !sourcedFields.has(fieldPath))
+    });
+  });
+
+  return report;
+}
+
+/**
+ * Format the Figma coverage report
+ * @param {object} report - Coverage report from buildFigmaCoverageReport
+ * @returns {string} - Report text
+ */
+function formatFigmaCoverage(report) {
+  const lines = [];
+
+  if (report.unmapped_sections.length > 0) {
+    lines.push(`- Figma sections not generated: ${report.unmapped_sections.map(entry => `${entry.section} (${entry.reason})`).join(', ')}`);
+  }
+
+  report.sections.forEach(section => {
+    const parts = [section.unmapped_values.length === 0
+      ? `all ${section.total_values} values mapped`
+      : `${section.mapped_values} of ${section.total_values} values mapped; unmapped: ${section.unmapped_values.map(entry => `${entry.path} (${entry.type === 'array' ? `array, ${entry.value}` : `${entry.type} "${entry.value}"`})`).join(', ')}`];
+    if (section.fields_without_source.length > 0) {
+      parts.push(`fields without a Figma source: ${section.fields_without_source.join(', ')}`);
+    }
+    lines.push(`- ${section.keyName} ← "${section.figma_section}": ${parts.join('; ')}`);
+  });
+
+  if (report.components_without_figma_metadata.length > 0) {
+    lines.push(`- Components without Figma metadata: ${report.components_without_figma_metadata.join(', ')}`);
+  }
+
+  return `\n\n📊 **Figma coverage:** ${report.mapped_values} of ${report.total_values} design values mapped to fields\n${lines.join('\n')}`;
+}
+
+/**
+ * Read a Figma metadata JSON file and validate it like inline figma_metadata
+ * @param {string} filePath - Path to the metadata file
+ * @returns {Promise<Object>} - Parsed metadata
+ * @throws {Error} - When the file can't be read or parsed, or doesn't match the metadata schema
+ */
+async function readFigmaMetadataFile(filePath) {
+  const fs = await import('fs/promises');
+  const path = await import('path');
+
+  let metadata;
+  try {
+    metadata = JSON.parse(await fs.readFile(path.resolve(filePath), 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read Figma metadata file ${filePath}: ${error.message}`);
+  }
+
+  const result = figmaMetadataSchema.safeParse(metadata);
+  if (!result.success) {
+    const issues = result.error.issues.map(issue => `- ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    throw new Error(`${filePath} is not valid Figma metadata (see FIGMA_METADATA_RULES.md for the metadata format):\n${issues.join('\n')}`);
+  }
+
+  console.error(`[readFigmaMetadataFile] Loaded Figma metadata from: ${path.resolve(filePath)}`);
+  return metadata;
+}
+
 /**
  * Template generation tool handler
  * @param {object} args - Tool arguments
  * @returns {object} - Tool response
  */
 export async function generateTemplate(args) {
-  console.log(`[generateTemplate] Received args:`, JSON.stringify(args, null, 2));
+  console.error(`[generateTemplate] Received args:`, JSON.stringify(args, null, 2));
   const {
     name: templateName,
     label,
@@ -4432,8 +5236,14 @@ export async function generateTemplate(args) {
     include_cta = false,
     max_features = 6,
     max_gallery_images = 12,
+    figma_metadata,
     figma_metadata_file,
-    is_exclude_sections = false
+    figma_sections,
+    is_exclude_sections = false,
+    use_figma_content = false,
+    on_conflict = 'error',
+    dry_run = false,
+    explain = false
   } = args;
 
   let description = originalDescription;
@@ -4447,35 +5257,33 @@ export async function generateTemplate(args) {
   let figmaMetadata = null;
   let figmaSections = [];
   let contentPatterns = {};
-  
-  // Sections to exclude from template generation
-  const excludedSections = [
-    'navigation', 
-    'footer', 
-    'main_menu', 
-    'top_navbar', 
-    'navbar', 
-    'header', 
-    'menu', 
-    'nav',
-    'top_menu',
-    'main_nav',
-    'site_header',
-    'page_header'
-  ];
+  // Figma section data by component keyName, for seed content
+  const figmaContentSources = {};
+  // Detector decisions per component, for explain
+  const explanations = [];
+  // Figma metadata section by component keyName, for the coverage report
+  const figmaSectionKeys = {};
+  // Figma values recorded for the generated fields by component keyName, for the coverage report
+  const figmaFieldSources = {};
+
+  // Check if we have inline Figma metadata or a Figma metadata JSON file path
+  if (figma_metadata || figma_metadata_file) {
+    if (figma_metadata) {
+      // Inline metadata takes precedence over the file path
+      figmaMetadata = figma_metadata;
+      console.error(`[generateTemplate] Using inline Figma metadata`);
+    } else {
+      try {
+        figmaMetadata = await readFigmaMetadataFile(figma_metadata_file);
+      } catch (error) {
+        return {
+          content: [{ type: 'text', text: `❌ ${error.message}` }]
+        };
+      }
+    }
 
-  // Check if we have Figma metadata JSON file path
-  if (figma_metadata_file) {
     try {
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      
-      const metadataPath = path.resolve(args.figma_metadata_file);
-      const metadataContent = await fs.readFile(metadataPath, 'utf8');
-      figmaMetadata = JSON.parse(metadataContent);
-      
-      console.log(`[generateTemplate] Loaded Figma metadata from: ${metadataPath}`);
-      console.log(`[generateTemplate] Metadata keys:`, Object.keys(figmaMetadata));
+      console.error(`[generateTemplate] Metadata keys:`, Object.keys(figmaMetadata));
       
       // Use metadata for enhanced section generation
       if (figmaMetadata.anticms_analysis && figmaMetadata.figma_code_response) {
@@ -4488,15 +5296,21 @@ export async function generateTemplate(args) {
         figmaSections = convertedData.sections;
         contentPatterns = convertedData.contentPatterns;
         
-        console.log(`[generateTemplate] Using Figma metadata for ${finalSections.length} user sections:`, finalSections);
-        console.log(`[generateTemplate] Available Figma sections:`, Object.keys(figmaMetadata.figma_code_response.sections || {}));
-        console.log(`[generateTemplate] Converted to ${figmaSections.length} figmaSections for generateSectionFromFigma support`);
+        console.error(`[generateTemplate] Using Figma metadata for ${finalSections.length} user sections:`, finalSections);
+        console.error(`[generateTemplate] Available Figma sections:`, Object.keys(figmaMetadata.figma_code_response.sections || {}));
+        console.error(`[generateTemplate] Converted to ${figmaSections.length} figmaSections for generateSectionFromFigma support`);
       } else {
-        console.log(`[generateTemplate] Metadata missing required fields. anticms_analysis:`, !!figmaMetadata.anticms_analysis, 'figma_code_response:', !!figmaMetadata.figma_code_response);
+        console.error(`[generateTemplate] Metadata missing required fields. anticms_analysis:`, !!figmaMetadata.anticms_analysis, 'figma_code_response:', !!figmaMetadata.figma_code_response);
       }
     } catch (error) {
-      console.warn(`[generateTemplate] Failed to load Figma metadata: ${error.message}`);
+      console.warn(`[generateTemplate] Failed to convert Figma metadata: ${error.message}`);
     }
+  } else if (figma_sections) {
+    // Sections already converted from another Figma source (e.g. a Figma REST file)
+    useFigmaData = true;
+    figmaSections = figma_sections.sections;
+    contentPatterns = figma_sections.contentPatterns;
+    console.error(`[generateTemplate] Using ${figmaSections.length} converted figmaSections`);
   } else if (description) {
     // Fallback to natural language parsing if no Figma metadata
     const parsed = parseNaturalLanguageTemplate(description, fieldTypes);
@@ -4512,22 +5326,22 @@ export async function generateTemplate(args) {
   }
 
   // Filter out excluded sections based on is_exclude_sections parameter
-  console.log(`[generateTemplate] figma_metadata_file:`, figma_metadata_file);
-  console.log(`[generateTemplate] is_exclude_sections:`, is_exclude_sections);
-  console.log(`[generateTemplate] finalSections before filtering:`, finalSections);
+  console.error(`[generateTemplate] figma_metadata_file:`, figma_metadata ? '(inline figma_metadata)' : figma_metadata_file);
+  console.error(`[generateTemplate] is_exclude_sections:`, is_exclude_sections);
+  console.error(`[generateTemplate] finalSections before filtering:`, finalSections);
   
   if (is_exclude_sections) {
     const originalCount = finalSections.length;
     finalSections = finalSections.filter(section => {
-      if (excludedSections.includes(section)) {
-        console.log(`[generateTemplate] Excluding section: ${section}`);
+      if (EXCLUDED_SECTIONS.includes(section)) {
+        console.error(`[generateTemplate] Excluding section: ${section}`);
         return false;
       }
       return true;
     });
-    console.log(`[generateTemplate] Filtered sections: ${originalCount} -> ${finalSections.length} (excluded: ${originalCount - finalSections.length})`);
+    console.error(`[generateTemplate] Filtered sections: ${originalCount} -> ${finalSections.length} (excluded: ${originalCount - finalSections.length})`);
   } else {
-    console.log(`[generateTemplate] is_exclude_sections=false, including all sections`);
+    console.error(`[generateTemplate] is_exclude_sections=false, including all sections`);
   }
 
   const components = [];
@@ -4540,7 +5354,7 @@ export async function generateTemplate(args) {
       return;
     }
     
-    const sectionOptions = { sectionNumber: sectionCounter++ };
+    const sectionOptions = { sectionNumber: sectionCounter++, useFigmaContent: use_figma_content };
     let section;
 
     try {
@@ -4550,25 +5364,40 @@ export async function generateTemplate(args) {
         const figmaSectionName = mapUserSectionToFigmaSection(sectionType, figmaMetadata.figma_code_response.sections);
         
         if (figmaSectionName) {
-          console.log(`[generateTemplate] Using Figma metadata with identified_field_types for section: ${sectionType} -> ${figmaSectionName}`);
-          section = generateSectionFromFigmaMetadata(figmaSectionName, figmaMetadata, sectionOptions, fieldTypes, sectionType);
-          console.log(`[generateTemplate] Generated section from Figma metadata: ${sectionType} -> ${figmaSectionName}`);
+          console.error(`[generateTemplate] Using Figma metadata with identified_field_types for section: ${sectionType} -> ${figmaSectionName}`);
+          const figmaSources = [];
+          section = generateSectionFromFigmaMetadata(figmaSectionName, figmaMetadata, { ...sectionOptions, figmaSources }, fieldTypes, sectionType);
+          if (section) {
+            figmaContentSources[section.keyName] = figmaMetadata.figma_code_response.sections[figmaSectionName];
+            figmaSectionKeys[section.keyName] = figmaSectionName;
+            figmaFieldSources[section.keyName] = figmaSources;
+            if (explain) {
+              const figmaSection = figmaSections.find(s => s.name === figmaSectionName);
+              explanations.push(explainFigmaMetadataComponent(section, figmaSectionName, figmaMetadata, figmaSection, contentPatterns));
+            }
+          }
+          console.error(`[generateTemplate] Generated section from Figma metadata: ${sectionType} -> ${figmaSectionName}`);
         } else {
-          console.log(`[generateTemplate] No Figma metadata found for section: ${sectionType}, falling back to standard generation`);
+          console.error(`[generateTemplate] No Figma metadata found for section: ${sectionType}, falling back to Figma code sections or standard generation`);
         }
-      } else if (useFigmaData && figmaSections) {
-        // Fallback to generateSectionFromFigma (supports post collection detection)
+      }
+      
+      if (!section && useFigmaData && figmaSections) {
+        // Fallback to generateSectionFromFigma (supports post collection detection and sections parsed from Figma code)
         const figmaSection = figmaSections.find(s => s.name === sectionType);
         if (figmaSection) {
-          console.log(`[generateTemplate] Using generateSectionFromFigma for section: ${sectionType}`);
+          console.error(`[generateTemplate] Using generateSectionFromFigma for section: ${sectionType}`);
           section = generateSectionFromFigma(figmaSection, contentPatterns, sectionOptions, fieldTypes);
-          console.log(`[generateTemplate] Generated section from Figma data: ${sectionType}`);
+          if (section && explain) {
+            explanations.push(explainFigmaSectionComponent(section, figmaSection, contentPatterns));
+          }
+          console.error(`[generateTemplate] Generated section from Figma data: ${sectionType}`);
         }
       }
       
       // Fallback to standard generation if no Figma data or section not found
       if (!section) {
-        console.log(`[generateTemplate] Generating fallback section for: ${sectionType}`);
+        console.error(`[generateTemplate] Generating fallback section for: ${sectionType}`);
         // Normalize section type for comparison
         const normalizedType = sectionType.toLowerCase().trim();
         
@@ -4628,6 +5457,10 @@ export async function generateTemplate(args) {
               ...sectionOptions
             }, fieldTypes);
         }
+
+        if (section && explain) {
+          explanations.push({ keyName: section.keyName, source: 'built_in', detector: 'section_type', section_type: normalizedType });
+        }
       }
 
       if (section) {
@@ -4660,31 +5493,151 @@ export async function generateTemplate(args) {
     components
   });
 
-  // Auto-create template file in appropriate storage location
-  const fs = await import('fs/promises');
-  const path = await import('path');
+  const figmaInfo = useFigmaData ? `\n🎨 **Generated from Figma data** - 100% accurate section mapping` : '';
+
+  // Seed content with the design copy, keyed like validate_content expects
+  // Built against the template that is written, so merged components keep their existing fields
+  let seedContent = null;
+  let seedValidation = null;
+  const buildSeedContent = seedTemplate => {
+    if (!use_figma_content || Object.keys(figmaContentSources).length === 0) return;
+    const locales = resolveContentLocales(seedTemplate);
+    const seedComponents = Array.isArray(seedTemplate) ? seedTemplate : seedTemplate.components;
+
+    seedContent = {};
+    seedComponents
+      .filter(component => figmaContentSources[component.keyName])
+      .forEach(component => {
+        seedContent[component.keyName] = buildFigmaSeedValues(component.fields, figmaContentSources[component.keyName], locales);
+      });
+    seedValidation = validateContentAgainstTemplate(seedTemplate, seedContent, { locales });
+  };
 
-  try {
-    // Determine target directory based on user-specified template type
-    const targetDir = template_type; // 'pages' or 'posts'
-    const storageDir = path.join(process.cwd(), 'storage', 'app', 'json', targetDir);
-    const filePath = path.join(storageDir, `${templateName}.json`);
+  const formatSeedInfo = (seedPath, written) => {
+    if (!use_figma_content) return '';
+    if (!seedContent) return '\n\n⚠️ use_figma_content: no sections were generated from Figma metadata, so no seed content was created.';
 
-    // Ensure target directory exists
-    await fs.mkdir(storageDir, { recursive: true });
+    const validationInfo = seedValidation.valid
+      ? '✅ Passes validate_content'
+      : `⚠️ validate_content reports ${seedValidation.errors.length} errors:\n${seedValidation.errors.map(error => `- ${error.path}: ${error.message}`).join('\n')}`;
+    return `\n\n🌱 **Seed content ${written ? 'saved to' : 'target'}:** ${seedPath}\n${validationInfo}\n\n**Seed Content:**\n\`\`\`json\n${JSON.stringify(seedContent, null, 2)}\n\`\`\``;
+  };
 
-    // Write template file
-    await fs.writeFile(filePath, JSON.stringify(template, null, 2), 'utf8');
+  const explainInfo = explain ? formatFieldDecisions(explanations) : '';
 
-    const relativePath = path.relative(process.cwd(), filePath);
+  // Report what in the design did not end up in a field
+  const coverageInfo = useFigmaData && figmaMetadata?.figma_code_response?.sections
+    ? formatFigmaCoverage(buildFigmaCoverageReport(figmaMetadata, components, figmaSectionKeys, figmaFieldSources, { excludeSections: is_exclude_sections }))
+    : '';
 
-    const figmaInfo = useFigmaData ? `\n🎨 **Generated from Figma data** - 100% accurate section mapping` : '';
+  const templateTypeInfo = `📂 **Template type:** ${template_type === 'posts' ? 'Post Template' : 'Page Template'}`;
+
+  // Auto-create template file in appropriate storage location
+  try {
+    // Resolve conflicts with an existing file in storage/app/json/{template_type}
+    let targetName = templateName;
+    let outputTemplate = template;
+    let existingText = null;
+    let conflictInfo = '';
+
+    if (await storedTemplateExists(template_type, templateName)) {
+      existingText = await readStoredTemplateText(template_type, templateName);
+      const existingPath = toRelativePath(resolveTemplatePath(template_type, templateName));
+
+      switch (on_conflict) {
+        case 'error':
+          conflictInfo = `\n⛔ **File already exists:** ${existingPath}`;
+          break;
+        case 'suffix':
+          targetName = await findAvailableTemplateName(template_type, templateName);
+          outputTemplate = { ...template, name: targetName };
+          conflictInfo = `\n🔀 **Existing file kept:** ${existingPath} - saving as "${targetName}" instead`;
+          break;
+        case 'merge': {
+          const merged = mergeGeneratedTemplate(JSON.parse(existingText), template);
+          outputTemplate = merged.template;
+          conflictInfo = `\n🔀 **Merged with existing file:** ${existingPath} - kept existing components, added ${merged.added.length} new (${merged.added.join(', ') || 'none'})`;
+          break;
+        }
+        default:
+          conflictInfo = `\n♻️ **Overwriting existing file:** ${existingPath}`;
+      }
+    }
+
+    buildSeedContent(outputTemplate);
+
+    const outputJson = JSON.stringify(outputTemplate, null, 2);
+    const targetPath = toRelativePath(resolveTemplatePath(template_type, targetName));
+
+    // Only templates that pass validate_template are written, like update_template does
+    const validation = await validateTemplateStructure(outputTemplate);
+    const validationInfo = validation.valid
+      ? ''
+      : `\n\n**Errors (${validation.errors.length}):**\n${validation.errors.map(error => `- ${error.path}: ${error.message}`).join('\n')}`;
+
+    // Preview the result without touching disk
+    if (dry_run) {
+      const diff = existingText !== null
+        ? createUnifiedDiff(existingText, outputJson, {
+          oldLabel: `${toRelativePath(resolveTemplatePath(template_type, templateName))} (existing)`,
+          newLabel: `${targetPath} (generated)`
+        })
+        : '';
+      const diffInfo = existingText === null
+        ? `\n\n🆕 No existing file - ${targetPath} would be created.`
+        : `\n\n**Diff against existing ${template_type}/${templateName}.json:**\n\`\`\`diff\n${diff || '(no changes)'}\n\`\`\``;
+      let blockedInfo = existingText !== null && on_conflict === 'error'
+        ? '\n\n⚠️ With on_conflict "error" this file would not be written.'
+        : '';
+      if (!validation.valid) {
+        blockedInfo += `\n\n⚠️ The template fails validation and would not be written.${validationInfo}`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🧪 **Dry run** - generated AntiCMS v3 template "${label}" with ${components.length} sections. Nothing was written.${figmaInfo}${conflictInfo}\n\n📁 **Target file:** ${targetPath}\n${templateTypeInfo}${blockedInfo}${diffInfo}\n\n**JSON Content:**\n\`\`\`json\n${outputJson}\n\`\`\`${formatSeedInfo(toRelativePath(resolveSeedContentPath(template_type, targetName)), false)}${coverageInfo}${explainInfo}`
+          }
+        ]
+      };
+    }
+
+    if (existingText !== null && on_conflict === 'error') {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Generated AntiCMS v3 template "${label}" was not saved.${figmaInfo}${conflictInfo}\n\nUse on_conflict "overwrite", "suffix" or "merge", or dry_run to preview the changes.\n\n**JSON Content:**\n\`\`\`json\n${outputJson}\n\`\`\`${coverageInfo}${explainInfo}`
+          }
+        ]
+      };
+    }
+
+    if (!validation.valid) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Generated AntiCMS v3 template "${label}" is invalid and was not saved.${figmaInfo}${conflictInfo}${validationInfo}\n\n**JSON Content:**\n\`\`\`json\n${outputJson}\n\`\`\`${coverageInfo}${explainInfo}`
+          }
+        ]
+      };
+    }
+
+    // Write template file
+    const filePath = await writeStoredTemplate(template_type, targetName, outputTemplate, { tool: 'generate_template', args });
+    const seedInfo = seedContent
+      ? formatSeedInfo(toRelativePath(await writeSeedContent(template_type, targetName, seedContent)), true)
+      : formatSeedInfo(null, false);
+
+    const relativePath = toRelativePath(filePath);
     
     return {
       content: [
         {
           type: 'text',
-          text: `✅ Generated AntiCMS v3 template "${label}" with ${components.length} sections.${figmaInfo}\n\n📁 **File saved to:** ${relativePath}\n📂 **Template type:** ${template_type === 'posts' ? 'Post Template' : 'Page Template'}\n\n**JSON Content:**\n\`\`\`json\n${JSON.stringify(template, null, 2)}\n\`\`\``
+          text: `✅ Generated AntiCMS v3 template "${label}" with ${components.length} sections.${figmaInfo}${conflictInfo}\n\n📁 **File saved to:** ${relativePath}\n${templateTypeInfo}\n\n**JSON Content:**\n\`\`\`json\n${outputJson}\n\`\`\`${seedInfo}${coverageInfo}${explainInfo}`
         }
       ]
     };
@@ -4692,19 +5645,46 @@ export async function generateTemplate(args) {
     // If file creation fails, still return the template JSON
     console.error(`[MCP] Failed to save template file: ${error.message}`);
     
-    const figmaInfo = useFigmaData ? `\n🎨 **Generated from Figma data** - 100% accurate section mapping` : '';
-    
     return {
       content: [
         {
           type: 'text',
-          text: `⚠️ Generated AntiCMS v3 template "${label}" with ${components.length} sections.${figmaInfo}\n\n❌ **File creation failed:** ${error.message}\n\n**JSON Content:**\n\`\`\`json\n${JSON.stringify(template, null, 2)}\n\`\`\``
+          text: `⚠️ Generated AntiCMS v3 template "${label}" with ${components.length} sections.${figmaInfo}\n\n❌ **File creation failed:** ${error.message}\n\n**JSON Content:**\n\`\`\`json\n${JSON.stringify(template, null, 2)}\n\`\`\`${coverageInfo}${explainInfo}`
         }
       ]
     };
   }
 }
 
+/**
+ * Merge a generated template into an existing stored template
+ * Existing components and root settings win; generated components with new keyNames are appended
+ * @param {Object|Array} existing - Existing stored template (posts may be a bare component array)
+ * @param {Object} generated - Newly generated template
+ * @returns {object} - Merged template and the keyNames of appended components
+ */
+function mergeGeneratedTemplate(existing, generated) {
+  const existingComponents = Array.isArray(existing) ? existing : (existing.components || []);
+  const existingKeys = new Set(existingComponents.map(component => component.keyName));
+
+  // Continue section numbering after the highest existing section
+  const sectionNumbers = existingComponents
+    .map(component => parseInt(component.section, 10))
+    .filter(number => !isNaN(number));
+  let nextSection = sectionNumbers.length > 0 ? Math.max(...sectionNumbers) + 1 : 1;
+
+  const addedComponents = generated.components
+    .filter(component => !existingKeys.has(component.keyName))
+    .map(component => ({ ...component, section: String(nextSection++) }));
+
+  const components = [...existingComponents, ...addedComponents];
+
+  return {
+    template: Array.isArray(existing) ? components : { ...generated, ...existing, components },
+    added: addedComponents.map(component => component.keyName)
+  };
+}
+
 
 /**
  * List field types tool handler
@@ -4781,51 +5761,334 @@ export async function listFieldTypes(args) {
 }
 
 /**
- * Template validation tool handler
- * @param {object} args - Tool arguments
- * @returns {object} - Tool response
+ * Call a callback for every list of fields in the components, including nested repeater and group fields
+ * @param {Array} components - Template components
+ * @param {string} componentsPath - JSON Pointer to the components array
+ * @param {Function} callback - Called with (fields, path, component) where path points to the fields array
  */
-export async function validateTemplate(args) {
-  const { template_json } = args;
-  
+function forEachFieldList(components, componentsPath, callback) {
+  const visit = (fields, path, component) => {
+    if (!Array.isArray(fields)) return;
+    callback(fields, path, component);
+    fields.forEach((field, fieldIndex) => {
+      if (field && typeof field === 'object') {
+        visit(getNestedFields(field), appendPointer(path, fieldIndex, 'attribute', 'fields'), component);
+      }
+    });
+  };
+
+  components.forEach((component, index) => {
+    if (component && typeof component === 'object') {
+      visit(component.fields, appendPointer(componentsPath, index, 'fields'), component);
+    }
+  });
+}
+
+/**
+ * Lint rules for template warnings
+ * Each rule can be turned off per validate_template call via lint_rules
+ */
+export const LINT_RULES = {
+  snake_case_field_names: {
+    description: 'Field names should be snake_case',
+    check(components, componentsPath, report) {
+      forEachFieldList(components, componentsPath, (fields, path) => {
+        fields.forEach((field, fieldIndex) => {
+          if (typeof field?.name === 'string' && !/^[a-z][a-z0-9]*(_[a-z0-9]+)*$/.test(field.name)) {
+            report(appendPointer(path, fieldIndex, 'name'), `Field name "${field.name}" is not snake_case`);
+          }
+        });
+      });
+    }
+  },
+
+  duplicate_field_names: {
+    description: 'Field names should be unique within a component or nested field list',
+    check(components, componentsPath, report) {
+      forEachFieldList(components, componentsPath, (fields, path) => {
+        const seen = new Set();
+        fields.forEach((field, fieldIndex) => {
+          if (!field?.name) return;
+          if (seen.has(field.name)) {
+            report(appendPointer(path, fieldIndex, 'name'), `Duplicate field name "${field.name}"`);
+          }
+          seen.add(field.name);
+        });
+      });
+    }
+  },
+
+  duplicate_key_names: {
+    description: 'Component keyNames should be unique',
+    check(components, componentsPath, report) {
+      const seen = new Map();
+      components.forEach((component, index) => {
+        if (!component?.keyName) return;
+        if (seen.has(component.keyName)) {
+          report(appendPointer(componentsPath, index, 'keyName'), `keyName "${component.keyName}" duplicates ${appendPointer(componentsPath, seen.get(component.keyName))}`);
+        } else {
+          seen.set(component.keyName, index);
+        }
+      });
+    }
+  },
+
+  sequential_sections: {
+    description: 'Component sections should be numbered "1", "2", "3", ... in order',
+    check(components, componentsPath, report) {
+      components.forEach((component, index) => {
+        if (component?.section === undefined) return;
+        if (String(component.section) !== String(index + 1)) {
+          report(appendPointer(componentsPath, index, 'section'), `Section "${component.section}" is out of sequence (expected "${index + 1}")`);
+        }
+      });
+    }
+  },
+
+  status_toggle_first: {
+    description: 'Components should start with a "status" toggle field',
+    check(components, componentsPath, report) {
+      components.forEach((component, index) => {
+        if (!Array.isArray(component?.fields)) return;
+        const first = component.fields[0];
+        if (!first || first.name !== 'status' || first.field !== 'toggle') {
+          report(appendPointer(componentsPath, index, 'fields'), 'Component should start with a "status" toggle field');
+        }
+      });
+    }
+  },
+
+  multilanguage_non_text: {
+    description: 'Toggles, media and URL inputs should not be multilanguage',
+    check(components, componentsPath, report) {
+      forEachFieldList(components, componentsPath, (fields, path) => {
+        fields.forEach((field, fieldIndex) => {
+          if (field?.multilanguage !== true) return;
+          const isUrl = field.field === 'input' && field.attribute?.type === 'url';
+          if (field.field === 'toggle' || field.field === 'media' || isUrl) {
+            report(appendPointer(path, fieldIndex, 'multilanguage'), `${isUrl ? 'url input' : field.field} field "${field.name}" should not be multilanguage`);
+          }
+        });
+      });
+    }
+  },
+
+  media_alt_caption: {
+    description: 'Media fields should have an alt text or caption field next to them',
+    check(components, componentsPath, report) {
+      forEachFieldList(components, componentsPath, (fields, path) => {
+        const names = new Set(fields.map(field => field?.name));
+        fields.forEach((field, fieldIndex) => {
+          if (field?.field !== 'media') return;
+          const candidates = ['alt', 'alt_text', 'caption', `${field.name}_alt`, `${field.name}_alt_text`, `${field.name}_caption`];
+          if (!candidates.some(candidate => names.has(candidate))) {
+            report(appendPointer(path, fieldIndex), `Media field "${field.name}" has no alt text or caption field`);
+          }
+        });
+      });
+    }
+  }
+};
+
+/**
+ * Run lint rules over template components
+ * @param {Array} components - Template components
+ * @param {string} componentsPath - JSON Pointer to the components array
+ * @param {Object} lintRules - Rule toggles by rule id; rules are on unless set to false
+ * @param {Array} warnings - Array to collect warnings
+ */
+function lintComponents(components, componentsPath, lintRules, warnings) {
+  Object.keys(lintRules).forEach(ruleId => {
+    if (!LINT_RULES[ruleId]) {
+      addIssue(warnings, '', `Unknown lint rule: ${ruleId}. Available rules: ${Object.keys(LINT_RULES).join(', ')}`);
+    }
+  });
+
+  Object.entries(LINT_RULES).forEach(([ruleId, rule]) => {
+    if (lintRules[ruleId] === false) return;
+    rule.check(components, componentsPath, (path, message) => warnings.push({ path, rule: ruleId, message }));
+  });
+}
+
+/**
+ * Apply safe automatic corrections to a template
+ * Replaces deprecated field types, sanitizes field names, fills missing required attributes
+ * and renumbers sections. The input template is not modified.
+ * @param {Object|Array} template - Template JSON to fix
+ * @returns {Promise<Object>} - Fixed template and a change log
+ */
+export async function fixTemplateStructure(template) {
+  const fieldTypes = await loadFieldTypes();
+  const replacements = await loadFieldTypeReplacements();
+  const fixed = JSON.parse(JSON.stringify(template));
+  const changes = [];
+
+  const fixFields = (fields, parentPath) => {
+    if (!Array.isArray(fields)) return;
+
+    fields.forEach((field, fieldIndex) => {
+      if (!field || typeof field !== 'object') return;
+      const fieldPath = appendPointer(parentPath, fieldIndex);
+
+      // Replace deprecated field types with their recommended replacement
+      if (field.field && replacements[field.field] && fieldTypes[replacements[field.field]]) {
+        const replacement = replacements[field.field];
+        changes.push({ path: appendPointer(fieldPath, 'field'), action: 'replace_deprecated_field', old: field.field, new: replacement });
+        if (replacement === 'media') {
+          const accept = toMediaAccept(field.attribute?.accept, field.field);
+          if (accept) {
+            changes.push({ path: appendPointer(fieldPath, 'attribute', 'accept'), action: 'convert_accept', old: field.attribute?.accept ?? null, new: accept });
+            field.attribute = { ...(field.attribute || {}), accept };
+          }
+        }
+        field.field = replacement;
+      }
+
+      // Sanitize field names the same way generateField does
+      if (typeof field.name === 'string') {
+        const sanitizedName = sanitizeFieldName(field.name);
+        if (sanitizedName && sanitizedName !== field.name) {
+          changes.push({ path: appendPointer(fieldPath, 'name'), action: 'sanitize_name', old: field.name, new: sanitizedName });
+          field.name = sanitizedName;
+        }
+      }
+
+      // Fill missing required attributes with field type defaults
+      const fieldConfig = fieldTypes[field.field];
+      const attributeProperties = fieldConfig?.properties?.attribute_properties;
+      if (attributeProperties) {
+        Object.entries(attributeProperties)
+          .filter(([_, prop]) => prop.required)
+          .forEach(([attr, _]) => {
+            if (field.attribute && attr in field.attribute) return;
+            const value = AntiCMSComponentGenerator.getDefaultAttributeValue(attr, fieldConfig);
+            field.attribute = { ...(field.attribute || {}), [attr]: value };
+            changes.push({ path: appendPointer(fieldPath, 'attribute', attr), action: 'add_required_attribute', new: value });
+          });
+      }
+
+      fixFields(getNestedFields(field), appendPointer(fieldPath, 'attribute', 'fields'));
+    });
+  };
+
+  const components = Array.isArray(fixed) ? fixed : fixed?.components;
+  const componentsPath = Array.isArray(fixed) ? '' : '/components';
+  if (Array.isArray(components)) {
+    components.forEach((component, index) => {
+      if (!component || typeof component !== 'object') return;
+      const componentPath = appendPointer(componentsPath, index);
+
+      // Renumber sections sequentially
+      const section = String(index + 1);
+      if (component.section !== section) {
+        changes.push({ path: appendPointer(componentPath, 'section'), action: 'renumber_section', old: component.section, new: section });
+        component.section = section;
+      }
+
+      fixFields(component.fields, appendPointer(componentPath, 'fields'));
+    });
+  }
+
+  return { template: fixed, changes };
+}
+
+/**
+ * Validate template JSON structure and collect errors and warnings
+ * Post templates stored as a bare array of components are validated as components only
+ * @param {Object|Array} template - Template JSON to validate
+ * @param {object} options - Validation options
+ * @param {Object} options.lintRules - Lint rule toggles by rule id (all rules run by default)
+ * @returns {Promise<Object>} - Validation result with valid, errors and warnings
+ */
+export async function validateTemplateStructure(template, options = {}) {
+  const { lintRules = {} } = options;
+
   const errors = [];
   const warnings = [];
 
   // Load field types for validation
   const fieldTypes = await loadFieldTypes();
 
+  const components = Array.isArray(template) ? template : template?.components;
+  const componentsPath = Array.isArray(template) ? '' : '/components';
+
   // Basic structure validation
-  const requiredKeys = ['name', 'label', 'is_content', 'multilanguage', 'is_multiple', 'description', 'components'];
-  requiredKeys.forEach(key => {
-    if (!(key in template_json)) {
-      errors.push(`Missing required key: ${key}`);
+  if (!Array.isArray(template)) {
+    if (!template || typeof template !== 'object') {
+      addIssue(errors, '', 'Template must be a JSON object');
+      return { valid: false, errors, warnings };
     }
-  });
+
+    const requiredKeys = ['name', 'label', 'is_content', 'multilanguage', 'is_multiple', 'description', 'components'];
+    requiredKeys.forEach(key => {
+      if (!(key in template)) {
+        addIssue(errors, '', `Missing required key: ${key}`);
+      }
+    });
+  }
 
   // Validate components
-  if (Array.isArray(template_json.components)) {
-    template_json.components.forEach((component, index) => {
+  if (Array.isArray(components)) {
+    components.forEach((component, index) => {
+      const componentPath = appendPointer(componentsPath, index);
+
+      if (!component || typeof component !== 'object' || Array.isArray(component)) {
+        addIssue(errors, componentPath, 'Component must be an object');
+        return;
+      }
+
       const requiredComponentKeys = ['keyName', 'label', 'section', 'fields'];
       requiredComponentKeys.forEach(key => {
         if (!(key in component)) {
-          errors.push(`Component ${index + 1} missing required key: ${key}`);
+          addIssue(errors, componentPath, `Component missing required key: ${key}`);
         }
       });
 
       // Validate fields
       if (Array.isArray(component.fields)) {
-        validateNestedFields(component.fields, `Component ${index + 1}`, errors, fieldTypes);
+        validateNestedFields(component.fields, appendPointer(componentPath, 'fields'), errors, fieldTypes, warnings);
+      } else if ('fields' in component) {
+        addIssue(errors, appendPointer(componentPath, 'fields'), 'Component fields must be an array');
       }
     });
-  } else {
-    errors.push('Components must be an array');
+
+    // Lint rules only produce warnings
+    lintComponents(components, componentsPath, lintRules, warnings);
+  } else if (template && 'components' in template) {
+    addIssue(errors, '/components', 'Components must be an array');
   }
 
-  const result = {
+  return {
     valid: errors.length === 0,
     errors,
     warnings
   };
+}
+
+/**
+ * Template validation tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - Tool response
+ */
+export async function validateTemplate(args) {
+  const { template_json, lint_rules = {}, fix = false } = args;
+
+  if (fix) {
+    // Validate the fixed template and return it together with the change log
+    const fixResult = await fixTemplateStructure(template_json);
+    const result = await validateTemplateStructure(fixResult.template, { lintRules: lint_rules });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🔧 Applied ${fixResult.changes.length} fixes. Fixed template validation ${result.valid ? 'PASSED' : 'FAILED'}.\n\n${JSON.stringify({ ...result, fixes: fixResult.changes }, null, 2)}\n\n**Fixed JSON Content:**\n\`\`\`json\n${JSON.stringify(fixResult.template, null, 2)}\n\`\`\``
+        }
+      ]
+    };
+  }
+
+  const result = await validateTemplateStructure(template_json, { lintRules: lint_rules });
 
   return {
     content: [
@@ -4838,206 +6101,6 @@ export async function validateTemplate(args) {
 }
 
 
-
-
-
-/**
- * Parse instruction document (markdown format) to generate template structure
- * @param {string} instructionText - Instruction document content
- * @returns {object} - Parsed template structure
- */
-function parseInstructionDocument(instructionText) {
-  const lines = instructionText.split('\n');
-  const template = {
-    components: []
-  };
-  
-  let currentSection = null;
-  let currentField = null;
-  let inFieldProperties = false;
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    // Parse template header
-    if (line.startsWith('# ')) {
-      template.label = line.substring(2).trim();
-      template.name = template.label.toLowerCase().replace(/\s+/g, '_');
-    }
-    
-    // Parse template properties
-    if (line.startsWith('- Name: ')) {
-      template.name = line.substring(8).trim();
-    } else if (line.startsWith('- Label: ')) {
-      template.label = line.substring(9).trim();
-    } else if (line.startsWith('- Multilanguage: ')) {
-      template.multilanguage = line.substring(17).trim() === 'true';
-    } else if (line.startsWith('- Is Content: ')) {
-      template.is_content = line.substring(14).trim() === 'true';
-    } else if (line.startsWith('- Is Multiple: ')) {
-      template.is_multiple = line.substring(15).trim() === 'true';
-    } else if (line.startsWith('- Description: ')) {
-      template.description = line.substring(15).trim();
-    }
-    
-    // Parse sections
-    if (line.startsWith('## Section: ')) {
-      if (currentSection) {
-        template.components.push(currentSection);
-      }
-      
-      const sectionMatch = line.match(/## Section: (.+?) \(`(.+?)`\)/);
-      if (sectionMatch) {
-        currentSection = {
-          label: sectionMatch[1],
-          keyName: sectionMatch[2],
-          fields: [],
-          section: "1" // Will be updated later
-        };
-      }
-    }
-    
-    // Parse section properties
-    if (currentSection && line.startsWith('- Block: ')) {
-      // Block information - could be used for styling/organization
-    } else if (currentSection && line.startsWith('- Order: ')) {
-      currentSection.section = line.substring(9).trim();
-    }
-    
-    // Parse fields
-    if (line.startsWith('- `') && line.includes('`:')){
-      if (currentField) {
-        currentSection?.fields.push(currentField);
-      }
-      
-      const fieldMatch = line.match(/- `(.+?)`: (.+)/);
-      if (fieldMatch) {
-        const fieldName = fieldMatch[1];
-        const fieldDefinition = fieldMatch[2];
-        
-        // Parse field type and properties
-        let fieldType = 'input';
-        let isMultilanguage = false;
-        let attributes = {};
-        
-        if (fieldDefinition.includes('toggle')) {
-          fieldType = 'toggle';
-        } else if (fieldDefinition.includes('textarea')) {
-          fieldType = 'textarea';
-        } else if (fieldDefinition.includes('repeater')) {
-          fieldType = 'repeater';
-          // Parse repeater constraints
-          const minMatch = fieldDefinition.match(/min:\s*(\d+)/);
-          const maxMatch = fieldDefinition.match(/max:\s*(\d+)/);
-          if (minMatch) attributes.min = parseInt(minMatch[1]);
-          if (maxMatch) attributes.max = parseInt(maxMatch[1]);
-          attributes.fields = []; // Will be populated with nested fields
-        } else if (fieldDefinition.includes('input')) {
-          fieldType = 'input';
-          attributes.type = 'text';
-        }
-        
-        if (fieldDefinition.includes('multilanguage')) {
-          isMultilanguage = true;
-        }
-        
-        currentField = {
-          name: fieldName,
-          label: fieldName.charAt(0).toUpperCase() + fieldName.slice(1).replace(/_/g, ' '),
-          field: fieldType,
-          multilanguage: isMultilanguage
-        };
-        
-        if (Object.keys(attributes).length > 0) {
-          currentField.attribute = attributes;
-        }
-        
-        inFieldProperties = true;
-      }
-    }
-    
-    // Parse field properties (indented lines)
-    if (inFieldProperties && line.startsWith('  - ')) {
-      if (currentField) {
-        const propLine = line.substring(4).trim();
-        
-        if (propLine.startsWith('Required: ')) {
-          if (!currentField.attribute) currentField.attribute = {};
-          currentField.attribute.is_required = propLine.substring(10).trim() === 'true';
-        } else if (propLine.startsWith('Default: ')) {
-          if (!currentField.attribute) currentField.attribute = {};
-          currentField.attribute.defaultValue = propLine.substring(9).trim();
-        } else if (propLine.startsWith('Caption: ')) {
-          if (!currentField.attribute) currentField.attribute = {};
-          currentField.attribute.caption = propLine.substring(9).trim();
-        }
-      }
-    }
-    
-    // Parse nested fields for repeaters
-    if (currentField && currentField.field === 'repeater' && line.startsWith('  - `')) {
-      const nestedFieldMatch = line.match(/  - `(.+?)`: (.+)/);
-      if (nestedFieldMatch) {
-        const nestedFieldName = nestedFieldMatch[1];
-        const nestedFieldDef = nestedFieldMatch[2];
-        
-        let nestedFieldType = 'input';
-        let nestedIsMultilang = false;
-        let nestedAttributes = { type: 'text' };
-        
-        if (nestedFieldDef.includes('textarea')) {
-          nestedFieldType = 'textarea';
-          delete nestedAttributes.type;
-        } else if (nestedFieldDef.includes('input')) {
-          nestedFieldType = 'input';
-        }
-        
-        if (nestedFieldDef.includes('multilanguage')) {
-          nestedIsMultilang = true;
-        }
-        
-        const nestedField = {
-          name: nestedFieldName,
-          label: nestedFieldName.charAt(0).toUpperCase() + nestedFieldName.slice(1).replace(/_/g, ' '),
-          field: nestedFieldType,
-          multilanguage: nestedIsMultilang
-        };
-        
-        if (Object.keys(nestedAttributes).length > 0) {
-          nestedField.attribute = nestedAttributes;
-        }
-        
-        if (!currentField.attribute.fields) {
-          currentField.attribute.fields = [];
-        }
-        currentField.attribute.fields.push(nestedField);
-      }
-    }
-    
-    // End field properties when we hit a blank line or new section
-    if (line === '' || line.startsWith('#') || line.startsWith('---')) {
-      if (currentField) {
-        currentSection?.fields.push(currentField);
-        currentField = null;
-      }
-      inFieldProperties = false;
-    }
-  }
-  
-  // Add the last field and section
-  if (currentField) {
-    currentSection?.fields.push(currentField);
-  }
-  if (currentSection) {
-    template.components.push(currentSection);
-  }
-  
-  return template;
-}
-
-
-
-
 /**
  * Detect if a section is a post collection based on keywords and context
  * @param {string} sectionText - Section text content
@@ -5287,9 +6350,172 @@ function convertFigmaMetadataToSections(figmaMetadata) {
     });
   });
 
+  // Figma Dev Mode code (figma_code_response.code) adds the sections found in its layer tree
+  if (typeof figma_code_response.code === 'string' && figma_code_response.code.trim()) {
+    const parsedCode = parseFigmaCodeWithMetadata(figma_code_response.code, figmaMetadata.figma_metadata_response);
+    parsedCode.sections
+      .filter(section => !sections.some(existing => existing.name === section.name))
+      .forEach(section => sections.push(section));
+    Object.keys(contentPatterns).forEach(key => {
+      contentPatterns[key].push(...(parsedCode.contentPatterns[key] || []));
+    });
+  }
+
   return { sections, contentPatterns };
 }
 
+/**
+ * Layer names marking buttons and form controls in a Figma file
+ */
+const FIGMA_FILE_LAYER_PATTERNS = {
+  button: /\b(button|btn|cta)\b/i,
+  textarea: /\b(textarea|message)\b/i,
+  input: /\b(input|text ?field|form ?field)\b/i
+};
+
+/**
+ * Convert a layer name to a section or element name
+ * @param {string} layerName - Figma layer name
+ * @param {string} fallback - Name for layers without letters or digits
+ * @returns {string} - snake_case name
+ */
+function toFigmaFileName(layerName, fallback) {
+  return sanitizeFieldName(toSnakeCase(String(layerName || ''))) || fallback;
+}
+
+/**
+ * Get the copy of a Figma node and its descendants
+ * @param {object} node - Figma node
+ * @returns {string} - Text of the visible TEXT layers
+ */
+function getFigmaFileText(node) {
+  if (node.type === 'TEXT') return String(node.characters || '').trim();
+  return getVisibleFigmaChildren(node).map(getFigmaFileText).filter(Boolean).join(' ');
+}
+
+/**
+ * Collect the elements of a Figma file layer
+ * TEXT layers become text elements, image fills image elements, and layers named like buttons
+ * or form controls one element each; auto-layout containers with repeated items are repeaters,
+ * described once by the elements of their first item (marked with the list name in "repeater")
+ * @param {object} node - Figma node
+ * @param {object} context - { prefix, nested, patterns } where patterns collects the detected content patterns
+ * @returns {Array} - Elements in figmaSections format
+ */
+function collectFigmaFileElements(node, context) {
+  const elements = [];
+
+  getVisibleFigmaChildren(node).forEach(child => {
+    const name = `${context.prefix}${toFigmaFileName(child.name, child.type.toLowerCase())}`;
+    const controlType = Object.keys(FIGMA_FILE_LAYER_PATTERNS).find(type => FIGMA_FILE_LAYER_PATTERNS[type].test(child.name || ''));
+
+    if (child.type === 'TEXT' || (controlType && isFigmaContainerNode(child))) {
+      const content = getFigmaFileText(child);
+      if (!content) return;
+      const type = controlType || 'text';
+      const roles = {
+        text: () => determineTextRole(content, child.name),
+        button: () => determineButtonRole(content, child.name),
+        input: () => determineInputRole(content, child.name),
+        textarea: () => 'textarea'
+      };
+      elements.push({ type, content, role: roles[type](), name, originalName: child.name, nodeId: child.id });
+      if (!context.nested) context.patterns.single_fields = true;
+      return;
+    }
+
+    if (hasFigmaImageFill(child)) {
+      elements.push({ type: 'image', content: '', role: 'image', name, originalName: child.name, nodeId: child.id });
+      if (!context.nested) context.patterns.single_fields = true;
+      return;
+    }
+
+    if (!isFigmaContainerNode(child)) return;
+
+    const items = findRepeatedFigmaChildren(child);
+    if (items.length > 0) {
+      const listName = toFigmaFileName(child.name, 'items');
+      const itemElements = collectFigmaFileElements(items[0], { ...context, prefix: '', nested: true });
+      elements.push(...itemElements.map(element => ({ ...element, repeater: listName })));
+      context.patterns.repeaters = true;
+
+      // Layers next to the items (e.g. a "See more" button) are collected as usual
+      const rest = { ...child, children: getVisibleFigmaChildren(child).filter(grandchild => !items.includes(grandchild)) };
+      elements.push(...collectFigmaFileElements(rest, { ...context, nested: true }));
+      return;
+    }
+
+    const nestedElements = collectFigmaFileElements(child, { ...context, nested: true });
+    if (nestedElements.length > 1 && !context.nested) context.patterns.groups = true;
+    elements.push(...nestedElements);
+  });
+
+  return elements;
+}
+
+/**
+ * Convert a Figma REST API file (GET /v1/files/:key) to figmaSections format for generateSectionFromFigma
+ * The top-level layers of the selected frame are the sections
+ * @param {object} figmaFile - Figma file JSON
+ * @param {object} options - Conversion options
+ * @param {string} options.page - Page id or name (default: any page)
+ * @param {string} options.frame - Frame id or name (default: first frame of the first page with frames)
+ * @returns {object} - { sections, contentPatterns, page, frame, skipped } or { error }
+ */
+function convertFigmaFileToSections(figmaFile, options = {}) {
+  const selection = selectFigmaFileFrame(figmaFile, options);
+  if (selection.error) {
+    return { error: selection.error };
+  }
+
+  const { page, frame } = selection;
+  const sections = [];
+  const skipped = [];
+  const contentPatterns = {
+    repeaters: [],
+    groups: [],
+    single_fields: []
+  };
+
+  (frame.children || []).forEach((layer, index) => {
+    const layerName = layer?.name || `Layer ${index + 1}`;
+    if (!isFigmaNodeVisible(layer)) {
+      skipped.push({ figma: layerName, reason: 'hidden layer' });
+      return;
+    }
+    if (!isFigmaContainerNode(layer)) {
+      skipped.push({ figma: layerName, reason: `${String(layer.type).toLowerCase()} layer outside a section` });
+      return;
+    }
+
+    let sectionName = toFigmaFileName(layerName, `section_${index + 1}`);
+    if (sections.some(section => section.name === sectionName)) {
+      sectionName = `${sectionName}_${index + 1}`;
+    }
+
+    const patterns = {};
+    const elements = collectFigmaFileElements(layer, { prefix: '', nested: false, patterns });
+    if (elements.length === 0) {
+      skipped.push({ figma: layerName, reason: 'no text or image layers' });
+      return;
+    }
+
+    Object.keys(contentPatterns).forEach(key => {
+      if (patterns[key]) contentPatterns[key].push(sectionName);
+    });
+
+    sections.push({
+      name: sectionName,
+      originalName: layerName,
+      type: 'section',
+      nodeId: layer.id,
+      elements
+    });
+  });
+
+  return { sections, contentPatterns, page, frame, skipped };
+}
+
 /**
  * Determine element type based on key and value
  * @param {string} key - Element key
@@ -5445,123 +6671,269 @@ export async function generateTemplateFromDescription(args) {
 }
 
 /**
- * Generate template from Figma metadata JSON file
+ * Generate template from Figma metadata, passed inline or as a JSON file path
+ * Sections are derived from figma_code_response.sections; the response starts with a report of
+ * the Figma sections that were mapped, skipped or excluded
  * @param {object} args - Tool arguments
  * @returns {object} - Tool response
  */
 export async function generateTemplateFromFigmaMetadata(args) {
   const {
+    figma_metadata,
     metadata_file_path,
     template_name,
     template_label,
     template_type = 'pages',
     multilanguage = true,
-    is_multiple = false
+    is_multiple = false,
+    is_exclude_sections = true,
+    use_figma_content = false,
+    on_conflict = 'error',
+    dry_run = false,
+    explain = false
+  } = args;
+
+  // Inline metadata takes precedence over the file path
+  let metadata = figma_metadata;
+  const metadataSource = figma_metadata ? 'figma_metadata' : metadata_file_path;
+  if (!metadata) {
+    if (!metadata_file_path) {
+      return {
+        content: [{ type: 'text', text: '❌ Provide either "figma_metadata" or "metadata_file_path"' }]
+      };
+    }
+    try {
+      metadata = await readFigmaMetadataFile(metadata_file_path);
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `❌ ${error.message}` }]
+      };
+    }
+  }
+
+  // Extract template information from metadata
+  const anticmsAnalysis = metadata?.anticms_analysis || {};
+  const sections = metadata?.figma_code_response?.sections;
+  if (!sections || typeof sections !== 'object' || Array.isArray(sections)) {
+    return {
+      content: [{ type: 'text', text: `❌ ${metadataSource} has no figma_code_response.sections object (see FIGMA_METADATA_RULES.md for the metadata format)` }]
+    };
+  }
+
+  // Generate template name and label if not provided
+  const templateName = template_name || anticmsAnalysis.template_type || 'figma_template';
+  const templateLabel = template_label || metadata.figma_metadata_response?.name || 'Figma Template';
+
+  // Map sections from Figma metadata to AntiCMS sections
+  const mapping = mapFigmaSectionsToAntiCMS(sections, anticmsAnalysis, { excludeSections: is_exclude_sections });
+  const mappingReport = formatFigmaSectionMapping(mapping);
+
+  console.error(`[generateTemplateFromFigmaMetadata] Mapped ${mapping.sections.length} sections from Figma metadata`);
+
+  if (mapping.sections.length === 0) {
+    return {
+      content: [{ type: 'text', text: `❌ No Figma sections could be mapped to AntiCMS sections.\n\n${mappingReport}` }]
+    };
+  }
+
+  // Generate template using the mapped sections, with the metadata driving the fields
+  const result = await generateTemplate({
+    name: templateName,
+    label: templateLabel,
+    description: `Template generated from Figma metadata: ${templateLabel}`,
+    template_type,
+    is_content: false,
+    multilanguage,
+    is_multiple,
+    sections: mapping.sections,
+    include_cta: hasCTAButton(sections),
+    max_features: anticmsAnalysis.max_features || 6,
+    max_gallery_images: anticmsAnalysis.max_gallery_images || 12,
+    figma_metadata: metadata,
+    is_exclude_sections,
+    use_figma_content,
+    on_conflict,
+    dry_run,
+    explain
+  });
+
+  return {
+    ...result,
+    content: [{ type: 'text', text: mappingReport }, ...result.content]
+  };
+}
+
+/**
+ * Generate template from a Figma REST API file (GET /v1/files/:key) saved on disk
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} - Tool response
+ */
+export async function generateTemplateFromFigmaFile(args) {
+  const {
+    file_path,
+    page,
+    frame,
+    template_name,
+    template_label,
+    template_type = 'pages',
+    multilanguage = true,
+    is_multiple = false,
+    is_exclude_sections = true,
+    on_conflict = 'error',
+    dry_run = false,
+    explain = false
   } = args;
 
+  let figmaFile;
   try {
-    // Read and parse the metadata file
     const fs = await import('fs/promises');
-    const path = await import('path');
-    
-    const metadataPath = path.resolve(metadata_file_path);
-    const metadataContent = await fs.readFile(metadataPath, 'utf8');
-    const metadata = JSON.parse(metadataContent);
-
-    console.log(`[generateTemplateFromFigmaMetadata] Loaded metadata from: ${metadataPath}`);
-
-    // Extract template information from metadata
-    const anticmsAnalysis = metadata.anticms_analysis || {};
-    const figmaCodeResponse = metadata.figma_code_response || {};
-    const sections = figmaCodeResponse.sections || {};
-
-    // Generate template name and label if not provided
-    const templateName = template_name || anticmsAnalysis.template_type || 'figma_template';
-    const templateLabel = template_label || metadata.figma_metadata_response?.name || 'Figma Template';
-
-    // Map sections from Figma metadata to AntiCMS sections
-    const mappedSections = mapFigmaSectionsToAntiCMS(sections, anticmsAnalysis);
-
-    console.log(`[generateTemplateFromFigmaMetadata] Mapped ${mappedSections.length} sections from Figma metadata`);
-
-    // Generate template using the mapped sections
-    const templateArgs = {
-      name: templateName,
-      label: templateLabel,
-      description: `Template generated from Figma metadata: ${templateLabel}`,
-      template_type,
-      is_content: false,
-      multilanguage,
-      is_multiple,
-      sections: mappedSections,
-      include_cta: hasCTAButton(sections),
-      max_features: anticmsAnalysis.max_features || 6,
-      max_gallery_images: anticmsAnalysis.max_gallery_images || 12
+
+    const filePath = resolveWorkingPath(file_path);
+    figmaFile = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    console.error(`[generateTemplateFromFigmaFile] Loaded Figma file from: ${filePath}`);
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `❌ Failed to read Figma file ${file_path}: ${error.message}` }]
     };
+  }
 
-    return await generateTemplate(templateArgs);
+  const converted = convertFigmaFileToSections(figmaFile, { page, frame });
+  if (converted.error) {
+    return {
+      content: [{ type: 'text', text: `❌ ${file_path} ${converted.error}` }]
+    };
+  }
 
-  } catch (error) {
-    console.error(`[generateTemplateFromFigmaMetadata] Error:`, error);
-    throw new Error(`Failed to generate template from Figma metadata: ${error.message}`);
+  // Report the frame layers like the metadata section mapping
+  const mapping = { sections: [], mapped: [], skipped: converted.skipped, excluded: [] };
+  converted.sections.forEach(section => {
+    if (is_exclude_sections && EXCLUDED_SECTIONS.includes(section.name)) {
+      mapping.excluded.push(section.name);
+      return;
+    }
+    const detected = ['repeaters', 'groups'].filter(key => converted.contentPatterns[key].includes(section.name));
+    mapping.sections.push(section.name);
+    mapping.mapped.push({
+      figma: section.originalName,
+      section: section.name,
+      via: `${section.elements.length} layer${section.elements.length === 1 ? '' : 's'}${detected.length > 0 ? `, ${detected.map(key => key.replace(/s$/, '')).join(' and ')} pattern` : ''}`
+    });
+  });
+  const mappingReport = `📄 **Figma file:** ${figmaFile.name || file_path} – page "${converted.page.name}", frame "${converted.frame.name}"\n\n${formatFigmaSectionMapping(mapping)}`;
+
+  if (mapping.sections.length === 0) {
+    return {
+      content: [{ type: 'text', text: `❌ No sections with text or image layers found in frame "${converted.frame.name}".\n\n${mappingReport}` }]
+    };
   }
+
+  const result = await generateTemplate({
+    name: template_name || toFigmaFileName(converted.frame.name, 'figma_template'),
+    label: template_label || converted.frame.name,
+    description: `Template generated from Figma file: ${figmaFile.name || file_path}`,
+    template_type,
+    is_content: false,
+    multilanguage,
+    is_multiple,
+    sections: mapping.sections,
+    figma_sections: { sections: converted.sections, contentPatterns: converted.contentPatterns },
+    is_exclude_sections,
+    on_conflict,
+    dry_run,
+    explain
+  });
+
+  return {
+    ...result,
+    content: [{ type: 'text', text: mappingReport }, ...result.content]
+  };
 }
 
 /**
  * Map Figma sections to AntiCMS section types
+ * Sections with an anticms_analysis entry keep their Figma key, so generateTemplate builds them from
+ * the metadata; sections without one fall back to a built-in section type
  * @param {object} figmaSections - Figma sections data
  * @param {object} anticmsAnalysis - AntiCMS analysis data
- * @returns {array} - Array of mapped section names
+ * @param {object} options - Mapping options
+ * @param {boolean} options.excludeSections - Leave out navigation, header and footer sections (default: true)
+ * @returns {object} - Section names for generateTemplate, plus mapped, skipped and excluded Figma sections
  */
-function mapFigmaSectionsToAntiCMS(figmaSections, anticmsAnalysis) {
-  const mappedSections = [];
+function mapFigmaSectionsToAntiCMS(figmaSections, anticmsAnalysis, options = {}) {
+  const { excludeSections = true } = options;
   const identifiedSections = anticmsAnalysis.identified_sections || {};
-  
-  // Sections to exclude from template generation
-  const excludedSections = [
-    'navigation', 
-    'footer', 
-    'main_menu', 
-    'top_navbar', 
-    'navbar', 
-    'header', 
-    'menu', 
-    'nav',
-    'top_menu',
-    'main_nav',
-    'site_header',
-    'page_header'
-  ];
+  const result = { sections: [], mapped: [], skipped: [], excluded: [] };
 
   // Process each section based on the analysis
   Object.keys(figmaSections).forEach(sectionKey => {
     // Skip excluded sections
-    if (excludedSections.includes(sectionKey)) {
-      console.log(`[mapFigmaSectionsToAntiCMS] Excluding section: ${sectionKey}`);
+    if (excludeSections && EXCLUDED_SECTIONS.includes(sectionKey)) {
+      console.error(`[mapFigmaSectionsToAntiCMS] Excluding section: ${sectionKey}`);
+      result.excluded.push(sectionKey);
       return;
     }
 
     const sectionData = figmaSections[sectionKey];
-    const analysis = identifiedSections[sectionKey];
+    if (!sectionData || typeof sectionData !== 'object' || Object.keys(sectionData).length === 0) {
+      result.skipped.push({ figma: sectionKey, reason: 'no content in figma_code_response' });
+      return;
+    }
 
-    if (analysis && analysis.matched) {
-      // Use the analysis mapping if available
-      if (analysis.anticms_mapping === 'built-in') {
-        mappedSections.push(sectionKey);
-      } else if (analysis.anticms_mapping === 'custom') {
-        // For custom sections, use the section key as-is
-        mappedSections.push(sectionKey);
+    const analysis = identifiedSections[sectionKey];
+    let section = null;
+    let via = null;
+
+    if (analysis) {
+      if (analysis.anticms_mapping === 'built-in' || analysis.anticms_mapping === 'custom') {
+        // Use the section key as-is; generateTemplate reads its fields from the metadata
+        section = sectionKey;
+        via = `anticms_analysis: ${analysis.anticms_mapping}`;
+      } else {
+        result.skipped.push({ figma: sectionKey, reason: `anticms_mapping "${analysis.anticms_mapping}" is neither "built-in" nor "custom"` });
+        return;
       }
     } else {
       // Fallback mapping based on section key
-      const mappedKey = mapSectionKeyToAntiCMS(sectionKey);
-      if (mappedKey) {
-        mappedSections.push(mappedKey);
+      section = mapSectionKeyToAntiCMS(sectionKey);
+      via = 'built-in section type';
+      if (!section) {
+        result.skipped.push({ figma: sectionKey, reason: 'no anticms_analysis entry and no matching built-in section type' });
+        return;
       }
     }
+
+    const duplicate = result.mapped.find(entry => entry.section === section);
+    if (duplicate) {
+      result.skipped.push({ figma: sectionKey, reason: `"${section}" is already generated from Figma section "${duplicate.figma}"` });
+      return;
+    }
+
+    result.sections.push(section);
+    result.mapped.push({ figma: sectionKey, section, via });
   });
 
-  return mappedSections;
+  return result;
+}
+
+/**
+ * Format the Figma section mapping report
+ * @param {object} mapping - Result of mapFigmaSectionsToAntiCMS
+ * @returns {string} - Report text
+ */
+function formatFigmaSectionMapping(mapping) {
+  const lines = [`🎨 **Figma sections:** ${mapping.mapped.length} mapped, ${mapping.skipped.length} skipped, ${mapping.excluded.length} excluded`];
+
+  if (mapping.mapped.length > 0) {
+    lines.push('', '**Mapped:**', ...mapping.mapped.map(entry => `- ${entry.figma} → ${entry.section} (${entry.via})`));
+  }
+  if (mapping.skipped.length > 0) {
+    lines.push('', '**Skipped:**', ...mapping.skipped.map(entry => `- ${entry.figma}: ${entry.reason}`));
+  }
+  if (mapping.excluded.length > 0) {
+    lines.push('', '**Excluded (is_exclude_sections):**', ...mapping.excluded.map(section => `- ${section}`));
+  }
+
+  return lines.join('\n');
 }
 
 /**
@@ -0,0 +1,417 @@
+import {
+  TEMPLATE_TYPES,
+  readStoredTemplate,
+  writeStoredTemplate,
+  deleteStoredTemplate,
+  listStoredTemplates,
+  storedTemplateExists,
+  listTemplateVersions,
+  readTemplateVersion,
+  resolveTemplatePath,
+  toRelativePath
+} from './storage.js';
+import { validateTemplateStructure } from './templateGenerator.js';
+import { createUnifiedDiff } from './textDiff.js';
+
+/**
+ * Template management tools for AntiCMS v3
+ * List, read, patch and delete templates stored under storage/app/json,
+ * and audit or roll back their version history
+ */
+
+/**
+ * Build a plain text tool response
+ * @param {string} text - Response text
+ * @returns {object} - Tool response
+ */
+function textResponse(text) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text
+      }
+    ]
+  };
+}
+
+/**
+ * Build the response returned when a stored template does not exist
+ * @param {string} name - Template name
+ * @param {string} templateType - Template type
+ * @returns {object} - Tool response
+ */
+function notFoundResponse(name, templateType) {
+  return textResponse(`❌ Template "${name}" not found in ${toRelativePath(resolveTemplatePath(templateType, name))}. Use list_templates to see stored templates.`);
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7386) to a value
+ * @param {*} target - Original value
+ * @param {*} patch - Merge patch; null values remove keys
+ * @returns {*} - Patched value
+ */
+function applyMergePatch(target, patch) {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+
+  const result = target !== null && typeof target === 'object' && !Array.isArray(target)
+    ? { ...target }
+    : {};
+
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Split a JSON Pointer (RFC 6901) into unescaped tokens
+ * @param {string} pointer - JSON Pointer, e.g. "/components/0/fields/1"
+ * @returns {Array<string>} - Path tokens
+ */
+function parseJsonPointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Pointer: "${pointer}"`);
+  }
+  return pointer.substring(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Resolve the parent container and final key of a JSON Pointer
+ * @param {*} document - Document being patched
+ * @param {string} pointer - JSON Pointer
+ * @returns {object} - Parent container and key
+ */
+function resolvePointerParent(document, pointer) {
+  const tokens = parseJsonPointer(pointer);
+  if (tokens.length === 0) {
+    throw new Error('Operations on the document root are not supported');
+  }
+
+  let parent = document;
+  tokens.slice(0, -1).forEach(token => {
+    if (parent === null || typeof parent !== 'object' || !(token in parent)) {
+      throw new Error(`Path not found: ${pointer}`);
+    }
+    parent = parent[token];
+  });
+
+  if (parent === null || typeof parent !== 'object') {
+    throw new Error(`Path not found: ${pointer}`);
+  }
+
+  return { parent, key: tokens[tokens.length - 1] };
+}
+
+/**
+ * Read the value at a JSON Pointer
+ * @param {*} document - Document to read from
+ * @param {string} pointer - JSON Pointer
+ * @returns {*} - Value at the pointer
+ */
+function getPointerValue(document, pointer) {
+  return parseJsonPointer(pointer).reduce((value, token) => {
+    if (value === null || typeof value !== 'object' || !(token in value)) {
+      throw new Error(`Path not found: ${pointer}`);
+    }
+    return value[token];
+  }, document);
+}
+
+/**
+ * Add a value at a JSON Pointer, inserting into arrays
+ * @param {*} document - Document being patched
+ * @param {string} pointer - JSON Pointer
+ * @param {*} value - Value to add
+ */
+function addPointerValue(document, pointer, value) {
+  const { parent, key } = resolvePointerParent(document, pointer);
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : parseInt(key, 10);
+    if (isNaN(index) || index < 0 || index > parent.length) {
+      throw new Error(`Invalid array index in path: ${pointer}`);
+    }
+    parent.splice(index, 0, value);
+  } else {
+    parent[key] = value;
+  }
+}
+
+/**
+ * Remove the value at a JSON Pointer
+ * @param {*} document - Document being patched
+ * @param {string} pointer - JSON Pointer
+ * @returns {*} - Removed value
+ */
+function removePointerValue(document, pointer) {
+  const { parent, key } = resolvePointerParent(document, pointer);
+  if (!(key in parent)) {
+    throw new Error(`Path not found: ${pointer}`);
+  }
+  if (Array.isArray(parent)) {
+    return parent.splice(parseInt(key, 10), 1)[0];
+  }
+  const removed = parent[key];
+  delete parent[key];
+  return removed;
+}
+
+/**
+ * Apply a JSON Patch (RFC 6902) to a document
+ * @param {*} document - Original document (not modified)
+ * @param {Array} operations - Patch operations
+ * @returns {*} - Patched document
+ */
+function applyJsonPatch(document, operations) {
+  const result = JSON.parse(JSON.stringify(document));
+
+  operations.forEach((operation, index) => {
+    const { op, path: pointer, value, from } = operation;
+
+    try {
+      switch (op) {
+        case 'add':
+          addPointerValue(result, pointer, JSON.parse(JSON.stringify(value)));
+          break;
+        case 'remove':
+          removePointerValue(result, pointer);
+          break;
+        case 'replace':
+          removePointerValue(result, pointer);
+          addPointerValue(result, pointer, JSON.parse(JSON.stringify(value)));
+          break;
+        case 'move':
+          addPointerValue(result, pointer, removePointerValue(result, from));
+          break;
+        case 'copy':
+          addPointerValue(result, pointer, JSON.parse(JSON.stringify(getPointerValue(result, from))));
+          break;
+        case 'test':
+          if (JSON.stringify(getPointerValue(result, pointer)) !== JSON.stringify(value)) {
+            throw new Error(`Test failed at ${pointer}`);
+          }
+          break;
+        default:
+          throw new Error(`Unsupported operation: ${op}`);
+      }
+    } catch (error) {
+      throw new Error(`JSON Patch operation ${index + 1} (${op} ${pointer}) failed: ${error.message}`);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * List stored templates tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - Tool response
+ */
+export async function listTemplates(args) {
+  const { template_type } = args;
+
+  const types = template_type ? [template_type] : TEMPLATE_TYPES;
+  const templates = [];
+
+  for (const type of types) {
+    for (const entry of await listStoredTemplates(type)) {
+      const summary = { ...entry };
+      try {
+        const template = await readStoredTemplate(type, entry.name);
+        const components = Array.isArray(template) ? template : template.components;
+        summary.label = Array.isArray(template) ? null : template.label || null;
+        summary.components = Array.isArray(components) ? components.length : 0;
+      } catch (error) {
+        summary.error = `Unreadable template: ${error.message}`;
+      }
+      templates.push(summary);
+    }
+  }
+
+  return textResponse(`📋 **Stored AntiCMS v3 Templates** (${templates.length})\n\n${JSON.stringify(templates, null, 2)}`);
+}
+
+/**
+ * Get stored template tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - Tool response
+ */
+export async function getTemplate(args) {
+  const { name, template_type = 'pages' } = args;
+
+  if (!(await storedTemplateExists(template_type, name))) {
+    return notFoundResponse(name, template_type);
+  }
+
+  const template = await readStoredTemplate(template_type, name);
+  const relativePath = toRelativePath(resolveTemplatePath(template_type, name));
+
+  return textResponse(`📄 **Template:** ${name}\n📁 **File:** ${relativePath}\n\n**JSON Content:**\n\`\`\`json\n${JSON.stringify(template, null, 2)}\n\`\`\``);
+}
+
+/**
+ * Update stored template tool handler
+ * Applies a JSON Merge Patch or JSON Patch and validates the result before writing
+ * @param {object} args - Tool arguments
+ * @returns {object} - Tool response
+ */
+export async function updateTemplate(args) {
+  const { name, template_type = 'pages', merge_patch, json_patch } = args;
+
+  if ((merge_patch === undefined) === (json_patch === undefined)) {
+    return textResponse('❌ Provide exactly one of "merge_patch" (JSON Merge Patch object) or "json_patch" (JSON Patch operations array).');
+  }
+
+  if (!(await storedTemplateExists(template_type, name))) {
+    return notFoundResponse(name, template_type);
+  }
+
+  const original = await readStoredTemplate(template_type, name);
+
+  let updated;
+  try {
+    updated = merge_patch !== undefined
+      ? applyMergePatch(original, merge_patch)
+      : applyJsonPatch(original, json_patch);
+  } catch (error) {
+    return textResponse(`❌ Failed to apply patch to "${name}": ${error.message}`);
+  }
+
+  const validation = await validateTemplateStructure(updated);
+  if (!validation.valid) {
+    return textResponse(`❌ Patched template "${name}" failed validation. No changes were written.\n\n${JSON.stringify(validation, null, 2)}`);
+  }
+
+  const filePath = await writeStoredTemplate(template_type, name, updated, { tool: 'update_template', args });
+
+  return textResponse(`✅ Updated template "${name}".\n\n📁 **File saved to:** ${toRelativePath(filePath)}\n\n**JSON Content:**\n\`\`\`json\n${JSON.stringify(updated, null, 2)}\n\`\`\``);
+}
+
+/**
+ * Delete stored template tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - Tool response
+ */
+export async function deleteTemplate(args) {
+  const { name, template_type = 'pages' } = args;
+
+  if (!(await storedTemplateExists(template_type, name))) {
+    return notFoundResponse(name, template_type);
+  }
+
+  const filePath = await deleteStoredTemplate(template_type, name);
+
+  return textResponse(`🗑️ Deleted template "${name}" from ${toRelativePath(filePath)}.`);
+}
+
+/**
+ * Load a template revision by version id, or the stored file for "current"
+ * @param {string} templateType - Template type
+ * @param {string} name - Template name
+ * @param {string} versionId - Version id or "current"
+ * @returns {Promise<Object|Array|undefined>} - Template JSON, or undefined if not found
+ */
+async function loadTemplateRevision(templateType, name, versionId) {
+  if (versionId === 'current') {
+    return (await storedTemplateExists(templateType, name))
+      ? await readStoredTemplate(templateType, name)
+      : undefined;
+  }
+
+  const version = await readTemplateVersion(templateType, name, versionId);
+  return version ? version.template : undefined;
+}
+
+/**
+ * List template versions tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - Tool response
+ */
+export async function listTemplateVersionsTool(args) {
+  const { name, template_type = 'pages' } = args;
+
+  const versions = await listTemplateVersions(template_type, name);
+  if (versions.length === 0) {
+    return textResponse(`📜 No recorded versions for "${name}" (${template_type}). Versions are recorded whenever a tool writes the template.`);
+  }
+
+  const current = (await storedTemplateExists(template_type, name))
+    ? JSON.stringify(await readStoredTemplate(template_type, name))
+    : null;
+
+  const summary = versions.slice().reverse().map(version => {
+    const components = Array.isArray(version.template) ? version.template : version.template?.components;
+    return {
+      id: version.id,
+      created_at: version.created_at,
+      tool: version.source?.tool || 'untracked (written outside the MCP tools)',
+      args: version.source?.args || null,
+      components: Array.isArray(components) ? components.length : 0,
+      is_current: JSON.stringify(version.template) === current
+    };
+  });
+
+  return textResponse(`📜 **Versions of "${name}"** (${template_type}, newest first)\n\n${JSON.stringify(summary, null, 2)}`);
+}
+
+/**
+ * Diff template versions tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - Tool response
+ */
+export async function diffTemplateVersions(args) {
+  const { name, template_type = 'pages', from_version, to_version = 'current' } = args;
+
+  const from = await loadTemplateRevision(template_type, name, from_version);
+  if (from === undefined) {
+    return textResponse(`❌ Version "${from_version}" of "${name}" not found. Use list_template_versions to see recorded versions.`);
+  }
+
+  const to = await loadTemplateRevision(template_type, name, to_version);
+  if (to === undefined) {
+    return textResponse(`❌ Version "${to_version}" of "${name}" not found. Use list_template_versions to see recorded versions.`);
+  }
+
+  const diff = createUnifiedDiff(JSON.stringify(from, null, 2), JSON.stringify(to, null, 2), {
+    oldLabel: `${name}@${from_version}`,
+    newLabel: `${name}@${to_version}`
+  });
+
+  return textResponse(`🔍 **Diff of "${name}"** ${from_version} → ${to_version}\n\n\`\`\`diff\n${diff || '(no changes)'}\n\`\`\``);
+}
+
+/**
+ * Restore template version tool handler
+ * The restore is itself recorded as a new version, so it can be undone. Revisions that fail
+ * validation are only written with force
+ * @param {object} args - Tool arguments
+ * @returns {object} - Tool response
+ */
+export async function restoreTemplateVersion(args) {
+  const { name, template_type = 'pages', version_id, force = false } = args;
+
+  const version = await readTemplateVersion(template_type, name, version_id);
+  if (!version) {
+    return textResponse(`❌ Version "${version_id}" of "${name}" not found. Use list_template_versions to see recorded versions.`);
+  }
+
+  const validation = await validateTemplateStructure(version.template);
+  if (!validation.valid && !force) {
+    return textResponse(`❌ Version ${version.id} of "${name}" failed validation. No changes were written; use force to restore it anyway.\n\n${JSON.stringify(validation, null, 2)}`);
+  }
+
+  const filePath = await writeStoredTemplate(template_type, name, version.template, { tool: 'restore_template_version', args });
+  const validationInfo = validation.valid
+    ? ''
+    : `\n\n⚠️ Restored with force; the revision does not pass validation:\n${JSON.stringify(validation.errors, null, 2)}`;
+
+  return textResponse(`⏪ Restored "${name}" to version ${version.id} (${version.created_at}).\n\n📁 **File saved to:** ${toRelativePath(filePath)}${validationInfo}\n\n**JSON Content:**\n\`\`\`json\n${JSON.stringify(version.template, null, 2)}\n\`\`\``);
+}
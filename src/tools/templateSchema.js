@@ -0,0 +1,216 @@
+import { loadFieldTypes } from './templateGenerator.js';
+
+/**
+ * JSON Schema export for AntiCMS v3 templates
+ * Builds a draft 2020-12 schema from the field type definitions in data/field-types
+ */
+
+export const TEMPLATE_SCHEMA_URI = 'anticms://schema/template';
+
+/**
+ * Required keys of a table column, matching validate_template
+ */
+const REQUIRED_COLUMN_KEYS = ['label', 'name', 'type'];
+
+/**
+ * Convert a data/field-types property definition to a JSON Schema
+ * @param {Object} definition - Property definition (type, description, options, enum, properties, items, example)
+ * @param {boolean} strict - Disallow null values and unknown properties
+ * @returns {Object} - JSON Schema
+ */
+function definitionToSchema(definition, strict) {
+  const schema = {};
+
+  if (definition.type) {
+    // validate_template treats null as "not set" for any attribute value
+    schema.type = strict ? definition.type : [definition.type, 'null'];
+  }
+  if (definition.description) {
+    schema.description = definition.description;
+  }
+
+  const allowedValues = definition.options || definition.enum;
+  if (Array.isArray(allowedValues) && allowedValues.every(value => typeof value !== 'object')) {
+    schema.enum = strict ? allowedValues : [...allowedValues, null];
+  }
+
+  if (definition.properties) {
+    schema.properties = Object.fromEntries(
+      Object.entries(definition.properties).map(([key, nested]) => [key, definitionToSchema(nested, strict)])
+    );
+    if (strict) schema.additionalProperties = false;
+  }
+
+  if (definition.items) {
+    schema.items = definitionToSchema(definition.items, true);
+  }
+
+  if (definition.example !== undefined && definition.example !== null) {
+    schema.examples = [definition.example];
+  }
+
+  return schema;
+}
+
+/**
+ * Build the schema of a single field type
+ * @param {string} fieldType - Field type name
+ * @param {Object} fieldConfig - Field type configuration from data/field-types
+ * @param {boolean} strict - Disallow null values and unknown properties
+ * @returns {Object} - JSON Schema for fields of this type
+ */
+function buildFieldTypeSchema(fieldType, fieldConfig, strict) {
+  const fieldProperties = fieldConfig.properties?.field_properties || {};
+  const attributeProperties = fieldConfig.properties?.attribute_properties || {};
+
+  const properties = {};
+  const required = [];
+  Object.entries(fieldProperties).forEach(([key, definition]) => {
+    properties[key] = definitionToSchema(definition, true);
+    if (definition.required) required.push(key);
+  });
+  properties.field = { const: fieldType, description: `Field type (always '${fieldType}')` };
+  ['name', 'label', 'field'].forEach(key => {
+    if (!required.includes(key)) required.push(key);
+  });
+
+  const attributeSchema = {
+    type: 'object',
+    description: `${fieldConfig.label || fieldType} attributes`,
+    properties: {},
+    additionalProperties: !strict
+  };
+  const requiredAttributes = [];
+
+  Object.entries(attributeProperties).forEach(([attr, definition]) => {
+    if (attr === 'fields') {
+      // Nested fields of repeaters and groups are full field definitions
+      attributeSchema.properties.fields = {
+        type: 'array',
+        description: definition.description,
+        items: { $ref: '#/$defs/field' }
+      };
+    } else if (attr === 'columns') {
+      const columnSchema = definitionToSchema(definition, true);
+      columnSchema.items.required = REQUIRED_COLUMN_KEYS;
+      attributeSchema.properties.columns = columnSchema;
+    } else {
+      attributeSchema.properties[attr] = definitionToSchema(definition, strict);
+    }
+    if (definition.required) requiredAttributes.push(attr);
+  });
+
+  if (requiredAttributes.length > 0) {
+    attributeSchema.required = requiredAttributes;
+    required.push('attribute');
+  }
+  properties.attribute = attributeSchema;
+
+  return {
+    type: 'object',
+    title: fieldConfig.label || fieldType,
+    description: fieldConfig.description,
+    required,
+    properties,
+    additionalProperties: !strict
+  };
+}
+
+/**
+ * Build a JSON Schema (draft 2020-12) for AntiCMS v3 templates
+ * Fields are a union discriminated by the "field" property, one branch per field type
+ * @param {object} options - Schema options
+ * @param {boolean} options.strict - Disallow null attribute values and unknown keys (useful for constrained output)
+ * @returns {Promise<Object>} - JSON Schema
+ */
+export async function buildTemplateSchema(options = {}) {
+  const { strict = false } = options;
+  const fieldTypes = await loadFieldTypes();
+  const fieldTypeNames = Object.keys(fieldTypes).sort();
+
+  const $defs = {
+    template: {
+      type: 'object',
+      title: 'AntiCMS v3 template',
+      required: ['name', 'label', 'is_content', 'multilanguage', 'is_multiple', 'description', 'components'],
+      properties: {
+        name: { type: 'string', description: 'Template identifier (file name without .json)' },
+        label: { type: 'string', description: 'Human-readable template name' },
+        description: { type: 'string', description: 'Template description' },
+        is_content: { type: 'boolean', description: 'Whether this is a content template' },
+        multilanguage: { type: 'boolean', description: 'Enable multilanguage support' },
+        is_multiple: { type: 'boolean', description: 'Allow multiple instances' },
+        is_hide: { type: 'boolean', description: 'Hide the template from the page list' },
+        lang_option: { description: 'Language options for multilanguage templates' },
+        components: { $ref: '#/$defs/components' }
+      },
+      additionalProperties: !strict
+    },
+    components: {
+      type: 'array',
+      description: 'Template components (sections)',
+      items: { $ref: '#/$defs/component' }
+    },
+    component: {
+      type: 'object',
+      title: 'Component',
+      required: ['keyName', 'label', 'section', 'fields'],
+      properties: {
+        keyName: { type: 'string', description: 'Unique component key' },
+        label: { type: 'string', description: 'Human-readable component name' },
+        section: { type: 'string', pattern: '^[0-9]+$', description: 'Section number ("1", "2", "3", ...)' },
+        block: { type: 'string', description: 'Frontend block the component renders with' },
+        fields: {
+          type: 'array',
+          items: { $ref: '#/$defs/field' }
+        }
+      },
+      additionalProperties: !strict
+    },
+    field: {
+      title: 'Field',
+      description: `Field definition, discriminated by "field": ${fieldTypeNames.join(', ')}`,
+      type: 'object',
+      required: ['field'],
+      properties: {
+        field: { enum: fieldTypeNames }
+      },
+      oneOf: fieldTypeNames.map(fieldType => ({ $ref: `#/$defs/field_${fieldType.replace(/-/g, '_')}` }))
+    }
+  };
+
+  fieldTypeNames.forEach(fieldType => {
+    $defs[`field_${fieldType.replace(/-/g, '_')}`] = buildFieldTypeSchema(fieldType, fieldTypes[fieldType], strict);
+  });
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: TEMPLATE_SCHEMA_URI,
+    title: 'AntiCMS v3 template',
+    description: 'Page and post templates stored in storage/app/json. Posts templates may also be a bare array of components.',
+    oneOf: [
+      { $ref: '#/$defs/template' },
+      { $ref: '#/$defs/components' }
+    ],
+    $defs
+  };
+}
+
+/**
+ * Template schema tool handler
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} - Tool response
+ */
+export async function getTemplateSchema(args = {}) {
+  const { strict = false } = args;
+  const schema = await buildTemplateSchema({ strict });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `📐 **AntiCMS v3 Template JSON Schema** (draft 2020-12${strict ? ', strict' : ''})\n\nThe default (non-strict) schema is also available as the \`${TEMPLATE_SCHEMA_URI}\` resource.\n\n\`\`\`json\n${JSON.stringify(schema, null, 2)}\n\`\`\``
+      }
+    ]
+  };
+}
@@ -0,0 +1,660 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  writeStoredTemplate,
+  storedTemplateExists,
+  readStoredTemplateText,
+  findAvailableTemplateName,
+  resolveTemplatePath,
+  resolveWorkingPath,
+  resolveTemplateInput,
+  toRelativePath
+} from './storage.js';
+import {
+  AntiCMSComponentGenerator,
+  loadFieldTypes,
+  validateTemplateStructure
+} from './templateGenerator.js';
+import { appendPointer, getNestedFields } from './templateFields.js';
+import { createUnifiedDiff } from './textDiff.js';
+
+/**
+ * Markdown template specs for AntiCMS v3
+ * Parses spec documents into templates and exports templates back to specs
+ *
+ * Spec grammar (indentation is two spaces per level):
+ *
+ *   # {Template Label}
+ *   - Name: {template_name}
+ *   - {Setting}: {value}                           Label, Description, Multilanguage, Is Content, Is Multiple, or any template key
+ *
+ *   ## Section: {Component Label} (`{keyName}`)
+ *   - Block: {block}
+ *   - Order: {section}
+ *   ### Fields:
+ *   - `{name}`: {field type} ({modifier}, ...)     modifiers: multilanguage, required, {attribute}: {value}
+ *     - {Property}: {value}                        Label, Required, Default, Caption, or any attribute key
+ *     - `{name}`: {field type}                     nested field of a repeater or group
+ *
+ * Values are read as JSON when they parse (true, 12, ["image"], "quoted text"), otherwise as plain text.
+ * Blank lines, "---" rules and "### Fields:" headings are ignored; every other line is reported as unparsed.
+ */
+
+/**
+ * Template settings with a friendly spec name, by template key
+ * Other template keys are written verbatim and read back in snake_case
+ */
+const TEMPLATE_SETTINGS = {
+  name: 'Name',
+  label: 'Label',
+  description: 'Description',
+  multilanguage: 'Multilanguage',
+  is_content: 'Is Content',
+  is_multiple: 'Is Multiple'
+};
+
+/**
+ * Component properties with a friendly spec name, by component key
+ */
+const COMPONENT_PROPERTIES = {
+  block: 'Block',
+  section: 'Order'
+};
+
+/**
+ * Field attributes with a friendly spec name, by attribute key
+ */
+const FIELD_PROPERTIES = {
+  is_required: 'Required',
+  defaultValue: 'Default',
+  caption: 'Caption'
+};
+
+/**
+ * Keys whose spec values are always text, even when they look like JSON
+ */
+const TEXT_KEYS = ['name', 'label', 'description', 'caption', 'block', 'section'];
+
+/**
+ * Derive the default label of a field from its name
+ * @param {string} name - Field name
+ * @returns {string} - Label (e.g. "section_title" -> "Section title")
+ */
+function toFieldLabel(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1).replace(/_/g, ' ');
+}
+
+/**
+ * Convert a spec key to a template key
+ * @param {string} key - Spec key (e.g. "Is Content")
+ * @returns {string} - Template key (e.g. "is_content")
+ */
+function toSpecKey(key) {
+  return key.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Look up a friendly spec name case-insensitively
+ * @param {Object} names - Friendly names by template key
+ * @param {string} key - Spec key
+ * @returns {string|undefined} - Template key
+ */
+function findFriendlyKey(names, key) {
+  const normalized = key.trim().toLowerCase();
+  return Object.keys(names).find(name => names[name].toLowerCase() === normalized);
+}
+
+/**
+ * Read a spec value
+ * @param {string} raw - Raw value text
+ * @param {boolean} text - Read the value as text (quoted JSON strings are still unquoted)
+ * @returns {*} - Parsed value
+ */
+function parseSpecValue(raw, text = false) {
+  const value = raw.trim();
+  if (text && !value.startsWith('"')) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return text && typeof parsed !== 'string' ? value : parsed;
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Write a spec value so that parseSpecValue reads it back unchanged
+ * @param {*} value - Value
+ * @param {boolean} text - The key is read as text
+ * @returns {string} - Value text
+ */
+function formatSpecValue(value, text = false) {
+  if (typeof value !== 'string') return JSON.stringify(value);
+
+  const needsQuotes = value === ''
+    || value !== value.trim()
+    || /[\r\n]/.test(value)
+    || value.startsWith('"')
+    || (!text && parseSpecValue(value) !== value);
+  return needsQuotes ? JSON.stringify(value) : value;
+}
+
+/**
+ * Split a modifier list on commas outside brackets and quotes
+ * @param {string} text - Modifier list (e.g. 'min: 1, max: 8, accept: ["image", "video"]')
+ * @returns {Array<string>} - Modifiers
+ */
+function splitModifiers(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' && text[i - 1] !== '\\') quoted = !quoted;
+    if (!quoted && (char === '[' || char === '{')) depth++;
+    if (!quoted && (char === ']' || char === '}')) depth--;
+
+    if (char === ',' && depth === 0 && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a field definition line
+ * @param {string} name - Field name
+ * @param {string} definition - Definition after the colon (e.g. "repeater (min: 1, max: 8)")
+ * @returns {Object|null} - Field, or null if the definition does not match the grammar
+ */
+function parseFieldDefinition(name, definition) {
+  const match = definition.trim().match(/^([A-Za-z_][\w-]*)\s*(?:\((.*)\))?$/);
+  if (!match) return null;
+
+  const field = { name, label: toFieldLabel(name), field: match[1], attribute: {} };
+
+  for (const modifier of splitModifiers(match[2] || '')) {
+    const separator = modifier.indexOf(':');
+    const key = separator === -1 ? modifier : modifier.slice(0, separator).trim();
+    const value = separator === -1 ? true : parseSpecValue(modifier.slice(separator + 1));
+
+    if (key === 'multilanguage') {
+      field.multilanguage = value;
+    } else if (key === 'required') {
+      field.attribute.is_required = value;
+    } else {
+      field.attribute[key] = value;
+    }
+  }
+
+  // Keep the usual key order: name, label, field, multilanguage, attribute
+  const { attribute, ...rest } = field;
+  return { ...rest, attribute };
+}
+
+/**
+ * Parse a markdown spec document into a template
+ * See the grammar at the top of this module
+ * @param {string} instructionText - Spec document content
+ * @returns {Object} - Parsed template and the unparsed lines ({ line, text, reason })
+ */
+export function parseInstructionDocument(instructionText) {
+  const lines = instructionText.split(/\r?\n/);
+  const template = {
+    name: undefined,
+    label: undefined,
+    is_content: false,
+    multilanguage: true,
+    is_multiple: false,
+    description: '',
+    components: []
+  };
+  const unparsed = [];
+
+  let hasTitle = false;
+  let currentSection = null;
+  // Open fields by indentation; null marks a field that could not be parsed
+  let fieldStack = [];
+
+  const report = (index, reason) => {
+    unparsed.push({ line: index + 1, text: lines[index].trim(), reason });
+  };
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/\t/g, '  ').trimEnd();
+    const trimmed = line.trim();
+
+    if (trimmed === '' || /^-{3,}$/.test(trimmed) || /^###\s+Fields:?$/i.test(trimmed)) {
+      return;
+    }
+
+    // Headings
+    if (trimmed.startsWith('#')) {
+      fieldStack = [];
+      const titleMatch = trimmed.match(/^#\s+(.+)$/);
+      const sectionMatch = trimmed.match(/^##\s+Section:\s*(.+?)(?:\s+\(`(.+?)`\))?$/);
+
+      if (titleMatch && !hasTitle && !currentSection) {
+        hasTitle = true;
+        template.label = titleMatch[1].trim();
+      } else if (sectionMatch) {
+        currentSection = {
+          keyName: sectionMatch[2] || toSpecKey(sectionMatch[1]),
+          label: sectionMatch[1].trim(),
+          section: String(template.components.length + 1),
+          fields: []
+        };
+        template.components.push(currentSection);
+      } else {
+        report(index, titleMatch ? 'Only one "# Title" heading is allowed, before the first section' : 'Unknown heading; sections start with "## Section: Label (`keyName`)"');
+      }
+      return;
+    }
+
+    const itemMatch = line.match(/^(\s*)- (.*)$/);
+    if (!itemMatch) {
+      report(index, 'Text outside the spec grammar; use "- Key: value" items');
+      return;
+    }
+
+    const indent = itemMatch[1].length;
+    const content = itemMatch[2].trim();
+    while (fieldStack.length > 0 && fieldStack[fieldStack.length - 1].indent >= indent) {
+      fieldStack.pop();
+    }
+    const parent = fieldStack[fieldStack.length - 1];
+
+    // Field items: - `name`: type (modifiers)
+    const fieldMatch = content.match(/^`([^`]+)`\s*:\s*(.*)$/);
+    if (fieldMatch) {
+      if (!currentSection) {
+        report(index, 'Field outside a section');
+        return;
+      }
+      if (parent && parent.field === null) {
+        fieldStack.push({ indent, field: null });
+        report(index, 'Nested in a field that could not be parsed');
+        return;
+      }
+      if (parent && !['repeater', 'group'].includes(parent.field.field)) {
+        fieldStack.push({ indent, field: null });
+        report(index, `Nested field under the ${parent.field.field} field "${parent.field.name}"; only repeater and group fields have nested fields`);
+        return;
+      }
+
+      const field = parseFieldDefinition(fieldMatch[1].trim(), fieldMatch[2]);
+      fieldStack.push({ indent, field });
+      if (!field) {
+        report(index, 'Invalid field definition; use "- `name`: type (modifier, ...)"');
+        return;
+      }
+
+      if (parent) {
+        if (!Array.isArray(parent.field.attribute.fields)) parent.field.attribute.fields = [];
+        parent.field.attribute.fields.push(field);
+      } else {
+        currentSection.fields.push(field);
+      }
+      return;
+    }
+
+    // Property items: - Key: value
+    const propertyMatch = content.match(/^([^:`]+?)\s*:\s*(.*)$/);
+    if (!propertyMatch) {
+      report(index, 'List item is neither "- `name`: type" nor "- Key: value"');
+      return;
+    }
+    const [, key, rawValue] = propertyMatch;
+
+    if (parent) {
+      if (parent.field === null) {
+        report(index, 'Property of a field that could not be parsed');
+        return;
+      }
+      const field = parent.field;
+      const attributeKey = findFriendlyKey(FIELD_PROPERTIES, key) || key.trim();
+
+      if (key.trim().toLowerCase() === 'label') {
+        field.label = parseSpecValue(rawValue, true);
+      } else if (key.trim().toLowerCase() === 'multilanguage') {
+        field.multilanguage = parseSpecValue(rawValue);
+      } else {
+        field.attribute[attributeKey] = parseSpecValue(rawValue, TEXT_KEYS.includes(attributeKey));
+      }
+      return;
+    }
+
+    if (indent > 0) {
+      report(index, 'Indented property without a field above it');
+      return;
+    }
+
+    if (currentSection) {
+      const componentKey = findFriendlyKey(COMPONENT_PROPERTIES, key) || toSpecKey(key);
+      currentSection[componentKey] = parseSpecValue(rawValue, TEXT_KEYS.includes(componentKey));
+    } else {
+      const templateKey = findFriendlyKey(TEMPLATE_SETTINGS, key) || toSpecKey(key);
+      template[templateKey] = parseSpecValue(rawValue, TEXT_KEYS.includes(templateKey));
+    }
+  });
+
+  // Name and label default to each other
+  if (template.name === undefined && template.label !== undefined) {
+    template.name = template.label.toLowerCase().replace(/\s+/g, '_');
+  }
+  if (template.label === undefined && template.name !== undefined) {
+    template.label = template.name;
+  }
+
+  return { template, unparsed };
+}
+
+/**
+ * Export a field and its nested fields as spec lines
+ * @param {Object} field - Field definition
+ * @param {string} indent - Indentation of the field item
+ * @returns {Array<string>} - Spec lines
+ */
+function exportSpecField(field, indent) {
+  const modifiers = [];
+  if (field.multilanguage === true) modifiers.push('multilanguage');
+  else if (field.multilanguage !== undefined) modifiers.push(`multilanguage: ${JSON.stringify(field.multilanguage)}`);
+
+  const lines = [`${indent}- \`${field.name}\`: ${field.field}${modifiers.length > 0 ? ` (${modifiers.join(', ')})` : ''}`];
+  const childIndent = `${indent}  `;
+
+  if (field.label !== undefined && field.label !== toFieldLabel(field.name)) {
+    lines.push(`${childIndent}- Label: ${formatSpecValue(field.label, true)}`);
+  }
+
+  const attribute = field.attribute && typeof field.attribute === 'object' ? field.attribute : {};
+  Object.entries(attribute).forEach(([key, value]) => {
+    const nestedFields = key === 'fields' ? getNestedFields(field) : [];
+    if (nestedFields.length > 0 && nestedFields.every(nested => nested && typeof nested.name === 'string' && typeof nested.field === 'string')) {
+      nestedFields.forEach(nested => lines.push(...exportSpecField(nested, childIndent)));
+    } else {
+      lines.push(`${childIndent}- ${FIELD_PROPERTIES[key] || key}: ${formatSpecValue(value, TEXT_KEYS.includes(key))}`);
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Export a template as a markdown spec that parseInstructionDocument reads back
+ * Post templates stored as a bare component array are exported with default template settings
+ * @param {Object|Array} template - Template JSON
+ * @param {object} options - Export options
+ * @param {string} options.name - Template name (default: template name)
+ * @returns {string} - Spec document
+ */
+export function exportTemplateSpecMarkdown(template, options = {}) {
+  const isArray = Array.isArray(template);
+  const settings = isArray ? { name: options.name || 'template' } : { ...template };
+  const components = isArray ? template : (template?.components || []);
+  delete settings.components;
+
+  const lines = [`# ${settings.label ?? settings.name ?? options.name ?? 'Template'}`, ''];
+  Object.entries(settings).forEach(([key, value]) => {
+    if (value === undefined) return;
+    lines.push(`- ${TEMPLATE_SETTINGS[key] || key}: ${formatSpecValue(value, TEXT_KEYS.includes(key))}`);
+  });
+
+  components.forEach(component => {
+    lines.push('', '---', '', `## Section: ${component.label ?? component.keyName} (\`${component.keyName}\`)`);
+
+    Object.entries(component)
+      .filter(([key]) => !['keyName', 'label', 'fields'].includes(key))
+      .forEach(([key, value]) => {
+        lines.push(`- ${COMPONENT_PROPERTIES[key] || key}: ${formatSpecValue(value, TEXT_KEYS.includes(key))}`);
+      });
+
+    lines.push('', '### Fields:');
+    (Array.isArray(component.fields) ? component.fields : []).forEach(field => {
+      lines.push(...exportSpecField(field, ''));
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize JSON with sorted object keys, for order-insensitive comparison
+ * @param {*} value - JSON value
+ * @returns {string} - Canonical JSON
+ */
+function toCanonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(toCanonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${toCanonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Fill required attributes missing from spec fields with the field type defaults
+ * @param {Object} template - Parsed template (changed in place)
+ * @returns {Promise<Array>} - Filled attributes ({ path, attribute, value })
+ */
+async function fillRequiredAttributes(template) {
+  const fieldTypes = await loadFieldTypes();
+  const filled = [];
+
+  const fillFields = (fields, parentPath) => {
+    fields.forEach((field, index) => {
+      const fieldPath = appendPointer(parentPath, index);
+      const fieldConfig = fieldTypes[field.field];
+      const attributeProperties = fieldConfig?.properties?.attribute_properties || {};
+
+      Object.entries(attributeProperties)
+        .filter(([attr, prop]) => prop.required && !(attr in field.attribute))
+        .forEach(([attr]) => {
+          const value = AntiCMSComponentGenerator.getDefaultAttributeValue(attr, fieldConfig);
+          field.attribute[attr] = value;
+          filled.push({ path: appendPointer(fieldPath, 'attribute', attr), attribute: attr, value });
+        });
+
+      fillFields(getNestedFields(field), appendPointer(fieldPath, 'attribute', 'fields'));
+    });
+  };
+
+  template.components.forEach((component, index) => {
+    fillFields(component.fields, appendPointer('/components', index, 'fields'));
+  });
+
+  return filled;
+}
+
+/**
+ * Format unparsed spec lines
+ * @param {Array} unparsed - Unparsed lines ({ line, text, reason })
+ * @returns {string} - Report section, empty when every line was parsed
+ */
+function formatUnparsedLines(unparsed) {
+  if (unparsed.length === 0) return '';
+  return `\n\n⚠️ **Unparsed lines (${unparsed.length}):**\n${unparsed.map(entry => `- line ${entry.line}: \`\` ${entry.text} \`\` - ${entry.reason}`).join('\n')}`;
+}
+
+/**
+ * Template-from-spec tool handler
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} - Tool response
+ */
+export async function generateTemplateFromSpec(args) {
+  const { spec, spec_file, name, template_type = 'pages', on_conflict = 'error', dry_run = false } = args;
+
+  let specText = spec;
+  if (specText === undefined) {
+    if (!spec_file) {
+      return {
+        content: [{ type: 'text', text: '❌ Provide either "spec" or "spec_file"' }]
+      };
+    }
+    try {
+      specText = await fs.readFile(resolveWorkingPath(spec_file), 'utf8');
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: `❌ Failed to read spec file: ${error.message}` }]
+      };
+    }
+  }
+
+  const { template, unparsed } = parseInstructionDocument(specText);
+  if (name) template.name = name;
+
+  if (!template.name) {
+    return {
+      content: [{ type: 'text', text: `❌ The spec has no "# Title" or "- Name:" line; pass "name" to name the template${formatUnparsedLines(unparsed)}` }]
+    };
+  }
+
+  const filled = await fillRequiredAttributes(template);
+  const validation = await validateTemplateStructure(template);
+  const outputJson = JSON.stringify(template, null, 2);
+
+  const filledInfo = filled.length > 0
+    ? `\n\n🧩 **Filled ${filled.length} required attributes with field type defaults:**\n${filled.map(entry => `- ${entry.path}: ${JSON.stringify(entry.value)}`).join('\n')}`
+    : '';
+  const warningInfo = validation.warnings.length > 0
+    ? `\n\n⚠️ **Warnings (${validation.warnings.length}):**\n${validation.warnings.map(warning => `- ${warning.path}: ${warning.message}`).join('\n')}`
+    : '';
+  const report = `${formatUnparsedLines(unparsed)}${filledInfo}${warningInfo}`;
+
+  if (!validation.valid) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ Template "${template.name}" from spec is invalid and was not saved.\n\n**Errors (${validation.errors.length}):**\n${validation.errors.map(error => `- ${error.path}: ${error.message}`).join('\n')}${report}\n\n**JSON Content:**\n\`\`\`json\n${outputJson}\n\`\`\``
+        }
+      ]
+    };
+  }
+
+  let targetName = template.name;
+  let outputTemplate = template;
+  let existingText = null;
+  let conflictInfo = '';
+
+  try {
+    if (await storedTemplateExists(template_type, template.name)) {
+      existingText = await readStoredTemplateText(template_type, template.name);
+      const existingPath = toRelativePath(resolveTemplatePath(template_type, template.name));
+
+      if (on_conflict === 'error') {
+        return {
+          content: [{ type: 'text', text: `❌ Template "${template.name}" already exists: ${existingPath}\n\nUse on_conflict "overwrite" or "suffix", or dry_run to preview the changes.${report}` }]
+        };
+      }
+      if (on_conflict === 'suffix') {
+        targetName = await findAvailableTemplateName(template_type, template.name);
+        outputTemplate = { ...template, name: targetName };
+        conflictInfo = `\n🔀 **Existing file kept:** ${existingPath} - saving as "${targetName}" instead`;
+      } else {
+        conflictInfo = `\n♻️ **Overwriting existing file:** ${existingPath}`;
+      }
+    }
+
+    const targetPath = toRelativePath(resolveTemplatePath(template_type, targetName));
+
+    if (dry_run) {
+      const diffInfo = existingText === null || on_conflict === 'suffix'
+        ? `\n\n🆕 ${targetPath} would be created.`
+        : `\n\n**Diff against existing ${template_type}/${template.name}.json:**\n\`\`\`diff\n${createUnifiedDiff(existingText, JSON.stringify(outputTemplate, null, 2), {
+          oldLabel: `${targetPath} (existing)`,
+          newLabel: `${targetPath} (from spec)`
+        }) || '(no changes)'}\n\`\`\``;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🧪 **Dry run** - parsed template "${outputTemplate.label}" with ${template.components.length} sections from spec. Nothing was written.${conflictInfo}${report}${diffInfo}\n\n**JSON Content:**\n\`\`\`json\n${JSON.stringify(outputTemplate, null, 2)}\n\`\`\``
+          }
+        ]
+      };
+    }
+
+    const filePath = await writeStoredTemplate(template_type, targetName, outputTemplate, { tool: 'generate_template_from_spec', args });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `✅ Generated AntiCMS v3 template "${outputTemplate.label}" with ${template.components.length} sections from spec.${conflictInfo}\n\n📁 **File saved to:** ${toRelativePath(filePath)}${report}\n\n**JSON Content:**\n\`\`\`json\n${JSON.stringify(outputTemplate, null, 2)}\n\`\`\``
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `❌ Failed to save template "${targetName}": ${error.message}` }]
+    };
+  }
+}
+
+/**
+ * Template-to-spec export tool handler
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} - Tool response
+ */
+export async function exportTemplateSpec(args) {
+  const { name, template_json, template_type = 'pages', output_file, overwrite = false } = args;
+
+  let template;
+  try {
+    template = await resolveTemplateInput(name, template_json, template_type);
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `❌ ${error.message}` }]
+    };
+  }
+
+  const markdown = exportTemplateSpecMarkdown(template, { name });
+
+  // Parsing the export must give the template back
+  const { template: parsed, unparsed } = parseInstructionDocument(markdown);
+  const expected = Array.isArray(template) ? { ...parsed, components: template } : template;
+  let roundTripInfo = '🔁 Round-trip: generate_template_from_spec reads this spec back into the same template';
+  if (unparsed.length > 0 || toCanonicalJson(parsed) !== toCanonicalJson(expected)) {
+    roundTripInfo = '⚠️ Round-trip: this template differs from the spec read back (missing settings such as label are filled with defaults); check the result of generate_template_from_spec';
+  } else if (Array.isArray(template)) {
+    roundTripInfo = '🔁 Round-trip: the components are read back unchanged, wrapped in a template object with default settings';
+  }
+
+  let writeInfo = '';
+  if (output_file) {
+    try {
+      const filePath = resolveWorkingPath(output_file);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, markdown, { encoding: 'utf8', flag: overwrite ? 'w' : 'wx' });
+      writeInfo = `\n📁 **Spec saved to:** ${toRelativePath(filePath)}`;
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: error.code === 'EEXIST'
+              ? `❌ Spec file already exists: ${output_file} - use overwrite to replace it`
+              : `❌ Failed to write spec file: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `📝 Spec for "${name || expected.name || 'template'}"\n${roundTripInfo}${writeInfo}\n\n\`\`\`markdown\n${markdown}\`\`\``
+      }
+    ]
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Line-based text diff helpers
+ * Used to preview changes to stored template files
+ */
+
+/**
+ * Compute line operations between two texts using longest common subsequence
+ * @param {Array<string>} oldLines - Original lines
+ * @param {Array<string>} newLines - Updated lines
+ * @returns {Array<object>} - Operations with type ('equal', 'remove', 'add') and line
+ */
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+  const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (oldLines[i] === newLines[j]) {
+      operations.push({ type: 'equal', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      operations.push({ type: 'remove', line: oldLines[i], oldIndex: i++, newIndex: j });
+    } else {
+      operations.push({ type: 'add', line: newLines[j], oldIndex: i, newIndex: j++ });
+    }
+  }
+  while (i < rows) operations.push({ type: 'remove', line: oldLines[i], oldIndex: i++, newIndex: j });
+  while (j < cols) operations.push({ type: 'add', line: newLines[j], oldIndex: i, newIndex: j++ });
+
+  return operations;
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText - Original text ('' when the file does not exist)
+ * @param {string} newText - Updated text
+ * @param {object} options - Diff options
+ * @param {string} options.oldLabel - Label for the original text
+ * @param {string} options.newLabel - Label for the updated text
+ * @param {number} options.context - Number of unchanged context lines around changes
+ * @returns {string} - Unified diff, or an empty string when texts are identical
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+
+  if (oldText === newText) return '';
+
+  const oldLines = oldText === '' ? [] : oldText.split('\n');
+  const newLines = newText === '' ? [] : newText.split('\n');
+  const operations = diffLines(oldLines, newLines);
+
+  // Group changed operations into hunks with surrounding context
+  const hunks = [];
+  let current = null;
+  operations.forEach((operation, index) => {
+    if (operation.type === 'equal') return;
+
+    const start = Math.max(0, index - context);
+    const end = Math.min(operations.length - 1, index + context);
+    if (current && start <= current.end + 1) {
+      current.end = end;
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  hunks.forEach(({ start, end }) => {
+    const slice = operations.slice(start, end + 1);
+    const oldCount = slice.filter(op => op.type !== 'add').length;
+    const newCount = slice.filter(op => op.type !== 'remove').length;
+    const oldStart = oldCount > 0 ? slice[0].oldIndex + 1 : slice[0].oldIndex;
+    const newStart = newCount > 0 ? slice[0].newIndex + 1 : slice[0].newIndex;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(op => {
+      const prefix = op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' ';
+      output.push(`${prefix}${op.line}`);
+    });
+  });
+
+  return output.join('\n');
+}
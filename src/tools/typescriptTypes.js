@@ -0,0 +1,299 @@
+import { resolveTemplateInput } from './storage.js';
+import { getNestedFields, toCommentText } from './templateFields.js';
+import { resolveContentLocales } from './contentValidator.js';
+
+/**
+ * TypeScript type generation for AntiCMS v3 templates
+ * Converts a template into interfaces describing its entry content (the shape validate_content checks)
+ */
+
+/**
+ * Shared reference types emitted once per file
+ */
+const REFERENCE_TYPES = `/** Media value: URL/path string or media library object */
+export type MediaReference =
+  | string
+  | {
+      url?: string;
+      path?: string;
+      mime_type?: string;
+      alt?: string;
+    };
+
+/** Post referenced by id (relationship, post_object and post_related fields) */
+export type PostReference = number;`;
+
+/**
+ * Convert a template, component or field name to a PascalCase type name
+ * @param {string} name - Name in snake_case, kebab-case or free text
+ * @returns {string} - Valid TypeScript identifier
+ */
+function toTypeName(name) {
+  const typeName = String(name)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+  return /^[0-9]/.test(typeName) ? `T${typeName}` : typeName || 'Unnamed';
+}
+
+/**
+ * Quote a property name unless it is a valid identifier
+ * @param {string} name - Property name
+ * @returns {string} - Property key
+ */
+function toPropertyKey(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Build a union of literal types from select options
+ * @param {Array} options - Select options (values or { label, value } objects)
+ * @returns {string|null} - Union type or null when there are no usable options
+ */
+function toLiteralUnion(options) {
+  if (!Array.isArray(options)) return null;
+
+  const literals = [...new Set(
+    options
+      .map(option => (option && typeof option === 'object' ? option.value : option))
+      .filter(value => ['string', 'number', 'boolean'].includes(typeof value))
+      .map(value => JSON.stringify(value))
+  )];
+  return literals.length > 0 ? literals.join(' | ') : null;
+}
+
+/**
+ * Wrap an element type in an array type
+ * @param {string} type - Element type
+ * @returns {string} - Array type
+ */
+function toArrayType(type) {
+  return /^[A-Za-z0-9_]+$/.test(type) ? `${type}[]` : `(${type})[]`;
+}
+
+/**
+ * Collects interface declarations while walking a template
+ */
+class InterfaceCollector {
+  constructor() {
+    this.declarations = [];
+    this.names = new Set(['Locale', 'MediaReference', 'PostReference']);
+  }
+
+  /**
+   * Reserve a unique interface name
+   * @param {string} name - Preferred name
+   * @returns {string} - Unique name
+   */
+  reserve(name) {
+    let unique = name;
+    let counter = 2;
+    while (this.names.has(unique)) {
+      unique = `${name}${counter++}`;
+    }
+    this.names.add(unique);
+    return unique;
+  }
+
+  /**
+   * Declare an interface for a list of fields
+   * Nested interfaces are declared before the interface that uses them
+   * @param {string} name - Preferred interface name
+   * @param {Array} fields - Field definitions
+   * @param {string} description - Doc comment for the interface
+   * @returns {string} - Declared interface name
+   */
+  declareFields(name, fields, description) {
+    const interfaceName = this.reserve(name);
+    const properties = fields
+      .filter(field => field?.name)
+      .map(field => this.toProperty(field, interfaceName));
+
+    this.declarations.push(formatInterface(interfaceName, description, properties));
+    return interfaceName;
+  }
+
+  /**
+   * Declare the row interface of a table field
+   * @param {string} name - Preferred interface name
+   * @param {Array} columns - Table columns
+   * @param {string} description - Doc comment for the interface
+   * @returns {string} - Declared interface name
+   */
+  declareTableRow(name, columns, description) {
+    const interfaceName = this.reserve(name);
+    const properties = columns
+      .filter(column => column?.name)
+      .map(column => ({
+        key: toPropertyKey(column.name),
+        optional: column.is_required !== true,
+        type: column.type === 'number'
+          ? 'number'
+          : (column.type === 'select' && toLiteralUnion(column.options)) || 'string',
+        comment: column.label
+      }));
+
+    this.declarations.push(formatInterface(interfaceName, description, properties));
+    return interfaceName;
+  }
+
+  /**
+   * Describe a field as an interface property
+   * @param {Object} field - Field definition
+   * @param {string} parentName - Name of the interface holding the property
+   * @returns {Object} - Property with key, optional flag, type and comment
+   */
+  toProperty(field, parentName) {
+    const valueType = this.toValueType(field, `${parentName}${toTypeName(field.name)}`);
+    return {
+      key: toPropertyKey(field.name),
+      optional: field.attribute?.is_required !== true,
+      // Multilanguage values are keyed by locale
+      type: field.multilanguage === true ? `Record<Locale, ${valueType}>` : valueType,
+      comment: field.label || field.name
+    };
+  }
+
+  /**
+   * Get the TypeScript type of a single (per-locale) field value
+   * @param {Object} field - Field definition
+   * @param {string} nestedName - Name for nested interfaces of this field
+   * @returns {string} - TypeScript type
+   */
+  toValueType(field, nestedName) {
+    const attribute = field.attribute && typeof field.attribute === 'object' ? field.attribute : {};
+
+    switch (field.field) {
+      case 'input':
+        return attribute.type === 'number' ? 'number' : 'string';
+
+      case 'textarea':
+      case 'texteditor':
+        return 'string';
+
+      case 'select': {
+        const union = toLiteralUnion(attribute.options) || 'string';
+        return attribute.multiple ? toArrayType(union) : union;
+      }
+
+      case 'toggle':
+        return 'boolean';
+
+      // Deprecated file and image fields store media values too
+      case 'media':
+      case 'file':
+      case 'image':
+        return attribute.multiple ? 'MediaReference[]' : 'MediaReference';
+
+      case 'repeater':
+        return `${this.declareFields(`${nestedName}Item`, getNestedFields(field), `${field.label || field.name} item`)}[]`;
+
+      case 'group':
+        return this.declareFields(nestedName, getNestedFields(field), field.label || field.name);
+
+      case 'table': {
+        const columns = Array.isArray(attribute.columns) ? attribute.columns : [];
+        return `${this.declareTableRow(`${nestedName}Row`, columns, `${field.label || field.name} row`)}[]`;
+      }
+
+      case 'relationship':
+      case 'post_related':
+        return 'PostReference[]';
+
+      case 'post_object':
+        return attribute.multiple ? 'PostReference[]' : 'PostReference';
+
+      default:
+        return 'unknown';
+    }
+  }
+}
+
+/**
+ * Format an interface declaration
+ * @param {string} name - Interface name
+ * @param {string} description - Doc comment
+ * @param {Array} properties - Properties with key, optional flag, type and comment
+ * @returns {string} - TypeScript source
+ */
+function formatInterface(name, description, properties) {
+  const body = properties
+    .map(property => `  /** ${toCommentText(property.comment)} */\n  ${property.key}${property.optional ? '?' : ''}: ${property.type};`)
+    .join('\n');
+  return `/** ${toCommentText(description)} */\nexport interface ${name} {\n${body}\n}`;
+}
+
+/**
+ * Generate TypeScript interfaces for the content of a template
+ * One interface per component, plus a root interface keyed by component keyName
+ * @param {Object|Array} template - Template JSON
+ * @param {object} options - Generation options
+ * @param {string} options.name - Template name, used for the root interface (default: template name)
+ * @param {Array<string>} options.locales - Locales for multilanguage fields (default: template lang_option, else en and id)
+ * @returns {Object} - Generated source, root interface name, interface names by component keyName and locales
+ */
+export function generateTypeScriptTypesForTemplate(template, options = {}) {
+  const components = Array.isArray(template) ? template : (template?.components || []);
+  const templateName = options.name || (!Array.isArray(template) && template?.name) || 'template';
+  const locales = resolveContentLocales(template, options.locales);
+  const collector = new InterfaceCollector();
+
+  const rootName = collector.reserve(`${toTypeName(templateName)}Content`);
+  const componentTypes = {};
+  const rootProperties = components
+    .filter(component => component?.keyName && Array.isArray(component.fields))
+    .map(component => {
+      componentTypes[component.keyName] = collector.declareFields(
+        `${toTypeName(component.keyName)}Component`,
+        component.fields,
+        `${component.label || component.keyName} (section ${component.section ?? '?'})`
+      );
+      return {
+        key: toPropertyKey(component.keyName),
+        optional: false,
+        type: componentTypes[component.keyName],
+        comment: component.label || component.keyName
+      };
+    });
+
+  const header = `/**\n * Content types for the AntiCMS v3 template "${toCommentText(templateName)}"\n * Generated by generate_typescript_types - regenerate instead of editing by hand\n */`;
+  const localeType = `export type Locale = ${locales.map(locale => JSON.stringify(locale)).join(' | ')};`;
+  const rootInterface = formatInterface(rootName, `Entry content of "${templateName}", keyed by component keyName`, rootProperties);
+
+  return {
+    rootName,
+    componentTypes,
+    locales,
+    source: [header, localeType, REFERENCE_TYPES, ...collector.declarations, rootInterface].join('\n\n') + '\n'
+  };
+}
+
+/**
+ * TypeScript type generation tool handler
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} - Tool response
+ */
+export async function generateTypeScriptTypes(args) {
+  const { name, template_json, template_type = 'pages', locales } = args;
+
+  let template;
+  try {
+    template = await resolveTemplateInput(name, template_json, template_type);
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `❌ ${error.message}` }]
+    };
+  }
+
+  const result = generateTypeScriptTypesForTemplate(template, { name, locales });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `📘 TypeScript types${name ? ` for "${name}"` : ''} (root interface: ${result.rootName}, locales: ${result.locales.join(', ')})\n\n\`\`\`ts\n${result.source}\`\`\``
+      }
+    ]
+  };
+}
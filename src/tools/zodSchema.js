@@ -0,0 +1,349 @@
+import { resolveTemplateInput } from './storage.js';
+import { getNestedFields, toCommentText } from './templateFields.js';
+import { resolveContentLocales } from './contentValidator.js';
+
+/**
+ * Zod schema generation for AntiCMS v3 templates
+ * Emits source code that parses entry content (the shape validate_content checks) at runtime
+ */
+
+/**
+ * Convert a name to camelCase for schema constants
+ * @param {string} name - Name in snake_case, kebab-case or free text
+ * @returns {string} - Valid JavaScript identifier
+ */
+function toCamelCase(name) {
+  const words = String(name).split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const identifier = words
+    .map((word, index) => (index === 0 ? word.charAt(0).toLowerCase() : word.charAt(0).toUpperCase()) + word.slice(1))
+    .join('');
+  return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier || 'unnamed';
+}
+
+/**
+ * Quote an object key unless it is a valid identifier
+ * @param {string} name - Key
+ * @returns {string} - Object key source
+ */
+function toObjectKey(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Build the Zod source for select options
+ * @param {Array} options - Select options (values or { label, value } objects)
+ * @returns {string} - z.enum, z.literal or z.union source; z.string() without options
+ */
+function toOptionsSchema(options) {
+  const values = [...new Set(
+    (Array.isArray(options) ? options : [])
+      .map(option => (option && typeof option === 'object' ? option.value : option))
+      .filter(value => ['string', 'number', 'boolean'].includes(typeof value))
+  )];
+
+  if (values.length === 0) return 'z.string()';
+  if (values.every(value => typeof value === 'string')) {
+    return `z.enum([${values.map(value => JSON.stringify(value)).join(', ')}])`;
+  }
+  if (values.length === 1) return `z.literal(${JSON.stringify(values[0])})`;
+  return `z.union([${values.map(value => `z.literal(${JSON.stringify(value)})`).join(', ')}])`;
+}
+
+/**
+ * Append .min()/.max() bounds
+ * @param {string} schema - Zod source
+ * @param {number} min - Minimum (ignored unless a number)
+ * @param {number} max - Maximum (ignored unless a number)
+ * @returns {string} - Zod source
+ */
+function withBounds(schema, min, max) {
+  let bounded = schema;
+  if (typeof min === 'number' && min > 0) bounded += `.min(${min})`;
+  if (typeof max === 'number') bounded += `.max(${max})`;
+  return bounded;
+}
+
+/**
+ * Mark a schema as optional, matching validate_content: null and undefined count as "not set"
+ * @param {string} schema - Zod source
+ * @param {boolean} required - Whether the value is required
+ * @returns {string} - Zod source
+ */
+function withRequired(schema, required) {
+  return required ? schema : `${schema}.nullish()`;
+}
+
+/**
+ * Build a string schema with length limits
+ * Required strings need at least one character; optional ones may also be blank
+ * @param {string} base - Zod string source
+ * @param {number} min - Minimum length
+ * @param {number} max - Maximum length
+ * @param {boolean} required - Whether the value is required
+ * @returns {string} - Zod source
+ */
+function toStringSchema(base, min, max, required) {
+  if (required) {
+    return withBounds(base, Math.max(typeof min === 'number' ? min : 0, 1), max);
+  }
+  const bounded = withBounds(base, min, max);
+  return typeof min === 'number' && min > 0 ? `${bounded}.or(z.literal(''))` : bounded;
+}
+
+/**
+ * Build a texteditor schema; HTML is counted without tags like validate_content does
+ * @param {number} min - Minimum text length
+ * @param {number} max - Maximum text length
+ * @param {boolean} required - Whether the value is required
+ * @returns {string} - Zod source
+ */
+function toRichTextSchema(min, max, required) {
+  const lowerBound = required ? Math.max(typeof min === 'number' ? min : 0, 1) : min;
+  let schema = 'z.string()';
+  if (typeof lowerBound === 'number' && lowerBound > 0) {
+    const check = required ? `textLength(value) >= ${lowerBound}` : `value.trim() === '' || textLength(value) >= ${lowerBound}`;
+    schema += `.refine((value) => ${check}, { message: 'Must have at least ${lowerBound} characters' })`;
+  }
+  if (typeof max === 'number') {
+    schema += `.refine((value) => textLength(value) <= ${max}, { message: 'Must have at most ${max} characters' })`;
+  }
+  return schema;
+}
+
+/**
+ * Collects the helpers a generated schema needs
+ */
+class SchemaContext {
+  constructor(locales) {
+    this.locales = locales;
+    this.helpers = new Set();
+  }
+
+  /**
+   * Build the schema of a list of fields as a z.object
+   * @param {Array} fields - Field definitions
+   * @param {string} indent - Current indentation
+   * @returns {string} - Zod source
+   */
+  toObjectSchema(fields, indent) {
+    const entries = fields
+      .filter(field => field?.name)
+      .map(field => `${indent}  ${toObjectKey(field.name)}: ${this.toFieldSchema(field, `${indent}  `)},`);
+    return entries.length > 0 ? `z.object({\n${entries.join('\n')}\n${indent}})` : 'z.object({})';
+  }
+
+  /**
+   * Build the schema of a field, wrapping multilanguage values per locale
+   * @param {Object} field - Field definition
+   * @param {string} indent - Current indentation
+   * @returns {string} - Zod source
+   */
+  toFieldSchema(field, indent) {
+    const required = field.attribute?.is_required === true;
+    const valueSchema = this.toValueSchema(field, indent, required);
+
+    if (field.multilanguage === true) {
+      this.helpers.add('localized');
+      return withRequired(`localized(${valueSchema})`, required);
+    }
+    return valueSchema;
+  }
+
+  /**
+   * Build the schema of a single (per-locale) field value
+   * @param {Object} field - Field definition
+   * @param {string} indent - Current indentation
+   * @param {boolean} required - Whether the value is required
+   * @returns {string} - Zod source
+   */
+  toValueSchema(field, indent, required) {
+    const attribute = field.attribute && typeof field.attribute === 'object' ? field.attribute : {};
+
+    switch (field.field) {
+      case 'input':
+        if (attribute.type === 'number') {
+          // Numbers may arrive as numeric strings
+          return withRequired(withBounds('z.coerce.number()', attribute.min, attribute.max), required);
+        }
+        return withRequired(toStringSchema('z.string()', attribute.minLength, attribute.maxLength, required), required);
+
+      case 'textarea':
+        // textarea and texteditor use min/max as character limits
+        return withRequired(toStringSchema('z.string()', attribute.min ?? attribute.minLength, attribute.max ?? attribute.maxLength, required), required);
+
+      case 'texteditor':
+        this.helpers.add('textLength');
+        return withRequired(toRichTextSchema(attribute.min ?? attribute.minLength, attribute.max ?? attribute.maxLength, required), required);
+
+      case 'select': {
+        const schema = toOptionsSchema(attribute.options);
+        return withRequired(attribute.multiple ? withBounds(`z.array(${schema})`, required ? 1 : 0) : schema, required);
+      }
+
+      case 'toggle':
+        return withRequired('z.boolean()', required);
+
+      // Deprecated file and image fields store media values too
+      case 'media':
+      case 'file':
+      case 'image':
+        this.helpers.add('mediaReference');
+        return withRequired(attribute.multiple ? withBounds('z.array(mediaReferenceSchema)', required ? 1 : 0) : 'mediaReferenceSchema', required);
+
+      case 'repeater': {
+        const min = Math.max(typeof attribute.min === 'number' ? attribute.min : 0, required ? 1 : 0);
+        return withRequired(withBounds(`z.array(${this.toObjectSchema(getNestedFields(field), indent)})`, min, attribute.max), required);
+      }
+
+      case 'group':
+        return withRequired(this.toObjectSchema(getNestedFields(field), indent), required);
+
+      case 'table':
+        return withRequired(withBounds(`z.array(${this.toTableRowSchema(attribute.columns, indent)})`, attribute.min, attribute.max), required);
+
+      case 'relationship':
+        this.helpers.add('postReference');
+        return withRequired(withBounds('z.array(postReferenceSchema)', Math.max(attribute.min ?? 0, required ? 1 : 0), attribute.max), required);
+
+      case 'post_object':
+        this.helpers.add('postReference');
+        return withRequired(attribute.multiple ? withBounds('z.array(postReferenceSchema)', required ? 1 : 0) : 'postReferenceSchema', required);
+
+      case 'post_related':
+        this.helpers.add('postReference');
+        return withRequired(withBounds('z.array(postReferenceSchema)', required ? 1 : 0), required);
+
+      default:
+        return 'z.unknown()';
+    }
+  }
+
+  /**
+   * Build the schema of a table row
+   * @param {Array} columns - Table columns
+   * @param {string} indent - Current indentation
+   * @returns {string} - Zod source
+   */
+  toTableRowSchema(columns, indent) {
+    const entries = (Array.isArray(columns) ? columns : [])
+      .filter(column => column?.name)
+      .map(column => {
+        const required = column.is_required === true;
+        const schema = column.type === 'number'
+          ? 'z.coerce.number()'
+          : column.type === 'select'
+            ? toOptionsSchema(column.options)
+            : toStringSchema('z.string()', undefined, undefined, required);
+        return `${indent}  ${toObjectKey(column.name)}: ${withRequired(schema, required)},`;
+      });
+    return entries.length > 0 ? `z.object({\n${entries.join('\n')}\n${indent}})` : 'z.object({})';
+  }
+
+  /**
+   * Get the source of the helpers used by the generated schemas
+   * @param {boolean} typescript - Emit TypeScript signatures
+   * @returns {Array<string>} - Helper declarations
+   */
+  helperSource(typescript) {
+    const helpers = [];
+
+    if (this.helpers.has('localized')) {
+      const shape = this.locales.map(locale => `${toObjectKey(locale)}: schema`).join(', ');
+      helpers.push(`// Multilanguage values are keyed by locale\n${typescript
+        ? `const localized = <T extends z.ZodTypeAny>(schema: T) => z.object({ ${shape} });`
+        : `const localized = (schema) => z.object({ ${shape} });`}`);
+    }
+    if (this.helpers.has('textLength')) {
+      helpers.push(`// Text editor limits count characters without HTML tags\nconst textLength = (value${typescript ? ': string' : ''}) => [...value.replace(/<[^>]*>/g, '').replace(/&[a-z0-9#]+;/gi, ' ')].length;`);
+    }
+    if (this.helpers.has('mediaReference')) {
+      helpers.push(`// Media value: URL/path string or media library object\nexport const mediaReferenceSchema = z.union([\n  z.string(),\n  z.object({\n    url: z.string().optional(),\n    path: z.string().optional(),\n    mime_type: z.string().optional(),\n    alt: z.string().optional(),\n  }).passthrough(),\n]);`);
+    }
+    if (this.helpers.has('postReference')) {
+      helpers.push('// Post referenced by id\nexport const postReferenceSchema = z.number();');
+    }
+
+    return helpers;
+  }
+}
+
+/**
+ * Generate Zod schema source for the content of a template
+ * One schema per component, plus a root schema keyed by component keyName
+ * @param {Object|Array} template - Template JSON
+ * @param {object} options - Generation options
+ * @param {string} options.name - Template name, used for the root schema (default: template name)
+ * @param {Array<string>} options.locales - Locales for multilanguage fields (default: template lang_option, else en and id)
+ * @param {boolean} options.typescript - Emit TypeScript (typed helpers and z.infer types) instead of JavaScript
+ * @returns {Object} - Generated source, root schema name and locales
+ */
+export function generateZodSchemaForTemplate(template, options = {}) {
+  const { typescript = true } = options;
+  const components = Array.isArray(template) ? template : (template?.components || []);
+  const templateName = options.name || (!Array.isArray(template) && template?.name) || 'template';
+  const locales = resolveContentLocales(template, options.locales);
+  const context = new SchemaContext(locales);
+
+  const usedNames = new Set(['localized', 'textLength', 'mediaReferenceSchema', 'postReferenceSchema']);
+  const reserve = name => {
+    let unique = name;
+    let counter = 2;
+    while (usedNames.has(unique)) {
+      unique = `${name}${counter++}`;
+    }
+    usedNames.add(unique);
+    return unique;
+  };
+
+  const rootName = reserve(`${toCamelCase(templateName)}ContentSchema`);
+  const componentSchemas = components
+    .filter(component => component?.keyName && Array.isArray(component.fields))
+    .map(component => ({
+      keyName: component.keyName,
+      name: reserve(`${toCamelCase(component.keyName)}Schema`),
+      label: component.label || component.keyName,
+      source: context.toObjectSchema(component.fields, '')
+    }));
+
+  const header = `/**\n * Zod schemas for the AntiCMS v3 template "${toCommentText(templateName)}"\n * Generated by generate_zod_schema - regenerate instead of editing by hand\n */\nimport { z } from 'zod';`;
+  const declarations = componentSchemas.map(schema => `// ${toCommentText(schema.label)}\nexport const ${schema.name} = ${schema.source};`);
+  const rootEntries = componentSchemas.map(schema => `  ${toObjectKey(schema.keyName)}: ${schema.name},`);
+  const root = `// Entry content of "${toCommentText(templateName)}", keyed by component keyName\nexport const ${rootName} = z.object({\n${rootEntries.join('\n')}\n});`;
+
+  const parts = [header, ...context.helperSource(typescript), ...declarations, root];
+  if (typescript) {
+    const typeName = rootName.charAt(0).toUpperCase() + rootName.slice(1).replace(/Schema$/, '');
+    parts.push(`export type ${typeName} = z.infer<typeof ${rootName}>;`);
+  }
+
+  return { rootName, locales, source: parts.join('\n\n') + '\n' };
+}
+
+/**
+ * Zod schema generation tool handler
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} - Tool response
+ */
+export async function generateZodSchema(args) {
+  const { name, template_json, template_type = 'pages', locales, typescript = true } = args;
+
+  let template;
+  try {
+    template = await resolveTemplateInput(name, template_json, template_type);
+  } catch (error) {
+    return {
+      content: [{ type: 'text', text: `❌ ${error.message}` }]
+    };
+  }
+
+  const result = generateZodSchemaForTemplate(template, { name, locales, typescript });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `🛡️ Zod schemas${name ? ` for "${name}"` : ''} (root schema: ${result.rootName}, locales: ${result.locales.join(', ')})\n\nParse API payloads with \`${result.rootName}.parse(data)\`.\n\n\`\`\`${typescript ? 'ts' : 'js'}\n${result.source}\`\`\``
+      }
+    ]
+  };
+}
@@ -0,0 +1,292 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateTemplate, generateTemplateFromFigmaMetadata, generateTemplateFromFigmaFile } from './src/tools/templateGenerator.js';
+import { figmaMetadataSchema } from './src/tools/figmaMetadataSchema.js';
+
+// Behavior tests for generating templates from Figma metadata and Figma files
+// Runs in a temporary working directory, so generated templates and seed content do not
+// touch the repository storage.
+
+const REPO_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`  ✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`  ❌ ${message}`);
+  }
+}
+
+function responseText(result) {
+  return result.content.map(item => item.text).join('\n');
+}
+
+function extractJson(text) {
+  const match = text.match(/```json\n([\s\S]*?)\n```/);
+  return match ? JSON.parse(match[1]) : null;
+}
+
+function getNestedFieldNames(field) {
+  return (field?.attribute?.fields || []).map(nested => nested.name).join(',');
+}
+
+function findField(template, keyName, fieldName) {
+  return template.components.find(component => component.keyName === keyName)?.fields.find(field => field.name === fieldName);
+}
+
+const FIGMA_METADATA = {
+  figma_code_response: {
+    sections: {
+      hero: { title: 'Welcome', subtitle: 'Ship faster', background_image: 'https://example.com/hero.png', badge: '' },
+      features: { heading: 'Why us', items: [{ title: 'Fast', description: 'Ships in days' }, { title: 'Safe', description: 'Audited' }] }
+    }
+  },
+  anticms_analysis: {
+    identified_sections: {
+      hero: { detected_fields: ['title', 'subtitle', 'background_image'], identified_field_types: ['input', 'textarea', 'media'] }
+    }
+  }
+};
+
+// Figma REST API file (GET /v1/files/:key) with a page frame, an auto layout list and a hidden layer
+const FIGMA_FILE = {
+  name: 'Acme Landing',
+  document: {
+    id: '0:0',
+    name: 'Document',
+    type: 'DOCUMENT',
+    children: [
+      {
+        id: '1:0',
+        name: 'Pages',
+        type: 'CANVAS',
+        children: [
+          {
+            id: '1:1',
+            name: 'Home Page',
+            type: 'FRAME',
+            children: [
+              {
+                id: '1:10',
+                name: 'Hero',
+                type: 'FRAME',
+                children: [
+                  { id: '1:11', name: 'Title', type: 'TEXT', characters: 'Build faster sites' },
+                  { id: '1:15', name: 'Hero Image', type: 'RECTANGLE', fills: [{ type: 'IMAGE', imageRef: 'abc' }] }
+                ]
+              },
+              {
+                id: '1:20',
+                name: 'Features',
+                type: 'FRAME',
+                children: [
+                  { id: '1:21', name: 'Heading', type: 'TEXT', characters: 'Why Acme' },
+                  {
+                    id: '1:22',
+                    name: 'Feature List',
+                    type: 'FRAME',
+                    layoutMode: 'HORIZONTAL',
+                    children: ['Fast', 'Safe', 'Open'].map((title, index) => ({
+                      id: `1:3${index}`,
+                      name: 'Feature Card',
+                      type: 'INSTANCE',
+                      componentId: '9:2',
+                      children: [
+                        { id: `1:4${index}`, name: 'Card Title', type: 'TEXT', characters: title },
+                        { id: `1:5${index}`, name: 'Card Text', type: 'TEXT', characters: `${title} by default` }
+                      ]
+                    }))
+                  }
+                ]
+              },
+              { id: '1:60', name: 'Hidden Promo', type: 'FRAME', visible: false, children: [] }
+            ]
+          }
+        ]
+      }
+    ]
+  }
+};
+
+// Whole-page metadata with sections to map, skip and exclude
+const SITE_METADATA = {
+  figma_metadata_response: { name: 'Acme Home' },
+  figma_code_response: {
+    sections: {
+      navigation: { links: ['Home', 'About'] },
+      hero: { title: 'Welcome', subtitle: 'Ship faster' },
+      features: { heading: 'Why us', items: [{ title: 'Fast', description: 'Ships in days' }] },
+      footer: { copyright: '2026 Acme' },
+      spacer: {}
+    }
+  },
+  anticms_analysis: { template_type: 'acme_home', identified_sections: {} }
+};
+
+async function testFigmaContent() {
+  console.log('\n🧪 generate_template with use_figma_content');
+
+  fs.writeFileSync('figma_metadata.json', JSON.stringify(FIGMA_METADATA, null, 2));
+  const seedPath = path.join('storage', 'app', 'json', 'seeds', 'pages', 'figma_demo.json');
+
+  const plain = responseText(await generateTemplate({ name: 'figma_plain', sections: ['hero', 'features'], figma_metadata_file: 'figma_metadata.json' }));
+  check(findField(extractJson(plain), 'hero', 'title')?.attribute.defaultValue === '', 'Figma copy is not used unless asked for');
+  check(!plain.includes('Seed content') && !fs.existsSync(path.join('storage', 'app', 'json', 'seeds')), 'no seed content is written unless asked for');
+
+  const text = responseText(await generateTemplate({ name: 'figma_demo', label: 'Figma Demo', sections: ['hero', 'features'], figma_metadata_file: 'figma_metadata.json', use_figma_content: true }));
+  const template = extractJson(text);
+  check(findField(template, 'hero', 'title')?.attribute.defaultValue === 'Welcome' && findField(template, 'features', 'heading')?.attribute.defaultValue === 'Why us', 'Figma copy becomes the defaultValue of fields');
+
+  check(text.includes(`🌱 **Seed content saved to:** ${seedPath.split(path.sep).join('/')}`) && text.includes('✅ Passes validate_content'), 'use_figma_content writes seed content that passes validate_content');
+  const seed = JSON.parse(fs.readFileSync(seedPath, 'utf8'));
+  check(seed.hero?.title?.en === 'Welcome' && seed.hero.background_image === 'https://example.com/hero.png', 'seed content holds the Figma copy');
+  check(seed.features?.items?.map(item => item.title.en).join(',') === 'Fast,Safe', 'repeater items are populated from the design');
+}
+
+async function testFigmaMetadataTool() {
+  console.log('\n🧪 generate_template_from_figma');
+
+  fs.writeFileSync('site_metadata.json', JSON.stringify(SITE_METADATA, null, 2));
+
+  const preview = await generateTemplateFromFigmaMetadata({ metadata_file_path: 'site_metadata.json', dry_run: true });
+  const report = preview.content[0].text;
+  check(report.startsWith('🎨 **Figma sections:** 1 mapped, 2 skipped, 2 excluded'), 'the mapping report counts mapped, skipped and excluded sections');
+  check(report.includes('- hero → hero (built-in section type)'), 'mapped sections name their AntiCMS section');
+  check(report.includes('- spacer: no content in figma_code_response') && report.includes('- features: no anticms_analysis entry'), 'skipped sections give a reason');
+  check(report.includes('**Excluded (is_exclude_sections):**\n- navigation\n- footer'), 'navigation and footer are excluded by default');
+  const template = extractJson(responseText(preview));
+  check(template?.name === 'acme_home' && template.label === 'Acme Home', 'name and label come from the metadata');
+  check(template?.components.map(component => component.keyName).join(',') === 'hero', 'only mapped sections become components');
+
+  const included = (await generateTemplateFromFigmaMetadata({ metadata_file_path: 'site_metadata.json', is_exclude_sections: false, dry_run: true })).content[0].text;
+  check(included.startsWith('🎨 **Figma sections:** 2 mapped, 3 skipped, 0 excluded') && included.includes('- footer → footer'), 'the exclusion list can be turned off');
+
+  const written = responseText(await generateTemplateFromFigmaMetadata({ metadata_file_path: 'site_metadata.json', template_name: 'acme' }));
+  check(written.includes('📁 **File saved to:** storage/app/json/pages/acme.json') && fs.existsSync(path.join('storage', 'app', 'json', 'pages', 'acme.json')), 'the template is written under template_name');
+
+  check(responseText(await generateTemplateFromFigmaMetadata({})) === '❌ Provide either "figma_metadata" or "metadata_file_path"', 'missing metadata is reported');
+  check(responseText(await generateTemplateFromFigmaMetadata({ metadata_file_path: 'missing.json' })).startsWith('❌ Failed to read Figma metadata file missing.json'), 'an unreadable metadata file is reported');
+}
+
+async function testInlineMetadata() {
+  console.log('\n🧪 generate_template with inline figma_metadata');
+
+  check(figmaMetadataSchema.safeParse(FIGMA_METADATA).success && figmaMetadataSchema.safeParse(SITE_METADATA).success, 'the test metadata matches the Figma metadata schema');
+  const mismatched = JSON.parse(JSON.stringify(FIGMA_METADATA));
+  mismatched.anticms_analysis.identified_sections.hero.identified_field_types.pop();
+  check(!figmaMetadataSchema.safeParse(mismatched).success, 'detected_fields and identified_field_types must line up');
+  check(!figmaMetadataSchema.safeParse({ figma_code_response: { sections: {} }, anticms_analysis: { identified_sections: {} } }).success, 'empty sections are rejected');
+
+  // figma_metadata.json is written by testFigmaContent
+  const args = { name: 'inline_demo', sections: ['hero', 'features'], dry_run: true };
+  const fromFile = extractJson(responseText(await generateTemplate({ ...args, figma_metadata_file: 'figma_metadata.json' })));
+  const inline = extractJson(responseText(await generateTemplate({ ...args, figma_metadata: FIGMA_METADATA })));
+  check(inline && JSON.stringify(inline) === JSON.stringify(fromFile), 'inline metadata generates the same template as the metadata file');
+  const both = extractJson(responseText(await generateTemplate({ ...args, figma_metadata: FIGMA_METADATA, figma_metadata_file: 'missing.json' })));
+  check(JSON.stringify(both) === JSON.stringify(inline), 'inline metadata takes precedence over the file');
+
+  const inlineTool = (await generateTemplateFromFigmaMetadata({ figma_metadata: SITE_METADATA, dry_run: true })).content[0].text;
+  check(inlineTool.startsWith('🎨 **Figma sections:** 1 mapped'), 'generate_template_from_figma accepts inline metadata');
+
+  fs.writeFileSync('invalid_metadata.json', JSON.stringify({ figma_code_response: { sections: 'hero' } }));
+  const invalid = responseText(await generateTemplate({ name: 'figma_invalid', sections: ['hero'], figma_metadata_file: 'invalid_metadata.json', dry_run: true }));
+  check(invalid.startsWith('❌ invalid_metadata.json is not valid Figma metadata'), 'invalid metadata files are rejected');
+  check(invalid.includes('- figma_code_response.sections:') && invalid.includes('- anticms_analysis: Required'), 'the schema errors are listed');
+}
+
+async function testFigmaFile() {
+  console.log('\n🧪 generate_template_from_figma_file');
+
+  fs.writeFileSync('figma_file.json', JSON.stringify(FIGMA_FILE));
+  const text = responseText(await generateTemplateFromFigmaFile({ file_path: 'figma_file.json', dry_run: true }));
+  check(text.includes('- Hero → hero') && text.includes('- Features → features'), 'frame children map to sections');
+  check(text.includes('- Hidden Promo: hidden layer'), 'hidden layers are skipped');
+
+  const template = extractJson(text);
+  check(template?.name === 'home_page' && template.label === 'Home Page', 'the template is named after the frame');
+  const features = template?.components.find(component => component.keyName === 'features');
+  const repeater = features?.fields.find(field => field.field === 'repeater');
+  check(Boolean(findField(template, 'features', 'heading')), 'layers next to a list stay section fields');
+  check(getNestedFieldNames(repeater) === 'card_title,card_text', 'repeated cards in an auto layout frame become a repeater of one item');
+
+  const missingFrame = responseText(await generateTemplateFromFigmaFile({ file_path: 'figma_file.json', frame: 'Pricing', dry_run: true }));
+  check(missingFrame.startsWith('❌'), 'an unknown frame is reported');
+  const outside = responseText(await generateTemplateFromFigmaFile({ file_path: '../outside.json', dry_run: true }));
+  check(outside.startsWith('❌') && outside.includes('Path must be inside the working directory'), 'a file outside the working directory is rejected');
+}
+
+async function testExplain() {
+  console.log('\n🧪 generate_template with explain');
+
+  const args = { name: 'explained', sections: ['hero', 'features', 'contact'], figma_metadata: FIGMA_METADATA, dry_run: true };
+  check(!responseText(await generateTemplate(args)).includes('Field decisions'), 'decisions are only explained when asked for');
+
+  const text = responseText(await generateTemplate({ ...args, explain: true }));
+  const summary = text.slice(text.indexOf('🔍 **Field decisions:**'));
+  check(summary.includes('- hero (Figma "hero"): anticms_analysis (score decision: single)'), 'explain reports the detector of each component');
+  check(summary.includes('- features (Figma "features"): data_structure (score decision: repeater) – scores: post_collection 0, repeater 1 ✓'), 'explain reports the competing detector scores and marks the winner');
+  check(summary.includes('- contact: section_type'), 'built-in sections are explained as such');
+
+  const decisions = extractJson(summary);
+  const hero = decisions?.find(decision => decision.keyName === 'hero');
+  const title = hero?.fields.find(field => field.name === 'title');
+  check(title?.detector === 'anticms_analysis' && title.identified_field_type === 'input' && title.source?.value === 'Welcome', 'fields name their detector and Figma source element');
+  const items = decisions?.find(decision => decision.keyName === 'features')?.fields.find(field => field.name === 'items');
+  check(items?.field === 'repeater' && items.source?.value === '[2 items]', 'arrays are summarized as their item count');
+  check(hero?.thresholds?.repeater === 0.7 && typeof hero.confidence === 'number', 'decisions include the thresholds and confidence');
+}
+
+async function testCoverage() {
+  console.log('\n🧪 generate_template Figma coverage report');
+
+  const complete = responseText(await generateTemplate({ name: 'covered', sections: ['hero', 'features'], figma_metadata: FIGMA_METADATA, dry_run: true }));
+  check(complete.includes('📊 **Figma coverage:** 7 of 7 design values mapped to fields'), 'coverage counts the mapped values and skips empty ones');
+  check(complete.includes('- hero ← "hero": all 3 values mapped') && complete.includes('- features ← "features": all 4 values mapped'), 'coverage is reported per component');
+
+  const metadata = JSON.parse(JSON.stringify(FIGMA_METADATA));
+  metadata.figma_code_response.sections.hero.badge = 'New';
+  // An empty CTA key adds a button group without copy to map
+  metadata.figma_code_response.sections.hero.cta_note = '';
+  metadata.figma_code_response.sections.pricing = { plan: 'Pro' };
+  const partial = responseText(await generateTemplate({ name: 'partial', sections: ['hero', 'features', 'contact'], figma_metadata: metadata, dry_run: true }));
+  check(partial.includes('📊 **Figma coverage:** 7 of 8 design values mapped to fields'), 'unmapped values count against the coverage');
+  check(partial.includes('- hero ← "hero": 3 of 4 values mapped; unmapped: badge (text "New")'), 'unmapped values are listed with their content');
+  check(/- hero ← "hero": .*; fields without a Figma source: button_group/.test(partial), 'generated fields without a Figma source are listed');
+  check(partial.includes('- Figma sections not generated: pricing'), 'Figma sections without a component are listed');
+  check(partial.includes('- Components without Figma metadata: contact'), 'components without Figma metadata are listed');
+
+  check(!responseText(await generateTemplate({ name: 'plain', sections: ['hero'], dry_run: true })).includes('Figma coverage'), 'there is no coverage report without Figma metadata');
+}
+
+async function run() {
+  console.log('🚀 Testing Figma generation...');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anticms-figma-'));
+  fs.symlinkSync(path.join(REPO_DIR, 'data'), path.join(workDir, 'data'), 'dir');
+  process.chdir(workDir);
+
+  try {
+    await testFigmaContent();
+    await testFigmaMetadataTool();
+    await testInlineMetadata();
+    await testFigmaFile();
+    await testExplain();
+    await testCoverage();
+  } finally {
+    process.chdir(REPO_DIR);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log(failures === 0 ? '\n🎯 All Figma generation tests passed!' : `\n❌ ${failures} Figma generation test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+run().catch(error => {
+  console.log('❌ Error:', error.message);
+  process.exitCode = 1;
+});
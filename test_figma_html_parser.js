@@ -0,0 +1,243 @@
+import fs from 'fs';
+import path from 'path';
+import { parseFigmaHTML, generateTemplate } from './src/tools/templateGenerator.js';
+import { parseFigmaHTMLTree, tokenizeFigmaHTML } from './src/tools/figmaHtmlParser.js';
+
+// Fixture tests for the Figma HTML/JSX parser
+// Each sample metadata file in storage/app/json/figma is rendered as Figma Dev Mode code
+// (nested divs, Tailwind classes with ">", JSX expressions, self-closing tags), parsed back,
+// and every section, layer name and piece of copy has to come out again.
+
+const FIXTURE_DIR = 'storage/app/json/figma';
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`  ✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`  ❌ ${message}`);
+  }
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Read the sections of a sample metadata file as [{ name, groups: [{ name, copy }] }]
+ * Supports the current format (figma_code_response) and the legacy one (figma_data)
+ */
+function readFixtureSections(metadata) {
+  if (metadata.figma_code_response?.sections) {
+    return Object.entries(metadata.figma_code_response.sections).map(([name, copy]) => ({
+      name,
+      groups: [{ name: 'Content', copy }]
+    }));
+  }
+
+  const mainSections = metadata.figma_data?.metadata_response?.structure?.main_sections || [];
+  const keyElements = Object.values(metadata.figma_data?.code_response?.key_elements || {});
+  return mainSections.map((section, index) => ({
+    name: section.name,
+    groups: (section.child_elements || []).map((child, childIndex) => ({
+      name: child.name,
+      copy: childIndex === 0 ? (keyElements[index] || {}) : null
+    }))
+  }));
+}
+
+/**
+ * Render copy as Figma Dev Mode JSX, collecting the expected text elements
+ */
+function renderCopy(key, value, expected, indent) {
+  if (typeof value === 'string') {
+    // Empty layers have no copy to find again
+    if (value !== '') expected.push({ name: key, content: value });
+    return `${indent}<div className="flex flex-col justify-center [&>p]:leading-[1.2]" data-name="${escapeAttribute(key)}">\n${indent}  <p style={{ fontVariationSettings: "'wght' 400" }}>${escapeText(value)}</p>\n${indent}</div>`;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => renderCopy(key, item, expected, indent)).join('\n');
+  }
+
+  if (value && typeof value === 'object') {
+    if (typeof value.placeholder === 'string') {
+      // Form field: label and a self-closing input, or a textarea
+      const lines = [];
+      if (typeof value.label === 'string') {
+        expected.push({ name: 'label', content: value.label });
+        lines.push(`${indent}<label data-name="label">${escapeText(value.label)}</label>`);
+      }
+      expected.push({ name: value.name, content: value.placeholder, type: value.type === 'textarea' ? 'textarea' : 'input' });
+      lines.push(value.type === 'textarea'
+        ? `${indent}<textarea data-name="${escapeAttribute(value.name)}" placeholder="${escapeAttribute(value.placeholder)}" rows="4"></textarea>`
+        : `${indent}<input type="${escapeAttribute(value.type || 'text')}" data-name="${escapeAttribute(value.name)}" placeholder="${escapeAttribute(value.placeholder)}" />`);
+      return lines.join('\n');
+    }
+
+    const children = Object.entries(value).map(([childKey, childValue]) => renderCopy(childKey, childValue, expected, `${indent}  `));
+    return `${indent}<div className="flex gap-[8px] [&>*]:shrink-0" data-name="${escapeAttribute(key)}">\n${children.join('\n')}\n${indent}</div>`;
+  }
+
+  return '';
+}
+
+/**
+ * Render a sample metadata file as Figma Dev Mode code
+ */
+function renderFixture(frameName, sections) {
+  const expectations = [];
+  const lines = [`<div className="bg-white relative size-full" data-name="${escapeAttribute(frameName)}" data-node-id="1:1">`];
+
+  sections.forEach((section, sectionIndex) => {
+    const expected = [];
+    lines.push(`  {/* ${section.name} */}`);
+    lines.push(`  <div className="absolute left-0 top-[${sectionIndex * 800}px] w-[1440px]" data-name="${escapeAttribute(section.name)}" data-node-id="1:${sectionIndex + 2}">`);
+    section.groups.forEach(group => {
+      lines.push(`    <div className="absolute inset-0" data-name="${escapeAttribute(group.name)}">`);
+      lines.push(`      <div className="flex flex-col items-start">`);
+      if (group.copy) {
+        Object.entries(group.copy).forEach(([key, value]) => {
+          lines.push(renderCopy(key, value, expected, '        '));
+        });
+      } else {
+        expected.push({ name: `${group.name} image`, content: '', type: 'image' });
+        lines.push(`        <img alt="${escapeAttribute(`${section.name} > ${group.name}`)}" className="block max-w-none size-full" data-name="${escapeAttribute(`${group.name} image`)}" src={imgGroup${sectionIndex}} />`);
+      }
+      lines.push(`        <br>`);
+      lines.push(`      </div>`);
+      lines.push(`    </div>`);
+    });
+    // Stray closing tag left behind by a hand edit
+    lines.push(`    </span>`);
+    lines.push(`  </div>`);
+    expectations.push({ section, expected });
+  });
+
+  lines.push('</div>');
+  return { code: lines.join('\n'), expectations };
+}
+
+function testFixtureFile(file) {
+  console.log(`\n📄 ${file}`);
+
+  let metadata;
+  try {
+    metadata = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+  } catch (error) {
+    check(false, `fixture is readable JSON (${error.message})`);
+    return;
+  }
+
+  const sections = readFixtureSections(metadata);
+  if (sections.length === 0) {
+    console.log('  ⚠️ Skipped: no sections in this metadata format');
+    return;
+  }
+
+  const frameName = metadata.figma_metadata_response?.name || metadata.figma_data?.metadata_response?.structure?.root_frame?.name || file;
+  const { code, expectations } = renderFixture(frameName, sections);
+  const parsed = parseFigmaHTML(code);
+
+  check(parsed.length === sections.length, `${sections.length} sections parsed (got ${parsed.length})`);
+
+  expectations.forEach(({ section, expected }) => {
+    const parsedSection = parsed.find(candidate => candidate.originalName === section.name);
+    if (!parsedSection) {
+      check(false, `section "${section.name}" parsed`);
+      return;
+    }
+
+    check(parsedSection.depth === 1 && parsedSection.path === `${frameName} > ${section.name}`, `"${section.name}" keeps its layer path and depth`);
+
+    const missing = expected.filter(item => !parsedSection.elements.some(element =>
+      element.name === item.name &&
+      (item.type === 'image' || element.content === item.content) &&
+      (!item.type || element.type === item.type) &&
+      element.depth > parsedSection.depth &&
+      element.path.startsWith(`${frameName} > ${section.name} > `)
+    ));
+    check(missing.length === 0, `"${section.name}": ${expected.length - missing.length}/${expected.length} layers found with their copy${missing.length ? ` (missing: ${missing.map(item => item.name).join(', ')})` : ''}`);
+  });
+}
+
+function testEdgeCases() {
+  console.log('\n🧪 Edge cases');
+
+  const tokens = tokenizeFigmaHTML('<div className="[&>svg]:size-4" title=\'a > b\' style={{ width: 24 }} {...props}>x</div>');
+  check(tokens[0].attributes.className === '[&>svg]:size-4' && tokens[0].attributes.title === 'a > b', 'quoted attributes containing ">"');
+  check(tokens[0].attributes.style === '{{ width: 24 }}' && tokens[1].text === 'x', 'JSX expression attributes and spreads');
+
+  const tree = parseFigmaHTMLTree('<div data-name="Card"><div><div><p data-figma-text-name="Title">A</p></div></div><img src="a.png"/><p>B</p></div>');
+  const card = tree.children[0];
+  check(card.children.length === 3 && card.children[1].tag === 'img' && card.children[2].tag === 'p', 'nested divs and self-closing tags keep their siblings');
+  check(card.children[0].children[0].children[0].depth === 3 && card.children[0].children[0].children[0].layerName === 'Title', 'depth and data-figma-*-name layer names');
+
+  const unclosed = parseFigmaHTMLTree('<section data-name="Hero"><div><p>Open</section><section data-name="Next"></section>');
+  check(unclosed.children.length === 2 && unclosed.children[1].layerName === 'Next', 'unclosed tags are closed by their parent');
+
+  const legacy = parseFigmaHTML(`<div data-figma-frame="true">
+  <div data-figma-group="true" data-figma-group-name="Hero Banner">
+    <div class="inner"><div data-figma-text="true" data-figma-text-name="title">Hello <b>world</b></div></div>
+    <div data-figma-button="true" data-figma-button-name="primary">Get Started</div>
+    <div data-figma-image="true" data-figma-image-name="background"></div>
+  </div>
+</div>`);
+  const hero = legacy.find(section => section.name === 'hero_banner');
+  check(Boolean(hero) && hero.elements.map(element => `${element.type}:${element.name}`).join(',') === 'text:title,button:primary,image:background', 'data-figma-group markers across nested divs');
+  check(Boolean(hero) && hero.elements[0].content === 'Hello world' && hero.elements[1].role === 'primary_cta', 'copy with inline tags and element roles');
+}
+
+async function testGenerateFromCode() {
+  console.log('\n🧪 generate_template with figma_code_response.code');
+
+  const { code } = renderFixture('Landing', [
+    { name: 'Hero', groups: [{ name: 'Content', copy: { title: 'Welcome' } }] },
+    { name: 'Highlights', groups: [{ name: 'Cards', copy: { cards: [{ title: 'Fast', description: 'Ships in days' }, { title: 'Safe', description: 'Audited code' }, { title: 'Open', description: 'MIT licensed' }] } }] }
+  ]);
+
+  const result = await generateTemplate({
+    name: 'figma_code_fixture',
+    sections: ['hero', 'highlights'],
+    dry_run: true,
+    figma_metadata: {
+      figma_code_response: { sections: { hero: { title: 'Welcome' } }, code },
+      anticms_analysis: { identified_sections: { hero: { detected_fields: ['title'], identified_field_types: ['input'] } } }
+    }
+  });
+
+  const jsonMatch = result.content.map(item => item.text).join('\n').match(/```json\n([\s\S]*?)\n```/);
+  const template = jsonMatch ? JSON.parse(jsonMatch[1]) : null;
+  const highlights = template?.components?.find(component => component.keyName === 'highlights');
+  check(Boolean(highlights), 'section only present in the code is generated from it');
+  const repeater = highlights?.fields.find(field => field.field === 'repeater');
+  check(Boolean(repeater), 'repeated layers in the code become a repeater');
+  const itemFields = (repeater?.attribute?.fields || []).map(field => field.name);
+  check(itemFields.join(',') === 'title,description', `repeater items hold one title and one description (got ${itemFields.join(', ') || 'none'})`);
+}
+
+async function run() {
+  console.log('🚀 Testing the Figma HTML/JSX parser...');
+
+  fs.readdirSync(FIXTURE_DIR)
+    .filter(file => file.endsWith('_metadata.json'))
+    .sort()
+    .forEach(testFixtureFile);
+
+  testEdgeCases();
+  await testGenerateFromCode();
+
+  console.log(failures === 0 ? '\n🎯 All Figma parser tests passed!' : `\n❌ ${failures} Figma parser test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+run().catch(error => {
+  console.log('❌ Error:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,354 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { generateSampleContentForTemplate, generateSampleContent } from './src/tools/sampleContent.js';
+import { validateContentAgainstTemplate } from './src/tools/contentValidator.js';
+import { generateTypeScriptTypesForTemplate, generateTypeScriptTypes } from './src/tools/typescriptTypes.js';
+import { generateZodSchemaForTemplate, generateZodSchema } from './src/tools/zodSchema.js';
+import { scaffoldComponentsForTemplate, scaffoldComponents } from './src/tools/componentScaffold.js';
+import { renderTemplateMarkdown, documentTemplate } from './src/tools/templateDocs.js';
+import { parseInstructionDocument, exportTemplateSpecMarkdown, exportTemplateSpec, generateTemplateFromSpec } from './src/tools/templateSpec.js';
+
+// Behavior tests for the generators
+// Every generator runs on storage/app/json/pages/component.json, which uses every field type.
+
+const REPO_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_TEMPLATE = path.join(REPO_DIR, 'storage', 'app', 'json', 'pages', 'component.json');
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`  ✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`  ❌ ${message}`);
+  }
+}
+
+function responseText(result) {
+  return result.content.map(item => item.text).join('\n');
+}
+
+function extractJson(text) {
+  const match = text.match(/```json\n([\s\S]*?)\n```/);
+  return match ? JSON.parse(match[1]) : null;
+}
+
+const LANDING_SPEC = `# Landing
+- Name: spec_landing
+- Description: Landing page from a spec
+
+## Section: Hero (\`hero\`)
+- Order: 1
+
+### Fields:
+- \`status\`: toggle
+- \`title\`: input (multilanguage, required)
+- \`image\`: media
+  - accept: ["image"]
+- \`items\`: repeater
+  - \`label\`: input (multilanguage)
+`;
+
+const LIMITS_TEMPLATE = {
+  name: 'limits',
+  label: 'Limits',
+  is_content: false,
+  multilanguage: true,
+  is_multiple: false,
+  description: 'Template with limits for the sample content tests',
+  components: [
+    {
+      keyName: 'hero',
+      label: 'Hero',
+      section: '1',
+      fields: [
+        { name: 'title', label: 'Title', field: 'input', multilanguage: true, attribute: { type: 'text', maxLength: 12 } },
+        { name: 'size', label: 'Size', field: 'select', attribute: { options: [{ label: 'Small', value: 's' }, { label: 'Medium', value: 'm' }] } },
+        { name: 'image', label: 'Image', field: 'media', attribute: { accept: ['image'] } },
+        { name: 'items', label: 'Items', field: 'repeater', attribute: { min: 2, max: 3, fields: [{ name: 'label', label: 'Label', field: 'input', attribute: { type: 'text' } }] } }
+      ]
+    }
+  ]
+};
+
+// Sorts object keys, so templates compare independently of key order
+function toCanonical(value) {
+  if (Array.isArray(value)) return value.map(toCanonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, toCanonical(value[key])]));
+  }
+  return value;
+}
+
+function getNestedFieldNames(field) {
+  return (field?.attribute?.fields || []).map(nested => nested.name).join(',');
+}
+
+/**
+ * Check that every doc comment in generated source opens and closes exactly once
+ */
+function hasWellFormedComments(source) {
+  const comments = source.match(/\/\*[\s\S]*?\*\//g) || [];
+  const outside = source.replace(/\/\*[\s\S]*?\*\//g, '');
+  return comments.length > 0 && !outside.includes('*/') && !outside.includes('/*');
+}
+
+async function testSampleContent(template) {
+  console.log('\n🧪 generate_sample_content');
+
+  const first = generateSampleContentForTemplate(template, { seed: 42 });
+  const second = generateSampleContentForTemplate(template, { seed: 42 });
+  check(JSON.stringify(first.content) === JSON.stringify(second.content), 'sample content is reproducible from its seed');
+  check(JSON.stringify(generateSampleContentForTemplate(template, { seed: 7 }).content) !== JSON.stringify(first.content), 'another seed gives other content');
+  check(template.components.every(component => component.keyName in first.content), 'sample content covers every component');
+
+  const validation = validateContentAgainstTemplate(template, first.content);
+  check(validation.valid, `sample content passes validate_content (got ${JSON.stringify(validation.errors.slice(0, 3))})`);
+
+  const limits = generateSampleContentForTemplate(LIMITS_TEMPLATE, { seed: 42, locales: ['en', 'fr'] }).content.hero;
+  check(Object.keys(limits.title).join(',') === 'en,fr' && Object.values(limits.title).every(text => text.length <= 12), 'multilanguage text has a value per locale within maxLength');
+  check(['s', 'm'].includes(limits.size), 'select values come from the options');
+  check(typeof limits.image === 'string' && limits.image.startsWith('https://placehold.co/'), 'media fields get a placeholder image URL');
+  check(limits.items.length >= 2 && limits.items.length <= 3, 'repeaters are filled between min and max');
+
+  const response = responseText(await generateSampleContent({ template_json: template, seed: 42 }));
+  check(response.includes('✅ Passes validate_content') && JSON.stringify(extractJson(response)) === JSON.stringify(first.content), 'generate_sample_content returns the seeded content');
+  check(responseText(await generateSampleContent({ name: 'missing' })).startsWith('❌ Template "missing" not found'), 'a missing stored template is reported');
+}
+
+async function testTypeScriptTypes(template) {
+  console.log('\n🧪 generate_typescript_types');
+
+  const types = generateTypeScriptTypesForTemplate(template);
+  check(types.rootName === 'ComponentContent' && types.source.includes(`export interface ${types.rootName} {`), 'types declare the root content interface');
+  check(Object.values(types.componentTypes).every(typeName => types.source.includes(`export interface ${typeName} {`)), 'types declare one interface per component');
+  check(types.source.includes('export type Locale = "en" | "id";'), 'types use the template locales');
+  check(hasWellFormedComments(types.source), 'generated doc comments are well formed');
+
+  const tricky = JSON.parse(JSON.stringify(LIMITS_TEMPLATE));
+  tricky.components[0].label = 'Hero */ export const broken = 1; /*';
+  tricky.components[0].fields[0].label = 'Title\n*/ line';
+  const trickyTypes = generateTypeScriptTypesForTemplate(tricky, { name: 'tricky */ name' });
+  check(hasWellFormedComments(trickyTypes.source), 'labels with comment terminators are escaped');
+  check(trickyTypes.source.includes('/** Hero *\\/ export const broken = 1; /* (section 1) */') && trickyTypes.source.includes('/** Title *\\/ line */'), 'escaped labels stay readable on one line');
+
+  const response = responseText(await generateTypeScriptTypes({ template_json: template }));
+  check(response.includes('```ts\n') && response.includes(types.source), 'generate_typescript_types returns the source');
+}
+
+/**
+ * Write generated schema source to the working directory and import it
+ */
+async function importGeneratedModule(fileName, source) {
+  const modulePath = path.join(process.cwd(), fileName);
+  fs.writeFileSync(modulePath, source);
+  return await import(pathToFileURL(modulePath).href);
+}
+
+async function testZodSchema(template) {
+  console.log('\n🧪 generate_zod_schema');
+
+  // Evaluate the generated schema with the zod dependency
+  const sample = generateSampleContentForTemplate(template, { seed: 42 }).content;
+  const zod = generateZodSchemaForTemplate(template, { typescript: false });
+  const rootSchema = (await importGeneratedModule('content-schema.mjs', zod.source))[zod.rootName];
+  check(Boolean(rootSchema), `generated module exports ${zod.rootName}`);
+
+  const parsed = rootSchema.safeParse(sample);
+  check(parsed.success, `sample content passes the generated Zod schema${parsed.success ? '' : ` (got ${JSON.stringify(parsed.error.issues.slice(0, 3))})`}`);
+
+  const broken = JSON.parse(JSON.stringify(sample));
+  broken.section_input.status = 'yes';
+  check(!rootSchema.safeParse(broken).success, 'the generated Zod schema rejects a wrong value type');
+  check(!validateContentAgainstTemplate(template, broken).valid, 'validate_content rejects the same value');
+
+  const limitsSchema = (await importGeneratedModule('limits-schema.mjs', generateZodSchemaForTemplate(LIMITS_TEMPLATE, { typescript: false }).source)).limitsContentSchema;
+  const limits = generateSampleContentForTemplate(LIMITS_TEMPLATE, { seed: 42 }).content;
+  check(limitsSchema?.safeParse(limits).success, 'content within the limits passes');
+  check(!limitsSchema?.safeParse({ hero: { ...limits.hero, title: { en: 'A title longer than twelve', id: 'Judul' } } }).success, 'maxLength is enforced');
+  check(!limitsSchema?.safeParse({ hero: { ...limits.hero, size: 'xl' } }).success, 'select values must be one of the options');
+  check(!limitsSchema?.safeParse({ hero: { ...limits.hero, items: limits.hero.items.slice(0, 1) } }).success, 'repeater min is enforced');
+
+  const tricky = JSON.parse(JSON.stringify(LIMITS_TEMPLATE));
+  tricky.components[0].label = 'Hero\nexport const broken = 1;';
+  const trickyZod = generateZodSchemaForTemplate(tricky, { name: 'tricky */ name', typescript: false });
+  const trickyModule = await importGeneratedModule('tricky-schema.mjs', trickyZod.source);
+  check(Boolean(trickyModule[trickyZod.rootName]) && !('broken' in trickyModule), 'labels with line breaks and comment terminators stay inside comments');
+
+  const typed = generateZodSchemaForTemplate(template);
+  check(typed.source.includes(`export type ${zod.rootName.charAt(0).toUpperCase()}${zod.rootName.slice(1).replace(/Schema$/, '')} = z.infer<typeof ${zod.rootName}>;`), 'the TypeScript variant exports the inferred content type');
+
+  const response = responseText(await generateZodSchema({ template_json: template, typescript: false }));
+  check(response.includes(`\`${zod.rootName}.parse(data)\``) && response.includes(zod.source), 'generate_zod_schema returns the source');
+}
+
+const TRICKY_LABEL = 'Price {USD} */ --}} <b>@if';
+
+const TRICKY_TEMPLATE = {
+  name: 'tricky',
+  label: 'Tricky',
+  is_content: false,
+  multilanguage: false,
+  is_multiple: false,
+  description: 'Labels that are markup or comment syntax in the scaffold targets',
+  components: [
+    {
+      keyName: 'pricing',
+      label: `Pricing ${TRICKY_LABEL}`,
+      section: '1',
+      fields: [
+        { name: 'prices', label: 'Prices', field: 'table', attribute: { columns: [{ name: 'amount', label: TRICKY_LABEL, type: 'text' }] } },
+        { name: 'brochure', label: TRICKY_LABEL, field: 'media', attribute: { accept: ['document'] } },
+        { name: 'related', label: TRICKY_LABEL, field: 'relationship', attribute: {} }
+      ]
+    }
+  ]
+};
+
+function testScaffoldComponents(template) {
+  console.log('\n🧪 scaffold_components');
+
+  ['react', 'nextjs', 'vue', 'blade'].forEach(target => {
+    const { files } = scaffoldComponentsForTemplate(template, { target });
+    const componentFiles = files.filter(file => !['types.ts', 'anticms.ts'].includes(file.path));
+    check(componentFiles.length === template.components.length, `${target} scaffolds one file per component`);
+
+    if (target === 'blade') {
+      check(componentFiles.every(file => file.content.includes('$content')), 'blade views read $content');
+      return;
+    }
+
+    const scaffoldTypes = files.find(file => file.path === 'types.ts').content;
+    const imported = componentFiles.map(file => file.content.match(/import type \{ Locale, (\w+) \} from '\.\/types';/)?.[1]);
+    check(imported.every(typeName => typeName && scaffoldTypes.includes(`export interface ${typeName} {`)), `${target} components import their content type from types.ts`);
+  });
+
+  let unsupported = false;
+  try {
+    scaffoldComponentsForTemplate(template, { target: 'svelte' });
+  } catch (error) {
+    unsupported = error.message.startsWith('Unsupported target: svelte');
+  }
+  check(unsupported, 'unknown targets are rejected');
+
+  // Labels are text, never markup, interpolation or the end of a comment
+  const scaffold = target => scaffoldComponentsForTemplate(TRICKY_TEMPLATE, { target }).files.find(file => !['types.ts', 'anticms.ts'].includes(file.path)).content;
+  const jsx = scaffold('react');
+  check(jsx.includes(`<th>{${JSON.stringify(TRICKY_LABEL)}}</th>`) && jsx.includes(`>{${JSON.stringify(TRICKY_LABEL)}}</a>`), 'JSX renders labels as string literals');
+  check(jsx.includes('{/* Price {USD} *\\/ --}} <b>@if: post ids') && jsx.includes(' * Pricing Price {USD} *\\/ --}} <b>@if (section 1'), 'JSX comments escape comment terminators');
+
+  const escapedLabel = 'Price &#123;USD&#125; */ --&#125;&#125; &#60;b&#62;&#64;if';
+  const vue = scaffold('vue');
+  check(vue.includes(`<th>${escapedLabel}</th>`) && vue.includes(`>${escapedLabel}</a>`), 'Vue renders labels with HTML entities');
+  check(vue.includes('<!-- Price {USD} */ - -}} <b>@if: post ids') && vue.split('\n').filter(line => line.includes('<!--')).every(line => !line.replace(/<!--|-->/g, '').includes('--')), 'Vue comments contain no "--"');
+
+  const blade = scaffold('blade');
+  check(blade.includes(`<th>${escapedLabel}</th>`) && blade.includes(`>${escapedLabel}</a>`), 'Blade renders labels with HTML entities');
+  check(blade.split('\n').filter(line => line.includes('{{--')).every(line => line.indexOf('--}}') === line.length - 4), 'Blade comments end only at their closing tag');
+}
+
+async function testScaffoldOutput(template) {
+  console.log('\n🧪 scaffold_components output_dir');
+
+  const first = responseText(await scaffoldComponents({ template_json: template, target: 'react', output_dir: 'components' }));
+  const count = template.components.length + 2;
+  check(first.includes(`📁 **Written (${count}):**`) && fs.existsSync(path.join('components', 'types.ts')), 'scaffolded files are written to output_dir');
+  const second = responseText(await scaffoldComponents({ template_json: template, target: 'react', output_dir: 'components' }));
+  check(second.includes('📁 **Written (0):**') && second.includes(`⏭️ **Skipped existing files (${count}`), 'existing files are kept unless overwrite is set');
+
+  const outside = responseText(await scaffoldComponents({ template_json: template, target: 'react', output_dir: '../components' }));
+  check(outside.startsWith('❌ Failed to write scaffolded components: Path must be inside the working directory'), 'an output_dir outside the working directory is rejected');
+  check(!fs.existsSync(path.join('..', 'components')), 'nothing is written outside the working directory');
+}
+
+async function testDocumentTemplate(template) {
+  console.log('\n🧪 document_template');
+
+  const markdown = renderTemplateMarkdown(template, { templateType: 'pages' });
+  check(markdown.startsWith(`# ${template.label}`) && markdown.includes('| Type | pages |'), 'docs have a title and an overview');
+  check(markdown.includes('```mermaid\nflowchart TD'), 'docs have a structure diagram');
+  check(template.components.every(component => markdown.includes(`(\`${component.keyName}\`)`)), 'docs have a section per component');
+  check(!renderTemplateMarkdown(template, { includeDiagram: false }).includes('```mermaid'), 'the diagram can be left out');
+
+  const documented = JSON.parse(JSON.stringify(LIMITS_TEMPLATE));
+  documented.components.unshift({ keyName: 'footer', label: 'Footer', section: '2', fields: [] });
+  Object.assign(documented.components[1].fields[0], { label: 'Title | "Main"' });
+  Object.assign(documented.components[1].fields[0].attribute, { is_required: true, caption: 'Shown big', defaultValue: 'Hi' });
+  const limits = renderTemplateMarkdown(documented);
+  check(limits.indexOf('## 1. Hero (`hero`)') < limits.indexOf('## 2. Footer (`footer`)'), 'components are documented in section order');
+  check(limits.includes('| Title \\| "Main" | `title` | input 🌐 | Yes | up to 12 characters | Shown big | Hi |'), 'field rows show label, type, required flag, limits, caption and default');
+  check(limits.includes('| Items | `items` | repeater | No | 2–3 items |  |  |') && limits.includes('#### Items (`hero.items`) – repeater item fields'), 'repeaters get a nested field table');
+  check(limits.includes('c1["1. Hero<br/>hero, 4 fields"]') && limits.includes('c1 --> c1_1["Items<br/>repeater, 1 fields"]'), 'the diagram shows components and their repeaters');
+
+  check(responseText(await documentTemplate({ template_json: template })) === renderTemplateMarkdown(template), 'document_template returns the Markdown page');
+}
+
+async function testTemplateSpec(template) {
+  console.log('\n🧪 export_template_spec and generate_template_from_spec');
+
+  const markdown = exportTemplateSpecMarkdown(template);
+  const { template: parsed, unparsed } = parseInstructionDocument(markdown);
+  check(unparsed.length === 0, 'the exported spec parses without leftover lines');
+  check(JSON.stringify(toCanonical(parsed)) === JSON.stringify(toCanonical(template)), 'the exported spec parses back into the same template');
+
+  const parsedSpec = parseInstructionDocument(LANDING_SPEC).template;
+  const heroFields = parsedSpec.components[0]?.fields || [];
+  check(parsedSpec.name === 'spec_landing' && parsedSpec.components.map(component => component.keyName).join(',') === 'hero', 'a handwritten spec parses into its components');
+  check(heroFields.map(field => `${field.name}:${field.field}`).join(',') === 'status:toggle,title:input,image:media,items:repeater', 'spec fields keep their order and types');
+  check(heroFields[1].multilanguage === true && heroFields[1].attribute.is_required === true, 'field modifiers set multilanguage and required');
+  check(getNestedFieldNames(heroFields[3]) === 'label', 'indented fields nest in the repeater');
+
+  const pagesDir = path.join('storage', 'app', 'json', 'pages');
+  const created = responseText(await generateTemplateFromSpec({ spec: LANDING_SPEC }));
+  check(created.startsWith('✅') && fs.existsSync(path.join(pagesDir, 'spec_landing.json')), 'generate_template_from_spec writes the parsed template');
+  const blocked = responseText(await generateTemplateFromSpec({ spec: LANDING_SPEC }));
+  check(blocked.startsWith('❌') && blocked.includes('already exists'), 'generate_template_from_spec refuses to replace a file by default');
+  const suffixed = responseText(await generateTemplateFromSpec({ spec: LANDING_SPEC, on_conflict: 'suffix', dry_run: true }));
+  check(suffixed.includes('spec_landing_2') && !fs.existsSync(path.join(pagesDir, 'spec_landing_2.json')), 'dry_run previews the suffixed name without writing');
+
+  const exported = responseText(await exportTemplateSpec({ name: 'spec_landing', output_file: 'specs/landing.md' }));
+  check(exported.includes('🔁 Round-trip') && exported.includes('📁 **Spec saved to:** specs/landing.md'), 'export_template_spec writes a spec that reads back into the stored template');
+  const fromFile = responseText(await generateTemplateFromSpec({ spec_file: 'specs/landing.md', dry_run: true, on_conflict: 'overwrite' }));
+  check(JSON.stringify(toCanonical(extractJson(fromFile))) === JSON.stringify(toCanonical(JSON.parse(fs.readFileSync(path.join(pagesDir, 'spec_landing.json'), 'utf8')))), 'spec_file reads the exported spec back');
+  check(responseText(await exportTemplateSpec({ name: 'spec_landing', output_file: 'specs/landing.md' })).startsWith('❌ Spec file already exists'), 'an existing spec file is kept unless overwrite is set');
+
+  const outside = responseText(await exportTemplateSpec({ name: 'spec_landing', output_file: '../landing.md' }));
+  check(outside.startsWith('❌ Failed to write spec file: Path must be inside the working directory') && !fs.existsSync(path.join('..', 'landing.md')), 'an output_file outside the working directory is rejected');
+  check(responseText(await generateTemplateFromSpec({ spec_file: '../landing.md' })).startsWith('❌ Failed to read spec file: Path must be inside the working directory'), 'a spec_file outside the working directory is rejected');
+}
+
+async function run() {
+  console.log('🚀 Testing template generators...');
+
+  const template = JSON.parse(fs.readFileSync(FIXTURE_TEMPLATE, 'utf8'));
+
+  // The generated Zod module resolves zod from the working directory
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anticms-codegen-'));
+  fs.symlinkSync(path.join(REPO_DIR, 'data'), path.join(workDir, 'data'), 'dir');
+  fs.symlinkSync(path.join(REPO_DIR, 'node_modules'), path.join(workDir, 'node_modules'), 'dir');
+  process.chdir(workDir);
+
+  try {
+    await testSampleContent(template);
+    await testTypeScriptTypes(template);
+    await testZodSchema(template);
+    testScaffoldComponents(template);
+    await testScaffoldOutput(template);
+    await testDocumentTemplate(template);
+    await testTemplateSpec(template);
+  } finally {
+    process.chdir(REPO_DIR);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log(failures === 0 ? '\n🎯 All template generator tests passed!' : `\n❌ ${failures} template generator test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+run().catch(error => {
+  console.log('❌ Error:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { diffTemplates } from './src/tools/templateDiff.js';
+import { checkTemplateCompatibility } from './src/tools/templateCompatibility.js';
+
+// Behavior tests for structural template diffs and compatibility checks
+// Runs in a temporary working directory, so templates compared by name come from a known storage.
+
+const REPO_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`  ✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`  ❌ ${message}`);
+  }
+}
+
+function responseText(result) {
+  return result.content.map(item => item.text).join('\n');
+}
+
+function extractJson(text) {
+  const match = text.match(/```json\n([\s\S]*?)\n```/);
+  return match ? JSON.parse(match[1]) : null;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const DEMO_TEMPLATE = {
+  name: 'demo',
+  label: 'Demo',
+  is_content: false,
+  multilanguage: true,
+  is_multiple: false,
+  description: 'Template used by the diff tests',
+  components: [
+    {
+      keyName: 'hero',
+      label: 'Hero',
+      section: '1',
+      fields: [
+        { name: 'status', label: 'Status', field: 'toggle', attribute: { caption: 'Show this section' } },
+        { name: 'title', label: 'Title', field: 'input', multilanguage: true, attribute: { type: 'text', maxLength: 20 } },
+        { name: 'image', label: 'Image', field: 'media', attribute: { accept: ['image'] } },
+        { name: 'image_alt', label: 'Image Alt', field: 'input', multilanguage: true, attribute: { type: 'text' } },
+        {
+          name: 'items',
+          label: 'Items',
+          field: 'repeater',
+          attribute: {
+            max: 2,
+            fields: [
+              { name: 'label', label: 'Label', field: 'input', multilanguage: true, attribute: { type: 'text' } }
+            ]
+          }
+        }
+      ]
+    }
+  ]
+};
+
+/**
+ * Edit the demo template: drop multilanguage from the title, replace the image alt text with a
+ * subtitle and add a footer component
+ */
+function editDemoTemplate() {
+  const edited = clone(DEMO_TEMPLATE);
+  const heroFields = edited.components[0].fields;
+  heroFields[1].multilanguage = false;
+  heroFields.splice(3, 1);
+  heroFields.push({ name: 'subtitle', label: 'Subtitle', field: 'textarea', multilanguage: true, attribute: {} });
+  edited.components.push({ keyName: 'footer', label: 'Footer', section: '2', fields: [] });
+  return edited;
+}
+
+async function testDiffTemplates() {
+  console.log('\n🧪 diff_templates');
+
+  const diff = extractJson(responseText(await diffTemplates({ old_template_json: DEMO_TEMPLATE, new_template_json: editDemoTemplate() })));
+  const kinds = diff.changes.map(change => `${change.kind}:${change.location}`);
+  ['field_multilanguage_changed:hero.title', 'field_removed:hero.image_alt', 'field_added:hero.subtitle', 'component_added:footer'].forEach(expected => {
+    check(kinds.includes(expected), `diff reports ${expected}`);
+  });
+  check(diff.counts.field_added === 1 && diff.counts.field_removed === 1, 'diff counts changes by kind');
+
+  const nested = clone(DEMO_TEMPLATE);
+  nested.components[0].fields[4].attribute.fields[0].field = 'textarea';
+  const nestedDiff = extractJson(responseText(await diffTemplates({ old_template_json: DEMO_TEMPLATE, new_template_json: nested })));
+  check(nestedDiff.changes.some(change => change.kind === 'field_type_changed' && change.location === 'hero.items.label'), 'changes inside repeaters are located by field path');
+
+  const renamed = clone(DEMO_TEMPLATE);
+  renamed.components[0].keyName = 'banner';
+  const renameDiff = extractJson(responseText(await diffTemplates({ old_template_json: DEMO_TEMPLATE, new_template_json: renamed })));
+  check(renameDiff.changes.length === 1 && renameDiff.changes[0].kind === 'component_renamed', 'a component with a new keyName and the same fields is a rename');
+
+  check(responseText(await diffTemplates({ old_template_json: DEMO_TEMPLATE, new_template_json: clone(DEMO_TEMPLATE) })).includes('No structural changes.'), 'identical templates have no changes');
+
+  // Templates can be given by stored name
+  const pagesDir = path.join('storage', 'app', 'json', 'pages');
+  fs.mkdirSync(pagesDir, { recursive: true });
+  fs.writeFileSync(path.join(pagesDir, 'demo.json'), JSON.stringify(DEMO_TEMPLATE, null, 2));
+  const byName = extractJson(responseText(await diffTemplates({ old_name: 'demo', new_template_json: editDemoTemplate() })));
+  check(JSON.stringify(byName) === JSON.stringify(diff), 'stored templates are read by name');
+  check(responseText(await diffTemplates({ old_name: 'missing', new_name: 'demo' })).startsWith('❌ Template "missing" not found'), 'a missing stored template is reported');
+  check(responseText(await diffTemplates({ new_name: 'demo' })).startsWith('❌ Provide either "old_name" or "old_template_json"'), 'a missing argument is reported');
+}
+
+async function testCompatibility() {
+  console.log('\n🧪 check_template_compatibility');
+
+  const compatibility = extractJson(responseText(await checkTemplateCompatibility({ old_template_json: DEMO_TEMPLATE, new_template_json: editDemoTemplate() })));
+  const severity = Object.fromEntries(compatibility.changes.map(change => [`${change.kind}:${change.location}`, change.severity]));
+  check(compatibility.compatible === false, 'dropping multilanguage is not compatible');
+  check(severity['field_multilanguage_changed:hero.title'] === 'breaking', 'dropping multilanguage is breaking');
+  check(severity['field_removed:hero.image_alt'] === 'needs-migration', 'removing a field needs a migration');
+  check(severity['field_added:hero.subtitle'] === 'safe' && severity['component_added:footer'] === 'safe', 'adding fields and components is safe');
+  check(compatibility.totals.breaking === 1 && compatibility.totals['needs-migration'] === 1, 'changes are counted by severity');
+  check(compatibility.migration_plan.map(step => step.location).join(',') === 'hero.title,hero.image_alt', 'the migration plan orders the steps and skips safe changes');
+
+  const addOnly = clone(DEMO_TEMPLATE);
+  addOnly.components.push({ keyName: 'footer', label: 'Footer', section: '2', fields: [] });
+  const safe = extractJson(responseText(await checkTemplateCompatibility({ old_template_json: DEMO_TEMPLATE, new_template_json: addOnly })));
+  check(safe.compatible && safe.migration_plan.length === 0, 'additive edits are compatible without a migration');
+
+  const byName = extractJson(responseText(await checkTemplateCompatibility({ old_name: 'demo', new_template_json: editDemoTemplate() })));
+  check(JSON.stringify(byName) === JSON.stringify(compatibility), 'stored templates are read by name');
+}
+
+async function run() {
+  console.log('🚀 Testing template diffs...');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anticms-diff-'));
+  process.chdir(workDir);
+
+  try {
+    await testDiffTemplates();
+    await testCompatibility();
+  } finally {
+    process.chdir(REPO_DIR);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log(failures === 0 ? '\n🎯 All template diff tests passed!' : `\n❌ ${failures} template diff test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+run().catch(error => {
+  console.log('❌ Error:', error.message);
+  process.exitCode = 1;
+});
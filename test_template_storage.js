@@ -0,0 +1,238 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateTemplate } from './src/tools/templateGenerator.js';
+import {
+  listTemplates,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+  listTemplateVersionsTool,
+  diffTemplateVersions,
+  restoreTemplateVersion
+} from './src/tools/templateManager.js';
+
+// Behavior tests for stored templates
+// Runs in a temporary working directory, so storage/app/json starts empty and the repo
+// storage is never touched.
+
+const REPO_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`  ✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`  ❌ ${message}`);
+  }
+}
+
+function responseText(result) {
+  return result.content.map(item => item.text).join('\n');
+}
+
+function extractJson(text) {
+  const match = text.match(/```json\n([\s\S]*?)\n```/);
+  return match ? JSON.parse(match[1]) : null;
+}
+
+// list_templates and list_template_versions print the JSON after the heading
+function extractListing(text) {
+  return JSON.parse(text.slice(text.indexOf('\n\n') + 2));
+}
+
+function templatePath(name, templateType = 'pages') {
+  return path.join('storage', 'app', 'json', templateType, `${name}.json`);
+}
+
+function readStored(name, templateType = 'pages') {
+  return JSON.parse(fs.readFileSync(templatePath(name, templateType), 'utf8'));
+}
+
+async function rejects(promise) {
+  try {
+    const result = await promise;
+    return responseText(result).startsWith('❌');
+  } catch (error) {
+    return true;
+  }
+}
+
+async function listVersions(name) {
+  const text = responseText(await listTemplateVersionsTool({ name }));
+  return text.startsWith('📜 No recorded versions') ? [] : extractListing(text);
+}
+
+async function testCrudAndPatches() {
+  console.log('\n🧪 list, get, update and delete templates');
+
+  await generateTemplate({ name: 'landing', label: 'Landing', sections: ['hero'] });
+  await generateTemplate({ name: 'contact', label: 'Contact', sections: ['contact'] });
+  check(fs.existsSync(templatePath('landing')) && fs.existsSync(templatePath('contact')), 'generate_template writes to storage/app/json/pages');
+
+  const listed = extractListing(responseText(await listTemplates({ template_type: 'pages' })));
+  check(Array.isArray(listed) && listed.map(entry => entry.name).sort().join(',') === 'contact,landing', 'list_templates lists the stored pages');
+
+  const fetched = extractJson(responseText(await getTemplate({ name: 'landing' })));
+  check(JSON.stringify(fetched) === JSON.stringify(readStored('landing')), 'get_template returns the stored JSON');
+  check(responseText(await getTemplate({ name: 'missing' })).startsWith('❌'), 'get_template reports a missing template');
+
+  await updateTemplate({ name: 'landing', merge_patch: { label: 'Landing v2', is_hide: true } });
+  let stored = readStored('landing');
+  check(stored.label === 'Landing v2' && stored.is_hide === true && stored.components.length === 1, 'merge_patch sets keys and keeps the rest');
+
+  await updateTemplate({ name: 'landing', merge_patch: { is_hide: null } });
+  check(!('is_hide' in readStored('landing')), 'merge_patch null removes a key');
+
+  const heroKey = stored.components[0].keyName;
+  const patched = await updateTemplate({
+    name: 'landing',
+    json_patch: [
+      { op: 'test', path: '/components/0/keyName', value: heroKey },
+      { op: 'copy', from: '/components/0', path: '/components/-' },
+      { op: 'replace', path: '/components/1/keyName', value: 'hero_copy' },
+      { op: 'replace', path: '/components/1/section', value: '2' },
+      { op: 'add', path: '/components/1/fields/0', value: { name: 'eyebrow', label: 'Eyebrow', field: 'input', attribute: { type: 'text' } } },
+      { op: 'remove', path: '/components/1/fields/1' }
+    ]
+  });
+  stored = readStored('landing');
+  check(responseText(patched).startsWith('✅'), 'json_patch applies add, copy, replace, remove and test');
+  check(stored.components.length === 2 && stored.components[1].keyName === 'hero_copy' && stored.components[1].fields[0].name === 'eyebrow', 'json_patch result is written');
+  check(stored.components[1].fields.length === stored.components[0].fields.length, 'json_patch removes the replaced field');
+
+  const snapshot = fs.readFileSync(templatePath('landing'), 'utf8');
+  const failedTest = await updateTemplate({ name: 'landing', json_patch: [{ op: 'test', path: '/label', value: 'Other' }, { op: 'remove', path: '/components/1' }] });
+  check(responseText(failedTest).includes('operation 1 (test /label) failed'), 'a failing test operation aborts the patch');
+  const invalid = await updateTemplate({ name: 'landing', merge_patch: { components: null } });
+  check(responseText(invalid).includes('failed validation'), 'a patch that breaks the template is rejected');
+  const both = await updateTemplate({ name: 'landing', merge_patch: {}, json_patch: [] });
+  check(responseText(both).startsWith('❌ Provide exactly one'), 'merge_patch and json_patch together are rejected');
+  check(fs.readFileSync(templatePath('landing'), 'utf8') === snapshot, 'rejected patches leave the file unchanged');
+
+  const deleted = await deleteTemplate({ name: 'contact' });
+  check(responseText(deleted).startsWith('🗑️') && !fs.existsSync(templatePath('contact')), 'delete_template removes the file');
+}
+
+async function testValidateBeforeWrite() {
+  console.log('\n🧪 generated templates are validated before they are written');
+
+  // A hand-written template with an unknown field type; merging keeps its components
+  const broken = { name: 'broken', label: 'Broken', is_content: false, multilanguage: true, is_multiple: false, description: '', components: [{ keyName: 'hero', label: 'Hero', section: '1', fields: [{ name: 'title', label: 'Title', field: 'headline' }] }] };
+  fs.writeFileSync(templatePath('broken'), JSON.stringify(broken, null, 2));
+  const original = fs.readFileSync(templatePath('broken'), 'utf8');
+
+  const preview = responseText(await generateTemplate({ name: 'broken', label: 'Broken', sections: ['contact'], on_conflict: 'merge', dry_run: true }));
+  check(preview.includes('fails validation and would not be written'), 'dry_run reports that an invalid result would not be written');
+
+  const merged = responseText(await generateTemplate({ name: 'broken', label: 'Broken', sections: ['contact'], on_conflict: 'merge' }));
+  check(merged.startsWith('❌') && merged.includes('/components/0/fields/0/field: Unsupported field type: headline'), 'an invalid generated template is refused with its errors');
+  check(fs.readFileSync(templatePath('broken'), 'utf8') === original, 'the existing file is left unchanged');
+}
+
+async function testOnConflict() {
+  console.log('\n🧪 generate_template on_conflict and dry_run');
+
+  const created = await generateTemplate({ name: 'conflict', label: 'Conflict', sections: ['hero', 'features'] });
+  check(responseText(created).startsWith('✅') && fs.existsSync(templatePath('conflict')), 'new template is written to storage/app/json/pages');
+
+  const original = fs.readFileSync(templatePath('conflict'), 'utf8');
+
+  const blocked = await generateTemplate({ name: 'conflict', label: 'Conflict', sections: ['hero', 'contact'] });
+  check(responseText(blocked).startsWith('❌') && responseText(blocked).includes('File already exists'), 'on_conflict "error" refuses to replace an existing file');
+  check(fs.readFileSync(templatePath('conflict'), 'utf8') === original, 'on_conflict "error" leaves the file unchanged');
+
+  const preview = await generateTemplate({ name: 'conflict', label: 'Conflict', sections: ['hero', 'contact'], on_conflict: 'overwrite', dry_run: true });
+  check(responseText(preview).startsWith('🧪') && /```diff\n[\s\S]*\+[\s\S]*```/.test(responseText(preview)), 'dry_run returns a diff against the existing file');
+  check(fs.readFileSync(templatePath('conflict'), 'utf8') === original, 'dry_run writes nothing');
+
+  const suffixed = await generateTemplate({ name: 'conflict', label: 'Conflict', sections: ['hero'], on_conflict: 'suffix' });
+  check(responseText(suffixed).startsWith('✅') && readStored('conflict_2').name === 'conflict_2', 'on_conflict "suffix" saves as {name}_2 with a matching name');
+  check(fs.readFileSync(templatePath('conflict'), 'utf8') === original, 'on_conflict "suffix" keeps the existing file');
+
+  const before = readStored('conflict').components.map(component => component.keyName);
+  await generateTemplate({ name: 'conflict', label: 'Conflict', sections: ['hero', 'contact'], on_conflict: 'merge' });
+  const merged = readStored('conflict').components.map(component => component.keyName);
+  check(before.every((keyName, index) => merged[index] === keyName), 'on_conflict "merge" keeps the existing components in order');
+  check(merged.length > before.length && merged.some(keyName => keyName.startsWith('contact')), `on_conflict "merge" appends the new components (got ${merged.join(', ')})`);
+
+  await generateTemplate({ name: 'conflict', label: 'Conflict', sections: ['hero'], on_conflict: 'overwrite' });
+  check(readStored('conflict').components.length === 1, 'on_conflict "overwrite" replaces the file');
+}
+
+async function testPathTraversal() {
+  console.log('\n🧪 paths outside storage are rejected');
+
+  fs.writeFileSync('secret.json', JSON.stringify({ name: 'secret' }));
+
+  check(await rejects(getTemplate({ name: '../../../secret' })), 'get_template rejects a name with ../');
+  check(await rejects(updateTemplate({ name: '../../../secret', merge_patch: { label: 'x' } })), 'update_template rejects a name with ../');
+  check(await rejects(deleteTemplate({ name: '../../../secret' })), 'delete_template rejects a name with ../');
+
+  const generated = responseText(await generateTemplate({ name: '../evil', sections: ['hero'] }));
+  check(generated.includes('File creation failed') && !fs.existsSync(path.join('storage', 'app', 'json', 'evil.json')), 'generate_template does not write outside storage');
+  check(JSON.parse(fs.readFileSync('secret.json', 'utf8')).name === 'secret', 'files outside storage are unchanged');
+}
+
+async function testHistory() {
+  console.log('\n🧪 template history and restore');
+
+  const versions = await listVersions('landing');
+  const tools = versions.map(version => version.tool);
+  check(tools.includes('generate_template') && tools.includes('update_template'), `writes are recorded with the tool that made them (got ${tools.join(', ')})`);
+  check(versions[0].is_current === true && versions.filter(version => version.is_current).length >= 1, 'the newest version is marked current');
+
+  const first = versions[versions.length - 1];
+  const diff = responseText(await diffTemplateVersions({ name: 'landing', from_version: first.id }));
+  check(diff.includes('-  "label": "Landing"') && diff.includes('+  "label": "Landing v2"'), 'diff_template_versions shows the change since the first version');
+
+  const restored = await restoreTemplateVersion({ name: 'landing', version_id: first.id });
+  const firstVersion = JSON.parse(fs.readFileSync(path.join('storage', 'app', 'json', 'history', 'pages', 'landing', `${first.id}.json`), 'utf8'));
+  check(responseText(restored).startsWith('⏪') && JSON.stringify(readStored('landing')) === JSON.stringify(firstVersion.template), 'restore_template_version writes the old revision');
+  const afterRestore = await listVersions('landing');
+  check(afterRestore.length === versions.length + 1 && afterRestore[0].tool === 'restore_template_version', 'the restore is recorded as a new version');
+
+  // A hand edit that breaks the template is kept in the history when the file is deleted
+  fs.writeFileSync(templatePath('landing'), JSON.stringify({ name: 'landing', components: 'broken' }, null, 2));
+  await deleteTemplate({ name: 'landing' });
+  const broken = (await listVersions('landing'))[0];
+  check(broken.tool.startsWith('untracked') && !fs.existsSync(templatePath('landing')), 'a hand-edited revision is recorded before delete');
+
+  const refused = await restoreTemplateVersion({ name: 'landing', version_id: broken.id });
+  check(responseText(refused).includes('failed validation') && !fs.existsSync(templatePath('landing')), 'an invalid revision is not restored without force');
+  const forced = await restoreTemplateVersion({ name: 'landing', version_id: broken.id, force: true });
+  check(responseText(forced).includes('Restored with force') && readStored('landing').components === 'broken', 'force restores an invalid revision');
+
+  check(responseText(await restoreTemplateVersion({ name: 'landing', version_id: '20000101T000000000Z' })).startsWith('❌'), 'an unknown version id is reported');
+  check(await rejects(restoreTemplateVersion({ name: 'landing', version_id: '../../../../../secret' })), 'a version id with ../ is rejected');
+}
+
+async function run() {
+  console.log('🚀 Testing template storage...');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anticms-storage-'));
+  fs.symlinkSync(path.join(REPO_DIR, 'data'), path.join(workDir, 'data'), 'dir');
+  process.chdir(workDir);
+
+  try {
+    await testCrudAndPatches();
+    await testPathTraversal();
+    await testOnConflict();
+    await testValidateBeforeWrite();
+    await testHistory();
+  } finally {
+    process.chdir(REPO_DIR);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log(failures === 0 ? '\n🎯 All template storage tests passed!' : `\n❌ ${failures} template storage test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+run().catch(error => {
+  console.log('❌ Error:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,349 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateTemplate, validateTemplateStructure, fixTemplateStructure, loadFieldTypes, LINT_RULES } from './src/tools/templateGenerator.js';
+import { validateStorage } from './src/tools/storageValidator.js';
+import { validateContent, validateContentAgainstTemplate } from './src/tools/contentValidator.js';
+import { buildTemplateSchema, getTemplateSchema, TEMPLATE_SCHEMA_URI } from './src/tools/templateSchema.js';
+
+// Behavior tests for template validation
+// Runs in a temporary working directory, so storage validation sees a known set of files.
+
+const REPO_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+let failures = 0;
+
+function check(condition, message) {
+  if (condition) {
+    console.log(`  ✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`  ❌ ${message}`);
+  }
+}
+
+function responseText(result) {
+  return result.content.map(item => item.text).join('\n');
+}
+
+function extractJson(text) {
+  const match = text.match(/```json\n([\s\S]*?)\n```/);
+  return match ? JSON.parse(match[1]) : null;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function paths(issues) {
+  return issues.map(issue => issue.path);
+}
+
+const DEMO_TEMPLATE = {
+  name: 'demo',
+  label: 'Demo',
+  is_content: false,
+  multilanguage: true,
+  is_multiple: false,
+  description: 'Template used by the validation tests',
+  components: [
+    {
+      keyName: 'hero',
+      label: 'Hero',
+      section: '1',
+      fields: [
+        { name: 'status', label: 'Status', field: 'toggle', attribute: { caption: 'Show this section' } },
+        { name: 'title', label: 'Title', field: 'input', multilanguage: true, attribute: { type: 'text', maxLength: 20 } },
+        { name: 'image', label: 'Image', field: 'media', attribute: { accept: ['image'] } },
+        { name: 'image_alt', label: 'Image Alt', field: 'input', multilanguage: true, attribute: { type: 'text' } },
+        {
+          name: 'items',
+          label: 'Items',
+          field: 'repeater',
+          attribute: {
+            max: 2,
+            fields: [
+              { name: 'label', label: 'Label', field: 'input', multilanguage: true, attribute: { type: 'text' } }
+            ]
+          }
+        }
+      ]
+    }
+  ]
+};
+
+/**
+ * Validate the demo template with one extra hero field and return the issues for that field
+ */
+async function validateExtraField(field) {
+  const template = clone(DEMO_TEMPLATE);
+  template.components[0].fields.push(field);
+  const result = await validateTemplateStructure(template);
+  const prefix = '/components/0/fields/5';
+  return {
+    errors: result.errors.filter(error => error.path.startsWith(prefix)).map(error => ({ ...error, path: error.path.slice(prefix.length) })),
+    warnings: result.warnings.filter(warning => warning.path.startsWith(prefix)).map(warning => ({ ...warning, path: warning.path.slice(prefix.length) }))
+  };
+}
+
+async function testAttributeValidation() {
+  console.log('\n🧪 validate_template attribute checks');
+
+  const clean = await validateTemplateStructure(DEMO_TEMPLATE);
+  check(clean.valid && clean.errors.length === 0, 'the demo template is valid');
+
+  const wrongType = clone(DEMO_TEMPLATE);
+  wrongType.components[0].fields[2].attribute.accept = 'image';
+  check(paths((await validateTemplateStructure(wrongType)).errors).includes('/components/0/fields/2/attribute/accept'), 'attribute value types are checked');
+
+  const enumAndUnknown = await validateExtraField({ name: 'code', label: 'Code', field: 'input', attribute: { type: 'weird', bogus: 1 } });
+  check(enumAndUnknown.errors.some(error => error.path === '/attribute/type' && error.message.includes('Allowed values')), 'enum attributes only accept listed values');
+  check(paths(enumAndUnknown.warnings).includes('/attribute/bogus'), 'unknown attributes are warnings');
+
+  const negativeNumber = await validateExtraField({ name: 'temperature', label: 'Temperature', field: 'input', attribute: { type: 'number', min: -10, max: 40 } });
+  check(negativeNumber.errors.length === 0, 'a number input may have a negative min');
+  const reversedNumber = await validateExtraField({ name: 'temperature', label: 'Temperature', field: 'input', attribute: { type: 'number', min: 10, max: -40 } });
+  check(paths(reversedNumber.errors).includes('/attribute/min'), 'a number input min must not be greater than its max');
+
+  const negativeLength = await validateExtraField({ name: 'code', label: 'Code', field: 'input', attribute: { type: 'text', minLength: -1 } });
+  check(negativeLength.errors.some(error => error.path === '/attribute/minLength' && error.message.includes('must not be negative')), 'lengths must not be negative');
+
+  const repeaterFields = [{ name: 'label', label: 'Label', field: 'input', attribute: { type: 'text' } }];
+  const negativeCount = await validateExtraField({ name: 'rows', label: 'Rows', field: 'repeater', attribute: { min: -1, fields: repeaterFields } });
+  check(negativeCount.errors.some(error => error.path === '/attribute/min' && error.message.includes('must not be negative')), 'repeater item counts must not be negative');
+  const reversedCount = await validateExtraField({ name: 'rows', label: 'Rows', field: 'repeater', attribute: { min: 3, max: 1, fields: repeaterFields } });
+  check(reversedCount.errors.some(error => error.path === '/attribute/min' && error.message.includes('must not be greater than max')), 'repeater min must not be greater than max');
+}
+
+async function testLintRules() {
+  console.log('\n🧪 validate_template lint warnings');
+
+  const clean = await validateTemplateStructure(DEMO_TEMPLATE);
+  check(clean.warnings.length === 0, 'the demo template has no warnings');
+
+  const messy = clone(DEMO_TEMPLATE);
+  const heroFields = messy.components[0].fields;
+  heroFields.splice(3, 1);
+  heroFields.push({ name: 'heroTitle', label: 'Hero Title', field: 'input', attribute: { type: 'text' } });
+  heroFields.push({ name: 'title', label: 'Title again', field: 'input', attribute: { type: 'text' } });
+  heroFields.push({ name: 'link', label: 'Link', field: 'input', multilanguage: true, attribute: { type: 'url' } });
+  messy.components.push({ keyName: 'hero', label: 'Hero again', section: '3', fields: [{ name: 'title', label: 'Title', field: 'input', attribute: { type: 'text' } }] });
+
+  const result = await validateTemplateStructure(messy);
+  check(result.valid, 'lint warnings do not fail validation');
+  const warningPaths = Object.fromEntries(result.warnings.map(warning => [warning.rule, warning.path]));
+  const expected = {
+    snake_case_field_names: '/components/0/fields/4/name',
+    duplicate_field_names: '/components/0/fields/5/name',
+    duplicate_key_names: '/components/1/keyName',
+    sequential_sections: '/components/1/section',
+    status_toggle_first: '/components/1/fields',
+    multilanguage_non_text: '/components/0/fields/6/multilanguage',
+    media_alt_caption: '/components/0/fields/2'
+  };
+  Object.entries(expected).forEach(([rule, path]) => {
+    check(warningPaths[rule] === path, `lint rule ${rule} warns at ${path} (got ${warningPaths[rule]})`);
+  });
+  check(Object.keys(LINT_RULES).every(rule => typeof LINT_RULES[rule].description === 'string'), 'every lint rule has a description');
+
+  const disabled = await validateTemplateStructure(messy, { lintRules: { sequential_sections: false, media_alt_caption: false } });
+  check(!disabled.warnings.some(warning => ['sequential_sections', 'media_alt_caption'].includes(warning.rule)), 'lint rules can be turned off');
+  check(disabled.warnings.some(warning => warning.rule === 'duplicate_key_names'), 'other lint rules stay on');
+  const unknownRule = await validateTemplateStructure(DEMO_TEMPLATE, { lintRules: { no_such_rule: false } });
+  check(unknownRule.warnings.some(warning => warning.message.startsWith('Unknown lint rule: no_such_rule')), 'unknown lint rules are reported');
+
+  const response = responseText(await validateTemplate({ template_json: messy, lint_rules: { snake_case_field_names: false } }));
+  check(response.startsWith('Template validation PASSED') && !response.includes('snake_case_field_names'), 'validate_template passes lint_rules through');
+}
+
+async function testFixMode() {
+  console.log('\n🧪 validate_template fix mode');
+
+  const broken = clone(DEMO_TEMPLATE);
+  broken.components[0].section = '3';
+  broken.components[0].fields.push({ name: 'Hero Image', label: 'Hero Image', field: 'image' });
+  broken.components[0].fields.push({ name: 'size', label: 'Size', field: 'select', attribute: {} });
+  check(!(await validateTemplateStructure(broken)).valid, 'the broken template fails validation');
+
+  const { template: fixed, changes } = await fixTemplateStructure(broken);
+  const actions = Object.fromEntries(changes.map(change => [change.path, change.action]));
+  check(actions['/components/0/section'] === 'renumber_section' && fixed.components[0].section === '1', 'sections are renumbered');
+  check(actions['/components/0/fields/5/field'] === 'replace_deprecated_field' && actions['/components/0/fields/5/attribute/accept'] === 'convert_accept', 'deprecated fields are replaced and their accept converted');
+  check(fixed.components[0].fields[5].field === 'media' && JSON.stringify(fixed.components[0].fields[5].attribute.accept) === '["image"]', 'deprecated image fields become media fields that accept images');
+  check(actions['/components/0/fields/5/name'] === 'sanitize_name' && fixed.components[0].fields[5].name === 'hero_image', 'field names are sanitized');
+  check(actions['/components/0/fields/6/attribute/options'] === 'add_required_attribute' && Array.isArray(fixed.components[0].fields[6].attribute.options), 'missing required attributes are filled with defaults');
+  check((await validateTemplateStructure(fixed)).valid, 'the fixed template is valid');
+  check(broken.components[0].fields[5].field === 'image', 'fix does not modify its input');
+
+  const noChanges = await fixTemplateStructure(DEMO_TEMPLATE);
+  check(noChanges.changes.length === 0 && JSON.stringify(noChanges.template) === JSON.stringify(DEMO_TEMPLATE), 'a valid template is left as it is');
+
+  const response = responseText(await validateTemplate({ template_json: broken, fix: true }));
+  check(response.startsWith(`🔧 Applied ${changes.length} fixes. Fixed template validation PASSED`), 'validate_template with fix reports the fixes');
+  check(JSON.stringify(extractJson(response)) === JSON.stringify(fixed), 'validate_template with fix returns the fixed template');
+}
+
+async function testErrorLocations() {
+  console.log('\n🧪 validate_template error locations');
+
+  const broken = clone(DEMO_TEMPLATE);
+  delete broken.description;
+  broken.components[0].fields[4].attribute.fields[0].attribute.maxLength = 'long';
+  broken.components[0].fields.push({
+    name: 'box',
+    label: 'Box',
+    field: 'group',
+    attribute: {
+      fields: [
+        { name: 'note', label: 'Note', field: 'input', attribute: { type: 'text' } },
+        { name: 'rows', label: 'Rows', field: 'repeater', attribute: { fields: [{ name: 'cell', label: 'Cell', field: 'headline' }] } }
+      ]
+    }
+  });
+  broken.components[0].fields.push({
+    name: 'prices',
+    label: 'Prices',
+    field: 'table',
+    attribute: { columns: [{ name: 'plan', label: 'Plan', type: 'text' }, { name: 'price', label: 'Price' }, 'amount'] }
+  });
+
+  const result = await validateTemplateStructure(broken);
+  const errorPaths = paths(result.errors);
+  check(result.errors.some(error => error.path === '' && error.message === 'Missing required key: description'), 'missing template keys are reported at the root');
+  check(errorPaths.includes('/components/0/fields/4/attribute/fields/0/attribute/maxLength'), 'attributes of repeater fields are located by JSON Pointer');
+  check(errorPaths.includes('/components/0/fields/5/attribute/fields/1/attribute/fields/0/field'), 'fields nested in a repeater inside a group are validated');
+  check(!errorPaths.some(path => path.startsWith('/components/0/fields/6/attribute/columns/0')), 'a complete table column passes');
+  check(result.errors.some(error => error.path === '/components/0/fields/6/attribute/columns/1' && error.message === 'Table column missing required key: type'), 'table column keys are checked per column');
+  check(result.errors.some(error => error.path === '/components/0/fields/6/attribute/columns/2' && error.message === 'Table column must be an object'), 'table columns must be objects');
+  check(result.errors.every(error => error.path === '' || error.path.startsWith('/')), 'every error is located by JSON Pointer');
+}
+
+async function testTemplateSchema() {
+  console.log('\n🧪 get_template_schema');
+
+  const schema = await buildTemplateSchema();
+  const fieldTypes = await loadFieldTypes();
+  check(schema.$schema === 'https://json-schema.org/draft/2020-12/schema' && schema.$id === TEMPLATE_SCHEMA_URI, 'schema is JSON Schema draft 2020-12 with the resource URI as $id');
+  check(JSON.stringify(schema.$defs.template.required) === JSON.stringify(['name', 'label', 'is_content', 'multilanguage', 'is_multiple', 'description', 'components']), 'template keys required by the schema match the validator');
+  check(schema.oneOf.map(branch => branch.$ref).join(',') === '#/$defs/template,#/$defs/components', 'bare component arrays are accepted for posts');
+
+  const fieldTypeNames = Object.keys(fieldTypes);
+  check(fieldTypeNames.every(type => schema.$defs[`field_${type.replace(/-/g, '_')}`]), 'every field type has a schema definition');
+  check(schema.$defs.field.oneOf.length === fieldTypeNames.length && schema.$defs.field.properties.field.enum.length === fieldTypeNames.length, 'fields are a union discriminated by the field type');
+  check(schema.$defs.field_select.properties.attribute.required.includes('options'), 'required attributes come from the field type definitions');
+
+  const strict = await buildTemplateSchema({ strict: true });
+  check(schema.$defs.component.additionalProperties === true && strict.$defs.component.additionalProperties === false, 'the strict schema disallows unknown keys');
+
+  check(JSON.stringify(extractJson(responseText(await getTemplateSchema({})))) === JSON.stringify(schema), 'get_template_schema returns the schema');
+  const strictResponse = responseText(await getTemplateSchema({ strict: true }));
+  check(strictResponse.includes('(draft 2020-12, strict)') && JSON.stringify(extractJson(strictResponse)) === JSON.stringify(strict), 'get_template_schema returns the strict schema on request');
+}
+
+async function testValidateStorage() {
+  console.log('\n🧪 validate_storage');
+
+  const storageDir = path.join('storage', 'app', 'json');
+  ['pages', 'posts', 'posts-type', 'navigation'].forEach(directory => fs.mkdirSync(path.join(storageDir, directory), { recursive: true }));
+  fs.writeFileSync(path.join(storageDir, 'pages', 'demo.json'), JSON.stringify(DEMO_TEMPLATE, null, 2));
+  fs.writeFileSync(path.join(storageDir, 'pages', 'truncated.json'), '{ "name": "truncated",');
+  fs.writeFileSync(path.join(storageDir, 'posts', 'article.json'), JSON.stringify(DEMO_TEMPLATE.components, null, 2));
+  fs.copyFileSync(path.join(REPO_DIR, 'storage', 'app', 'json', 'posts-type', 'example.setting.json'), path.join(storageDir, 'posts-type', 'example.setting.json'));
+  fs.copyFileSync(path.join(REPO_DIR, 'storage', 'app', 'json', 'navigation', 'example.nav.json'), path.join(storageDir, 'navigation', 'example.nav.json'));
+  fs.writeFileSync(path.join(storageDir, 'navigation', 'broken.nav.json'), JSON.stringify({ name: 'Broken', slug: 'Broken Menu', items: [{ type: 'url', translations: { en: { title: 'Home' } } }] }, null, 2));
+
+  const text = responseText(await validateStorage({}));
+  const report = JSON.parse(text.slice(text.indexOf('\n{')));
+  const byName = Object.fromEntries(report.files.map(file => [file.name, file]));
+  check(text.startsWith('❌ Storage validation FAILED: 4/6 files valid'), `validate_storage summarizes valid files (got ${text.split('\n')[0]})`);
+  check(['pages', 'posts', 'posts-type', 'navigation'].every(directory => report.totals.by_directory[directory]), 'every storage directory is walked');
+  check(byName.demo?.valid && byName.article?.valid, 'page templates and bare post component arrays are valid');
+  check(byName['example.setting']?.valid && byName['example.nav']?.valid, 'the example post type and navigation files are valid');
+  check(byName.truncated?.valid === false, 'unparseable files are invalid');
+  const brokenPaths = paths(byName['broken.nav']?.errors ?? []);
+  check(brokenPaths.includes('/slug') && brokenPaths.includes('/items/0/url'), 'navigation files are checked with the navigation validator');
+
+  const onlyInvalid = responseText(await validateStorage({ directories: ['pages'], only_invalid: true }));
+  check(JSON.parse(onlyInvalid.slice(onlyInvalid.indexOf('\n{'))).files.map(file => file.name).join(',') === 'truncated', 'only_invalid lists the failing files of the requested directories');
+}
+
+async function testValidateContent() {
+  console.log('\n🧪 validate_content');
+
+  const valid = validateContentAgainstTemplate(DEMO_TEMPLATE, {
+    hero: {
+      status: true,
+      title: { en: 'Welcome', id: 'Selamat datang' },
+      image: { id: 1, url: 'https://example.com/hero.png' },
+      image_alt: { en: 'Hero', id: 'Hero' },
+      items: [{ label: { en: 'One', id: 'Satu' } }]
+    }
+  });
+  check(valid.valid && valid.errors.length === 0, `matching content passes (got ${JSON.stringify(valid.errors)})`);
+
+  const invalid = validateContentAgainstTemplate(DEMO_TEMPLATE, {
+    hero: {
+      status: 'yes',
+      title: { en: 'This title is far too long to fit', fr: 'Bienvenue' },
+      image_alt: 'Hero',
+      items: [{ label: { en: 'One', id: 'Satu' } }, { label: 3 }, { label: { en: 'Three', id: 'Tiga' } }]
+    },
+    footer: {}
+  });
+  const errorPaths = paths(invalid.errors);
+  check(errorPaths.includes('/hero/status'), 'value types are checked');
+  check(invalid.errors.some(error => error.path.startsWith('/hero/title') && error.message.includes('at most 20 characters')), 'maxLength is enforced per locale');
+  check(errorPaths.includes('/hero/image_alt') && paths(invalid.warnings).includes('/hero/title/fr'), 'multilanguage values must be keyed by the template locales');
+  check(errorPaths.includes('/hero/items') && errorPaths.includes('/hero/items/1/label'), 'repeater bounds and item fields are checked');
+  check(paths(invalid.warnings).includes('/footer'), 'unknown components are warnings');
+
+  const formTemplate = clone(DEMO_TEMPLATE);
+  formTemplate.components[0].fields = [
+    { name: 'size', label: 'Size', field: 'select', attribute: { options: [{ label: 'Small', value: 's' }, { label: 'Medium', value: 'm' }] } },
+    { name: 'brochure', label: 'Brochure', field: 'media', attribute: { accept: ['document'] } },
+    { name: 'code', label: 'Code', field: 'input', attribute: { type: 'text', is_required: true, minLength: 3 } }
+  ];
+  const form = validateContentAgainstTemplate(formTemplate, { hero: { size: 'xl', brochure: { url: 'https://example.com/brochure.png' }, code: 'ab' } });
+  const formErrors = Object.fromEntries(form.errors.map(error => [error.path, error.message]));
+  check(formErrors['/hero/size']?.startsWith('Invalid option: "xl"'), 'select values must be one of the options');
+  check(formErrors['/hero/brochure']?.startsWith('Media type image is not accepted'), 'media types are checked against accept');
+  check(formErrors['/hero/code']?.startsWith('Must have at least 3 characters'), 'minLength is enforced');
+  const missing = validateContentAgainstTemplate(formTemplate, { hero: { size: 's', brochure: { url: 'https://example.com/brochure.pdf' } } });
+  check(missing.errors.length === 1 && missing.errors[0].path === '/hero/code' && missing.errors[0].message === 'Code is required', 'required fields must have a value');
+
+  // validate_storage stored the demo template in pages
+  const passed = responseText(await validateContent({ name: 'demo', content: { hero: { status: true, title: { en: 'Welcome' } } }, locales: ['en'] }));
+  check(passed.startsWith('Content validation PASSED against "demo"'), 'validate_content reads stored templates by name');
+  const failed = responseText(await validateContent({ name: 'demo', content: { hero: { status: 'yes' } } }));
+  check(failed.startsWith('Content validation FAILED'), 'validate_content reports invalid content');
+}
+
+async function run() {
+  console.log('🚀 Testing template validation...');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anticms-validation-'));
+  fs.symlinkSync(path.join(REPO_DIR, 'data'), path.join(workDir, 'data'), 'dir');
+  process.chdir(workDir);
+
+  try {
+    await testAttributeValidation();
+    await testLintRules();
+    await testFixMode();
+    await testErrorLocations();
+    await testTemplateSchema();
+    await testValidateStorage();
+    await testValidateContent();
+  } finally {
+    process.chdir(REPO_DIR);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log(failures === 0 ? '\n🎯 All template validation tests passed!' : `\n❌ ${failures} template validation test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+run().catch(error => {
+  console.log('❌ Error:', error.message);
+  process.exitCode = 1;
+});